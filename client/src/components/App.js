@@ -7,6 +7,7 @@ import AuthPage from './AuthPage';
 import Dashboard from './Dashboard';
 import SettingsPage from './SettingsPage';
 import ProtectedRoute from './ProtectedRoute';
+import SharedDashboard from './SharedDashboard';
 
 const App = () => {
   return (
@@ -15,6 +16,8 @@ const App = () => {
         <Routes>
           {/* Public Routes */}
           <Route path="/" element={<AuthPage />} />
+          <Route path="/share/:token" element={<SharedDashboard />} />
+          <Route path="/embed/:token" element={<SharedDashboard embed />} />
           
           {/* Protected Routes */}
           <Route 
@@ -33,6 +36,14 @@ const App = () => {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/dashboard/query" 
+            element={
+              <ProtectedRoute>
+                <Dashboard />
+              </ProtectedRoute>
+            } 
+          />
           <Route 
             path="/settings" 
             element={
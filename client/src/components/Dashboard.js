@@ -1,18 +1,27 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useAppState } from '../hooks/useAppState';
 import { useDatasets } from '../hooks/useDatasets';
-import { UI_CONSTANTS, APP_CONFIG } from '../constants';
+import { UI_CONSTANTS, APP_CONFIG, DEFAULT_USER_SETTINGS, STORAGE_KEYS } from '../constants';
 import { MESSAGES } from '../constants/messages';
+import { errorUtils, fileUtils, storageUtils, workspaceUtils } from '../utils/helpers';
+import dashboardService from '../services/dashboardService';
 
 // Components
 import DatasetSelector from './DatasetSelector';
 import DashboardSelector from './DashboardSelector';
 import DashboardManager from './DashboardManager';
+import DatasetVersionHistory from './DatasetVersionHistory';
+import DatasetCalculatedFields from './DatasetCalculatedFields';
+import DatasetFieldMetadata from './DatasetFieldMetadata';
+import DatasetLineage from './DatasetLineage';
+import DerivedDatasetForm from './DerivedDatasetForm';
 import FileUpload from './FileUpload';
 import GraphicWalkerChart, { MultipleChartsRenderer } from './GraphicWalkerChart';
 import GettingStarted from './GettingStarted';
+import DashboardShareDialog from './DashboardShareDialog';
+import SqlQueryPanel from './SqlQueryPanel';
 
 const Dashboard = () => {
   const navigate = useNavigate();
@@ -36,14 +45,42 @@ const Dashboard = () => {
   const [selectedDashboard, setSelectedDashboard] = useState(null);
   const [showProfileMenu, setShowProfileMenu] = useState(false);
   const [showGettingStarted, setShowGettingStarted] = useState(false);
+  const [editingLayout, setEditingLayout] = useState(false);
+  const [savingLayout, setSavingLayout] = useState(false);
+  const [editingFilters, setEditingFilters] = useState(false);
+  const [savingFilters, setSavingFilters] = useState(false);
+  const [showShareDialog, setShowShareDialog] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  // Kept while the same dataset is shown so saving a layout or filters does not reload the charts
+  const dashboardDatasetName = selectedDashboard?.datasetName;
+  const dashboardDataset = useMemo(() => (
+    dashboardDatasetName ? { datasetName: dashboardDatasetName } : null
+  ), [dashboardDatasetName]);
+
+  // Format chosen under Settings > Export
+  const exportFormat = storageUtils.getItem(STORAGE_KEYS.USER_PREFERENCES, DEFAULT_USER_SETTINGS).exportFormat || DEFAULT_USER_SETTINGS.exportFormat;
+
+  // Parsed once per dashboard so the layout editor keeps its state across re-renders
+  const dashboardCharts = useMemo(() => {
+    if (!selectedDashboard?.jsonFormat) return null;
+    try {
+      return JSON.parse(selectedDashboard.jsonFormat);
+    } catch (err) {
+      errorUtils.logError(err, 'Dashboard.parseCharts');
+      return null;
+    }
+  }, [selectedDashboard]);
   
   // Get datasets for validation
-  const { datasets, loading: datasetsLoading } = useDatasets();
+  const { datasets, loading: datasetsLoading, refreshDatasets } = useDatasets();
 
   // Set active tab based on current route
   useEffect(() => {
     if (location.pathname === '/dashboard/design') {
       switchTab(UI_CONSTANTS.TABS.DESIGN);
+    } else if (location.pathname === '/dashboard/query') {
+      switchTab(UI_CONSTANTS.TABS.QUERY);
     } else {
       switchTab(UI_CONSTANTS.TABS.VIEW);
     }
@@ -65,9 +102,59 @@ const Dashboard = () => {
   // Handle dashboard selection
   const handleDashboardSelect = (dashboard) => {
     setSelectedDashboard(dashboard);
+    setEditingLayout(false);
+    setEditingFilters(false);
     clearMessages();
   };
 
+  // Handle the layout editor's save
+  const handleLayoutSave = async (layout) => {
+    setSavingLayout(true);
+    try {
+      const saved = await dashboardService.updateDashboardLayout(selectedDashboard.dashboardName, layout);
+      if (saved) {
+        setSelectedDashboard(prev => ({ ...prev, ...saved }));
+        setEditingLayout(false);
+        showSuccess(MESSAGES.DASHBOARD_LAYOUT_SAVED);
+      }
+    } catch (err) {
+      showError(errorUtils.getErrorMessage(err));
+    } finally {
+      setSavingLayout(false);
+    }
+  };
+
+  // Handle the filter editor's save
+  const handleFiltersSave = async (filters) => {
+    setSavingFilters(true);
+    try {
+      const saved = await dashboardService.updateDashboardFilters(selectedDashboard.dashboardName, filters);
+      if (saved) {
+        setSelectedDashboard(prev => ({ ...prev, ...saved }));
+        setEditingFilters(false);
+        showSuccess(MESSAGES.DASHBOARD_FILTERS_SAVED);
+      }
+    } catch (err) {
+      showError(errorUtils.getErrorMessage(err));
+    } finally {
+      setSavingFilters(false);
+    }
+  };
+
+  // Download the dashboard drawn by the server in the preferred format
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const blob = await dashboardService.exportDashboard(selectedDashboard.dashboardName, exportFormat);
+      fileUtils.saveBlob(blob, `${selectedDashboard.dashboardName}.${exportFormat}`);
+    } catch (err) {
+      showError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'Dashboard.export');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   // Handle file upload success
   const handleUploadSuccess = (result) => {
     showSuccess(MESSAGES.UPLOAD_SUCCESS);
@@ -75,6 +162,47 @@ const Dashboard = () => {
     if (result.dataset) {
       selectDataset(result.dataset);
     }
+    // The upload form lists existing datasets for replace, append and upsert uploads
+    refreshDatasets();
+  };
+
+  // Handle an earlier dataset version being restored
+  const handleVersionRestore = (dataset) => {
+    showSuccess(MESSAGES.DATASET_VERSION_RESTORED);
+    selectDataset(dataset);
+    refreshDatasets();
+  };
+
+  const handleCalculatedFieldsSave = (dataset) => {
+    showSuccess(MESSAGES.CALCULATED_FIELDS_SAVED);
+    selectDataset(dataset);
+    refreshDatasets();
+  };
+
+  const handleFieldMetadataSave = (dataset) => {
+    showSuccess(MESSAGES.FIELD_METADATA_SAVED);
+    selectDataset(dataset);
+    refreshDatasets();
+  };
+
+  const handleDerivedDatasetCreate = (dataset) => {
+    showSuccess(MESSAGES.DERIVED_DATASET_CREATED);
+    selectDataset(dataset);
+    refreshDatasets();
+  };
+
+  // A saved query result opens in the Design tab to chart it
+  const handleQuerySave = (dataset) => {
+    showSuccess(MESSAGES.QUERY_SAVED);
+    selectDataset(dataset);
+    refreshDatasets();
+    navigate('/dashboard/design');
+  };
+
+  const handleDerivedDatasetRefresh = (dataset) => {
+    showSuccess(MESSAGES.DERIVED_DATASET_REFRESHED);
+    selectDataset(dataset);
+    refreshDatasets();
   };
 
   // Handle file upload error
@@ -155,6 +283,20 @@ const Dashboard = () => {
               </svg>
               Design
             </button>
+
+            <button
+              onClick={() => navigate('/dashboard/query')}
+              className={`w-full flex items-center px-3 py-2 text-sm rounded-md transition-colors duration-150 ${
+                activeTab === UI_CONSTANTS.TABS.QUERY
+                  ? 'bg-accent-100 text-accent-900 font-medium'
+                  : 'text-notion-700 hover:bg-notion-100'
+              }`}
+            >
+              <svg className="w-4 h-4 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4m0 5c0 2.21-3.582 4-8 4s-8-1.79-8-4" />
+              </svg>
+              SQL Query
+            </button>
             
             <button
               onClick={() => navigate('/settings')}
@@ -311,6 +453,16 @@ const Dashboard = () => {
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 1.79 4 4 4h8c2.21 0 4-1.79 4-4V7M4 7c0-2.21 1.79-4 4-4h8c2.21 0 4 1.79 4 4M4 7h16m-1 4l-3 3m0 0l-3-3m3 3V8" />
                           </svg>
                           {selectedDashboard.datasetName}
+                          {selectedDashboard.datasetVersion && (
+                            <span className="ml-2 text-xs text-notion-500">
+                              · pinned to version {selectedDashboard.datasetVersion}
+                            </span>
+                          )}
+                          {selectedDashboard.datasetNames?.length > 1 && (
+                            <span className="ml-2 text-xs text-notion-500">
+                              · also {selectedDashboard.datasetNames.slice(1).join(', ')}
+                            </span>
+                          )}
                         </div>
                       </div>
                       <div className="flex items-center space-x-2">
@@ -322,32 +474,95 @@ const Dashboard = () => {
                           {selectedDashboard.isMultiple ? 'Multi-Chart' : 'Single Chart'}
                         </span>
                         <button
-                          onClick={() => {
-                            // Select the dataset and navigate to design mode
-                            const dataset = datasets.find(d => d.datasetName === selectedDashboard.datasetName);
-                            if (dataset) {
-                              selectDataset(dataset);
-                              navigate('/dashboard/design');
-                            }
-                          }}
-                          className="text-xs text-notion-500 hover:text-accent-600 transition-colors duration-150 flex items-center px-2 py-1 rounded hover:bg-notion-50"
-                          title="Edit this dashboard"
+                          onClick={handleExport}
+                          disabled={exporting}
+                          className="text-xs text-notion-500 hover:text-accent-600 transition-colors duration-150 flex items-center px-2 py-1 rounded hover:bg-notion-50 disabled:opacity-50"
+                          title={`Download the dashboard as ${exportFormat.toUpperCase()} (change the format in Settings)`}
                         >
                           <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
                           </svg>
-                          Edit
+                          {exporting ? 'Exporting...' : `Export ${exportFormat.toUpperCase()}`}
                         </button>
+                        {/* Viewers can open dashboards but not edit them */}
+                        {workspaceUtils.canEdit(selectedDashboard.accessRole) && !editingLayout && (
+                          <button
+                            onClick={() => setEditingLayout(true)}
+                            className="text-xs text-notion-500 hover:text-accent-600 transition-colors duration-150 flex items-center px-2 py-1 rounded hover:bg-notion-50"
+                            title="Arrange charts and text on the dashboard"
+                          >
+                            <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 5a1 1 0 011-1h4a1 1 0 011 1v5a1 1 0 01-1 1H5a1 1 0 01-1-1V5zm10 0a1 1 0 011-1h4a1 1 0 011 1v2a1 1 0 01-1 1h-4a1 1 0 01-1-1V5zM4 15a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1H5a1 1 0 01-1-1v-4zm10-3a1 1 0 011-1h4a1 1 0 011 1v7a1 1 0 01-1 1h-4a1 1 0 01-1-1v-7z" />
+                            </svg>
+                            Layout
+                          </button>
+                        )}
+                        {workspaceUtils.canEdit(selectedDashboard.accessRole) && !editingFilters && (
+                          <button
+                            onClick={() => setEditingFilters(true)}
+                            className="text-xs text-notion-500 hover:text-accent-600 transition-colors duration-150 flex items-center px-2 py-1 rounded hover:bg-notion-50"
+                            title="Add filters that apply to every chart"
+                          >
+                            <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z" />
+                            </svg>
+                            Filters
+                          </button>
+                        )}
+                        {workspaceUtils.canEdit(selectedDashboard.accessRole) && (
+                          <button
+                            onClick={() => setShowShareDialog(true)}
+                            className="text-xs text-notion-500 hover:text-accent-600 transition-colors duration-150 flex items-center px-2 py-1 rounded hover:bg-notion-50"
+                            title="Share a read-only link or embed this dashboard"
+                          >
+                            <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
+                            </svg>
+                            Share
+                          </button>
+                        )}
+                        {workspaceUtils.canEdit(selectedDashboard.accessRole) && (
+                          <button
+                            onClick={() => {
+                              // Select the dataset and navigate to design mode
+                              const dataset = datasets.find(d => d.datasetName === selectedDashboard.datasetName);
+                              if (dataset) {
+                                selectDataset(dataset);
+                                navigate('/dashboard/design');
+                              }
+                            }}
+                            className="text-xs text-notion-500 hover:text-accent-600 transition-colors duration-150 flex items-center px-2 py-1 rounded hover:bg-notion-50"
+                            title="Edit this dashboard"
+                          >
+                            <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                            </svg>
+                            Edit
+                          </button>
+                        )}
                       </div>
                     </div>
                   </div>
                   
                   {/* Dashboard Charts */}
                   <div className="p-4">
-                    {selectedDashboard.isMultiple ? (
+                    {/* Dashboards with several charts or datasets, a saved layout, filters or an open editor use the grid */}
+                    {selectedDashboard.isMultiple || selectedDashboard.datasetNames?.length > 1 || selectedDashboard.layout || selectedDashboard.filters?.length > 0 || editingLayout || editingFilters ? (
                       <MultipleChartsRenderer
-                        dataset={{ datasetName: selectedDashboard.datasetName }}
-                        dashboardConfig={JSON.parse(selectedDashboard.jsonFormat)}
+                        dataset={dashboardDataset}
+                        datasetVersion={selectedDashboard.datasetVersion}
+                        downloadable
+                        dashboardConfig={dashboardCharts}
+                        layout={selectedDashboard.layout}
+                        filters={selectedDashboard.filters}
+                        editing={editingLayout}
+                        saving={savingLayout}
+                        onLayoutSave={handleLayoutSave}
+                        onLayoutCancel={() => setEditingLayout(false)}
+                        editingFilters={editingFilters}
+                        savingFilters={savingFilters}
+                        onFiltersSave={handleFiltersSave}
+                        onFiltersCancel={() => setEditingFilters(false)}
                         className="dashboard-charts"
                       />
                     ) : (
@@ -397,15 +612,64 @@ const Dashboard = () => {
                     onDatasetSelect={handleDatasetSelect}
                     className="dataset-selector-main"
                   />
+                  {selectedDataset && (
+                    <div className="mt-4 pt-4 border-t border-notion-200">
+                      <h3 className="text-sm font-medium text-notion-700 mb-2">Version History</h3>
+                      <DatasetVersionHistory
+                        key={`${selectedDataset.datasetName}-${selectedDataset.version || ''}`}
+                        dataset={selectedDataset}
+                        onRestore={handleVersionRestore}
+                      />
+                    </div>
+                  )}
+                  {selectedDataset && (
+                    <div className="mt-4 pt-4 border-t border-notion-200">
+                      <h3 className="text-sm font-medium text-notion-700 mb-2">Calculated Fields</h3>
+                      <DatasetCalculatedFields
+                        key={selectedDataset.datasetName}
+                        dataset={selectedDataset}
+                        onSave={handleCalculatedFieldsSave}
+                      />
+                    </div>
+                  )}
+                  {selectedDataset && (
+                    <div className="mt-4 pt-4 border-t border-notion-200">
+                      <h3 className="text-sm font-medium text-notion-700 mb-2">Fields</h3>
+                      <DatasetFieldMetadata
+                        key={`${selectedDataset.datasetName}-${selectedDataset.version || ''}`}
+                        dataset={selectedDataset}
+                        onSave={handleFieldMetadataSave}
+                      />
+                    </div>
+                  )}
+                  {selectedDataset && (
+                    <div className="mt-4 pt-4 border-t border-notion-200">
+                      <h3 className="text-sm font-medium text-notion-700 mb-2">Lineage</h3>
+                      <DatasetLineage
+                        key={`${selectedDataset.datasetName}-${selectedDataset.version || ''}`}
+                        dataset={selectedDataset}
+                        onRefresh={handleDerivedDatasetRefresh}
+                      />
+                    </div>
+                  )}
                 </div>
 
                 <div className="card-notion p-4">
                   <h2 className="heading-notion text-base mb-4">Upload Data</h2>
                   <FileUpload
+                    datasets={datasets}
                     onUploadSuccess={handleUploadSuccess}
                     onUploadError={handleUploadError}
                     className="file-upload-main"
                   />
+                  <div className="mt-4 pt-4 border-t border-notion-200">
+                    <h3 className="text-sm font-medium text-notion-700 mb-2">Combine Datasets</h3>
+                    <DerivedDatasetForm
+                      datasets={datasets}
+                      onCreate={handleDerivedDatasetCreate}
+                      onError={handleUploadError}
+                    />
+                  </div>
                 </div>
               </div>
 
@@ -454,6 +718,22 @@ const Dashboard = () => {
               )}
             </div>
           )}
+
+          {activeTab === UI_CONSTANTS.TABS.QUERY && (
+            <div className="p-6">
+              {/* Page Header */}
+              <div className="mb-6">
+                <h1 className="heading-notion text-xl mb-2">SQL Query</h1>
+                <p className="text-notion-secondary text-sm">Explore your datasets with SQL; each dataset is a table named after it</p>
+              </div>
+
+              <SqlQueryPanel
+                datasets={datasets}
+                onSave={handleQuerySave}
+                onError={handleUploadError}
+              />
+            </div>
+          )}
         </div>
       </div>
 
@@ -462,6 +742,13 @@ const Dashboard = () => {
         <GettingStarted onClose={() => setShowGettingStarted(false)} />
       )}
 
+      {/* Share Links */}
+      <DashboardShareDialog
+        isOpen={showShareDialog && Boolean(selectedDashboard)}
+        onClose={() => setShowShareDialog(false)}
+        dashboardName={selectedDashboard?.dashboardName}
+      />
+
       {/* Click outside to close profile menu */}
       {showProfileMenu && (
         <div 
@@ -4,14 +4,26 @@ const DashboardCreateDialog = ({
   isOpen, 
   onClose, 
   onSave, 
+  onAddToDashboard = null,
+  dashboards = [],
   datasetName = '',
+  datasetVersion = null,
   isLoading = false 
 }) => {
   const [dashboardName, setDashboardName] = useState('');
+  const [pinVersion, setPinVersion] = useState(false);
+  // Name of an existing dashboard to add the charts to; empty saves a new dashboard
+  const [target, setTarget] = useState('');
   const [error, setError] = useState('');
 
   const handleSubmit = (e) => {
     e.preventDefault();
+
+    if (target) {
+      setError('');
+      onAddToDashboard(target);
+      return;
+    }
     
     // Validate dashboard name
     if (!dashboardName.trim()) {
@@ -30,11 +42,13 @@ const DashboardCreateDialog = ({
     }
     
     setError('');
-    onSave(dashboardName.trim());
+    onSave(dashboardName.trim(), pinVersion && datasetVersion ? datasetVersion : null);
   };
 
   const handleClose = () => {
     setDashboardName('');
+    setPinVersion(false);
+    setTarget('');
     setError('');
     onClose();
   };
@@ -74,29 +88,78 @@ const DashboardCreateDialog = ({
               </div>
             </div>
 
+            {/* Save Target */}
+            {onAddToDashboard && dashboards.length > 0 && (
+              <div>
+                <label htmlFor="saveTarget" className="block text-sm font-medium text-notion-700 mb-2">
+                  Save To
+                </label>
+                <select
+                  id="saveTarget"
+                  value={target}
+                  onChange={(e) => setTarget(e.target.value)}
+                  disabled={isLoading}
+                  className="input-notion w-full"
+                >
+                  <option value="">A new dashboard</option>
+                  {dashboards.map(dashboard => (
+                    <option key={dashboard.dashboardName} value={dashboard.dashboardName}>
+                      {dashboard.dashboardName} ({dashboard.datasetName})
+                    </option>
+                  ))}
+                </select>
+                {target && (
+                  <p className="mt-1 text-xs text-notion-500">
+                    The charts are added after the dashboard's own and keep reading {datasetName}
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Dashboard Name Input */}
-            <div>
-              <label htmlFor="dashboardName" className="block text-sm font-medium text-notion-700 mb-2">
-                Dashboard Name
+            {!target && (
+              <div>
+                <label htmlFor="dashboardName" className="block text-sm font-medium text-notion-700 mb-2">
+                  Dashboard Name
+                </label>
+                <input
+                  type="text"
+                  id="dashboardName"
+                  value={dashboardName}
+                  onChange={(e) => setDashboardName(e.target.value)}
+                  disabled={isLoading}
+                  className="input-notion w-full"
+                  placeholder="Enter dashboard name..."
+                  maxLength={100}
+                  autoFocus
+                />
+                {error && (
+                  <p className="mt-2 text-sm text-error-600">{error}</p>
+                )}
+                <p className="mt-1 text-xs text-notion-500">
+                  {dashboardName.length}/100 characters
+                </p>
+              </div>
+            )}
+
+            {/* Dataset Version Pin */}
+            {datasetVersion && !target && (
+              <label className="flex items-start text-sm text-notion-700">
+                <input
+                  type="checkbox"
+                  checked={pinVersion}
+                  onChange={(e) => setPinVersion(e.target.checked)}
+                  disabled={isLoading}
+                  className="mt-0.5 mr-2"
+                />
+                <span>
+                  Pin to dataset version {datasetVersion}
+                  <span className="block text-xs text-notion-500">
+                    Charts keep showing this version when the dataset is re-uploaded
+                  </span>
+                </span>
               </label>
-              <input
-                type="text"
-                id="dashboardName"
-                value={dashboardName}
-                onChange={(e) => setDashboardName(e.target.value)}
-                disabled={isLoading}
-                className="input-notion w-full"
-                placeholder="Enter dashboard name..."
-                maxLength={100}
-                autoFocus
-              />
-              {error && (
-                <p className="mt-2 text-sm text-error-600">{error}</p>
-              )}
-              <p className="mt-1 text-xs text-notion-500">
-                {dashboardName.length}/100 characters
-              </p>
-            </div>
+            )}
           </div>
 
           {/* Footer */}
@@ -111,13 +174,13 @@ const DashboardCreateDialog = ({
             </button>
             <button
               type="submit"
-              disabled={isLoading || !dashboardName.trim()}
+              disabled={isLoading || (!target && !dashboardName.trim())}
               className="btn-notion flex items-center"
             >
               {isLoading && (
                 <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent mr-2"></div>
               )}
-              Save Dashboard
+              {target ? 'Add Charts' : 'Save Dashboard'}
             </button>
           </div>
         </form>
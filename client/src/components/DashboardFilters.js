@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import { dashboardUtils, filterUtils } from '../utils/helpers';
+import { UI_CONSTANTS } from '../constants';
+
+const { DASHBOARD_FILTERS } = UI_CONSTANTS;
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '(empty)' : String(value));
+
+// Whole-number steps for whole-number bounds, otherwise a hundredth of the range
+const rangeStep = (min, max) => (Number.isInteger(min) && Number.isInteger(max) ? 1 : (max - min) / 100 || 1);
+
+// Dropdown of a field's values; "All" leaves the field unfiltered
+const SelectControl = ({ domain, value, onChange }) => {
+  const options = domain ? domain.options : [];
+  const selectedIndex = value === undefined ? '' : String(options.indexOf(value));
+
+  return (
+    <select
+      value={selectedIndex}
+      onChange={(e) => onChange(e.target.value === '' ? undefined : options[Number(e.target.value)])}
+      disabled={!domain}
+      className="input-notion py-1.5"
+    >
+      <option value="">All</option>
+      {options.map((option, index) => (
+        <option key={index} value={index}>{formatValue(option)}</option>
+      ))}
+    </select>
+  );
+};
+
+// Two sliders for the lowest and highest value. Charts are filtered when a slider is let go,
+// not on every step; the full range leaves the field unfiltered.
+const RangeControl = ({ domain, value, onChange }) => {
+  const [range, setRange] = useState(value || null);
+
+  useEffect(() => {
+    setRange(value || null);
+  }, [value]);
+
+  if (!domain || domain.min === null || domain.max === null) {
+    return <p className="text-xs text-notion-400 py-2">No values</p>;
+  }
+
+  const [low, high] = range || [domain.min, domain.max];
+  const step = rangeStep(domain.min, domain.max);
+  const commit = () => {
+    onChange(low <= domain.min && high >= domain.max ? undefined : [low, high]);
+  };
+  const sliderProps = {
+    type: 'range',
+    min: domain.min,
+    max: domain.max,
+    step,
+    onPointerUp: commit,
+    onKeyUp: commit,
+    className: 'w-full accent-accent-600'
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-notion-500">
+        <span>{low}</span>
+        <span>{high}</span>
+      </div>
+      <input {...sliderProps} value={low} onChange={(e) => setRange([Math.min(Number(e.target.value), high), high])} aria-label="Lowest value" />
+      <input {...sliderProps} value={high} onChange={(e) => setRange([low, Math.max(Number(e.target.value), low)])} aria-label="Highest value" />
+    </div>
+  );
+};
+
+// From and to dates; either can be left open
+const DateRangeControl = ({ domain, value, onChange }) => {
+  const [start, end] = value || [null, null];
+  const bounds = {
+    min: domain ? filterUtils.timeToDateInput(domain.min) : '',
+    max: domain ? filterUtils.timeToDateInput(domain.max) : ''
+  };
+  const update = (next) => onChange(next[0] === null && next[1] === null ? undefined : next);
+
+  return (
+    <div className="flex items-center space-x-1">
+      <input
+        type="date"
+        {...bounds}
+        value={filterUtils.timeToDateInput(start)}
+        onChange={(e) => update([filterUtils.dateInputToTime(e.target.value), end])}
+        className="input-notion py-1 text-xs"
+        aria-label="From"
+      />
+      <span className="text-notion-400">–</span>
+      <input
+        type="date"
+        {...bounds}
+        value={filterUtils.timeToDateInput(end)}
+        onChange={(e) => update([start, filterUtils.dateInputToTime(e.target.value, true)])}
+        className="input-notion py-1 text-xs"
+        aria-label="To"
+      />
+    </div>
+  );
+};
+
+const CONTROLS = {
+  select: SelectControl,
+  range: RangeControl,
+  dateRange: DateRangeControl
+};
+
+// Filter controls shown above a dashboard's charts, with the mark clicked on a chart (if any)
+const DashboardFilterBar = ({
+  filters,
+  fields,
+  values,
+  domains,
+  selection,
+  onChange,
+  onClearSelection,
+  onClear
+}) => {
+  if (filters.length === 0 && !selection) {
+    return null;
+  }
+
+  const fieldName = (fid) => {
+    const field = fields.find(item => item.fid === fid);
+    return field ? field.name : fid;
+  };
+  const hasActive = Object.keys(values).length > 0 || selection;
+
+  return (
+    <div className="flex flex-wrap items-end gap-4 mb-4 p-4 bg-white rounded-xl border border-gray-200">
+      {filters.map((filter) => {
+        const Control = CONTROLS[filter.type];
+        return (
+          <div key={filter.id} className="w-56">
+            <label className="block text-xs font-medium text-notion-600 mb-1 truncate">
+              {filter.label || fieldName(filter.field)}
+            </label>
+            <Control
+              domain={domains[filter.id]}
+              value={values[filter.id]}
+              onChange={(value) => onChange(filter.id, value)}
+            />
+          </div>
+        );
+      })}
+
+      {selection && (
+        <div className="flex items-center px-2 py-1 rounded-md bg-accent-50 border border-accent-200 text-xs text-accent-800">
+          <span>
+            {Object.entries(selection.values).map(([fid, value]) => `${fieldName(fid)} = ${formatValue(value)}`).join(', ')}
+          </span>
+          <button onClick={onClearSelection} className="ml-2 text-accent-600 hover:text-accent-800" title="Clear chart selection">
+            <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      )}
+
+      {hasActive && (
+        <button onClick={onClear} className="btn-notion text-xs">
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Editor for a dashboard's filter controls: which field each filters (and, on dashboards
+// reading several datasets, from which dataset), how, and its label. datasets lists
+// { datasetName, fields } for each dataset the charts read, the dashboard's own first.
+export const DashboardFilterEditor = ({ filters, datasets, saving = false, onSave, onCancel }) => {
+  const [items, setItems] = useState(filters);
+
+  useEffect(() => {
+    setItems(filters);
+  }, [filters]);
+
+  const [ownDataset] = datasets;
+  const fieldsOf = (item) => {
+    const source = datasets.find(dataset => dataset.datasetName === dashboardUtils.sourceDataset(item, ownDataset.datasetName));
+    return source ? source.fields : [];
+  };
+  const fieldByFid = (item, fid) => fieldsOf(item).find(field => field.fid === fid);
+
+  const handleAdd = () => {
+    const field = ownDataset.fields[0];
+    setItems(prev => [...prev, {
+      id: `filter-${Date.now()}`,
+      type: filterUtils.defaultType(field),
+      field: field.fid,
+      label: ''
+    }]);
+  };
+
+  const updateItem = (id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  // Another dataset's filter starts on that dataset's first field
+  const changeDataset = (item, datasetName) => {
+    const [field] = fieldsOf({ datasetName });
+    updateItem(item.id, {
+      datasetName,
+      field: field ? field.fid : '',
+      type: field ? filterUtils.defaultType(field) : item.type
+    });
+  };
+
+  // Only the fields the server stores; an empty label falls back to the field name and
+  // filters on the dashboard's own dataset do not name it
+  const handleSave = () => {
+    onSave(items.map(({ id, type, field, label, datasetName }) => ({
+      id,
+      type,
+      field,
+      ...(label && label.trim() ? { label: label.trim() } : {}),
+      ...(datasetName && datasetName !== ownDataset.datasetName ? { datasetName } : {})
+    })));
+  };
+
+  return (
+    <div className="mb-4 p-4 bg-white rounded-xl border border-gray-200">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm text-notion-500">
+          {datasets.length > 1
+            ? 'Filters apply to every chart whose dataset has the filtered field.'
+            : 'Filters apply to every chart on the dashboard.'}
+        </p>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={handleAdd}
+            disabled={ownDataset.fields.length === 0 || items.length >= DASHBOARD_FILTERS.MAX}
+            className="btn-notion text-xs disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Add filter
+          </button>
+          <button onClick={onCancel} className="btn-notion text-xs">
+            Cancel
+          </button>
+          <button onClick={handleSave} disabled={saving} className="btn-notion btn-notion-primary text-xs">
+            {saving ? 'Saving...' : 'Save filters'}
+          </button>
+        </div>
+      </div>
+
+      {items.length === 0 ? (
+        <p className="text-sm text-notion-400">No filters yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {items.map(item => (
+            <div key={item.id} className="flex items-center space-x-2">
+              {datasets.length > 1 && (
+                <select
+                  value={dashboardUtils.sourceDataset(item, ownDataset.datasetName)}
+                  onChange={(e) => changeDataset(item, e.target.value)}
+                  className="input-notion py-1.5 w-40"
+                  aria-label="Dataset"
+                >
+                  {datasets.map(dataset => (
+                    <option key={dataset.datasetName} value={dataset.datasetName}>{dataset.datasetName}</option>
+                  ))}
+                </select>
+              )}
+              <select
+                value={item.field}
+                onChange={(e) => updateItem(item.id, {
+                  field: e.target.value,
+                  type: filterUtils.defaultType(fieldByFid(item, e.target.value))
+                })}
+                className="input-notion py-1.5 flex-1"
+                aria-label="Field"
+              >
+                {fieldsOf(item).map(field => (
+                  <option key={field.fid} value={field.fid}>{field.name}</option>
+                ))}
+              </select>
+              <select
+                value={item.type}
+                onChange={(e) => updateItem(item.id, { type: e.target.value })}
+                className="input-notion py-1.5 w-40"
+                aria-label="Control"
+              >
+                {Object.entries(DASHBOARD_FILTERS.TYPES).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={item.label || ''}
+                onChange={(e) => updateItem(item.id, { label: e.target.value })}
+                placeholder={fieldByFid(item, item.field)?.name || 'Label'}
+                className="input-notion py-1.5 flex-1"
+                aria-label="Label"
+              />
+              <button
+                onClick={() => setItems(prev => prev.filter(other => other.id !== item.id))}
+                className="p-1 text-notion-400 hover:text-error-600"
+                title="Remove filter"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DashboardFilterBar;
@@ -0,0 +1,340 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useBreakpoint } from '../hooks/useAppState';
+import { layoutUtils } from '../utils/helpers';
+import { UI_CONSTANTS } from '../constants';
+
+const { DASHBOARD_LAYOUT } = UI_CONSTANTS;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Inline markdown: **bold**, *italic*, `code` and [links](https://...)
+const INLINE_PATTERN = /(\*\*[^*]+\*\*|\*[^*]+\*|`[^`]+`|\[[^\]]+\]\([^)\s]+\))/g;
+
+const renderInline = (text) => text.split(INLINE_PATTERN).map((part, index) => {
+  if (/^\*\*[^*]+\*\*$/.test(part)) return <strong key={index}>{part.slice(2, -2)}</strong>;
+  if (/^\*[^*]+\*$/.test(part)) return <em key={index}>{part.slice(1, -1)}</em>;
+  if (/^`[^`]+`$/.test(part)) return <code key={index} className="px-1 rounded bg-notion-100 text-sm">{part.slice(1, -1)}</code>;
+
+  const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+  if (link) {
+    // Only web and mail links are followed
+    return /^(https?:|mailto:)/i.test(link[2])
+      ? <a key={index} href={link[2]} target="_blank" rel="noopener noreferrer" className="text-accent-600 underline">{link[1]}</a>
+      : link[1];
+  }
+  return part;
+});
+
+// Text tile content: headings, bullet and numbered lists and paragraphs of inline markdown
+const MarkdownText = ({ content }) => {
+  const blocks = [];
+  let list = null;
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'p', text: paragraph.join(' ') });
+      paragraph = [];
+    }
+  };
+
+  content.split('\n').forEach((rawLine) => {
+    const line = rawLine.trim();
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    const bullet = line.match(/^[-*]\s+(.*)$/);
+    const numbered = line.match(/^\d+[.)]\s+(.*)$/);
+
+    if (bullet || numbered) {
+      flushParagraph();
+      const type = bullet ? 'ul' : 'ol';
+      if (!list || list.type !== type) {
+        list = { type, items: [] };
+        blocks.push(list);
+      }
+      list.items.push((bullet || numbered)[1]);
+      return;
+    }
+
+    list = null;
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: `h${heading[1].length}`, text: heading[2] });
+    } else if (line === '') {
+      flushParagraph();
+    } else {
+      paragraph.push(line);
+    }
+  });
+  flushParagraph();
+
+  const headingStyles = { h1: 'text-xl font-semibold', h2: 'text-lg font-semibold', h3: 'text-base font-semibold' };
+
+  return (
+    <div className="space-y-2 text-sm text-notion-800">
+      {blocks.map((block, index) => {
+        if (block.type === 'ul' || block.type === 'ol') {
+          const List = block.type;
+          return (
+            <List key={index} className={`pl-5 space-y-1 ${block.type === 'ul' ? 'list-disc' : 'list-decimal'}`}>
+              {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item)}</li>)}
+            </List>
+          );
+        }
+        if (block.type === 'p') {
+          return <p key={index}>{renderInline(block.text)}</p>;
+        }
+        const Heading = block.type;
+        return <Heading key={index} className={`${headingStyles[block.type]} text-notion-900`}>{renderInline(block.text)}</Heading>;
+      })}
+    </div>
+  );
+};
+
+// One chart or text tile; in the editor it has a drag handle, a title field and a resize corner,
+// otherwise its actions (if any) show beside its title
+const LayoutTile = ({ item, title, editing, actions = null, style, onMoveStart, onResizeStart, onChange, onRemove, children }) => (
+  <div style={style} className="relative flex flex-col bg-white rounded-xl shadow-soft border border-gray-200 overflow-hidden">
+    {(editing || title) && (
+      <div className="flex items-center bg-gray-50 border-b border-gray-200 px-4 py-2 flex-shrink-0">
+        {editing && (
+          <button
+            onPointerDown={onMoveStart}
+            className="mr-2 p-1 text-notion-400 hover:text-notion-700 cursor-move touch-none"
+            title="Drag to move"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 8h16M4 16h16" />
+            </svg>
+          </button>
+        )}
+        {editing ? (
+          <input
+            type="text"
+            value={item.title || ''}
+            onChange={(e) => onChange({ title: e.target.value })}
+            placeholder={title || 'Untitled'}
+            className="input-notion text-sm flex-1 min-w-0"
+          />
+        ) : (
+          <h3 className="text-base font-semibold text-gray-900 truncate">{title}</h3>
+        )}
+        {!editing && actions && <div className="ml-auto pl-2 flex-shrink-0">{actions}</div>}
+        {editing && item.type === 'text' && (
+          <button onClick={onRemove} className="ml-2 p-1 text-notion-400 hover:text-error-600" title="Remove text tile">
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        )}
+      </div>
+    )}
+
+    <div className="flex-1 min-h-0 overflow-auto p-4">
+      {children}
+    </div>
+
+    {editing && (
+      <div
+        onPointerDown={onResizeStart}
+        className="absolute bottom-0 right-0 w-4 h-4 cursor-se-resize touch-none border-r-2 border-b-2 border-accent-500 rounded-br-xl"
+        title="Drag to resize"
+      />
+    )}
+  </div>
+);
+
+// Dashboard charts and text tiles on a 12-column grid. On tablets and phones tiles flow in
+// reading order at half or full width; the layout can only be edited at desktop width.
+// renderChart(chart, chartKey) renders the content of a chart tile and renderChartActions
+// (chart, chartKey), when given, the actions in its title bar.
+const DashboardLayout = ({
+  charts,
+  layout = null,
+  renderChart,
+  renderChartActions = null,
+  editing = false,
+  saving = false,
+  onSave = null,
+  onCancel = null,
+  className = ''
+}) => {
+  const breakpoint = useBreakpoint();
+  const gridRef = useRef(null);
+  const savedItems = useMemo(() => layoutUtils.reconcileLayout(layout, charts), [layout, charts]);
+  const [items, setItems] = useState(savedItems);
+  // The tile being dragged or resized, with where the pointer and the tile started
+  const [interaction, setInteraction] = useState(null);
+
+  const canEdit = editing && breakpoint === 'desktop';
+
+  // Editing starts from the saved layout; leaving the editor drops unsaved changes
+  useEffect(() => {
+    setItems(savedItems);
+  }, [savedItems, editing]);
+
+  // Turn pointer movement into whole grid cells while a tile is dragged or resized
+  useEffect(() => {
+    if (!interaction || !gridRef.current) return undefined;
+
+    const { COLUMNS, ROW_HEIGHT, GAP, MIN_SIZE, MAX_ROWS } = DASHBOARD_LAYOUT;
+    const columnWidth = (gridRef.current.clientWidth - GAP * (COLUMNS - 1)) / COLUMNS + GAP;
+    const rowHeight = ROW_HEIGHT + GAP;
+    const { origin } = interaction;
+
+    const handlePointerMove = (e) => {
+      const columns = Math.round((e.clientX - interaction.startX) / columnWidth);
+      const rows = Math.round((e.clientY - interaction.startY) / rowHeight);
+      const tile = interaction.mode === 'move'
+        ? { ...origin, x: clamp(origin.x + columns, 0, COLUMNS - origin.w), y: Math.max(0, origin.y + rows) }
+        : { ...origin, w: clamp(origin.w + columns, MIN_SIZE.w, COLUMNS - origin.x), h: clamp(origin.h + rows, MIN_SIZE.h, MAX_ROWS) };
+
+      setItems(prev => layoutUtils.settleLayout(prev.map(item => (item.id === tile.id ? tile : item)), tile.id));
+    };
+
+    const handlePointerUp = () => {
+      setItems(prev => layoutUtils.settleLayout(prev));
+      setInteraction(null);
+    };
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+    };
+  }, [interaction]);
+
+  const chartsByKey = useMemo(() => new Map(
+    charts.map((chart, index) => [layoutUtils.chartKey(chart, index), chart])
+  ), [charts]);
+
+  const startInteraction = (item, mode) => (e) => {
+    e.preventDefault();
+    setInteraction({ mode, startX: e.clientX, startY: e.clientY, origin: item });
+  };
+
+  const updateItem = (id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  const handleAddText = () => {
+    setItems(prev => [...prev, {
+      id: `text-${Date.now()}`,
+      type: 'text',
+      content: '',
+      x: 0,
+      y: layoutUtils.getBottom(prev),
+      ...DASHBOARD_LAYOUT.TEXT_SIZE
+    }]);
+  };
+
+  const handleRemove = (id) => {
+    setItems(prev => layoutUtils.settleLayout(prev.filter(item => item.id !== id)));
+  };
+
+  // Only the fields the server stores; empty titles fall back to the chart name
+  const handleSave = () => {
+    onSave({
+      items: items.map(({ id, type, chartId, content, title, x, y, w, h }) => ({
+        id,
+        type,
+        ...(type === 'chart' ? { chartId } : { content }),
+        ...(title && title.trim() ? { title: title.trim() } : {}),
+        x,
+        y,
+        w,
+        h
+      }))
+    });
+  };
+
+  const tileStyle = (item) => (breakpoint === 'desktop'
+    ? { gridColumn: `${item.x + 1} / span ${item.w}`, gridRow: `${item.y + 1} / span ${item.h}` }
+    : { gridColumn: `span ${layoutUtils.responsiveWidth(item, breakpoint)}`, gridRow: `span ${item.h}` });
+
+  const orderedItems = breakpoint === 'desktop' ? items : layoutUtils.readingOrder(items);
+
+  return (
+    <div className={className}>
+      {editing && (
+        <div className="flex items-center justify-between mb-4">
+          {canEdit ? (
+            <p className="text-sm text-notion-500">Drag tiles by their handle and resize them from the corner.</p>
+          ) : (
+            <p className="text-sm text-notion-500">Widen the window to edit the layout.</p>
+          )}
+          <div className="flex items-center space-x-2">
+            {canEdit && (
+              <>
+                <button onClick={handleAddText} className="btn-notion text-xs">
+                  Add text
+                </button>
+                <button
+                  onClick={() => setItems(layoutUtils.buildDefaultLayout(charts))}
+                  className="btn-notion text-xs"
+                >
+                  Reset
+                </button>
+              </>
+            )}
+            <button onClick={onCancel} className="btn-notion text-xs">
+              Cancel
+            </button>
+            {canEdit && (
+              <button onClick={handleSave} disabled={saving} className="btn-notion btn-notion-primary text-xs">
+                {saving ? 'Saving...' : 'Save layout'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div
+        ref={gridRef}
+        style={{
+          display: 'grid',
+          gridTemplateColumns: `repeat(${DASHBOARD_LAYOUT.COLUMNS}, minmax(0, 1fr))`,
+          gridAutoRows: `${DASHBOARD_LAYOUT.ROW_HEIGHT}px`,
+          gap: `${DASHBOARD_LAYOUT.GAP}px`,
+          gridAutoFlow: breakpoint === 'desktop' ? 'row' : 'row dense'
+        }}
+        className={interaction ? 'select-none' : ''}
+      >
+        {orderedItems.map((item) => {
+          const chart = item.type === 'chart' ? chartsByKey.get(item.chartId) : null;
+          const title = item.title || (chart ? chart.name || 'Chart' : '');
+
+          return (
+            <LayoutTile
+              key={item.id}
+              item={item}
+              title={title}
+              editing={canEdit}
+              actions={chart && renderChartActions ? renderChartActions(chart, item.chartId) : null}
+              style={tileStyle(item)}
+              onMoveStart={startInteraction(item, 'move')}
+              onResizeStart={startInteraction(item, 'resize')}
+              onChange={(changes) => updateItem(item.id, changes)}
+              onRemove={() => handleRemove(item.id)}
+            >
+              {item.type === 'chart' ? (
+                renderChart(chart, item.chartId)
+              ) : canEdit ? (
+                <textarea
+                  value={item.content}
+                  onChange={(e) => updateItem(item.id, { content: e.target.value })}
+                  placeholder="Text with **bold**, *italic*, # headings, - lists and [links](https://...)"
+                  className="input-notion w-full h-full text-sm font-mono resize-none"
+                />
+              ) : (
+                <MarkdownText content={item.content} />
+              )}
+            </LayoutTile>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default DashboardLayout;
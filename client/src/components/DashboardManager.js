@@ -1,7 +1,115 @@
 import React, { useState } from 'react';
-import { useDashboards } from '../hooks/useDashboards';
+import { useDashboards, useDashboardRevisions } from '../hooks/useDashboards';
 import dashboardService from '../services/dashboardService';
-import { dateUtils } from '../utils/helpers';
+import { dateUtils, errorUtils, workspaceUtils } from '../utils/helpers';
+import { WORKSPACE_ROLES } from '../constants';
+
+// Readable names for the parts of a chart spec a revision can change
+const SPEC_SECTION_LABELS = {
+  name: 'title',
+  encodings: 'fields',
+  config: 'settings',
+  layout: 'layout'
+};
+
+// Summarize the charts a revision added, removed and changed
+const describeChanges = (changes) => {
+  if (!changes) return [];
+
+  return [
+    ...changes.added.map(chart => ({ kind: 'added', text: `Added "${chart.name}"` })),
+    ...changes.removed.map(chart => ({ kind: 'removed', text: `Removed "${chart.name}"` })),
+    ...changes.changed.map(chart => ({
+      kind: 'changed',
+      text: `Changed ${chart.previousName ? `"${chart.previousName}" → "${chart.name}"` : `"${chart.name}"`} (${chart.sections.map(section => SPEC_SECTION_LABELS[section] || section).join(', ')})`
+    }))
+  ];
+};
+
+const CHANGE_STYLES = {
+  added: 'text-success-700',
+  removed: 'text-error-700',
+  changed: 'text-notion-700'
+};
+
+// Revision history of one dashboard; editors can restore an earlier revision
+const RevisionHistory = ({ dashboard, onRestore }) => {
+  const { revisions, currentRevision, loading, error, refreshRevisions } = useDashboardRevisions(dashboard.dashboardName);
+  const [restoring, setRestoring] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  const canRestore = workspaceUtils.canEdit(dashboard.accessRole);
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore revision ${revision.revision} of "${dashboard.dashboardName}"? It is saved as a new revision, so the current charts stay in the history.`)) {
+      return;
+    }
+
+    setRestoring(revision.revision);
+    setActionError(null);
+    try {
+      const restored = await dashboardService.restoreDashboardRevision(dashboard.dashboardName, revision.revision);
+      await refreshRevisions();
+      if (restored) {
+        onRestore(restored);
+      }
+    } catch (err) {
+      setActionError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'DashboardManager.restoreRevision');
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  if (loading && revisions.length === 0) {
+    return <div className="h-10 bg-notion-100 rounded-lg animate-pulse"></div>;
+  }
+
+  return (
+    <div>
+      {(error || actionError) && (
+        <p className="mb-2 text-sm text-error-700">{actionError || error}</p>
+      )}
+      <ul className="divide-y divide-notion-100 max-h-72 overflow-y-auto">
+        {revisions.map((revision) => (
+          <li key={revision.revision} className="py-2 flex items-start justify-between">
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-notion-900">
+                Revision {revision.revision}
+                {revision.revision === currentRevision && (
+                  <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-accent-50 text-accent-700">
+                    Current
+                  </span>
+                )}
+              </p>
+              <p className="text-xs text-notion-500">
+                {revision.createdByName || revision.createdByEmail || 'Unknown user'} · {dateUtils.formatDate(revision.createdAt)}
+                {revision.restoredFrom ? ` · restored from revision ${revision.restoredFrom}` : ''}
+              </p>
+              <ul className="mt-1 space-y-0.5">
+                {describeChanges(revision.changes).map((change, index) => (
+                  <li key={index} className={`text-xs ${CHANGE_STYLES[change.kind]}`}>{change.text}</li>
+                ))}
+                {describeChanges(revision.changes).length === 0 && (
+                  <li className="text-xs text-notion-400">No chart changes</li>
+                )}
+              </ul>
+            </div>
+            {canRestore && revision.revision !== currentRevision && (
+              <button
+                onClick={() => handleRestore(revision)}
+                disabled={restoring !== null}
+                className="btn-notion text-xs ml-3 flex-shrink-0"
+              >
+                {restoring === revision.revision ? 'Restoring...' : 'Restore'}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
 
 const DashboardManager = ({ 
   selectedDashboard, 
@@ -12,6 +120,15 @@ const DashboardManager = ({
   const { dashboards, loading, error, refreshDashboards } = useDashboards();
   const [deletingDashboard, setDeletingDashboard] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
+  const [historyDashboard, setHistoryDashboard] = useState(null);
+
+  // A restored revision is saved as the dashboard's latest state
+  const handleRevisionRestore = async (dashboard, restored) => {
+    if (selectedDashboard?.dashboardName === dashboard.dashboardName) {
+      onDashboardSelect({ ...dashboard, ...restored });
+    }
+    await refreshDashboards();
+  };
 
   const handleDeleteDashboard = async (dashboardName) => {
     setDeletingDashboard(dashboardName);
@@ -81,87 +198,132 @@ const DashboardManager = ({
 
   return (
     <div className={`${className}`}>
-      <div className="space-y-3">
-        {dashboards.map((dashboard) => (
-          <div
-            key={dashboard.dashboardName}
-            className={`p-4 rounded-lg border transition-all duration-150 ${
-              selectedDashboard?.dashboardName === dashboard.dashboardName
-                ? 'border-accent-200 bg-accent-50'
-                : 'border-notion-200 bg-white hover:border-notion-300 hover:shadow-card'
-            }`}
-          >
-            <div className="flex items-center justify-between">
-              <div 
-                className="flex-1 cursor-pointer"
-                onClick={() => onDashboardSelect(dashboard)}
-              >
-                <div className="flex items-center mb-2">
-                  <div className={`w-2 h-2 rounded-full mr-3 ${
-                    selectedDashboard?.dashboardName === dashboard.dashboardName
-                      ? 'bg-accent-500'
-                      : 'bg-notion-300'
-                  }`} />
-                  <h4 className={`font-medium ${
+      <div className="space-y-6">
+        {workspaceUtils.groupByWorkspace(dashboards).map((group) => (
+          <div key={group.workspaceId || 'personal'}>
+            <div className="flex items-center justify-between mb-2">
+              <h5 className="text-xs font-medium uppercase tracking-wide text-notion-500">{group.name}</h5>
+              <span className="text-xs text-notion-400">{group.items.length}</span>
+            </div>
+            <div className="space-y-3">
+              {group.items.map((dashboard) => (
+                <div
+                  key={dashboard.dashboardName}
+                  className={`p-4 rounded-lg border transition-all duration-150 ${
                     selectedDashboard?.dashboardName === dashboard.dashboardName
-                      ? 'text-accent-900'
-                      : 'text-notion-900'
-                  }`}>
-                    {dashboard.dashboardName}
-                  </h4>
-                  <span className={`ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium ${
-                    dashboard.isMultiple 
-                      ? 'bg-accent-100 text-accent-700' 
-                      : 'bg-notion-100 text-notion-700'
-                  }`}>
-                    {dashboard.isMultiple ? 'Multi' : 'Single'}
-                  </span>
-                </div>
+                      ? 'border-accent-200 bg-accent-50'
+                      : 'border-notion-200 bg-white hover:border-notion-300 hover:shadow-card'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <div 
+                      className="flex-1 cursor-pointer"
+                      onClick={() => onDashboardSelect(dashboard)}
+                    >
+                      <div className="flex items-center mb-2">
+                        <div className={`w-2 h-2 rounded-full mr-3 ${
+                          selectedDashboard?.dashboardName === dashboard.dashboardName
+                            ? 'bg-accent-500'
+                            : 'bg-notion-300'
+                        }`} />
+                        <h4 className={`font-medium ${
+                          selectedDashboard?.dashboardName === dashboard.dashboardName
+                            ? 'text-accent-900'
+                            : 'text-notion-900'
+                        }`}>
+                          {dashboard.dashboardName}
+                        </h4>
+                        <span className={`ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium ${
+                          dashboard.isMultiple 
+                            ? 'bg-accent-100 text-accent-700' 
+                            : 'bg-notion-100 text-notion-700'
+                        }`}>
+                          {dashboard.isMultiple ? 'Multi' : 'Single'}
+                        </span>
+                        {dashboard.accessRole && dashboard.accessRole !== WORKSPACE_ROLES.OWNER && (
+                          <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-notion-100 text-notion-600 capitalize">
+                            {dashboard.accessRole}
+                          </span>
+                        )}
+                      </div>
                 
-                <div className="flex items-center text-xs text-notion-500 space-x-4">
-                  <div className="flex items-center">
-                    <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 1.79 4 4 4h8c2.21 0 4-1.79 4-4V7M4 7c0-2.21 1.79-4 4-4h8c2.21 0 4 1.79 4 4M4 7h16m-1 4l-3 3m0 0l-3-3m3 3V8" />
-                    </svg>
-                    {dashboard.datasetName}
-                  </div>
-                  {dashboard.updatedAt && (
-                    <div className="flex items-center">
-                      <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
-                      </svg>
-                      {dateUtils.getRelativeTime(dashboard.updatedAt)}
+                      <div className="flex items-center text-xs text-notion-500 space-x-4">
+                        <div className="flex items-center">
+                          <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 1.79 4 4 4h8c2.21 0 4-1.79 4-4V7M4 7c0-2.21 1.79-4 4-4h8c2.21 0 4 1.79 4 4M4 7h16m-1 4l-3 3m0 0l-3-3m3 3V8" />
+                          </svg>
+                          {dashboard.datasetName}
+                        </div>
+                        {dashboard.updatedAt && (
+                          <div className="flex items-center">
+                            <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                            </svg>
+                            {dateUtils.getRelativeTime(dashboard.updatedAt)}
+                          </div>
+                        )}
+                      </div>
                     </div>
-                  )}
-                </div>
-              </div>
 
-              {/* Actions */}
-              <div className="flex items-center space-x-2 ml-4">
-                {selectedDashboard?.dashboardName === dashboard.dashboardName && (
-                  <svg className="w-4 h-4 text-accent-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                  </svg>
-                )}
+                    {/* Actions */}
+                    <div className="flex items-center space-x-2 ml-4">
+                      {selectedDashboard?.dashboardName === dashboard.dashboardName && (
+                        <svg className="w-4 h-4 text-accent-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                        </svg>
+                      )}
+
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setHistoryDashboard(historyDashboard === dashboard.dashboardName ? null : dashboard.dashboardName);
+                        }}
+                        className={`p-1 transition-colors duration-150 ${
+                          historyDashboard === dashboard.dashboardName ? 'text-accent-600' : 'text-notion-400 hover:text-accent-600'
+                        }`}
+                        title="Revision history"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        </svg>
+                      </button>
                 
-                <button
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    setShowDeleteConfirm(dashboard.dashboardName);
-                  }}
-                  disabled={deletingDashboard === dashboard.dashboardName}
-                  className="p-1 text-notion-400 hover:text-error-600 transition-colors duration-150 disabled:opacity-50"
-                  title="Delete dashboard"
-                >
-                  {deletingDashboard === dashboard.dashboardName ? (
-                    <div className="animate-spin rounded-full h-4 w-4 border-2 border-notion-300 border-t-error-600"></div>
-                  ) : (
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                    </svg>
+                      {/* Viewers can open dashboards but not delete them */}
+                      {workspaceUtils.canEdit(dashboard.accessRole) && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setShowDeleteConfirm(dashboard.dashboardName);
+                          }}
+                          disabled={deletingDashboard === dashboard.dashboardName}
+                          className="p-1 text-notion-400 hover:text-error-600 transition-colors duration-150 disabled:opacity-50"
+                          title="Delete dashboard"
+                        >
+                          {deletingDashboard === dashboard.dashboardName ? (
+                            <div className="animate-spin rounded-full h-4 w-4 border-2 border-notion-300 border-t-error-600"></div>
+                          ) : (
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          )}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {/* Revision History */}
+                  {historyDashboard === dashboard.dashboardName && (
+                    <div className="mt-4 pt-3 border-t border-notion-200">
+                      <h5 className="text-xs font-medium uppercase tracking-wide text-notion-500 mb-2">Revision History</h5>
+                      <RevisionHistory
+                        key={`${dashboard.dashboardName}-${dashboard.revision || ''}`}
+                        dashboard={dashboard}
+                        onRestore={(restored) => handleRevisionRestore(dashboard, restored)}
+                      />
+                    </div>
                   )}
-                </button>
-              </div>
+                </div>
+              ))}
             </div>
           </div>
         ))}
@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import dashboardService from '../services/dashboardService';
+import shareService from '../services/shareService';
+import { dateUtils, errorUtils } from '../utils/helpers';
+
+// Share links of a dashboard: anyone with a link can view the dashboard without an account,
+// read-only, until it expires or is revoked. Only editors open this dialog.
+const DashboardShareDialog = ({ isOpen, onClose, dashboardName }) => {
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [revoking, setRevoking] = useState(null);
+  const [expiresOn, setExpiresOn] = useState('');
+  const [password, setPassword] = useState('');
+  const [copied, setCopied] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadShares = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setShares(await dashboardService.getDashboardShares(dashboardName));
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'DashboardShareDialog.loadShares');
+    } finally {
+      setLoading(false);
+    }
+  }, [dashboardName]);
+
+  useEffect(() => {
+    if (isOpen && dashboardName) {
+      loadShares();
+    }
+  }, [isOpen, dashboardName, loadShares]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    setCreating(true);
+    setError(null);
+    try {
+      // A link expiring on a day stays open until the end of that day
+      const expiresAt = expiresOn ? new Date(`${expiresOn}T23:59:59`).toISOString() : null;
+      const share = await dashboardService.createDashboardShare(dashboardName, { expiresAt, password });
+      if (share) {
+        setShares(prev => [share, ...prev]);
+      }
+      setExpiresOn('');
+      setPassword('');
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'DashboardShareDialog.create');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    if (!window.confirm('Revoke this link? Anyone using it loses access to the dashboard.')) {
+      return;
+    }
+
+    setRevoking(share.id);
+    setError(null);
+    try {
+      await dashboardService.deleteDashboardShare(dashboardName, share.id);
+      setShares(prev => prev.filter(other => other.id !== share.id));
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'DashboardShareDialog.revoke');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleCopy = async (key, text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(key);
+    } catch (err) {
+      setError('Could not copy to the clipboard');
+      errorUtils.logError(err, 'DashboardShareDialog.copy');
+    }
+  };
+
+  const handleClose = () => {
+    setExpiresOn('');
+    setPassword('');
+    setCopied(null);
+    setError(null);
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  const today = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 animate-fade-in">
+      <div className="bg-white rounded-lg shadow-elevated max-w-lg w-full mx-4 animate-scale-in">
+        {/* Header */}
+        <div className="p-6 border-b border-notion-200">
+          <div className="flex items-center justify-between">
+            <h2 className="heading-notion text-lg">Share "{dashboardName}"</h2>
+            <button
+              onClick={handleClose}
+              className="text-notion-400 hover:text-notion-600 transition-colors duration-150"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+          <p className="mt-1 text-sm text-notion-500">
+            Anyone with a link can view this dashboard without signing in, but cannot change it.
+          </p>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {error && (
+            <div className="p-3 bg-error-50 border border-error-200 rounded-lg">
+              <p className="text-sm text-error-700">{error}</p>
+            </div>
+          )}
+
+          {/* New Link */}
+          <form onSubmit={handleCreate} className="p-3 bg-notion-50 rounded-lg border border-notion-200">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="shareExpiresOn" className="block text-xs font-medium text-notion-700 mb-1">
+                  Expires on (optional)
+                </label>
+                <input
+                  type="date"
+                  id="shareExpiresOn"
+                  min={today}
+                  value={expiresOn}
+                  onChange={(e) => setExpiresOn(e.target.value)}
+                  disabled={creating}
+                  className="input-notion w-full py-1.5"
+                />
+              </div>
+              <div>
+                <label htmlFor="sharePassword" className="block text-xs font-medium text-notion-700 mb-1">
+                  Password (optional)
+                </label>
+                <input
+                  type="password"
+                  id="sharePassword"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={creating}
+                  className="input-notion w-full py-1.5"
+                  placeholder="At least 6 characters"
+                  autoComplete="new-password"
+                  maxLength={100}
+                />
+              </div>
+            </div>
+            <div className="flex justify-end mt-3">
+              <button type="submit" disabled={creating} className="btn-notion btn-notion-primary text-xs">
+                {creating ? 'Creating...' : 'Create link'}
+              </button>
+            </div>
+          </form>
+
+          {/* Existing Links */}
+          {loading && shares.length === 0 ? (
+            <div className="animate-pulse space-y-2">
+              {[1, 2].map(i => (
+                <div key={i} className="h-12 bg-notion-100 rounded-lg"></div>
+              ))}
+            </div>
+          ) : shares.length === 0 ? (
+            <p className="text-sm text-notion-500">No share links yet</p>
+          ) : (
+            <ul className="divide-y divide-notion-100 border border-notion-200 rounded-lg max-h-64 overflow-y-auto">
+              {shares.map(share => (
+                <li key={share.id} className="px-3 py-2">
+                  <p className="text-sm text-notion-900 truncate" title={shareService.getShareUrl(share.token)}>
+                    {shareService.getShareUrl(share.token)}
+                  </p>
+                  <p className="text-xs text-notion-500">
+                    {share.expiresAt ? `Expires ${dateUtils.formatDate(share.expiresAt)}` : 'Never expires'}
+                    {share.hasPassword ? ' · password protected' : ''}
+                    {' · '}{share.createdByName || 'Unknown user'}
+                  </p>
+                  <div className="flex items-center space-x-2 mt-2">
+                    <button
+                      onClick={() => handleCopy(`link-${share.id}`, shareService.getShareUrl(share.token))}
+                      className="btn-notion text-xs"
+                    >
+                      {copied === `link-${share.id}` ? 'Copied' : 'Copy link'}
+                    </button>
+                    <button
+                      onClick={() => handleCopy(`embed-${share.id}`, shareService.getEmbedCode(share.token))}
+                      className="btn-notion text-xs"
+                    >
+                      {copied === `embed-${share.id}` ? 'Copied' : 'Copy embed code'}
+                    </button>
+                    <button
+                      onClick={() => handleRevoke(share)}
+                      disabled={revoking === share.id}
+                      className="btn-notion text-xs text-error-600 disabled:opacity-50"
+                    >
+                      {revoking === share.id ? 'Revoking...' : 'Revoke'}
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DashboardShareDialog;
@@ -0,0 +1,75 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { DATA_EXPORT_FORMATS } from '../constants';
+import { errorUtils } from '../utils/helpers';
+
+// A download button offering the dataset download formats. onDownload(format) fetches and
+// saves the file; the menu shows progress and any failure itself.
+const DataDownloadMenu = ({ onDownload, title = 'Download data', disabled = false, className = '' }) => {
+  const [open, setOpen] = useState(false);
+  const [downloading, setDownloading] = useState(null);
+  const [error, setError] = useState(null);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handlePointerDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [open]);
+
+  const handleDownload = async (format) => {
+    setDownloading(format);
+    setError(null);
+    try {
+      await onDownload(format);
+      setOpen(false);
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'DataDownloadMenu.download');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div ref={menuRef} className={`relative ${className}`}>
+      <button
+        onClick={() => {
+          setOpen(prev => !prev);
+          setError(null);
+        }}
+        disabled={disabled}
+        className="p-1 rounded text-notion-400 hover:text-accent-600 hover:bg-notion-50 disabled:opacity-50"
+        title={title}
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+        </svg>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-20 mt-1 w-48 bg-white border border-notion-200 rounded-lg shadow-card py-1">
+          {Object.entries(DATA_EXPORT_FORMATS).map(([format, label]) => (
+            <button
+              key={format}
+              onClick={() => handleDownload(format)}
+              disabled={downloading !== null}
+              className="w-full px-3 py-1.5 text-left text-sm text-notion-700 hover:bg-notion-50 disabled:opacity-50"
+            >
+              {downloading === format ? 'Downloading...' : label}
+            </button>
+          ))}
+          {error && <p className="px-3 py-1.5 text-xs text-error-600">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataDownloadMenu;
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import datasetService from '../services/datasetService';
+import { errorUtils, workspaceUtils } from '../utils/helpers';
+
+const EMPTY_FORM = { name: '', expression: '' };
+
+// Calculated fields of the selected dataset. Editors can add, change and remove them; the server
+// checks each expression and computes the fields whenever the dataset's data is read.
+const DatasetCalculatedFields = ({ dataset, onSave = null, className = '' }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  // Name of the field being changed, or null when adding one
+  const [editing, setEditing] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const canEdit = workspaceUtils.canEdit(dataset?.accessRole);
+  const fields = dataset?.calculatedFields || [];
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditing(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const openForm = (field = null) => {
+    setShowForm(true);
+    setEditing(field ? field.name : null);
+    setForm(field ? { name: field.name, expression: field.expression } : EMPTY_FORM);
+    setError(null);
+  };
+
+  const save = async (calculatedFields) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const updated = await datasetService.updateCalculatedFields(
+        dataset.datasetName,
+        calculatedFields.map(({ name, expression }) => ({ name, expression }))
+      );
+      closeForm();
+      if (updated && onSave) {
+        onSave(updated);
+      }
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'DatasetCalculatedFields');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const field = { name: form.name.trim(), expression: form.expression.trim() };
+    save(editing === null
+      ? [...fields, field]
+      : fields.map(item => (item.name === editing ? field : item)));
+  };
+
+  const handleRemove = (field) => {
+    if (!window.confirm(`Remove the calculated field "${field.name}"?`)) {
+      return;
+    }
+    save(fields.filter(item => item.name !== field.name));
+  };
+
+  if (!dataset) return null;
+
+  return (
+    <div className={className}>
+      {error && (
+        <div className="mb-3 p-3 bg-error-50 border border-error-200 rounded-lg">
+          <p className="text-sm text-error-700">{error}</p>
+        </div>
+      )}
+
+      {fields.length === 0 ? (
+        <p className="text-sm text-notion-500">No calculated fields yet</p>
+      ) : (
+        <ul className="divide-y divide-notion-100 border border-notion-200 rounded-lg max-h-64 overflow-y-auto">
+          {fields.map((field) => (
+            <li key={field.name} className="flex items-center justify-between px-3 py-2">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-notion-900">
+                  {field.name}
+                  <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-notion-100 text-notion-600">
+                    {field.type}
+                  </span>
+                </p>
+                <p className="text-xs text-notion-500 font-mono truncate" title={field.expression}>
+                  {field.expression}
+                </p>
+              </div>
+              {canEdit && (
+                <div className="flex items-center space-x-2 ml-3 flex-shrink-0">
+                  <button onClick={() => openForm(field)} disabled={saving} className="btn-notion text-xs">
+                    Edit
+                  </button>
+                  <button onClick={() => handleRemove(field)} disabled={saving} className="btn-notion text-xs">
+                    Remove
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit && (showForm ? (
+        <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Field name"
+            className="input-notion w-full"
+            required
+          />
+          <textarea
+            value={form.expression}
+            onChange={(e) => setForm(prev => ({ ...prev, expression: e.target.value }))}
+            placeholder="e.g. IF([Units] > 0, [Revenue] / [Units])"
+            rows={2}
+            className="input-notion w-full font-mono text-sm"
+            required
+          />
+          <div className="flex items-center space-x-2">
+            <button type="submit" disabled={saving} className="btn-notion btn-notion-primary text-xs">
+              {saving ? 'Saving...' : editing === null ? 'Add field' : 'Save field'}
+            </button>
+            <button type="button" onClick={closeForm} disabled={saving} className="btn-notion text-xs">
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button onClick={() => openForm()} disabled={saving} className="btn-notion text-xs mt-3">
+          Add calculated field
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default DatasetCalculatedFields;
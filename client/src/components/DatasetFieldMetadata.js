@@ -0,0 +1,243 @@
+import React, { useState } from 'react';
+import datasetService from '../services/datasetService';
+import { DATA_CONSTANTS } from '../constants';
+import { errorUtils, workspaceUtils } from '../utils/helpers';
+
+const EMPTY_FORM = {
+  displayName: '',
+  description: '',
+  semanticType: '',
+  analyticType: '',
+  numberFormat: '',
+  dateFormat: '',
+  unit: '',
+  sortOrder: ''
+};
+
+// The form holds text; the value order is one value per line
+const toForm = (metadata = {}) => ({
+  ...EMPTY_FORM,
+  ...metadata,
+  sortOrder: (metadata.sortOrder || []).join('\n')
+});
+
+const fromForm = (form) => {
+  const metadata = {};
+  Object.entries(form).forEach(([key, value]) => {
+    if (key === 'sortOrder') {
+      const values = value.split('\n').map(item => item.trim()).filter(Boolean);
+      if (values.length > 0) metadata.sortOrder = values;
+    } else if (value.trim()) {
+      metadata[key] = value.trim();
+    }
+  });
+  return metadata;
+};
+
+// How the selected dataset's fields appear in charts: display names, descriptions, semantic and
+// analytic types (instead of the ones guessed from the data), formats, units and the order of
+// ordinal values. Editors change one field at a time.
+const DatasetFieldMetadata = ({ dataset, onSave = null, className = '' }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  // Name of the field being changed, or null when none is
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const canEdit = workspaceUtils.canEdit(dataset?.accessRole);
+  const fieldMetadata = dataset?.fieldMetadata || {};
+  const fieldNames = [
+    ...((dataset?.rowColumns || []).length > 0
+      ? dataset.rowColumns.map(column => column.name)
+      : dataset?.headers || []),
+    ...(dataset?.calculatedFields || []).map(field => field.name)
+  ];
+
+  const closeForm = () => {
+    setEditing(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const openForm = (name) => {
+    setEditing(name);
+    setForm(toForm(fieldMetadata[name]));
+    setError(null);
+  };
+
+  // Settings of fields no longer in the dataset (after a new version or a removed calculated
+  // field) are dropped
+  const save = async (name, metadata) => {
+    const next = {};
+    fieldNames.forEach(field => {
+      const entry = field === name ? metadata : fieldMetadata[field];
+      if (entry && Object.keys(entry).length > 0) {
+        next[field] = entry;
+      }
+    });
+
+    setSaving(true);
+    setError(null);
+    try {
+      const updated = await datasetService.updateFieldMetadata(dataset.datasetName, next);
+      closeForm();
+      if (updated && onSave) {
+        onSave(updated);
+      }
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'DatasetFieldMetadata');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    save(editing, fromForm(form));
+  };
+
+  const handleReset = (name) => {
+    if (!window.confirm(`Reset the settings of "${name}"? Its name and types will be detected from the data again.`)) {
+      return;
+    }
+    save(name, {});
+  };
+
+  const setField = (key) => (e) => setForm(prev => ({ ...prev, [key]: e.target.value }));
+
+  if (!dataset) return null;
+
+  return (
+    <div className={className}>
+      {error && (
+        <div className="mb-3 p-3 bg-error-50 border border-error-200 rounded-lg">
+          <p className="text-sm text-error-700">{error}</p>
+        </div>
+      )}
+
+      {fieldNames.length === 0 ? (
+        <p className="text-sm text-notion-500">No fields</p>
+      ) : (
+        <ul className="divide-y divide-notion-100 border border-notion-200 rounded-lg max-h-64 overflow-y-auto">
+          {fieldNames.map((name) => {
+            const metadata = fieldMetadata[name] || {};
+            return (
+              <li key={name} className="px-3 py-2">
+                <div className="flex items-center justify-between">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-notion-900 truncate">
+                      {metadata.displayName || name}
+                      {metadata.displayName && (
+                        <span className="ml-1 text-xs font-normal text-notion-500">({name})</span>
+                      )}
+                      {[metadata.semanticType, metadata.analyticType, metadata.unit].filter(Boolean).map(tag => (
+                        <span key={tag} className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-notion-100 text-notion-600">
+                          {tag}
+                        </span>
+                      ))}
+                    </p>
+                    {metadata.description && (
+                      <p className="text-xs text-notion-500 truncate" title={metadata.description}>
+                        {metadata.description}
+                      </p>
+                    )}
+                  </div>
+                  {canEdit && editing !== name && (
+                    <div className="flex items-center space-x-2 ml-3 flex-shrink-0">
+                      <button onClick={() => openForm(name)} disabled={saving} className="btn-notion text-xs">
+                        Edit
+                      </button>
+                      {Object.keys(metadata).length > 0 && (
+                        <button onClick={() => handleReset(name)} disabled={saving} className="btn-notion text-xs">
+                          Reset
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {editing === name && (
+                  <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+                    <input
+                      type="text"
+                      value={form.displayName}
+                      onChange={setField('displayName')}
+                      placeholder={`Display name (${name})`}
+                      maxLength={100}
+                      className="input-notion w-full"
+                    />
+                    <textarea
+                      value={form.description}
+                      onChange={setField('description')}
+                      placeholder="Description"
+                      maxLength={1000}
+                      rows={2}
+                      className="input-notion w-full text-sm"
+                    />
+                    <div className="grid grid-cols-2 gap-2">
+                      <select value={form.semanticType} onChange={setField('semanticType')} className="input-notion text-sm">
+                        <option value="">Detect type</option>
+                        {Object.values(DATA_CONSTANTS.FIELD_TYPES).map(type => (
+                          <option key={type} value={type}>{type}</option>
+                        ))}
+                      </select>
+                      <select value={form.analyticType} onChange={setField('analyticType')} className="input-notion text-sm">
+                        <option value="">Dimension or measure by type</option>
+                        <option value="dimension">dimension</option>
+                        <option value="measure">measure</option>
+                      </select>
+                      <input
+                        type="text"
+                        value={form.numberFormat}
+                        onChange={setField('numberFormat')}
+                        placeholder="Number format, e.g. ,.2f"
+                        maxLength={50}
+                        className="input-notion text-sm font-mono"
+                      />
+                      <input
+                        type="text"
+                        value={form.dateFormat}
+                        onChange={setField('dateFormat')}
+                        placeholder="Date format, e.g. %b %Y"
+                        maxLength={100}
+                        className="input-notion text-sm font-mono"
+                      />
+                      <input
+                        type="text"
+                        value={form.unit}
+                        onChange={setField('unit')}
+                        placeholder="Unit, e.g. USD"
+                        maxLength={20}
+                        className="input-notion text-sm"
+                      />
+                    </div>
+                    <textarea
+                      value={form.sortOrder}
+                      onChange={setField('sortOrder')}
+                      placeholder="Order of ordinal values, one per line"
+                      rows={3}
+                      className="input-notion w-full text-sm"
+                    />
+                    <p className="text-xs text-notion-500">
+                      Formats, units and the value order are used when a dashboard is exported.
+                    </p>
+                    <div className="flex items-center space-x-2">
+                      <button type="submit" disabled={saving} className="btn-notion btn-notion-primary text-xs">
+                        {saving ? 'Saving...' : 'Save field'}
+                      </button>
+                      <button type="button" onClick={closeForm} disabled={saving} className="btn-notion text-xs">
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DatasetFieldMetadata;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import datasetService from '../services/datasetService';
+import { dateUtils, errorUtils, workspaceUtils } from '../utils/helpers';
+
+// Where the selected dataset's rows come from and which derived datasets are built on it.
+// Editors of a derived dataset can recompute it from the latest rows of its sources.
+const DatasetLineage = ({ dataset, onRefresh = null, className = '' }) => {
+  const [lineage, setLineage] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const canRefresh = workspaceUtils.canEdit(dataset?.accessRole);
+  const datasetName = dataset?.datasetName;
+
+  const loadLineage = useCallback(async () => {
+    if (!datasetName) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      setLineage(await datasetService.getDatasetLineage(datasetName));
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'DatasetLineage.loadLineage');
+    } finally {
+      setLoading(false);
+    }
+  }, [datasetName]);
+
+  useEffect(() => {
+    loadLineage();
+  }, [loadLineage]);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    setError(null);
+    try {
+      const refreshed = await datasetService.refreshDerivedDataset(datasetName);
+      await loadLineage();
+      if (refreshed && onRefresh) {
+        onRefresh(refreshed);
+      }
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'DatasetLineage.handleRefresh');
+      loadLineage();
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  if (!dataset) return null;
+
+  if (loading && !lineage) {
+    return (
+      <div className={className}>
+        <div className="animate-pulse h-10 bg-notion-100 rounded-lg"></div>
+      </div>
+    );
+  }
+
+  const derivation = lineage?.derivation;
+  const dependents = lineage?.dependents || [];
+
+  return (
+    <div className={className}>
+      {error && (
+        <div className="mb-3 p-3 bg-error-50 border border-error-200 rounded-lg">
+          <p className="text-sm text-error-700">{error}</p>
+        </div>
+      )}
+
+      {derivation ? (
+        <div className="space-y-2">
+          {derivation.type === 'query' ? (
+            <pre className="text-xs text-notion-700 font-mono whitespace-pre-wrap bg-notion-50 border border-notion-200 rounded-lg p-2 max-h-32 overflow-y-auto">
+              {derivation.sql}
+            </pre>
+          ) : (
+            <p className="text-sm text-notion-700">
+              {derivation.type === 'join'
+                ? `${derivation.joinType === 'left' ? 'Left join' : 'Join'} on ${derivation.keys.map(key => `${key.left} = ${key.right}`).join(', ')}`
+                : `Union${derivation.sourceColumn ? ` with the source in "${derivation.sourceColumn}"` : ''}`}
+            </p>
+          )}
+          {lineage.sources.length > 0 && (
+            <ul className="divide-y divide-notion-100 border border-notion-200 rounded-lg">
+              {lineage.sources.map(source => (
+                <li key={source.datasetName} className="flex items-center justify-between px-3 py-2">
+                  <p className="text-sm font-medium text-notion-900 truncate">{source.datasetName}</p>
+                  <p className="text-xs text-notion-500 ml-3 flex-shrink-0">
+                    {source.latestVersion === null
+                      ? 'Deleted'
+                      : source.version === source.latestVersion
+                        ? `Version ${source.version}`
+                        : `Version ${source.version || '?'} · latest is ${source.latestVersion}`}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+          {derivation.refreshedAt && (
+            <p className="text-xs text-notion-400">Refreshed {dateUtils.formatDate(derivation.refreshedAt)}</p>
+          )}
+          {derivation.refreshError && (
+            <div className="p-3 bg-error-50 border border-error-200 rounded-lg">
+              <p className="text-sm text-error-700">The last refresh failed: {derivation.refreshError}</p>
+            </div>
+          )}
+          {canRefresh && (
+            <button onClick={handleRefresh} disabled={refreshing} className="btn-notion text-xs">
+              {refreshing ? 'Refreshing...' : 'Refresh from sources'}
+            </button>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-notion-500">Uploaded rows</p>
+      )}
+
+      {dependents.length > 0 && (
+        <p className="mt-2 text-xs text-notion-500">Used by {dependents.join(', ')}</p>
+      )}
+    </div>
+  );
+};
+
+export default DatasetLineage;
@@ -1,6 +1,16 @@
 import React from 'react';
 import { useDatasets } from '../hooks/useDatasets';
 import { MESSAGES } from '../constants/messages';
+import { WORKSPACE_ROLES } from '../constants';
+import { fileUtils, workspaceUtils } from '../utils/helpers';
+import datasetService from '../services/datasetService';
+import DataDownloadMenu from './DataDownloadMenu';
+
+// Download a dataset's rows in one of the data download formats
+const downloadDataset = async (datasetName, format) => {
+  const blob = await datasetService.exportDataset(datasetName, format);
+  fileUtils.saveBlob(blob, `${datasetName}.${format}`);
+};
 
 const DatasetSelector = ({ 
   selectedDataset, 
@@ -61,57 +71,77 @@ const DatasetSelector = ({
 
   return (
     <div className={className}>
-      <div className="space-y-2">
-        {datasets.map((dataset) => (
-          <button
-            key={dataset.datasetName}
-            onClick={() => onDatasetSelect(dataset)}
-            disabled={disabled}
-            className={`w-full p-3 text-left rounded-lg border transition-all duration-150 ${
-              disabled
-                ? 'cursor-not-allowed opacity-50'
-                : 'hover:shadow-card hover:border-notion-300'
-            } ${
-              selectedDataset?.datasetName === dataset.datasetName
-                ? 'border-accent-200 bg-accent-50'
-                : 'border-notion-200 bg-white'
-            }`}
-          >
-            <div className="flex items-center justify-between">
-              <div className="flex-1">
-                <div className="flex items-center">
-                  <div className={`w-2 h-2 rounded-full mr-3 ${
+      <div className="space-y-4">
+        {workspaceUtils.groupByWorkspace(datasets).map((group) => (
+          <div key={group.workspaceId || 'personal'}>
+            <h5 className="text-xs font-medium uppercase tracking-wide text-notion-500 mb-2">{group.name}</h5>
+            <div className="space-y-2">
+              {group.items.map((dataset) => (
+                <div
+                  key={dataset.datasetName}
+                  className={`flex items-center rounded-lg border transition-all duration-150 ${
+                    disabled ? 'opacity-50' : 'hover:shadow-card hover:border-notion-300'
+                  } ${
                     selectedDataset?.datasetName === dataset.datasetName
-                      ? 'bg-accent-500'
-                      : 'bg-notion-300'
-                  }`} />
-                  <div>
-                    <p className={`text-sm font-medium ${
-                      selectedDataset?.datasetName === dataset.datasetName
-                        ? 'text-accent-900'
-                        : 'text-notion-900'
-                    }`}>
-                      {dataset.datasetName}
-                    </p>
-                    {dataset.fileName && (
-                      <p className={`text-xs ${
-                        selectedDataset?.datasetName === dataset.datasetName
-                          ? 'text-accent-700'
-                          : 'text-notion-500'
-                      }`}>
-                        {dataset.fileName}
-                      </p>
-                    )}
-                  </div>
+                      ? 'border-accent-200 bg-accent-50'
+                      : 'border-notion-200 bg-white'
+                  }`}
+                >
+                  <button
+                    onClick={() => onDatasetSelect(dataset)}
+                    disabled={disabled}
+                    className={`flex-1 min-w-0 p-3 text-left ${disabled ? 'cursor-not-allowed' : ''}`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <div className="flex-1">
+                        <div className="flex items-center">
+                          <div className={`w-2 h-2 rounded-full mr-3 ${
+                            selectedDataset?.datasetName === dataset.datasetName
+                              ? 'bg-accent-500'
+                              : 'bg-notion-300'
+                          }`} />
+                          <div>
+                            <p className={`text-sm font-medium ${
+                              selectedDataset?.datasetName === dataset.datasetName
+                                ? 'text-accent-900'
+                                : 'text-notion-900'
+                            }`}>
+                              {dataset.datasetName}
+                              {dataset.accessRole && dataset.accessRole !== WORKSPACE_ROLES.OWNER && (
+                                <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-notion-100 text-notion-600 capitalize">
+                                  {dataset.accessRole}
+                                </span>
+                              )}
+                            </p>
+                            {dataset.fileName && (
+                              <p className={`text-xs ${
+                                selectedDataset?.datasetName === dataset.datasetName
+                                  ? 'text-accent-700'
+                                  : 'text-notion-500'
+                              }`}>
+                                {dataset.fileName}
+                              </p>
+                            )}
+                          </div>
+                        </div>
+                      </div>
+                      {selectedDataset?.datasetName === dataset.datasetName && (
+                        <svg className="w-4 h-4 text-accent-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                        </svg>
+                      )}
+                    </div>
+                  </button>
+                  <DataDownloadMenu
+                    onDownload={(format) => downloadDataset(dataset.datasetName, format)}
+                    title={`Download ${dataset.datasetName}`}
+                    disabled={disabled}
+                    className="mr-2"
+                  />
                 </div>
-              </div>
-              {selectedDataset?.datasetName === dataset.datasetName && (
-                <svg className="w-4 h-4 text-accent-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                </svg>
-              )}
+              ))}
             </div>
-          </button>
+          </div>
         ))}
       </div>
     </div>
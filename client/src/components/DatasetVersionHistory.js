@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { useDatasetVersions } from '../hooks/useDatasets';
+import datasetService from '../services/datasetService';
+import { dateUtils, errorUtils, workspaceUtils } from '../utils/helpers';
+
+// Version history of the selected dataset; editors can restore an earlier version
+const DatasetVersionHistory = ({ dataset, onRestore = null, className = '' }) => {
+  const { versions, currentVersion, loading, error, refreshVersions } = useDatasetVersions(dataset?.datasetName);
+  const [restoring, setRestoring] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  const canRestore = workspaceUtils.canEdit(dataset?.accessRole);
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version.version} of "${dataset.datasetName}"? The current rows stay available as an earlier version.`)) {
+      return;
+    }
+
+    setRestoring(version.version);
+    setActionError(null);
+    try {
+      const restored = await datasetService.restoreDatasetVersion(dataset.datasetName, version.version);
+      await refreshVersions();
+      if (restored && onRestore) {
+        onRestore(restored);
+      }
+    } catch (err) {
+      setActionError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'DatasetVersionHistory');
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  if (!dataset) return null;
+
+  if (loading && versions.length === 0) {
+    return (
+      <div className={className}>
+        <div className="animate-pulse space-y-2">
+          {[1, 2].map(i => (
+            <div key={i} className="h-10 bg-notion-100 rounded-lg"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={className}>
+      {(error || actionError) && (
+        <div className="mb-3 p-3 bg-error-50 border border-error-200 rounded-lg">
+          <p className="text-sm text-error-700">{actionError || error}</p>
+        </div>
+      )}
+
+      {versions.length === 0 ? (
+        <p className="text-sm text-notion-500">No versions recorded yet</p>
+      ) : (
+        <ul className="divide-y divide-notion-100 border border-notion-200 rounded-lg max-h-64 overflow-y-auto">
+          {versions.map((version) => (
+            <li key={version.version} className="flex items-center justify-between px-3 py-2">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-notion-900">
+                  Version {version.version}
+                  {version.version === currentVersion && (
+                    <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-accent-50 text-accent-700">
+                      Current
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-notion-500 truncate">
+                  {version.rowCount} rows · {version.columnCount} columns
+                  {version.restoredFrom ? ` · restored from version ${version.restoredFrom}` : version.originalFileName ? ` · ${version.originalFileName}` : ''}
+                </p>
+                <p className="text-xs text-notion-400">
+                  {version.createdByName || version.createdByEmail || 'Unknown user'} · {dateUtils.formatDate(version.createdAt)}
+                </p>
+              </div>
+              {canRestore && version.version !== currentVersion && (
+                <button
+                  onClick={() => handleRestore(version)}
+                  disabled={restoring !== null}
+                  className="btn-notion text-xs ml-3 flex-shrink-0"
+                >
+                  {restoring === version.version ? 'Restoring...' : 'Restore'}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DatasetVersionHistory;
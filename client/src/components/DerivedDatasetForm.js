@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import datasetService from '../services/datasetService';
+import { errorUtils, validationUtils } from '../utils/helpers';
+
+const EMPTY_KEY = { left: '', right: '' };
+
+// Names of the fields a dataset's rows have: its columns, then its calculated fields
+const fieldNames = (dataset) => [
+  ...(dataset?.rowColumns || []).map(column => column.name),
+  ...(dataset?.calculatedFields || []).map(field => field.name)
+];
+
+// Create a dataset that joins two datasets on key fields or stacks the rows of several. The
+// server keeps it up to date: it is recomputed whenever one of its sources changes.
+const DerivedDatasetForm = ({ datasets = [], onCreate = null, onError = null, className = '' }) => {
+  const [datasetName, setDatasetName] = useState('');
+  const [type, setType] = useState('join');
+  const [sources, setSources] = useState(['', '']);
+  const [joinType, setJoinType] = useState('inner');
+  const [keys, setKeys] = useState([EMPTY_KEY]);
+  const [sourceColumn, setSourceColumn] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  const [left, right] = sources.map(name => datasets.find(dataset => dataset.datasetName === name));
+
+  const setSource = (index, name) => {
+    setSources(prev => prev.map((source, i) => (i === index ? name : source)));
+    if (type === 'join') {
+      setKeys([EMPTY_KEY]);
+    }
+  };
+
+  const setKey = (index, side, name) => {
+    setKeys(prev => prev.map((key, i) => (i === index ? { ...key, [side]: name } : key)));
+  };
+
+  const handleTypeChange = (value) => {
+    setType(value);
+    setSources(prev => (value === 'join' ? prev.slice(0, 2) : prev));
+    setKeys([EMPTY_KEY]);
+  };
+
+  const chosenSources = sources.filter(Boolean);
+  const canCreate = !creating && !!datasetName.trim() && chosenSources.length === sources.length &&
+    new Set(chosenSources).size === chosenSources.length &&
+    (type === 'union' || keys.every(key => key.left && key.right));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canCreate) return;
+
+    if (!validationUtils.isValidDatasetName(datasetName)) {
+      onError?.('Please enter a valid dataset name (letters, numbers, spaces, hyphens, and underscores only)');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const dataset = await datasetService.createDerivedDataset(type === 'join'
+        ? { datasetName: datasetName.trim(), type, sources, joinType, keys }
+        : { datasetName: datasetName.trim(), type, sources, sourceColumn: sourceColumn.trim() || null });
+
+      setDatasetName('');
+      setSources(['', '']);
+      setKeys([EMPTY_KEY]);
+      setSourceColumn('');
+      if (dataset && onCreate) {
+        onCreate(dataset);
+      }
+    } catch (err) {
+      onError?.(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'DerivedDatasetForm');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  if (datasets.length < 2) {
+    return (
+      <div className={className}>
+        <p className="text-sm text-notion-500">Upload at least two datasets to join or stack them</p>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className={`space-y-3 ${className}`}>
+      <div>
+        <label htmlFor="derived-dataset-name" className="block text-sm font-medium text-notion-700 mb-1.5">
+          Dataset name
+        </label>
+        <input
+          id="derived-dataset-name"
+          type="text"
+          value={datasetName}
+          onChange={(e) => setDatasetName(e.target.value)}
+          placeholder="Enter dataset name..."
+          disabled={creating}
+          maxLength={100}
+          className="input-notion"
+        />
+      </div>
+
+      <div>
+        <label htmlFor="derived-dataset-type" className="block text-sm font-medium text-notion-700 mb-1.5">
+          Combine by
+        </label>
+        <select
+          id="derived-dataset-type"
+          value={type}
+          onChange={(e) => handleTypeChange(e.target.value)}
+          disabled={creating}
+          className="input-notion"
+        >
+          <option value="join">Join on matching fields</option>
+          <option value="union">Stacking rows (union)</option>
+        </select>
+      </div>
+
+      <div className="space-y-2">
+        <span className="block text-sm font-medium text-notion-700">Source datasets</span>
+        {sources.map((source, index) => (
+          <div key={index} className="flex items-center space-x-2">
+            <select
+              value={source}
+              onChange={(e) => setSource(index, e.target.value)}
+              disabled={creating}
+              className="input-notion"
+              aria-label={`Source dataset ${index + 1}`}
+            >
+              <option value="">Select a dataset...</option>
+              {datasets.map(dataset => (
+                <option key={dataset.datasetName} value={dataset.datasetName}>{dataset.datasetName}</option>
+              ))}
+            </select>
+            {type === 'union' && sources.length > 2 && (
+              <button
+                type="button"
+                onClick={() => setSources(prev => prev.filter((_, i) => i !== index))}
+                disabled={creating}
+                className="btn-notion text-xs flex-shrink-0"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+        {type === 'union' && sources.length < 20 && (
+          <button
+            type="button"
+            onClick={() => setSources(prev => [...prev, ''])}
+            disabled={creating}
+            className="btn-notion text-xs"
+          >
+            Add dataset
+          </button>
+        )}
+      </div>
+
+      {type === 'join' && (
+        <>
+          <div>
+            <label htmlFor="derived-join-type" className="block text-sm font-medium text-notion-700 mb-1.5">
+              Rows to keep
+            </label>
+            <select
+              id="derived-join-type"
+              value={joinType}
+              onChange={(e) => setJoinType(e.target.value)}
+              disabled={creating}
+              className="input-notion"
+            >
+              <option value="inner">Only rows found in both datasets</option>
+              <option value="left">Every row of the first dataset</option>
+            </select>
+          </div>
+
+          {left && right && (
+            <div className="space-y-2">
+              <span className="block text-sm font-medium text-notion-700">Match rows where</span>
+              {keys.map((key, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <select
+                    value={key.left}
+                    onChange={(e) => setKey(index, 'left', e.target.value)}
+                    disabled={creating}
+                    className="input-notion"
+                    aria-label={`Field of ${left.datasetName}`}
+                  >
+                    <option value="">{left.datasetName} field...</option>
+                    {fieldNames(left).map(name => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                  <span className="text-sm text-notion-500">=</span>
+                  <select
+                    value={key.right}
+                    onChange={(e) => setKey(index, 'right', e.target.value)}
+                    disabled={creating}
+                    className="input-notion"
+                    aria-label={`Field of ${right.datasetName}`}
+                  >
+                    <option value="">{right.datasetName} field...</option>
+                    {fieldNames(right).map(name => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                  {keys.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => setKeys(prev => prev.filter((_, i) => i !== index))}
+                      disabled={creating}
+                      className="btn-notion text-xs flex-shrink-0"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              ))}
+              {keys.length < 10 && (
+                <button
+                  type="button"
+                  onClick={() => setKeys(prev => [...prev, EMPTY_KEY])}
+                  disabled={creating}
+                  className="btn-notion text-xs"
+                >
+                  Add key field
+                </button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      {type === 'union' && (
+        <div>
+          <label htmlFor="derived-source-column" className="block text-sm font-medium text-notion-700 mb-1.5">
+            Source column (optional)
+          </label>
+          <input
+            id="derived-source-column"
+            type="text"
+            value={sourceColumn}
+            onChange={(e) => setSourceColumn(e.target.value)}
+            placeholder="e.g. Source"
+            disabled={creating}
+            maxLength={100}
+            className="input-notion"
+          />
+          <p className="mt-1 text-xs text-notion-500">Holds the name of the dataset each row comes from.</p>
+        </div>
+      )}
+
+      <button type="submit" disabled={!canCreate} className="btn-notion btn-notion-primary w-full">
+        {creating ? 'Creating...' : 'Create dataset'}
+      </button>
+    </form>
+  );
+};
+
+export default DerivedDatasetForm;
@@ -1,16 +1,303 @@
 import React, { useState, useRef } from 'react';
-import { useDatasetUpload } from '../hooks/useDatasets';
+import { useUploadPreview, useWorkbookSheets, useCsvFormat } from '../hooks/useDatasets';
 import { MESSAGES } from '../constants/messages';
 import { UI_CONSTANTS } from '../constants';
-import { fileUtils, validationUtils } from '../utils/helpers';
+import { fileUtils, validationUtils, workspaceUtils } from '../utils/helpers';
 
-const FileUpload = ({ onUploadSuccess, onUploadError, className = '' }) => {
+// Sheet and header row picker for Excel workbooks, with a preview of the sheet's first rows
+const SheetOptions = ({ sheets, sheetName, headerRow, onSheetChange, onHeaderRowChange, disabled }) => {
+  const sheet = sheets.find(item => item.name === sheetName);
+  if (!sheet) return null;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <div className="flex-1">
+          <label htmlFor="sheet-name" className="block text-sm font-medium text-notion-700 mb-1.5">
+            Sheet
+          </label>
+          <select
+            id="sheet-name"
+            value={sheetName}
+            onChange={(e) => onSheetChange(e.target.value)}
+            disabled={disabled}
+            className="input-notion"
+          >
+            {sheets.map(item => (
+              <option key={item.name} value={item.name}>
+                {item.name} ({item.rowCount} rows)
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="w-28">
+          <label htmlFor="header-row" className="block text-sm font-medium text-notion-700 mb-1.5">
+            Header row
+          </label>
+          <input
+            id="header-row"
+            type="number"
+            min={1}
+            max={Math.max(sheet.rowCount, 1)}
+            value={headerRow}
+            onChange={(e) => onHeaderRowChange(Math.max(1, parseInt(e.target.value, 10) || 1))}
+            disabled={disabled}
+            className="input-notion"
+          />
+        </div>
+      </div>
+
+      {sheet.preview.length > 0 ? (
+        <div className="overflow-x-auto border border-notion-200 rounded-lg">
+          <table className="min-w-full text-xs">
+            <tbody>
+              {sheet.preview.map((row, rowIndex) => {
+                const rowNumber = rowIndex + 1;
+                const rowClass = rowNumber === headerRow
+                  ? 'bg-accent-50 font-medium text-notion-900'
+                  : rowNumber < headerRow ? 'text-notion-400' : 'text-notion-700';
+
+                return (
+                  <tr
+                    key={rowNumber}
+                    onClick={() => !disabled && onHeaderRowChange(rowNumber)}
+                    className={`cursor-pointer border-b border-notion-100 last:border-b-0 hover:bg-notion-50 ${rowClass}`}
+                  >
+                    <td className="px-2 py-1 text-notion-400 text-right select-none">{rowNumber}</td>
+                    {row.slice(0, sheet.columnCount).map((value, columnIndex) => (
+                      <td key={columnIndex} className="px-2 py-1 whitespace-nowrap max-w-xs truncate">
+                        {value === null ? '' : String(value)}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-xs text-notion-500">This sheet is empty</p>
+      )}
+      <p className="text-xs text-notion-500">Click a row to use it as the header; rows above it are skipped.</p>
+    </div>
+  );
+};
+
+const EMPTY_CSV_FORMAT = { delimiter: '', quote: '', encoding: '' };
+
+// Delimiter, quote and encoding pickers for CSV files ("Auto" keeps what the server detected),
+// with the first rows as parsed by the current choice
+const CsvFormatOptions = ({ detection, overrides, onChange, disabled }) => {
+  const { CSV_DELIMITERS, CSV_QUOTES, CSV_ENCODINGS } = UI_CONSTANTS.FILE_UPLOAD;
+  const fields = [
+    { key: 'delimiter', label: 'Delimiter', options: CSV_DELIMITERS },
+    { key: 'quote', label: 'Quote', options: CSV_QUOTES },
+    { key: 'encoding', label: 'Encoding', options: CSV_ENCODINGS }
+  ];
+  const labelFor = (options, value) => (options.find(option => option.value === value) || { label: value }).label;
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-2">
+        {fields.map(field => (
+          <div key={field.key}>
+            <label htmlFor={`csv-${field.key}`} className="block text-sm font-medium text-notion-700 mb-1.5">
+              {field.label}
+            </label>
+            <select
+              id={`csv-${field.key}`}
+              value={overrides[field.key]}
+              onChange={(e) => onChange({ ...overrides, [field.key]: e.target.value })}
+              disabled={disabled}
+              className="input-notion"
+            >
+              <option value="">Auto ({labelFor(field.options, detection.detected[field.key])})</option>
+              {field.options.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      {detection.headers.length > 0 ? (
+        <div className="overflow-x-auto border border-notion-200 rounded-lg">
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="bg-notion-50 border-b border-notion-200">
+                {detection.headers.map(header => (
+                  <th key={header} className="px-2 py-1 text-left font-medium text-notion-900 whitespace-nowrap">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {detection.rows.slice(0, 5).map((row, rowIndex) => (
+                <tr key={rowIndex} className="border-b border-notion-100 last:border-b-0 text-notion-700">
+                  {detection.headers.map(header => (
+                    <td key={header} className="px-2 py-1 whitespace-nowrap max-w-xs truncate">{row[header]}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-xs text-notion-500">No rows found with this format</p>
+      )}
+      {detection.detected.bom && (
+        <p className="text-xs text-notion-500">The file starts with a byte order mark, which is removed on upload.</p>
+      )}
+    </div>
+  );
+};
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Editable preview of an upload: each column can be renamed, given another type (and date
+// format) or left out, above the first rows as read from the file
+const ImportPreview = ({ preview, columns, onChange, disabled }) => {
+  const { COLUMN_TYPES } = UI_CONSTANTS.FILE_UPLOAD;
+  const updateColumn = (source, changes) => {
+    onChange(columns.map(column => (column.source === source ? { ...column, ...changes } : column)));
+  };
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-notion-500">
+        {preview.rowCount} rows. {MESSAGES.IMPORT_PREVIEW_HINT}
+      </p>
+      <div className="overflow-x-auto border border-notion-200 rounded-lg">
+        <table className="min-w-full text-xs">
+          <thead>
+            <tr className="bg-notion-50 border-b border-notion-200 align-top">
+              {columns.map(column => (
+                <th key={column.source} className={`px-2 py-2 text-left font-normal min-w-[9rem] ${column.skip ? 'opacity-50' : ''}`}>
+                  <div className="space-y-1">
+                    <label className="flex items-center gap-1 text-notion-500" title={column.source}>
+                      <input
+                        type="checkbox"
+                        checked={!column.skip}
+                        onChange={(e) => updateColumn(column.source, { skip: !e.target.checked })}
+                        disabled={disabled}
+                      />
+                      <span className="truncate">{column.source}</span>
+                    </label>
+                    <input
+                      type="text"
+                      value={column.name}
+                      onChange={(e) => updateColumn(column.source, { name: e.target.value })}
+                      disabled={disabled || column.skip}
+                      aria-label={`Name for ${column.source}`}
+                      className="input-notion py-1 text-xs"
+                    />
+                    <select
+                      value={column.type}
+                      onChange={(e) => updateColumn(column.source, { type: e.target.value })}
+                      disabled={disabled || column.skip}
+                      aria-label={`Type for ${column.source}`}
+                      className="input-notion py-1 text-xs"
+                    >
+                      {COLUMN_TYPES.map(type => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                    {column.type === 'date' && (
+                      <select
+                        value={column.dateFormat || ''}
+                        onChange={(e) => updateColumn(column.source, { dateFormat: e.target.value || null })}
+                        disabled={disabled || column.skip}
+                        aria-label={`Date format for ${column.source}`}
+                        className="input-notion py-1 text-xs"
+                      >
+                        <option value="">Any format</option>
+                        {preview.dateFormats.map(format => (
+                          <option key={format} value={format}>{format}</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {preview.rows.map((row, rowIndex) => (
+              <tr key={rowIndex} className="border-b border-notion-100 last:border-b-0 text-notion-700">
+                {columns.map(column => (
+                  <td
+                    key={column.source}
+                    className={`px-2 py-1 whitespace-nowrap max-w-xs truncate ${column.skip ? 'text-notion-300' : ''}`}
+                  >
+                    {formatCell(row[column.source])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Start every column from the server's inferred name and type
+const toImportColumns = (previewColumns) => previewColumns.map(column => ({
+  source: column.name,
+  name: column.name,
+  type: column.type,
+  dateFormat: column.dateFormat,
+  skip: false
+}));
+
+const FileUpload = ({ datasets = [], onUploadSuccess, onUploadError, className = '' }) => {
+  const [uploadMode, setUploadMode] = useState('create');
+  const [keyColumn, setKeyColumn] = useState('');
   const [datasetName, setDatasetName] = useState('');
   const [dragActive, setDragActive] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
+  const [sheetName, setSheetName] = useState('');
+  const [headerRow, setHeaderRow] = useState(1);
+  const [csvOverrides, setCsvOverrides] = useState(EMPTY_CSV_FORMAT);
+  const [importColumns, setImportColumns] = useState([]);
   const fileInputRef = useRef(null);
   
-  const { uploading, progress, error, uploadDataset, resetUpload } = useDatasetUpload();
+  const {
+    preview,
+    loading: previewing,
+    committing,
+    progress,
+    error,
+    loadPreview,
+    commitPreview,
+    discardPreview,
+    resetPreview
+  } = useUploadPreview();
+  const uploading = previewing || committing;
+  const {
+    sheets,
+    loading: loadingSheets,
+    error: sheetsError,
+    loadSheets,
+    resetSheets
+  } = useWorkbookSheets();
+  const {
+    detection: csvDetection,
+    loading: detectingCsv,
+    error: csvFormatError,
+    detectFormat,
+    resetFormat
+  } = useCsvFormat();
+
+  // Uploads in the other modes go into an existing dataset the user can edit
+  const isNewDataset = uploadMode === 'create';
+  const editableDatasets = datasets.filter(dataset => workspaceUtils.canEdit(dataset.accessRole));
+  const targetDataset = isNewDataset ? null : editableDatasets.find(dataset => dataset.datasetName === datasetName);
+
+  const isExcelFile = !!selectedFile && fileUtils.isValidFileType(selectedFile, UI_CONSTANTS.FILE_UPLOAD.EXCEL_TYPES);
+  const isCsvFile = !!selectedFile && fileUtils.isValidFileType(selectedFile, UI_CONSTANTS.FILE_UPLOAD.CSV_TYPES);
 
   // Handle file selection
   const handleFileSelect = (file) => {
@@ -18,7 +305,7 @@ const FileUpload = ({ onUploadSuccess, onUploadError, className = '' }) => {
 
     // Validate file
     if (!fileUtils.isValidFileType(file, UI_CONSTANTS.FILE_UPLOAD.ACCEPTED_TYPES)) {
-      onUploadError?.(MESSAGES.CSV_ONLY);
+      onUploadError?.(MESSAGES.INVALID_FILE_TYPE);
       return;
     }
 
@@ -27,10 +314,32 @@ const FileUpload = ({ onUploadSuccess, onUploadError, className = '' }) => {
       return;
     }
 
+    // A new file replaces any preview of the previous one
+    discardPreview();
+    setImportColumns([]);
     setSelectedFile(file);
+    setSheetName('');
+    setHeaderRow(1);
+    setCsvOverrides(EMPTY_CSV_FORMAT);
+    resetSheets();
+    resetFormat();
+
+    // Delimited files show the detected format so it can be corrected before upload
+    if (fileUtils.isValidFileType(file, UI_CONSTANTS.FILE_UPLOAD.CSV_TYPES)) {
+      detectFormat(file);
+    }
+
+    // Workbooks need a sheet choice; default to the first one
+    if (fileUtils.isValidFileType(file, UI_CONSTANTS.FILE_UPLOAD.EXCEL_TYPES)) {
+      loadSheets(file).then(workbookSheets => {
+        if (workbookSheets.length > 0) {
+          setSheetName(workbookSheets[0].name);
+        }
+      });
+    }
     
     // Auto-generate dataset name from filename if not set
-    if (!datasetName) {
+    if (isNewDataset && !datasetName) {
       const baseName = file.name.replace(/\.[^/.]+$/, ''); // Remove extension
       const cleanName = baseName.replace(/[^a-zA-Z0-9\s\-_]/g, ''); // Clean special chars
       setDatasetName(cleanName);
@@ -66,63 +375,168 @@ const FileUpload = ({ onUploadSuccess, onUploadError, className = '' }) => {
     }
   };
 
-  // Handle upload
+  const canUpload = !!selectedFile && !!datasetName.trim() && !uploading &&
+    (!isExcelFile || (!loadingSheets && !!sheetName)) &&
+    (!isCsvFile || !detectingCsv) &&
+    (isNewDataset || (!!targetDataset && (uploadMode !== 'upsert' || !!keyColumn))) &&
+    (!preview || importColumns.some(column => !column.skip));
+
+  // Re-detect with the chosen overrides so the preview matches what will be uploaded
+  const handleCsvFormatChange = (overrides) => {
+    setCsvOverrides(overrides);
+    detectFormat(selectedFile, overrides);
+  };
+
+  // Clear the form after an import or reset
+  const clearForm = () => {
+    setUploadMode('create');
+    setKeyColumn('');
+    setSelectedFile(null);
+    setDatasetName('');
+    setSheetName('');
+    setHeaderRow(1);
+    setCsvOverrides(EMPTY_CSV_FORMAT);
+    setImportColumns([]);
+    resetSheets();
+    resetFormat();
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  // Upload the file for a preview of its rows and inferred column types, then import it
+  // with the columns as edited in the preview
   const handleUpload = async () => {
-    if (!selectedFile || !datasetName.trim()) return;
+    if (!canUpload) return;
 
     // Validate dataset name
-    if (!validationUtils.isValidDatasetName(datasetName)) {
+    if (isNewDataset && !validationUtils.isValidDatasetName(datasetName)) {
       onUploadError?.('Please enter a valid dataset name (letters, numbers, spaces, hyphens, and underscores only)');
       return;
     }
 
     try {
-      const result = await uploadDataset(selectedFile, datasetName.trim());
+      if (!preview) {
+        const options = isExcelFile ? { sheetName, headerRow } : { csvFormat: csvOverrides };
+        const result = await loadPreview(selectedFile, datasetName.trim(), { ...options, mode: uploadMode });
+        if (result) {
+          setImportColumns(toImportColumns(result.columns));
+        }
+        return;
+      }
+
+      const result = await commitPreview(datasetName.trim(), importColumns, { mode: uploadMode, keyColumn });
       if (result) {
         onUploadSuccess?.(result);
-        // Reset form
-        setSelectedFile(null);
-        setDatasetName('');
-        if (fileInputRef.current) {
-          fileInputRef.current.value = '';
-        }
-      } else if (error) {
-        onUploadError?.(error);
+        clearForm();
       }
     } catch (err) {
       onUploadError?.(err.message || MESSAGES.UPLOAD_ERROR);
     }
   };
 
+  // Go back from the preview to the file options
+  const handleBack = () => {
+    discardPreview();
+    setImportColumns([]);
+  };
+
+  // Switching between a new and an existing dataset changes the name field, and previewed
+  // types follow the target dataset, so the preview is dropped
+  const handleModeChange = (mode) => {
+    if ((mode === 'create') !== isNewDataset) {
+      setDatasetName('');
+    }
+    setUploadMode(mode);
+    setKeyColumn('');
+    handleBack();
+  };
+
   // Reset upload state
   const handleReset = () => {
-    setSelectedFile(null);
-    setDatasetName('');
-    resetUpload();
-    if (fileInputRef.current) {
-      fileInputRef.current.value = '';
-    }
+    discardPreview();
+    resetPreview();
+    clearForm();
   };
 
   return (
     <div className={`space-y-4 ${className}`}>
-      {/* Dataset Name Input */}
+      {/* Upload Mode */}
       <div>
-        <label htmlFor="dataset-name" className="block text-sm font-medium text-notion-700 mb-1.5">
-          Dataset name
+        <label htmlFor="upload-mode" className="block text-sm font-medium text-notion-700 mb-1.5">
+          Upload as
         </label>
-        <input
-          id="dataset-name"
-          type="text"
-          value={datasetName}
-          onChange={(e) => setDatasetName(e.target.value)}
-          placeholder="Enter dataset name..."
+        <select
+          id="upload-mode"
+          value={uploadMode}
+          onChange={(e) => handleModeChange(e.target.value)}
           disabled={uploading}
-          maxLength={100}
-          className={`input-notion ${uploading ? 'cursor-not-allowed bg-notion-50' : ''}`}
-        />
+          className="input-notion"
+        >
+          {UI_CONSTANTS.FILE_UPLOAD.UPLOAD_MODES.map(mode => (
+            <option key={mode.value} value={mode.value}>{mode.label}</option>
+          ))}
+        </select>
       </div>
 
+      {/* Dataset Name Input (or the dataset to update) */}
+      <div>
+        <label htmlFor="dataset-name" className="block text-sm font-medium text-notion-700 mb-1.5">
+          {isNewDataset ? 'Dataset name' : 'Dataset'}
+        </label>
+        {isNewDataset ? (
+          <input
+            id="dataset-name"
+            type="text"
+            value={datasetName}
+            onChange={(e) => setDatasetName(e.target.value)}
+            placeholder="Enter dataset name..."
+            disabled={uploading}
+            maxLength={100}
+            className={`input-notion ${uploading ? 'cursor-not-allowed bg-notion-50' : ''}`}
+          />
+        ) : (
+          <select
+            id="dataset-name"
+            value={datasetName}
+            onChange={(e) => {
+              setDatasetName(e.target.value);
+              setKeyColumn('');
+              handleBack();
+            }}
+            disabled={uploading}
+            className="input-notion"
+          >
+            <option value="">Select a dataset...</option>
+            {editableDatasets.map(dataset => (
+              <option key={dataset.datasetName} value={dataset.datasetName}>{dataset.datasetName}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {/* Key Column (upsert) */}
+      {uploadMode === 'upsert' && targetDataset && (
+        <div>
+          <label htmlFor="key-column" className="block text-sm font-medium text-notion-700 mb-1.5">
+            Key column
+          </label>
+          <select
+            id="key-column"
+            value={keyColumn}
+            onChange={(e) => setKeyColumn(e.target.value)}
+            disabled={uploading}
+            className="input-notion"
+          >
+            <option value="">Select the column that identifies a row...</option>
+            {(targetDataset.rowColumns || []).map(column => (
+              <option key={column.name} value={column.name}>{column.name}</option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-notion-500">Rows with a matching key are updated; the others are added.</p>
+        </div>
+      )}
+
       {/* File Drop Zone */}
       <div
         className={`relative border-2 border-dashed rounded-lg p-6 text-center cursor-pointer transition-all duration-150 ${
@@ -141,7 +555,7 @@ const FileUpload = ({ onUploadSuccess, onUploadError, className = '' }) => {
         <input
           ref={fileInputRef}
           type="file"
-          accept=".csv"
+          accept={UI_CONSTANTS.FILE_UPLOAD.ACCEPTED_TYPES.join(',')}
           onChange={handleFileInputChange}
           className="hidden"
           disabled={uploading}
@@ -184,14 +598,71 @@ const FileUpload = ({ onUploadSuccess, onUploadError, className = '' }) => {
             </div>
             <div>
               <p className="text-sm font-medium text-notion-700 mb-1">{MESSAGES.DRAG_DROP_FILE}</p>
-              <p className="text-xs text-notion-500">CSV files only</p>
+              <p className="text-xs text-notion-500">CSV/TSV, Excel (.xlsx, .xls), JSON, NDJSON (.ndjson, .jsonl) or Parquet files</p>
             </div>
           </div>
         )}
       </div>
 
+      {/* Sheet Selection (Excel workbooks) */}
+      {isExcelFile && !preview && (
+        loadingSheets ? (
+          <div className="flex items-center text-sm text-notion-500">
+            <div className="animate-spin rounded-full h-4 w-4 border-2 border-notion-400 border-t-transparent mr-2"></div>
+            <span>{MESSAGES.EXCEL_READING_SHEETS}</span>
+          </div>
+        ) : sheetsError ? (
+          <div className="p-3 bg-error-50 border border-error-200 rounded-lg">
+            <p className="text-sm text-error-700 font-medium">{MESSAGES.EXCEL_SHEETS_ERROR}: {sheetsError}</p>
+          </div>
+        ) : (
+          <SheetOptions
+            sheets={sheets}
+            sheetName={sheetName}
+            headerRow={headerRow}
+            onSheetChange={(name) => {
+              setSheetName(name);
+              setHeaderRow(1);
+            }}
+            onHeaderRowChange={setHeaderRow}
+            disabled={uploading}
+          />
+        )
+      )}
+
+      {/* CSV Format (delimited text files) */}
+      {isCsvFile && !preview && (
+        csvFormatError ? (
+          <div className="p-3 bg-error-50 border border-error-200 rounded-lg">
+            <p className="text-sm text-error-700 font-medium">{MESSAGES.CSV_FORMAT_ERROR}: {csvFormatError}</p>
+          </div>
+        ) : csvDetection ? (
+          <CsvFormatOptions
+            detection={csvDetection}
+            overrides={csvOverrides}
+            onChange={handleCsvFormatChange}
+            disabled={uploading || detectingCsv}
+          />
+        ) : detectingCsv && (
+          <div className="flex items-center text-sm text-notion-500">
+            <div className="animate-spin rounded-full h-4 w-4 border-2 border-notion-400 border-t-transparent mr-2"></div>
+            <span>{MESSAGES.CSV_DETECTING_FORMAT}</span>
+          </div>
+        )
+      )}
+
+      {/* Column Preview */}
+      {preview && (
+        <ImportPreview
+          preview={preview}
+          columns={importColumns}
+          onChange={setImportColumns}
+          disabled={uploading}
+        />
+      )}
+
       {/* Upload Progress */}
-      {uploading && (
+      {previewing && (
         <div className="space-y-2">
           <div className="flex items-center justify-between text-sm">
             <span className="font-medium text-notion-700">Uploading...</span>
@@ -223,9 +694,9 @@ const FileUpload = ({ onUploadSuccess, onUploadError, className = '' }) => {
         <button
           type="button"
           onClick={handleUpload}
-          disabled={!selectedFile || !datasetName.trim() || uploading}
+          disabled={!canUpload}
           className={`flex-1 btn-notion py-2 text-sm font-medium ${
-            !selectedFile || !datasetName.trim() || uploading
+            !canUpload
               ? 'opacity-50 cursor-not-allowed'
               : 'btn-notion-primary'
           }`}
@@ -233,17 +704,27 @@ const FileUpload = ({ onUploadSuccess, onUploadError, className = '' }) => {
           {uploading ? (
             <div className="flex items-center justify-center">
               <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent mr-2"></div>
-              <span>{MESSAGES.UPLOAD_PROGRESS}</span>
+              <span>{committing ? MESSAGES.IMPORT_PROGRESS : MESSAGES.UPLOAD_PROGRESS}</span>
             </div>
           ) : (
             <div className="flex items-center justify-center">
               <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
               </svg>
-              Upload
+              {preview ? 'Import' : 'Preview'}
             </div>
           )}
         </button>
+
+        {preview && !uploading && (
+          <button
+            type="button"
+            onClick={handleBack}
+            className="btn-notion btn-notion-ghost py-2 text-sm font-medium"
+          >
+            Back
+          </button>
+        )}
         
         {(selectedFile || error) && !uploading && (
           <button
@@ -1,11 +1,67 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { GraphicWalker, GraphicRenderer } from '@kanaries/graphic-walker';
 import { useDataset } from '../hooks/useDatasets';
-import { useDashboardSave } from '../hooks/useDashboards';
-import { dataUtils } from '../utils/helpers';
+import datasetService from '../services/datasetService';
+import dashboardService from '../services/dashboardService';
+import { useDashboardSave, useDashboardDraft, useDashboardFilters } from '../hooks/useDashboards';
+import { dashboardUtils, dataUtils, dateUtils, errorUtils, fileUtils, storageUtils, workspaceUtils } from '../utils/helpers';
 import { MESSAGES } from '../constants/messages';
+import { DATA_CONSTANTS, DEFAULT_USER_SETTINGS, STORAGE_KEYS } from '../constants';
 import ErrorBoundary from './ErrorBoundary';
 import DashboardCreateDialog from './DashboardCreateDialog';
+import DashboardLayout from './DashboardLayout';
+import DashboardFilterBar, { DashboardFilterEditor } from './DashboardFilters';
+import DataDownloadMenu from './DataDownloadMenu';
+
+// Graphic Walker computation callback that runs queries on the server
+// (on a pinned dataset version when one is given)
+const useServerComputation = (datasetName, version = null) => useMemo(() => (
+  datasetName ? (payload) => datasetService.queryDataset(datasetName, payload, version) : null
+), [datasetName, version]);
+
+// Graphic Walker records the clicked mark's field values in the chart's store once the chart
+// has handled the click, so it is read shortly after
+const MARK_SELECTION_DELAY = 50;
+
+const NO_FILTERS = [];
+
+// A dashboard chart whose clicked marks filter the other charts (by the dimension fields in dimensions)
+const FilterableChart = ({ chartConfig, chartKey, computation, fields, dimensions, onSelect }) => {
+  const storeRef = useRef(null);
+  const timerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const handleClick = () => {
+    const previous = storeRef.current ? storeRef.current.selectedMarkObject : null;
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => {
+      const mark = storeRef.current ? storeRef.current.selectedMarkObject : null;
+      if (!mark || mark === previous) return;
+
+      const values = Object.fromEntries(
+        Object.entries(mark).filter(([fid, value]) => dimensions.has(fid) && value !== undefined)
+      );
+      if (Object.keys(values).length > 0) {
+        onSelect(chartKey, values);
+      }
+    }, MARK_SELECTION_DELAY);
+  };
+
+  return (
+    <div onClickCapture={handleClick} className="h-full">
+      <ErrorBoundary>
+        <GraphicRenderer
+          storeRef={storeRef}
+          computation={computation}
+          fields={fields}
+          chart={[chartConfig]}
+          appearance="light"
+        />
+      </ErrorBoundary>
+    </div>
+  );
+};
 
 // Minimal appearance configuration for Graphic Walker
 const defaultAppearance = {
@@ -24,29 +80,49 @@ const GraphicWalkerChart = ({
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showSaveDialog, setShowSaveDialog] = useState(false);
-  const [pendingConfig, setPendingConfig] = useState(null);
-  const [currentSpec, setCurrentSpec] = useState([]);
-  const [specPollingActive, setSpecPollingActive] = useState(false);
-  const [lastKnownSpec, setLastKnownSpec] = useState([]);
-  const [specHistory, setSpecHistory] = useState([]);
-  const graphicWalkerRef = useRef(null);
-  const specRef = useRef(null);
-  const specCacheKey = `gw_spec_${dataset?.datasetName || 'default'}`;
+  // Dashboards the user can edit, offered as places to add the charts to
+  const [targetDashboards, setTargetDashboards] = useState([]);
+  const [chartCount, setChartCount] = useState(0);
+  // Graphic Walker's chart store (source of the saved chart list) and its handler (chart tabs, render status)
+  const storeRef = useRef(null);
+  const gwRef = useRef(null);
+
+  // Saved dashboards pinned to a dataset version read that version; otherwise the latest
+  const datasetVersion = dashboard?.datasetVersion || null;
   
-  const { loadData } = useDataset(dataset?.datasetName);
+  const { loadData } = useDataset(dataset?.datasetName, datasetVersion);
+  const computation = useServerComputation(dataset?.datasetName, datasetVersion);
   const { saving, saveDashboard } = useDashboardSave();
 
+  // Unsaved design work is autosaved as a server-side draft unless turned off in Settings
+  const [autoSave] = useState(() => (
+    storageUtils.getItem(STORAGE_KEYS.USER_PREFERENCES, DEFAULT_USER_SETTINGS).autoSave !== false
+  ));
+  const {
+    offeredDraft,
+    lastSavedAt: draftSavedAt,
+    error: draftError,
+    scheduleSave: scheduleDraftSave,
+    resumeDraft,
+    discardDraft,
+    clearDraft
+  } = useDashboardDraft(mode === 'design' ? dataset?.datasetName : null, autoSave);
+
+  // The current chart list, exported from Graphic Walker's store
+  const captureCurrentSpec = () => (storeRef.current ? storeRef.current.exportCode() : []);
+
   // Load dataset data when dataset changes
   useEffect(() => {
     if (dataset && dataset.datasetName) {
       setLoading(true);
       setError(null);
       
-      loadData()
+      // Only a sample is needed to infer fields; chart data comes from the computation callback
+      loadData(1, DATA_CONSTANTS.FIELD_SAMPLE_SIZE)
         .then((result) => {
           if (result && result.records) {
             const cleanedData = dataUtils.cleanData(result.records);
-            const gwData = dataUtils.convertToGraphicWalkerFormat(cleanedData);
+            const gwData = dataUtils.convertToGraphicWalkerFormat(cleanedData, result.dataset?.rowColumns, result.dataset?.calculatedFields, result.dataset?.fieldMetadata);
             
             // Validate the data structure before setting
             if (gwData && Array.isArray(gwData.dataSource) && Array.isArray(gwData.fields)) {
@@ -76,102 +152,18 @@ const GraphicWalkerChart = ({
     }
   }, [dataset, loadData]);
 
-  // Enhanced spec tracking with multiple strategies
+  // Chart edits make Graphic Walker recompute and redraw, so each status change refreshes the
+  // chart count badge and (re)schedules the draft autosave
   useEffect(() => {
-    if (mode === 'design' && chartData) {
-      setSpecPollingActive(true);
-      
-      // Load any cached spec from localStorage
-      try {
-        const cachedSpec = localStorage.getItem(specCacheKey);
-        if (cachedSpec) {
-          const parsed = JSON.parse(cachedSpec);
-          if (Array.isArray(parsed) && parsed.length > 0) {
-            console.log('📦 [CACHE] Loaded cached spec:', parsed);
-            setCurrentSpec(parsed);
-            setLastKnownSpec(parsed);
-          }
-        }
-      } catch (error) {
-        console.warn('❌ [CACHE] Failed to load cached spec:', error);
-      }
-      
-      const pollInterval = setInterval(() => {
-        try {
-          // Strategy 1: Try GraphicWalker ref methods
-          let capturedSpec = null;
-          
-          if (specRef.current) {
-            // Try multiple ways to get the spec
-            const methods = [
-              () => specRef.current.getSpec?.(),
-              () => specRef.current.spec,
-              () => specRef.current.state?.spec,
-              () => specRef.current.props?.spec,
-              () => specRef.current._spec
-            ];
-            
-            for (const method of methods) {
-              try {
-                const result = method();
-                if (result && Array.isArray(result) && result.length > 0) {
-                  capturedSpec = result;
-                  console.log('🔄 [POLLING] Captured spec via method:', result);
-                  break;
-                }
-              } catch (e) {
-                // Continue to next method
-              }
-            }
-          }
-          
-          // Strategy 2: DOM inspection fallback
-          if (!capturedSpec) {
-            try {
-              // Look for GraphicWalker elements that might contain spec data
-              const gwElements = document.querySelectorAll('[data-testid*="graphic-walker"], [class*="graphic-walker"], [id*="graphic-walker"]');
-              console.log('🔍 [DOM] Found GraphicWalker elements:', gwElements.length);
-              
-              // This is a fallback - in real scenarios, we'd need to inspect the actual DOM structure
-              // For now, we'll rely on other methods
-            } catch (domError) {
-              console.warn('❌ [DOM] DOM inspection failed:', domError);
-            }
-          }
-          
-          // Update state if we found something new
-          if (capturedSpec && JSON.stringify(capturedSpec) !== JSON.stringify(currentSpec)) {
-            console.log('🔄 [POLLING] Updating spec state:', capturedSpec);
-            setCurrentSpec(capturedSpec);
-            setLastKnownSpec(capturedSpec);
-            
-            // Cache the spec
-            try {
-              localStorage.setItem(specCacheKey, JSON.stringify(capturedSpec));
-              console.log('📦 [CACHE] Cached spec to localStorage');
-            } catch (cacheError) {
-              console.warn('❌ [CACHE] Failed to cache spec:', cacheError);
-            }
-            
-            // Add to history
-            setSpecHistory(prev => {
-              const newHistory = [...prev, { timestamp: Date.now(), spec: capturedSpec }];
-              return newHistory.slice(-10); // Keep last 10 specs
-            });
-          }
-        } catch (error) {
-          console.warn('❌ [POLLING] Polling error:', error.message);
-        }
-      }, 1000); // Poll every 1 second for more responsive updates
-      
-      return () => {
-        clearInterval(pollInterval);
-        setSpecPollingActive(false);
-      };
-    } else {
-      setSpecPollingActive(false);
-    }
-  }, [mode, chartData, specCacheKey]);
+    const handler = gwRef.current;
+    if (mode !== 'design' || !chartData || !handler) return undefined;
+
+    setChartCount(handler.chartCount);
+    return handler.onRenderStatusChange(() => {
+      setChartCount(handler.chartCount);
+      scheduleDraftSave(() => (storeRef.current ? storeRef.current.exportCode() : []));
+    });
+  }, [mode, chartData, scheduleDraftSave]);
 
   // Parse dashboard configuration
   const dashboardConfig = useMemo(() => {
@@ -186,218 +178,97 @@ const GraphicWalkerChart = ({
     return null;
   }, [dashboard]);
 
-  // Aggressive spec capture with all possible methods
-  const captureCurrentSpec = () => {
-    console.log('🚀 [CAPTURE] Starting aggressive spec capture...');
-    
-    const allSources = {
-      currentSpec,
-      lastKnownSpec,
-      specHistory: specHistory[specHistory.length - 1]?.spec,
-      dashboardConfig,
-      localStorage: null,
-      specRef: null
-    };
-    
-    // Try localStorage first
-    try {
-      const cached = localStorage.getItem(specCacheKey);
-      if (cached) {
-        allSources.localStorage = JSON.parse(cached);
-      }
-    } catch (e) {
-      console.warn('❌ [CAPTURE] localStorage failed:', e);
-    }
-    
-    // Try all specRef methods
-    if (specRef.current) {
-      const refMethods = [
-        () => specRef.current.getSpec?.(),
-        () => specRef.current.spec,
-        () => specRef.current.state?.spec,
-        () => specRef.current.props?.spec,
-        () => specRef.current._spec,
-        () => specRef.current.chartSpec,
-        () => specRef.current.specification
-      ];
-      
-      for (let i = 0; i < refMethods.length; i++) {
-        try {
-          const result = refMethods[i]();
-          if (result && Array.isArray(result) && result.length > 0) {
-            allSources.specRef = result;
-            console.log(`✅ [CAPTURE] specRef method ${i} worked:`, result);
-            break;
-          }
-        } catch (e) {
-          // Continue
-        }
-      }
+  // Load the offered draft's charts into Graphic Walker
+  const handleResumeDraft = async () => {
+    const charts = await resumeDraft();
+    if (charts && storeRef.current) {
+      storeRef.current.importCode(charts);
+      setChartCount(charts.length);
     }
-    
-    console.log('🔍 [CAPTURE] All sources:', {
-      currentSpec: allSources.currentSpec?.length || 0,
-      lastKnownSpec: allSources.lastKnownSpec?.length || 0,
-      specHistory: allSources.specHistory?.length || 0,
-      dashboardConfig: allSources.dashboardConfig?.length || 0,
-      localStorage: allSources.localStorage?.length || 0,
-      specRef: allSources.specRef?.length || 0
-    });
-    
-    // Priority order: try each source in order of reliability
-    const sources = [
-      { name: 'currentSpec', data: allSources.currentSpec },
-      { name: 'specRef', data: allSources.specRef },
-      { name: 'lastKnownSpec', data: allSources.lastKnownSpec },
-      { name: 'localStorage', data: allSources.localStorage },
-      { name: 'specHistory', data: allSources.specHistory },
-      { name: 'dashboardConfig', data: allSources.dashboardConfig }
-    ];
-    
-    for (const source of sources) {
-      if (source.data && Array.isArray(source.data) && source.data.length > 0) {
-        // Validate that it has actual chart content
-        const hasValidCharts = source.data.some(spec => 
-          spec && typeof spec === 'object' && 
-          (spec.encodings || spec.mark || spec.data || Object.keys(spec).length > 2)
-        );
-        
-        if (hasValidCharts) {
-          console.log(`✅ [CAPTURE] Using ${source.name}:`, {
-            length: source.data.length,
-            preview: source.data.map(s => ({
-              name: s.name || 'Unnamed',
-              encodings: s.encodings ? Object.keys(s.encodings) : [],
-              mark: s.mark,
-              hasData: !!s.data
-            }))
-          });
-          return source.data;
-        }
-      }
-    }
-    
-    // Last resort: create a mock spec if we're in design mode and have data
-    if (mode === 'design' && chartData && chartData.fields && chartData.fields.length > 0) {
-      console.log('🆘 [CAPTURE] Creating emergency mock spec...');
-      const mockSpec = [{
-        name: 'Emergency Chart',
-        encodings: {
-          x: { field: chartData.fields[0]?.name || 'field1', type: 'nominal' },
-          y: { field: chartData.fields[1]?.name || chartData.fields[0]?.name || 'field2', type: 'quantitative' }
-        },
-        mark: 'bar',
-        data: chartData.dataSource?.slice(0, 100) || []
-      }];
-      
-      console.log('🆘 [CAPTURE] Emergency mock spec created:', mockSpec);
-      return mockSpec;
-    }
-    
-    console.warn('❌ [CAPTURE] All capture methods failed, returning empty array');
-    return [];
   };
 
   // Handle save dashboard request from GraphicWalker
-  const handleSaveRequest = () => {
-    console.log('💾 [SAVE REQUEST] Save button clicked!');
-    console.log('💾 [SAVE REQUEST] Current component state:', {
-      currentSpecLength: currentSpec?.length || 0,
-      specRefExists: !!specRef.current,
-      dashboardConfigLength: dashboardConfig?.length || 0,
-      mode,
-      dataset: dataset?.datasetName
-    });
-    
-    const configToSave = captureCurrentSpec();
-    console.log('💾 [SAVE REQUEST] Captured config:', { 
-      configType: typeof configToSave, 
-      configLength: Array.isArray(configToSave) ? configToSave.length : 'not array',
-      isArray: Array.isArray(configToSave),
-      hasCharts: Array.isArray(configToSave) && configToSave.some(spec => spec.encodings && Object.keys(spec.encodings).length > 0),
-      configContent: configToSave,
-      configPreview: Array.isArray(configToSave) ? configToSave.map(spec => ({ 
-        name: spec.name || 'Unnamed',
-        encodings: spec.encodings ? Object.keys(spec.encodings) : [],
-        encodingCount: spec.encodings ? Object.keys(spec.encodings).length : 0
-      })) : 'not array'
-    });
-    
-    console.log('💾 [SAVE REQUEST] Setting pending config and showing dialog...');
-    setPendingConfig(configToSave);
+  const handleSaveRequest = async () => {
     setShowSaveDialog(true);
+
+    try {
+      const dashboards = await dashboardService.getDashboards();
+      setTargetDashboards(dashboards.filter(item => workspaceUtils.canEdit(item.accessRole)));
+    } catch (err) {
+      errorUtils.logError(err, 'GraphicWalkerChart.loadTargetDashboards');
+    }
+  };
+
+  const finishSave = async (dashboardData) => {
+    const result = await saveDashboard(dashboardData);
+
+    if (result) {
+      await clearDraft(result.dashboardName);
+    }
+    if (result && onSave) {
+      onSave(result);
+    }
+    setShowSaveDialog(false);
   };
 
-  // Handle actual save with dashboard name
-  const handleSave = async (dashboardName) => {
-    console.log('💾 [FINAL SAVE] Starting final save process...');
-    
+  // Handle actual save with dashboard name (and the dataset version to pin, if any)
+  const handleSave = async (dashboardName, pinnedVersion = null) => {
     if (!dataset || !chartData) {
-      console.warn('❌ [FINAL SAVE] Cannot save dashboard: missing required data', {
-        hasDataset: !!dataset,
-        hasChartData: !!chartData
-      });
       return;
     }
 
-    // Capture the most current spec before saving
-    console.log('💾 [FINAL SAVE] Capturing final config...');
-    console.log('💾 [FINAL SAVE] pendingConfig:', pendingConfig);
-    
-    const finalConfig = pendingConfig || captureCurrentSpec();
-    
-    console.log('💾 [FINAL SAVE] Final config to save:', { 
-      dashboardName, 
-      datasetName: dataset.datasetName, 
-      configType: typeof finalConfig,
-      configLength: Array.isArray(finalConfig) ? finalConfig.length : 'not array',
-      isArray: Array.isArray(finalConfig),
-      configContent: finalConfig,
-      configPreview: Array.isArray(finalConfig) ? finalConfig.map(spec => ({
-        name: spec.name || 'Unnamed',
-        encodings: spec.encodings ? Object.keys(spec.encodings) : [],
-        encodingCount: spec.encodings ? Object.keys(spec.encodings).length : 0,
-        hasData: !!spec.data,
-        hasEncodings: spec.encodings && Object.keys(spec.encodings).length > 0
-      })) : 'not array'
-    });
-
-    const jsonFormatString = JSON.stringify(finalConfig);
-    console.log('💾 [FINAL SAVE] JSON string to save:', {
-      jsonLength: jsonFormatString.length,
-      jsonContent: jsonFormatString,
-      isEmptyArray: jsonFormatString === '[]'
-    });
+    // Export at the moment of saving so the charts saved are exactly the ones on screen
+    const charts = captureCurrentSpec();
 
     const dashboardData = {
       dashboardName: dashboardName.trim(),
       datasetName: dataset.datasetName,
-      jsonFormat: jsonFormatString,
-      isMultiple: Array.isArray(finalConfig) && finalConfig.length > 1
+      jsonFormat: JSON.stringify(charts),
+      isMultiple: charts.length > 1,
+      datasetVersion: pinnedVersion
     };
-    
-    console.log('💾 [FINAL SAVE] Dashboard data to send to API:', dashboardData);
 
     try {
-      console.log('💾 [FINAL SAVE] Calling saveDashboard API...');
-      const result = await saveDashboard(dashboardData);
-      console.log('✅ [FINAL SAVE] API response:', result);
-      
-      if (result && onSave) {
-        onSave(result);
-      }
-      console.log('✅ [FINAL SAVE] Dashboard saved successfully!');
-      setShowSaveDialog(false);
-      setPendingConfig(null);
+      await finishSave(dashboardData);
     } catch (error) {
-      console.error('❌ [FINAL SAVE] Failed to save dashboard:', error);
+      console.error('Failed to save dashboard:', error);
+    }
+  };
+
+  // Add the charts to an existing dashboard, which may be on another dataset; the dashboard
+  // keeps its own dataset, version pin, layout and filters
+  const handleAddToDashboard = async (dashboardName) => {
+    if (!dataset || !chartData) {
+      return;
+    }
+
+    const charts = captureCurrentSpec();
+
+    try {
+      const target = await dashboardService.getDashboardByName(dashboardName);
+      const targetCharts = JSON.parse(target.jsonFormat || '[]');
+      const dashboardCharts = dashboardUtils.appendCharts(
+        Array.isArray(targetCharts) ? targetCharts : [targetCharts],
+        target.datasetName,
+        charts,
+        dataset.datasetName
+      );
+
+      await finishSave({
+        dashboardName: target.dashboardName,
+        datasetName: target.datasetName,
+        jsonFormat: JSON.stringify(dashboardCharts),
+        isMultiple: dashboardCharts.length > 1,
+        datasetVersion: target.datasetVersion
+      });
+    } catch (error) {
+      console.error('Failed to add charts to dashboard:', error);
     }
   };
 
   // Handle save dialog close
   const handleSaveDialogClose = () => {
     setShowSaveDialog(false);
-    setPendingConfig(null);
   };
 
   // Render loading state
@@ -426,7 +297,7 @@ const GraphicWalkerChart = ({
           <p className="text-gray-600 mb-4">{error}</p>
           {dataset && (
             <button 
-              onClick={() => loadData()}
+              onClick={() => loadData(1, DATA_CONSTANTS.FIELD_SAMPLE_SIZE)}
               className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
             >
               Retry
@@ -496,72 +367,57 @@ const GraphicWalkerChart = ({
         return (
           <ErrorBoundary>
             <div className="relative h-full">
+              {/* Unsaved work found on the server, from this or another device */}
+              {offeredDraft && (
+                <div className="flex items-center justify-between px-4 py-2 bg-accent-50 border-b border-accent-200">
+                  <p className="text-sm text-accent-800">
+                    You have an unsaved draft with {offeredDraft.chartCount} chart{offeredDraft.chartCount !== 1 ? 's' : ''}, last saved {dateUtils.getRelativeTime(offeredDraft.updatedAt).toLowerCase()}.
+                  </p>
+                  <div className="flex items-center space-x-2 ml-4 flex-shrink-0">
+                    <button onClick={discardDraft} className="btn-notion text-xs">
+                      Discard
+                    </button>
+                    <button onClick={handleResumeDraft} className="btn-notion btn-notion-primary text-xs">
+                      Resume draft
+                    </button>
+                  </div>
+                </div>
+              )}
+
               <GraphicWalker
-                ref={specRef}
-                data={chartData.dataSource}
+                ref={gwRef}
+                storeRef={storeRef}
+                computation={computation}
                 fields={chartData.fields}
-                spec={dashboardConfig || []}
+                chart={dashboardConfig || undefined}
                 appearance="light"
-                onSpecChange={(spec) => {
-                  console.log('🔄 [SPEC CHANGE] GraphicWalker spec changed:', {
-                    timestamp: new Date().toISOString(),
-                    specType: typeof spec,
-                    specLength: Array.isArray(spec) ? spec.length : 'not array',
-                    isArray: Array.isArray(spec),
-                    hasValidCharts: Array.isArray(spec) && spec.some(s => s && (s.encodings || s.mark || s.data)),
-                    specContent: spec,
-                    specPreview: Array.isArray(spec) ? spec.map((s, i) => ({
-                      index: i,
-                      name: s?.name || 'Unnamed',
-                      encodings: s?.encodings ? Object.keys(s.encodings) : [],
-                      encodingCount: s?.encodings ? Object.keys(s.encodings).length : 0,
-                      mark: s?.mark,
-                      hasEncodings: s?.encodings && Object.keys(s.encodings).length > 0,
-                      hasData: !!s?.data
-                    })) : 'not array'
-                  });
-                  
-                  const normalizedSpec = spec || [];
-                  
-                  console.log('🔄 [SPEC CHANGE] Setting currentSpec state...');
-                  setCurrentSpec(normalizedSpec);
-                  setLastKnownSpec(normalizedSpec);
-                  
-                  // Immediately cache any valid spec
-                  if (Array.isArray(normalizedSpec) && normalizedSpec.length > 0) {
-                    try {
-                      localStorage.setItem(specCacheKey, JSON.stringify(normalizedSpec));
-                      console.log('📦 [SPEC CHANGE] Cached spec immediately');
-                      
-                      // Add to history
-                      setSpecHistory(prev => {
-                        const newHistory = [...prev, { timestamp: Date.now(), spec: normalizedSpec }];
-                        return newHistory.slice(-10);
-                      });
-                    } catch (cacheError) {
-                      console.warn('❌ [SPEC CHANGE] Failed to cache spec:', cacheError);
-                    }
-                  }
-                  
-                  console.log('🔄 [SPEC CHANGE] currentSpec state updated');
-                }}
               />
               
               {/* Custom Save Button */}
               <div className="absolute top-4 right-4 z-10">
                 <div className="flex items-center space-x-2">
                   {/* Chart Count Indicator */}
-                  {currentSpec && currentSpec.length > 0 && (
+                  {/* Draft Autosave Status */}
+                  {(draftSavedAt || draftError) && (
+                    <div
+                      className={`px-2 py-1 bg-white border border-notion-200 rounded-md text-xs shadow-sm ${draftError ? 'text-error-700' : 'text-notion-500'}`}
+                      title={draftError || dateUtils.formatDate(draftSavedAt)}
+                    >
+                      {draftError ? 'Draft not saved' : 'Draft saved'}
+                    </div>
+                  )}
+
+                  {chartCount > 0 && (
                     <div className="px-2 py-1 bg-white border border-notion-200 rounded-md text-xs text-notion-600 shadow-sm">
-                      {currentSpec.length} chart{currentSpec.length !== 1 ? 's' : ''}
+                      {chartCount} chart{chartCount !== 1 ? 's' : ''}
                     </div>
                   )}
                   
                   <button
                     onClick={handleSaveRequest}
-                    disabled={saving}
+                    disabled={saving || !workspaceUtils.canEdit(dataset?.accessRole)}
                     className="btn-notion flex items-center shadow-elevated disabled:opacity-50 disabled:cursor-not-allowed"
-                    title="Save dashboard"
+                    title={workspaceUtils.canEdit(dataset?.accessRole) ? 'Save dashboard' : 'Viewers cannot save dashboards'}
                   >
                     {saving ? (
                       <>
@@ -586,7 +442,7 @@ const GraphicWalkerChart = ({
         return (
           <ErrorBoundary>
             <GraphicRenderer
-              data={chartData.dataSource}
+              computation={computation}
               fields={chartData.fields}
               chart={dashboardConfig || []}
               appearance="light"
@@ -612,9 +468,24 @@ const GraphicWalkerChart = ({
     }
   };
 
+  // A dashboard's chart can be downloaded as the data it shows
+  const viewedChart = mode === 'view' && Array.isArray(dashboardConfig) && dashboardConfig.length === 1
+    ? dashboardConfig[0]
+    : null;
+
+  const handleChartDownload = async (format) => {
+    const blob = await datasetService.exportChartData(dataset.datasetName, format, viewedChart, { version: datasetVersion });
+    fileUtils.saveBlob(blob, `${dataset.datasetName}-${viewedChart.name || 'chart'}.${format}`);
+  };
+
   // Render chart based on mode
   return (
     <div className={`relative h-full w-full bg-white ${className}`}>
+      {viewedChart && (
+        <div className="absolute top-2 right-2 z-10">
+          <DataDownloadMenu onDownload={handleChartDownload} title="Download this chart's data" />
+        </div>
+      )}
       <div className="h-full w-full">
         {renderGraphicWalker()}
       </div>
@@ -624,49 +495,167 @@ const GraphicWalkerChart = ({
         isOpen={showSaveDialog}
         onClose={handleSaveDialogClose}
         onSave={handleSave}
+        onAddToDashboard={mode === 'design' ? handleAddToDashboard : null}
+        dashboards={targetDashboards}
         datasetName={dataset?.datasetName || ''}
+        datasetVersion={dataset?.version || null}
         isLoading={saving}
       />
     </div>
   );
 };
 
-// Component for rendering multiple charts
+// Component for rendering a dashboard's charts and text tiles on its grid layout, under its
+// filter controls (editing shows the layout editor and editingFilters the filter editor;
+// onLayoutSave and onFiltersSave receive the new layout and filters). Charts may read datasets
+// other than the dashboard's own (dataset); the pinned datasetVersion applies to its own only.
+// dataSource reads the datasets (shared dashboards read through their share link instead);
+// downloadable adds a button to each chart that downloads its data, with the filters applied.
 export const MultipleChartsRenderer = ({ 
   dataset, 
+  datasetVersion = null,
+  dataSource = datasetService,
+  downloadable = false,
   dashboardConfig, 
+  layout = null,
+  filters = NO_FILTERS,
+  editing = false,
+  saving = false,
+  onLayoutSave = null,
+  onLayoutCancel = null,
+  editingFilters = false,
+  savingFilters = false,
+  onFiltersSave = null,
+  onFiltersCancel = null,
   className = '' 
 }) => {
-  const [chartData, setChartData] = useState(null);
+  // Graphic Walker fields of each dataset the charts read (null for one that failed to load)
+  const [datasetFields, setDatasetFields] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  
-  const { loadData } = useDataset(dataset?.datasetName);
 
-  // Load dataset data
+  const charts = useMemo(() => {
+    if (!dashboardConfig) return [];
+    return Array.isArray(dashboardConfig) ? dashboardConfig : [dashboardConfig];
+  }, [dashboardConfig]);
+
+  const datasetNames = useMemo(() => (
+    dataset && dataset.datasetName ? dashboardUtils.datasetNames(charts, dataset.datasetName) : []
+  ), [charts, dataset]);
+
+  // Each loaded dataset's server computation, fields and the fields a click on a chart can filter by
+  const sources = useMemo(() => Object.fromEntries(
+    Object.entries(datasetFields || {})
+      .filter(([, fields]) => fields)
+      .map(([name, fields]) => {
+        const version = name === dataset.datasetName ? datasetVersion : null;
+        return [name, {
+          computation: (payload) => dataSource.queryDataset(name, payload, version),
+          fields,
+          dimensions: new Set(fields.filter(field => field.analyticType === 'dimension').map(field => field.fid))
+        }];
+      })
+  ), [datasetFields, dataset, datasetVersion, dataSource]);
+
+  const {
+    values: filterValues,
+    domains: filterDomains,
+    selection,
+    setValue: setFilterValue,
+    toggleSelection,
+    clearSelection,
+    clearFilters,
+    getChartComputation,
+    getChartFilters
+  } = useDashboardFilters(filters, sources, dataset?.datasetName);
+
+  // Load the fields of every dataset the charts read. Only a sample is needed to infer fields;
+  // chart data comes from the computation callbacks. The dashboard cannot be shown without its
+  // own dataset; charts on another dataset that fails to load show the failure in their tile.
   useEffect(() => {
-    if (dataset && dataset.datasetName) {
-      setLoading(true);
-      setError(null);
-      
-      loadData()
-        .then((result) => {
-          if (result && result.records) {
-            const cleanedData = dataUtils.cleanData(result.records);
-            const gwData = dataUtils.convertToGraphicWalkerFormat(cleanedData);
-            setChartData(gwData);
-          } else {
-            setError(MESSAGES.NO_DATA_FOUND);
-          }
-        })
-        .catch((err) => {
-          setError(err.message || MESSAGES.FETCH_ERROR);
-        })
-        .finally(() => {
-          setLoading(false);
-        });
+    if (datasetNames.length === 0) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    const loadFields = async (name) => {
+      const version = name === dataset.datasetName ? datasetVersion : null;
+      const result = await dataSource.getDatasetData(name, 1, DATA_CONSTANTS.FIELD_SAMPLE_SIZE, { version });
+      if (!result || !result.records) {
+        throw new Error(MESSAGES.NO_DATA_FOUND);
+      }
+      const cleanedData = dataUtils.cleanData(result.records);
+      return dataUtils.convertToGraphicWalkerFormat(cleanedData, result.dataset?.rowColumns, result.dataset?.calculatedFields, result.dataset?.fieldMetadata).fields;
+    };
+
+    Promise.all(datasetNames.map(async (name, index) => {
+      try {
+        return [name, await loadFields(name)];
+      } catch (err) {
+        if (index === 0) throw err;
+        errorUtils.logError(err, 'MultipleChartsRenderer.loadFields');
+        return [name, null];
+      }
+    }))
+      .then((entries) => {
+        if (!cancelled) setDatasetFields(Object.fromEntries(entries));
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || MESSAGES.FETCH_ERROR);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [datasetNames, dataset, datasetVersion, dataSource]);
+
+  // The filter editor's datasets, the dashboard's own first, and every field for naming filters
+  const filterDatasets = datasetNames
+    .filter(name => sources[name])
+    .map(name => ({ datasetName: name, fields: sources[name].fields }));
+  const allFields = filterDatasets.flatMap(source => source.fields);
+
+  const renderChart = (chartConfig, chartKey) => {
+    const chartDatasetName = dashboardUtils.sourceDataset(chartConfig, dataset.datasetName);
+    const source = sources[chartDatasetName];
+    if (!source) {
+      return (
+        <div className="flex items-center justify-center h-full text-sm text-notion-500">
+          Dataset '{chartDatasetName}' could not be loaded
+        </div>
+      );
     }
-  }, [dataset, loadData]);
+
+    return (
+      <FilterableChart
+        chartConfig={chartConfig}
+        chartKey={chartKey}
+        computation={getChartComputation(chartKey, chartDatasetName)}
+        fields={source.fields}
+        dimensions={source.dimensions}
+        onSelect={toggleSelection}
+      />
+    );
+  };
+
+  const renderChartActions = (chartConfig, chartKey) => {
+    const chartDatasetName = dashboardUtils.sourceDataset(chartConfig, dataset.datasetName);
+    if (!sources[chartDatasetName]) return null;
+
+    const handleDownload = async (format) => {
+      const blob = await datasetService.exportChartData(chartDatasetName, format, chartConfig, {
+        filters: getChartFilters(chartKey, chartDatasetName),
+        version: chartDatasetName === dataset.datasetName ? datasetVersion : null
+      });
+      fileUtils.saveBlob(blob, `${chartDatasetName}-${chartConfig.name || 'chart'}.${format}`);
+    };
+
+    return <DataDownloadMenu onDownload={handleDownload} title="Download this chart's data" />;
+  };
 
   if (loading) {
     return (
@@ -695,7 +684,7 @@ export const MultipleChartsRenderer = ({
     );
   }
 
-  if (!chartData || !dashboardConfig) {
+  if (!datasetFields || !sources[dataset.datasetName] || !dashboardConfig) {
     return (
       <div className="flex items-center justify-center min-h-96 bg-gray-50">
         <div className="text-center max-w-md mx-auto px-6">
@@ -711,29 +700,39 @@ export const MultipleChartsRenderer = ({
     );
   }
 
-  const charts = Array.isArray(dashboardConfig) ? dashboardConfig : [dashboardConfig];
-
   return (
-    <div className={`grid grid-cols-1 lg:grid-cols-2 gap-6 p-6 bg-gray-50 ${className}`}>
-      {charts.map((chartConfig, index) => (
-        <div key={index} className="bg-white rounded-xl shadow-soft border border-gray-200 overflow-hidden">
-          <div className="bg-gray-50 border-b border-gray-200 px-6 py-4">
-            <h3 className="text-lg font-semibold text-gray-900">
-              {chartConfig.name || `Chart ${index + 1}`}
-            </h3>
-          </div>
-          <div className="p-4">
-            <ErrorBoundary>
-              <GraphicRenderer
-                data={chartData.dataSource}
-                fields={chartData.fields}
-                chart={chartConfig || {}}
-                appearance="light"
-              />
-            </ErrorBoundary>
-          </div>
-        </div>
-      ))}
+    <div className={`p-6 bg-gray-50 ${className}`}>
+      {editingFilters ? (
+        <DashboardFilterEditor
+          filters={filters}
+          datasets={filterDatasets}
+          saving={savingFilters}
+          onSave={onFiltersSave}
+          onCancel={onFiltersCancel}
+        />
+      ) : (
+        <DashboardFilterBar
+          filters={filters}
+          fields={allFields}
+          values={filterValues}
+          domains={filterDomains}
+          selection={selection}
+          onChange={setFilterValue}
+          onClearSelection={clearSelection}
+          onClear={clearFilters}
+        />
+      )}
+
+      <DashboardLayout
+        charts={charts}
+        layout={layout}
+        editing={editing}
+        saving={saving}
+        onSave={onLayoutSave}
+        onCancel={onLayoutCancel}
+        renderChart={renderChart}
+        renderChartActions={downloadable ? renderChartActions : null}
+      />
     </div>
   );
 };
@@ -1,15 +1,13 @@
 import React, { useState } from 'react';
-import { APP_CONFIG } from '../constants';
+import { APP_CONFIG, DEFAULT_USER_SETTINGS, EXPORT_FORMATS, STORAGE_KEYS } from '../constants';
+import { storageUtils } from '../utils/helpers';
+import WorkspaceManager from './WorkspaceManager';
 
 const SettingsPage = () => {
-  const [settings, setSettings] = useState({
-    theme: 'light',
-    notifications: true,
-    autoSave: true,
-    defaultChartType: 'bar',
-    dataRefreshInterval: '5',
-    exportFormat: 'png'
-  });
+  const [settings, setSettings] = useState(() => ({
+    ...DEFAULT_USER_SETTINGS,
+    ...storageUtils.getItem(STORAGE_KEYS.USER_PREFERENCES, {})
+  }));
 
   const [activeSection, setActiveSection] = useState('general');
 
@@ -21,8 +19,7 @@ const SettingsPage = () => {
   };
 
   const handleSave = () => {
-    // In a real app, this would save to backend
-    localStorage.setItem('userSettings', JSON.stringify(settings));
+    storageUtils.setItem(STORAGE_KEYS.USER_PREFERENCES, settings);
     // Show success message (you could add this to a global state)
     alert('Settings saved successfully!');
   };
@@ -31,6 +28,7 @@ const SettingsPage = () => {
     { id: 'general', name: 'General', icon: 'M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z M15 12a3 3 0 11-6 0 3 3 0 016 0z' },
     { id: 'appearance', name: 'Appearance', icon: 'M7 21a4 4 0 01-4-4V5a2 2 0 012-2h4a2 2 0 012 2v12a4 4 0 01-4 4zM7 3H5v12a2 2 0 104 0V3z' },
     { id: 'data', name: 'Data & Charts', icon: 'M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z' },
+    { id: 'workspaces', name: 'Workspaces', icon: 'M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z' },
     { id: 'export', name: 'Export', icon: 'M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z' }
   ];
 
@@ -105,7 +103,7 @@ const SettingsPage = () => {
                   <div className="flex items-center justify-between py-3 border-b border-notion-200">
                     <div>
                       <h3 className="text-sm font-medium text-notion-900">Auto-save Dashboards</h3>
-                      <p className="text-sm text-notion-500">Automatically save dashboard changes</p>
+                      <p className="text-sm text-notion-500">Keep unsaved charts as a draft you can resume on any device</p>
                     </div>
                     <label className="relative inline-flex items-center cursor-pointer">
                       <input
@@ -184,6 +182,18 @@ const SettingsPage = () => {
               </div>
             )}
 
+            {activeSection === 'workspaces' && (
+              <div className="space-y-6">
+                <div>
+                  <h2 className="heading-notion text-base mb-1">Workspaces</h2>
+                  <p className="text-sm text-notion-500">
+                    Share datasets and dashboards with your team. Viewers can open dashboards, editors can also save them, and owners manage members.
+                  </p>
+                </div>
+                <WorkspaceManager />
+              </div>
+            )}
+
             {activeSection === 'export' && (
               <div className="space-y-6">
                 <h2 className="heading-notion text-base mb-4">Export Settings</h2>
@@ -191,7 +201,7 @@ const SettingsPage = () => {
                 <div>
                   <label className="block text-sm font-medium text-notion-700 mb-3">Default Export Format</label>
                   <div className="grid grid-cols-3 gap-3">
-                    {['png', 'svg', 'pdf'].map((format) => (
+                    {EXPORT_FORMATS.map((format) => (
                       <button
                         key={format}
                         onClick={() => handleSettingChange('exportFormat', format)}
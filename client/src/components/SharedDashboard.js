@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import shareService from '../services/shareService';
+import { dateUtils, errorUtils } from '../utils/helpers';
+import { MESSAGES } from '../constants/messages';
+import { MultipleChartsRenderer } from './GraphicWalkerChart';
+
+// A dashboard opened through a share link, read-only and without an account. embed leaves out
+// the page header so the charts fill an iframe on another site.
+const SharedDashboard = ({ embed = false }) => {
+  const { token } = useParams();
+  const [share, setShare] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [password, setPassword] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  const [passwordError, setPasswordError] = useState(null);
+
+  const loadShare = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setShare(await shareService.getSharedDashboard(token));
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'SharedDashboard.load');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadShare();
+  }, [loadShare]);
+
+  const dashboard = share?.dashboard;
+  const dataSource = useMemo(() => shareService.createDataSource(token), [token]);
+  const dashboardDatasetName = dashboard?.datasetName;
+  const dashboardDataset = useMemo(() => (
+    dashboardDatasetName ? { datasetName: dashboardDatasetName } : null
+  ), [dashboardDatasetName]);
+
+  const dashboardCharts = useMemo(() => {
+    if (!dashboard?.jsonFormat) return null;
+    try {
+      return JSON.parse(dashboard.jsonFormat);
+    } catch (err) {
+      errorUtils.logError(err, 'SharedDashboard.parseCharts');
+      return null;
+    }
+  }, [dashboard]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+
+    setUnlocking(true);
+    setPasswordError(null);
+    try {
+      await shareService.unlockShare(token, password);
+      setPassword('');
+      await loadShare();
+    } catch (err) {
+      setPasswordError(errorUtils.getErrorMessage(err));
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  if (loading && !share) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-notion-50">
+        <div className="animate-spin rounded-full h-10 w-10 border-4 border-accent-200 border-t-accent-600"></div>
+      </div>
+    );
+  }
+
+  // Unknown, expired and revoked links all look the same to the visitor
+  if (error || !share) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-notion-50 px-6">
+        <div className="text-center max-w-md">
+          <h1 className="heading-notion text-lg mb-2">Dashboard unavailable</h1>
+          <p className="text-sm text-notion-500">{MESSAGES.SHARE_LINK_UNAVAILABLE}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!dashboard) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-notion-50 px-6">
+        <form onSubmit={handleUnlock} className="card-notion w-full max-w-sm p-6">
+          <h1 className="heading-notion text-lg mb-1">Password required</h1>
+          <p className="text-sm text-notion-500 mb-4">Enter the password you were given to view this dashboard.</p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            disabled={unlocking}
+            className="input-notion w-full"
+            placeholder="Password"
+            aria-label="Password"
+            autoFocus
+          />
+          {passwordError && (
+            <p className="mt-2 text-sm text-error-600">{passwordError}</p>
+          )}
+          <button
+            type="submit"
+            disabled={unlocking || !password}
+            className="btn-notion btn-notion-primary w-full mt-4"
+          >
+            {unlocking ? 'Checking...' : 'View dashboard'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  const charts = (
+    <MultipleChartsRenderer
+      dataset={dashboardDataset}
+      datasetVersion={dashboard.datasetVersion}
+      dataSource={dataSource}
+      dashboardConfig={dashboardCharts}
+      layout={dashboard.layout}
+      filters={dashboard.filters}
+    />
+  );
+
+  if (embed) {
+    return charts;
+  }
+
+  return (
+    <div className="min-h-screen bg-notion-50">
+      <header className="px-6 py-4 bg-white border-b border-notion-200">
+        <h1 className="heading-notion text-lg">{dashboard.dashboardName}</h1>
+        <p className="text-xs text-notion-500">
+          Shared read-only · updated {dateUtils.formatDate(dashboard.updatedAt)}
+          {share.expiresAt ? ` · link expires ${dateUtils.formatDate(share.expiresAt)}` : ''}
+        </p>
+      </header>
+      {charts}
+    </div>
+  );
+};
+
+export default SharedDashboard;
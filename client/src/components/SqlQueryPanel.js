@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import datasetService from '../services/datasetService';
+import { errorUtils, validationUtils } from '../utils/helpers';
+
+// Rows shown from a result; saving the query as a dataset keeps all of them
+const RESULT_ROWS = 1000;
+
+// Quote a dataset name for use as a table name when it is not a plain word
+const tableName = (name) => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `"${name.replace(/"/g, '""')}"`);
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value);
+};
+
+// Read-only SQL over the user's datasets: each dataset is a table named after it. The result
+// can be saved as a dataset that the server recomputes whenever the datasets it reads change.
+const SqlQueryPanel = ({ datasets = [], onSave = null, onError = null, className = '' }) => {
+  const [sql, setSql] = useState('');
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [datasetName, setDatasetName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const runQuery = async () => {
+    if (!sql.trim() || running) return;
+
+    setRunning(true);
+    setError(null);
+    try {
+      setResult(await datasetService.runSqlQuery(sql, RESULT_ROWS));
+    } catch (err) {
+      setResult(null);
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'SqlQueryPanel.runQuery');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      runQuery();
+    }
+  };
+
+  const insertTable = (dataset) => {
+    setSql(prev => (prev.trim()
+      ? `${prev}${/\s$/.test(prev) ? '' : ' '}${tableName(dataset.datasetName)}`
+      : `SELECT * FROM ${tableName(dataset.datasetName)}`));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!datasetName.trim() || !sql.trim() || saving) return;
+
+    if (!validationUtils.isValidDatasetName(datasetName)) {
+      onError?.('Please enter a valid dataset name (letters, numbers, spaces, hyphens, and underscores only)');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const dataset = await datasetService.createDerivedDataset({ datasetName: datasetName.trim(), type: 'query', sql });
+      setDatasetName('');
+      if (dataset && onSave) {
+        onSave(dataset);
+      }
+    } catch (err) {
+      onError?.(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'SqlQueryPanel.handleSave');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={`grid grid-cols-1 lg:grid-cols-4 gap-6 ${className}`}>
+      {/* Tables */}
+      <div className="card-notion p-4 lg:col-span-1">
+        <h2 className="heading-notion text-base mb-4">Tables</h2>
+        {datasets.length === 0 ? (
+          <p className="text-sm text-notion-500">No datasets available</p>
+        ) : (
+          <ul className="space-y-3 max-h-96 overflow-y-auto">
+            {datasets.map(dataset => (
+              <li key={dataset.datasetName}>
+                <button
+                  onClick={() => insertTable(dataset)}
+                  className="text-sm font-medium text-notion-900 hover:text-accent-700 font-mono text-left break-all"
+                  title="Add to the query"
+                >
+                  {tableName(dataset.datasetName)}
+                </button>
+                <p className="text-xs text-notion-500 break-words">
+                  {[
+                    ...(dataset.rowColumns || []).map(column => column.name),
+                    ...(dataset.calculatedFields || []).map(field => field.name)
+                  ].join(', ')}
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="lg:col-span-3 space-y-6">
+        {/* Editor */}
+        <div className="card-notion p-4">
+          <textarea
+            value={sql}
+            onChange={(e) => setSql(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder={'SELECT region, SUM(sales) AS total\nFROM "Monthly Sales"\nGROUP BY region'}
+            rows={8}
+            spellCheck={false}
+            className="input-notion w-full font-mono text-sm"
+          />
+          <div className="flex items-center justify-between mt-3">
+            <p className="text-xs text-notion-500">Only SELECT queries run. Press Ctrl+Enter to run.</p>
+            <button
+              onClick={runQuery}
+              disabled={!sql.trim() || running}
+              className="btn-notion btn-notion-primary text-sm"
+            >
+              {running ? 'Running...' : 'Run query'}
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="p-3 bg-error-50 border border-error-200 rounded-lg">
+            <p className="text-sm text-error-700 font-mono whitespace-pre-wrap">{error}</p>
+          </div>
+        )}
+
+        {/* Result */}
+        {result && (
+          <div className="card-notion">
+            <div className="p-4 border-b border-notion-200 flex flex-wrap items-center justify-between gap-3">
+              <p className="text-sm text-notion-700">
+                {result.rows.length} {result.rows.length === 1 ? 'row' : 'rows'}
+                {result.truncated && ` (only the first ${RESULT_ROWS} are shown)`}
+              </p>
+              <form onSubmit={handleSave} className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={datasetName}
+                  onChange={(e) => setDatasetName(e.target.value)}
+                  placeholder="New dataset name..."
+                  disabled={saving}
+                  maxLength={100}
+                  className="input-notion py-1.5 text-sm"
+                />
+                <button
+                  type="submit"
+                  disabled={!datasetName.trim() || saving}
+                  className="btn-notion text-sm flex-shrink-0"
+                >
+                  {saving ? 'Saving...' : 'Save as dataset'}
+                </button>
+              </form>
+            </div>
+            {result.columns.length === 0 ? (
+              <p className="p-4 text-sm text-notion-500">The query returned no columns</p>
+            ) : (
+              <div className="overflow-auto max-h-96">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-notion-50 sticky top-0">
+                    <tr>
+                      {result.columns.map(column => (
+                        <th key={column} className="px-3 py-2 text-left font-medium text-notion-700 whitespace-nowrap border-b border-notion-200">
+                          {column}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-notion-100">
+                    {result.rows.map((row, index) => (
+                      <tr key={index}>
+                        {result.columns.map(column => (
+                          <td key={column} className="px-3 py-1.5 text-notion-900 whitespace-nowrap">
+                            {formatValue(row[column])}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SqlQueryPanel;
@@ -0,0 +1,304 @@
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspaces, useWorkspace } from '../hooks/useWorkspaces';
+import { useDatasets } from '../hooks/useDatasets';
+import workspaceService from '../services/workspaceService';
+import datasetService from '../services/datasetService';
+import { WORKSPACE_ROLES } from '../constants';
+import { errorUtils, validationUtils } from '../utils/helpers';
+
+const WorkspaceManager = ({ className = '' }) => {
+  const { user } = useAuth();
+  const { workspaces, loading, error, refreshWorkspaces } = useWorkspaces();
+  const { datasets, refreshDatasets } = useDatasets();
+  const [selectedWorkspaceId, setSelectedWorkspaceId] = useState(null);
+  const { workspace, refreshWorkspace } = useWorkspace(selectedWorkspaceId);
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const [memberEmail, setMemberEmail] = useState('');
+  const [memberRole, setMemberRole] = useState(WORKSPACE_ROLES.VIEWER);
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  const isOwner = workspace?.role === WORKSPACE_ROLES.OWNER;
+  const canShare = workspace && workspace.role !== WORKSPACE_ROLES.VIEWER;
+
+  // Only datasets the user owns can be moved between workspaces
+  const ownedDatasets = datasets.filter(dataset => dataset.ownerId === user?.id);
+
+  // Run a workspace action, surfacing errors and refreshing affected lists
+  const runAction = async (action) => {
+    setBusy(true);
+    setActionError(null);
+    try {
+      await action();
+    } catch (err) {
+      setActionError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'WorkspaceManager');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreateWorkspace = (e) => {
+    e.preventDefault();
+    if (!newWorkspaceName.trim()) return;
+
+    runAction(async () => {
+      const created = await workspaceService.createWorkspace(newWorkspaceName);
+      setNewWorkspaceName('');
+      await refreshWorkspaces();
+      if (created) {
+        setSelectedWorkspaceId(created.id);
+      }
+    });
+  };
+
+  const handleAddMember = (e) => {
+    e.preventDefault();
+    if (!validationUtils.isValidEmail(memberEmail)) {
+      setActionError('Please enter a valid email address');
+      return;
+    }
+
+    runAction(async () => {
+      await workspaceService.setMember(workspace.id, memberEmail, memberRole);
+      setMemberEmail('');
+      await refreshWorkspace();
+    });
+  };
+
+  const handleRoleChange = (member, role) => {
+    runAction(async () => {
+      await workspaceService.setMember(workspace.id, member.email, role);
+      await refreshWorkspace();
+    });
+  };
+
+  const handleRemoveMember = (member) => {
+    const leaving = member.userId === user?.id;
+
+    runAction(async () => {
+      await workspaceService.removeMember(workspace.id, member.userId);
+      if (leaving) {
+        setSelectedWorkspaceId(null);
+        await Promise.all([refreshWorkspaces(), refreshDatasets()]);
+      } else {
+        await refreshWorkspace();
+      }
+    });
+  };
+
+  const handleDeleteWorkspace = () => {
+    if (!window.confirm(`Delete workspace "${workspace.name}"? Shared datasets will become private to their owners.`)) {
+      return;
+    }
+
+    runAction(async () => {
+      await workspaceService.deleteWorkspace(workspace.id);
+      setSelectedWorkspaceId(null);
+      await Promise.all([refreshWorkspaces(), refreshDatasets()]);
+    });
+  };
+
+  const handleToggleDataset = (dataset) => {
+    const shared = dataset.workspaceId === workspace.id;
+
+    runAction(async () => {
+      await datasetService.setDatasetWorkspace(dataset.datasetName, shared ? null : workspace.id);
+      await Promise.all([refreshDatasets(), refreshWorkspace(), refreshWorkspaces()]);
+    });
+  };
+
+  if (loading && workspaces.length === 0) {
+    return (
+      <div className={className}>
+        <div className="animate-pulse space-y-3">
+          {[1, 2].map(i => (
+            <div key={i} className="h-12 bg-notion-100 rounded-lg"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`space-y-6 ${className}`}>
+      {(error || actionError) && (
+        <div className="p-3 bg-error-50 border border-error-200 rounded-lg">
+          <p className="text-sm text-error-700">{actionError || error}</p>
+        </div>
+      )}
+
+      {/* Create Workspace */}
+      <form onSubmit={handleCreateWorkspace} className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={newWorkspaceName}
+          onChange={(e) => setNewWorkspaceName(e.target.value)}
+          placeholder="New workspace name"
+          maxLength={100}
+          className="input-notion flex-1"
+          disabled={busy}
+        />
+        <button
+          type="submit"
+          disabled={busy || !newWorkspaceName.trim()}
+          className="btn-notion btn-notion-primary py-2 px-4 text-sm font-medium disabled:opacity-50"
+        >
+          Create
+        </button>
+      </form>
+
+      {/* Workspace List */}
+      {workspaces.length === 0 ? (
+        <p className="text-sm text-notion-500">
+          You are not a member of any workspace yet. Create one to share datasets and dashboards with your team.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {workspaces.map((item) => (
+            <button
+              key={item.id}
+              onClick={() => setSelectedWorkspaceId(item.id === selectedWorkspaceId ? null : item.id)}
+              className={`w-full p-3 text-left rounded-lg border transition-all duration-150 ${
+                item.id === selectedWorkspaceId
+                  ? 'border-accent-200 bg-accent-50'
+                  : 'border-notion-200 bg-white hover:border-notion-300'
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-notion-900">{item.name}</span>
+                <div className="flex items-center space-x-3 text-xs text-notion-500">
+                  <span>{item.memberCount} member{item.memberCount !== 1 ? 's' : ''}</span>
+                  <span>{item.datasetCount} dataset{item.datasetCount !== 1 ? 's' : ''}</span>
+                  <span className="px-1.5 py-0.5 rounded bg-notion-100 text-notion-600 capitalize">{item.role}</span>
+                </div>
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Workspace Details */}
+      {workspace && (
+        <div className="space-y-6 pt-4 border-t border-notion-200">
+          <div className="flex items-center justify-between">
+            <h3 className="heading-notion text-base">{workspace.name}</h3>
+            {isOwner && (
+              <button
+                onClick={handleDeleteWorkspace}
+                disabled={busy}
+                className="text-xs text-error-600 hover:text-error-700 disabled:opacity-50"
+              >
+                Delete workspace
+              </button>
+            )}
+          </div>
+
+          {/* Members */}
+          <div>
+            <h4 className="text-sm font-medium text-notion-700 mb-3">Members</h4>
+            <div className="space-y-2">
+              {workspace.members.map((member) => (
+                <div key={member.userId} className="flex items-center justify-between py-2 border-b border-notion-100">
+                  <div>
+                    <p className="text-sm text-notion-900">{member.name}</p>
+                    <p className="text-xs text-notion-500">{member.email}</p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {isOwner && member.userId !== workspace.ownerId ? (
+                      <select
+                        value={member.role}
+                        onChange={(e) => handleRoleChange(member, e.target.value)}
+                        disabled={busy}
+                        className="input-notion py-1 text-xs w-auto"
+                      >
+                        {Object.values(WORKSPACE_ROLES).map(role => (
+                          <option key={role} value={role}>{role}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="text-xs text-notion-600 capitalize">{member.role}</span>
+                    )}
+                    {member.userId !== workspace.ownerId && (isOwner || member.userId === user?.id) && (
+                      <button
+                        onClick={() => handleRemoveMember(member)}
+                        disabled={busy}
+                        className="text-xs text-notion-400 hover:text-error-600 disabled:opacity-50"
+                      >
+                        {member.userId === user?.id ? 'Leave' : 'Remove'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {isOwner && (
+              <form onSubmit={handleAddMember} className="flex items-center space-x-2 mt-4">
+                <input
+                  type="email"
+                  value={memberEmail}
+                  onChange={(e) => setMemberEmail(e.target.value)}
+                  placeholder="teammate@example.com"
+                  className="input-notion flex-1"
+                  disabled={busy}
+                />
+                <select
+                  value={memberRole}
+                  onChange={(e) => setMemberRole(e.target.value)}
+                  disabled={busy}
+                  className="input-notion w-auto"
+                >
+                  {Object.values(WORKSPACE_ROLES).map(role => (
+                    <option key={role} value={role}>{role}</option>
+                  ))}
+                </select>
+                <button
+                  type="submit"
+                  disabled={busy || !memberEmail.trim()}
+                  className="btn-notion btn-notion-primary py-2 px-4 text-sm font-medium disabled:opacity-50"
+                >
+                  Add
+                </button>
+              </form>
+            )}
+          </div>
+
+          {/* Shared Datasets */}
+          {canShare && (
+            <div>
+              <h4 className="text-sm font-medium text-notion-700 mb-1">Share your datasets</h4>
+              <p className="text-xs text-notion-500 mb-3">Dashboards built on a shared dataset are visible to every member.</p>
+              {ownedDatasets.length === 0 ? (
+                <p className="text-sm text-notion-500">You have no datasets to share.</p>
+              ) : (
+                <div className="space-y-2">
+                  {ownedDatasets.map((dataset) => (
+                    <label key={dataset.datasetName} className="flex items-center justify-between py-1 cursor-pointer">
+                      <span className="text-sm text-notion-900">
+                        {dataset.datasetName}
+                        {dataset.workspaceId && dataset.workspaceId !== workspace.id && (
+                          <span className="ml-2 text-xs text-notion-500">in {dataset.workspaceName}</span>
+                        )}
+                      </span>
+                      <input
+                        type="checkbox"
+                        checked={dataset.workspaceId === workspace.id}
+                        onChange={() => handleToggleDataset(dataset)}
+                        disabled={busy}
+                        className="h-4 w-4 text-accent-600 border-notion-300 rounded"
+                      />
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceManager;
@@ -7,13 +7,53 @@ export const ENDPOINTS = {
   DASHBOARDS: '/Dashboard',
   DASHBOARD_BY_NAME: (name) => `/Dashboard/${encodeURIComponent(name)}`,
   DASHBOARD_STATS: '/Dashboard/stats',
+  DASHBOARD_LAYOUT: (name) => `/Dashboard/${encodeURIComponent(name)}/layout`,
+  DASHBOARD_FILTERS: (name) => `/Dashboard/${encodeURIComponent(name)}/filters`,
+  DASHBOARD_DRAFTS: '/Dashboard/drafts',
+  DASHBOARD_DRAFT: (name) => `/Dashboard/${encodeURIComponent(name)}/draft`,
+  DASHBOARD_REVISIONS: (name) => `/Dashboard/${encodeURIComponent(name)}/revisions`,
+  DASHBOARD_REVISION: (name, revision) => `/Dashboard/${encodeURIComponent(name)}/revisions/${encodeURIComponent(revision)}`,
+  DASHBOARD_REVISION_RESTORE: (name, revision) => `/Dashboard/${encodeURIComponent(name)}/revisions/${encodeURIComponent(revision)}/restore`,
+  DASHBOARD_EXPORT: (name) => `/Dashboard/${encodeURIComponent(name)}/export`,
+  DASHBOARD_SHARES: (name) => `/Dashboard/${encodeURIComponent(name)}/shares`,
+  DASHBOARD_SHARE: (name, shareId) => `/Dashboard/${encodeURIComponent(name)}/shares/${encodeURIComponent(shareId)}`,
+
+  // Shared dashboard endpoints (public)
+  SHARE: (token) => `/share/${encodeURIComponent(token)}`,
+  SHARE_ACCESS: (token) => `/share/${encodeURIComponent(token)}/access`,
+  SHARE_DATASET_DATA: (token, name) => `/share/${encodeURIComponent(token)}/datasets/${encodeURIComponent(name)}/data`,
+  SHARE_DATASET_QUERY: (token, name) => `/share/${encodeURIComponent(token)}/datasets/${encodeURIComponent(name)}/query`,
 
   // Dataset endpoints
   DATASETS: '/Dataset',
   DATASET_UPLOAD: '/Dataset/upload',
+  DATASET_UPLOAD_SHEETS: '/Dataset/upload/sheets',
+  DATASET_UPLOAD_CSV_FORMAT: '/Dataset/upload/csv-format',
+  DATASET_UPLOAD_PREVIEW: '/Dataset/upload/preview',
+  DATASET_UPLOAD_BY_ID: (uploadId) => `/Dataset/upload/${encodeURIComponent(uploadId)}`,
+  DATASET_UPLOAD_COMMIT: (uploadId) => `/Dataset/upload/${encodeURIComponent(uploadId)}/commit`,
+  DATASET_DERIVED: '/Dataset/derived',
   DATASET_BY_NAME: (name) => `/Dataset/${encodeURIComponent(name)}`,
   DATASET_DATA: (name) => `/Dataset/${encodeURIComponent(name)}/data`,
+  DATASET_QUERY: (name) => `/Dataset/${encodeURIComponent(name)}/query`,
+  DATASET_EXPORT: (name) => `/Dataset/${encodeURIComponent(name)}/export`,
   DATASET_INFO: (name) => `/Dataset/${encodeURIComponent(name)}/info`,
+  DATASET_WORKSPACE: (name) => `/Dataset/${encodeURIComponent(name)}/workspace`,
+  DATASET_CALCULATED_FIELDS: (name) => `/Dataset/${encodeURIComponent(name)}/calculated-fields`,
+  DATASET_FIELD_METADATA: (name) => `/Dataset/${encodeURIComponent(name)}/field-metadata`,
+  DATASET_LINEAGE: (name) => `/Dataset/${encodeURIComponent(name)}/lineage`,
+  DATASET_REFRESH: (name) => `/Dataset/${encodeURIComponent(name)}/refresh`,
+  DATASET_VERSIONS: (name) => `/Dataset/${encodeURIComponent(name)}/versions`,
+  DATASET_VERSION_RESTORE: (name, version) => `/Dataset/${encodeURIComponent(name)}/versions/${encodeURIComponent(version)}/restore`,
+
+  // SQL query endpoint
+  QUERY: '/query',
+
+  // Workspace endpoints
+  WORKSPACES: '/Workspace',
+  WORKSPACE_BY_ID: (id) => `/Workspace/${encodeURIComponent(id)}`,
+  WORKSPACE_MEMBERS: (id) => `/Workspace/${encodeURIComponent(id)}/members`,
+  WORKSPACE_MEMBER: (id, userId) => `/Workspace/${encodeURIComponent(id)}/members/${encodeURIComponent(userId)}`,
 
   // CSV endpoints
   CSV_READ: '/api/csv/read',
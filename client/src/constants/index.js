@@ -9,13 +9,60 @@ export const APP_CONFIG = {
 export const UI_CONSTANTS = {
   TABS: {
     DESIGN: 'design',
-    VIEW: 'view'
+    VIEW: 'view',
+    QUERY: 'query'
   },
   
   FILE_UPLOAD: {
     MAX_SIZE: 50 * 1024 * 1024, // 50MB
-    ACCEPTED_TYPES: ['.csv'],
-    ACCEPTED_MIME_TYPES: ['text/csv', 'application/csv', 'text/plain']
+    ACCEPTED_TYPES: ['.csv', '.tsv', '.xlsx', '.xls', '.json', '.ndjson', '.jsonl', '.parquet'],
+    ACCEPTED_MIME_TYPES: [
+      'text/csv',
+      'application/csv',
+      'text/plain',
+      'text/tab-separated-values',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel',
+      'application/json',
+      'application/x-ndjson',
+      'application/vnd.apache.parquet'
+    ],
+    // Workbooks get a sheet and header row picker before upload
+    EXCEL_TYPES: ['.xlsx', '.xls'],
+    // Delimited text files get a format picker; only the first bytes are sent for detection
+    CSV_TYPES: ['.csv', '.tsv'],
+    CSV_SNIFF_BYTES: 64 * 1024,
+    CSV_DELIMITERS: [
+      { value: ',', label: 'Comma (,)' },
+      { value: ';', label: 'Semicolon (;)' },
+      { value: '\t', label: 'Tab' },
+      { value: '|', label: 'Pipe (|)' }
+    ],
+    CSV_QUOTES: [
+      { value: '"', label: 'Double quote (")' },
+      { value: "'", label: "Single quote (')" }
+    ],
+    CSV_ENCODINGS: [
+      { value: 'utf8', label: 'UTF-8' },
+      { value: 'utf16le', label: 'UTF-16 LE' },
+      { value: 'utf16be', label: 'UTF-16 BE' },
+      { value: 'windows1252', label: 'Windows-1252' },
+      { value: 'latin1', label: 'ISO-8859-1 (Latin-1)' }
+    ],
+    // How an upload is applied; every mode except create updates the existing dataset
+    UPLOAD_MODES: [
+      { value: 'create', label: 'New dataset' },
+      { value: 'replace', label: 'Replace all rows' },
+      { value: 'append', label: 'Append rows' },
+      { value: 'upsert', label: 'Update or add rows by key' }
+    ],
+    // Column types offered in the upload preview (the server lists the date formats)
+    COLUMN_TYPES: [
+      { value: 'string', label: 'Text' },
+      { value: 'number', label: 'Number' },
+      { value: 'date', label: 'Date' },
+      { value: 'boolean', label: 'True/false' }
+    ]
   },
   
   PAGINATION: {
@@ -25,12 +72,36 @@ export const UI_CONSTANTS = {
   },
   
   DEBOUNCE_DELAY: 300,
+  // Wait after the last chart change before autosaving a draft
+  AUTOSAVE_DELAY: 2000,
   TOAST_DURATION: 5000,
   
   BREAKPOINTS: {
     MOBILE: 768,
     TABLET: 1024,
     DESKTOP: 1200
+  },
+
+  // Dashboard grid: tiles are placed in whole columns and rows
+  DASHBOARD_LAYOUT: {
+    COLUMNS: 12,
+    ROW_HEIGHT: 40,
+    GAP: 16,
+    CHART_SIZE: { w: 6, h: 8 },
+    TEXT_SIZE: { w: 12, h: 3 },
+    MIN_SIZE: { w: 2, h: 2 },
+    MAX_ROWS: 48
+  },
+
+  // Dashboard filter controls, and how many values a dropdown lists (most frequent first)
+  DASHBOARD_FILTERS: {
+    MAX: 20,
+    OPTION_LIMIT: 200,
+    TYPES: {
+      select: 'Dropdown',
+      range: 'Range slider',
+      dateRange: 'Date range'
+    }
   }
 };
 
@@ -42,6 +113,14 @@ export const DATA_CONSTANTS = {
     NOMINAL: 'nominal',
     TEMPORAL: 'temporal'
   },
+
+  // Field type for each column type chosen at import; other columns are detected from a sample
+  IMPORTED_FIELD_TYPES: {
+    number: 'quantitative',
+    date: 'temporal',
+    boolean: 'nominal',
+    string: 'nominal'
+  },
   
   CHART_TYPES: {
     BAR: 'bar',
@@ -58,9 +137,22 @@ export const DATA_CONSTANTS = {
     AVERAGE: 'average',
     MIN: 'min',
     MAX: 'max'
-  }
+  },
+
+  // Rows fetched to infer field types; charts query the server for everything else
+  FIELD_SAMPLE_SIZE: 500
 };
 
+// Workspace Constants
+export const WORKSPACE_ROLES = {
+  VIEWER: 'viewer',
+  EDITOR: 'editor',
+  OWNER: 'owner'
+};
+
+// Label for items that are not shared with any workspace
+export const PERSONAL_WORKSPACE_LABEL = 'Personal';
+
 // Storage Keys
 export const STORAGE_KEYS = {
   THEME: 'gw_theme',
@@ -69,6 +161,26 @@ export const STORAGE_KEYS = {
   RECENT_DASHBOARDS: 'gw_recent_dashboards'
 };
 
+// Settings page defaults (saved under STORAGE_KEYS.USER_PREFERENCES)
+export const DEFAULT_USER_SETTINGS = {
+  theme: 'light',
+  notifications: true,
+  autoSave: true,
+  defaultChartType: 'bar',
+  dataRefreshInterval: '5',
+  exportFormat: 'png'
+};
+
+// Formats dashboards can be exported in (the server draws them)
+export const EXPORT_FORMATS = ['png', 'svg', 'pdf'];
+
+// Formats dataset rows (a whole dataset or a chart's data) can be downloaded in, with their labels
+export const DATA_EXPORT_FORMATS = {
+  csv: 'CSV',
+  xlsx: 'Excel (.xlsx)',
+  ndjson: 'NDJSON'
+};
+
 // Theme Constants
 export const THEMES = {
   LIGHT: 'light',
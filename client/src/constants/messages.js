@@ -17,19 +17,28 @@ export const MESSAGES = {
   DATASET_UPLOADED: 'Dataset uploaded successfully',
   DATASET_EXISTS: 'Dataset already exists. Please choose a different name',
   DATASET_DELETED: 'Dataset deleted successfully',
+  DATASET_VERSION_RESTORED: 'Dataset version restored',
+  CALCULATED_FIELDS_SAVED: 'Calculated fields saved',
+  FIELD_METADATA_SAVED: 'Field settings saved',
+  DERIVED_DATASET_CREATED: 'Derived dataset created',
+  DERIVED_DATASET_REFRESHED: 'Dataset refreshed from its sources',
+  QUERY_SAVED: 'Query result saved as a dataset',
   
   // Dashboard related
   NO_DASHBOARDS: 'No dashboards saved',
   DASHBOARD_SAVED: 'Dashboard saved successfully',
+  DASHBOARD_LAYOUT_SAVED: 'Dashboard layout saved',
+  DASHBOARD_FILTERS_SAVED: 'Dashboard filters saved',
   DASHBOARD_DELETED: 'Dashboard deleted successfully',
   DASHBOARD_LOADED: 'Dashboard loaded successfully',
+  SHARE_LINK_UNAVAILABLE: 'This share link does not exist, has expired or has been revoked',
   
   // File upload related
   UPLOAD_SUCCESS: 'File uploaded successfully',
   UPLOAD_ERROR: 'Failed to upload file',
   UPLOAD_PROGRESS: 'Uploading file...',
   FILE_TOO_LARGE: 'File size exceeds the maximum limit',
-  INVALID_FILE_TYPE: 'Invalid file type. Please upload a CSV file',
+  INVALID_FILE_TYPE: 'Invalid file type. Please upload a CSV, Excel, JSON, NDJSON or Parquet file',
   CSV_ONLY: 'Please upload only CSV files (.csv)',
   
   // Validation related
@@ -47,6 +56,16 @@ export const MESSAGES = {
   CSV_INVALID: 'Invalid CSV file format',
   CSV_EMPTY: 'CSV file is empty',
   CSV_HEADERS_MISSING: 'CSV file must have headers',
+  CSV_DETECTING_FORMAT: 'Detecting file format...',
+  CSV_FORMAT_ERROR: 'Failed to detect the file format',
+
+  // Excel specific
+  EXCEL_READING_SHEETS: 'Reading workbook sheets...',
+  EXCEL_SHEETS_ERROR: 'Failed to read the workbook sheets',
+
+  // Upload preview
+  IMPORT_PROGRESS: 'Importing dataset...',
+  IMPORT_PREVIEW_HINT: 'Rename, retype or untick columns before importing. Values that do not fit a column\'s type are imported as blanks.',
   
   // Pagination
   NO_MORE_DATA: 'No more data to load',
@@ -57,7 +76,7 @@ export const MESSAGES = {
   CONFIRM_OVERWRITE: 'This will overwrite the existing item. Continue?',
   
   // Instructions
-  DRAG_DROP_FILE: 'Drag and drop a CSV file here, or click to select',
+  DRAG_DROP_FILE: 'Drag and drop a data file here, or click to select',
   SELECT_FROM_DROPDOWN: 'Select a dataset from the dropdown above',
   CREATE_VISUALIZATION: 'Create charts and visualizations using the data',
   SAVE_DASHBOARD: 'Save your dashboard to view it later'
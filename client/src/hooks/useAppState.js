@@ -1,4 +1,4 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { UI_CONSTANTS, STORAGE_KEYS } from '../constants';
 import { storageUtils } from '../utils/helpers';
 
@@ -180,3 +180,23 @@ export const useTheme = () => {
     isDark: theme === 'dark'
   };
 };
+
+// Screen size class of the window: 'mobile', 'tablet' or 'desktop' (UI_CONSTANTS.BREAKPOINTS)
+const getBreakpoint = () => {
+  const width = window.innerWidth;
+  if (width < UI_CONSTANTS.BREAKPOINTS.MOBILE) return 'mobile';
+  if (width < UI_CONSTANTS.BREAKPOINTS.TABLET) return 'tablet';
+  return 'desktop';
+};
+
+export const useBreakpoint = () => {
+  const [breakpoint, setBreakpoint] = useState(getBreakpoint);
+
+  useEffect(() => {
+    const handleResize = () => setBreakpoint(getBreakpoint());
+    window.addEventListener('resize', handleResize);
+    return () => window.removeEventListener('resize', handleResize);
+  }, []);
+
+  return breakpoint;
+};
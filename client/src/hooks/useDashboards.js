@@ -1,6 +1,13 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { addFilterForQuery } from '@kanaries/graphic-walker';
 import dashboardService from '../services/dashboardService';
-import { errorUtils } from '../utils/helpers';
+import { dashboardUtils, errorUtils, filterUtils } from '../utils/helpers';
+import { UI_CONSTANTS } from '../constants';
+
+// A fresh Graphic Walker chart has no fields placed on it and is not worth keeping as a draft
+const hasChartContent = (charts) => charts.some(chart => (
+  Object.values(chart?.encodings || {}).some(fields => Array.isArray(fields) && fields.length > 0)
+));
 
 export const useDashboards = () => {
   const [dashboards, setDashboards] = useState([]);
@@ -116,6 +123,333 @@ export const useDashboard = (dashboardName) => {
   };
 };
 
+export const useDashboardRevisions = (dashboardName) => {
+  const [revisions, setRevisions] = useState([]);
+  const [currentRevision, setCurrentRevision] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the dashboard's revision history
+  const loadRevisions = useCallback(async () => {
+    if (!dashboardName) {
+      setRevisions([]);
+      setCurrentRevision(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await dashboardService.getDashboardRevisions(dashboardName);
+      setRevisions(result ? result.revisions : []);
+      setCurrentRevision(result ? result.currentRevision : null);
+    } catch (err) {
+      const errorMessage = errorUtils.getErrorMessage(err);
+      setError(errorMessage);
+      errorUtils.logError(err, 'useDashboardRevisions.loadRevisions');
+    } finally {
+      setLoading(false);
+    }
+  }, [dashboardName]);
+
+  // Load revisions on mount or when the dashboard changes
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  return {
+    revisions,
+    currentRevision,
+    loading,
+    error,
+    refreshRevisions: loadRevisions
+  };
+};
+
+// Server-side draft of unsaved work on a dataset. Work is drafted under the dataset's name until
+// it is saved as a dashboard; a draft found on opening the dataset is offered for resuming first.
+export const useDashboardDraft = (datasetName, autoSave = true) => {
+  const [offeredDraft, setOfferedDraft] = useState(null);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [error, setError] = useState(null);
+  const draftNameRef = useRef(datasetName);
+  const lastSavedJsonRef = useRef(null);
+  // Autosave waits while drafts are loading or one is offered, so it cannot overwrite it
+  const holdRef = useRef(false);
+  const timerRef = useRef(null);
+
+  // Look for a draft of the dataset saved on this or another device
+  useEffect(() => {
+    draftNameRef.current = datasetName;
+    lastSavedJsonRef.current = null;
+    setOfferedDraft(null);
+    setLastSavedAt(null);
+    setError(null);
+    if (!datasetName) return undefined;
+
+    let cancelled = false;
+    holdRef.current = true;
+    dashboardService.getDashboardDrafts(datasetName)
+      .then((drafts) => {
+        if (cancelled) return;
+        setOfferedDraft(drafts[0] || null);
+        holdRef.current = drafts.length > 0;
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        holdRef.current = false;
+        errorUtils.logError(err, 'useDashboardDraft.loadDrafts');
+      });
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timerRef.current);
+    };
+  }, [datasetName]);
+
+  // Save the charts as a draft once changes settle; getCharts is called when the save runs
+  const scheduleSave = useCallback((getCharts) => {
+    if (!autoSave || !datasetName) return;
+
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(async () => {
+      if (holdRef.current) return;
+
+      const charts = getCharts();
+      const jsonFormat = JSON.stringify(charts);
+      if (jsonFormat === lastSavedJsonRef.current || !hasChartContent(charts)) return;
+
+      try {
+        const draft = await dashboardService.saveDashboardDraft(draftNameRef.current, { datasetName, jsonFormat });
+        lastSavedJsonRef.current = jsonFormat;
+        setLastSavedAt(draft ? draft.updatedAt : new Date().toISOString());
+        setError(null);
+      } catch (err) {
+        setError(errorUtils.getErrorMessage(err));
+        errorUtils.logError(err, 'useDashboardDraft.saveDraft');
+      }
+    }, UI_CONSTANTS.AUTOSAVE_DELAY);
+  }, [autoSave, datasetName]);
+
+  // Continue from the offered draft; returns its charts (null if it could not be loaded)
+  const resumeDraft = useCallback(async () => {
+    if (!offeredDraft) return null;
+
+    try {
+      const draft = await dashboardService.getDashboardDraft(offeredDraft.dashboardName);
+      draftNameRef.current = offeredDraft.dashboardName;
+      lastSavedJsonRef.current = draft ? draft.jsonFormat : null;
+      setLastSavedAt(draft ? draft.updatedAt : null);
+      return draft ? JSON.parse(draft.jsonFormat) : null;
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'useDashboardDraft.resumeDraft');
+      return null;
+    } finally {
+      holdRef.current = false;
+      setOfferedDraft(null);
+    }
+  }, [offeredDraft]);
+
+  // Throw away the offered draft and start from the current charts
+  const discardDraft = useCallback(async () => {
+    if (!offeredDraft) return;
+
+    try {
+      await dashboardService.deleteDashboardDraft(offeredDraft.dashboardName);
+    } catch (err) {
+      errorUtils.logError(err, 'useDashboardDraft.discardDraft');
+    } finally {
+      holdRef.current = false;
+      setOfferedDraft(null);
+    }
+  }, [offeredDraft]);
+
+  // The work was saved as a dashboard, so its draft is no longer needed. The server drops a
+  // draft with the dashboard's own name; one kept under another name is removed here.
+  const clearDraft = useCallback(async (dashboardName) => {
+    clearTimeout(timerRef.current);
+    const hadDraft = lastSavedJsonRef.current !== null;
+    lastSavedJsonRef.current = null;
+    setLastSavedAt(null);
+
+    if (hadDraft && draftNameRef.current !== dashboardName) {
+      try {
+        await dashboardService.deleteDashboardDraft(draftNameRef.current);
+      } catch (err) {
+        errorUtils.logError(err, 'useDashboardDraft.clearDraft');
+      }
+    }
+    draftNameRef.current = datasetName;
+  }, [datasetName]);
+
+  return {
+    offeredDraft,
+    lastSavedAt,
+    error,
+    scheduleSave,
+    resumeDraft,
+    discardDraft,
+    clearDraft
+  };
+};
+
+// Options a filter control offers: a dropdown's most frequent values, or a range's bounds
+// (in ms for dates; a measure format makes the server read the field as time)
+const loadFilterDomain = async (computation, filter) => {
+  const { field } = filter;
+
+  if (filter.type === 'select') {
+    const countKey = `count_${field}`;
+    const rows = await computation({
+      workflow: [
+        { type: 'view', query: [{ op: 'aggregate', groupBy: [field], measures: [{ field, agg: 'count', asFieldKey: countKey }] }] },
+        { type: 'sort', by: [countKey], sort: 'descending' }
+      ],
+      limit: UI_CONSTANTS.DASHBOARD_FILTERS.OPTION_LIMIT
+    });
+    return { options: rows.map(row => row[field]) };
+  }
+
+  const time = filter.type === 'dateRange' ? { format: '', offset: new Date().getTimezoneOffset() } : {};
+  const [row = {}] = await computation({
+    workflow: [{
+      type: 'view',
+      query: [{
+        op: 'aggregate',
+        groupBy: [],
+        measures: [
+          { field, agg: 'min', asFieldKey: 'min', ...time },
+          { field, agg: 'max', asFieldKey: 'max', ...time }
+        ]
+      }]
+    }]
+  });
+  return { min: row.min ?? null, max: row.max ?? null };
+};
+
+const sameValues = (a, b) => (
+  Object.keys(a).length === Object.keys(b).length && Object.keys(a).every(key => a[key] === b[key])
+);
+
+// Dashboard-level filters: the values chosen in the dashboard's filter controls and the mark
+// clicked on a chart, applied to the charts' computations. sources maps each dataset the
+// charts read to its { computation, fields }; a filter's options come from its own dataset and
+// it applies to every dataset with its field. The chart a mark was clicked on keeps showing
+// all its marks so the selection can be changed or cleared there.
+export const useDashboardFilters = (filters, sources, datasetName) => {
+  const [values, setValues] = useState({});
+  const [selection, setSelection] = useState(null);
+  const [domains, setDomains] = useState({});
+
+  // Controls start at "all" whenever the dashboard or its filters change
+  useEffect(() => {
+    setValues({});
+    setSelection(null);
+  }, [filters, sources]);
+
+  // Load the options of every control
+  useEffect(() => {
+    if (filters.length === 0) {
+      setDomains({});
+      return undefined;
+    }
+
+    let cancelled = false;
+    Promise.all(filters.map(async (filter) => {
+      const source = sources[dashboardUtils.sourceDataset(filter, datasetName)];
+      if (!source) return [filter.id, null];
+
+      try {
+        return [filter.id, await loadFilterDomain(source.computation, filter)];
+      } catch (err) {
+        errorUtils.logError(err, 'useDashboardFilters.loadFilterDomain');
+        return [filter.id, null];
+      }
+    })).then((entries) => {
+      if (!cancelled) setDomains(Object.fromEntries(entries));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, sources, datasetName]);
+
+  // Set a control's value; undefined sets it back to "all"
+  const setValue = useCallback((id, value) => {
+    setValues((prev) => {
+      const { [id]: previous, ...rest } = prev;
+      return value === undefined ? rest : { ...rest, [id]: value };
+    });
+  }, []);
+
+  // Clicking a mark filters the other charts to its values; clicking it again clears it
+  const toggleSelection = useCallback((chartKey, selected) => {
+    setSelection(prev => (
+      prev && prev.chartKey === chartKey && sameValues(prev.values, selected) ? null : { chartKey, values: selected }
+    ));
+  }, []);
+
+  const clearSelection = useCallback(() => setSelection(null), []);
+
+  const clearFilters = useCallback(() => {
+    setValues({});
+    setSelection(null);
+  }, []);
+
+  // Per dataset, the computation with the control filters and with the selection added, and
+  // the filter rules of each; rules on fields a dataset does not have are left out
+  const computations = useMemo(() => {
+    const controlFilters = filterUtils.toVisFilters(filters, values);
+    const selectionFilters = filterUtils.selectionToVisFilters(selection);
+    const withFilters = (computation, visFilters) => (
+      visFilters.length === 0 ? computation : (payload) => computation(addFilterForQuery(payload, visFilters))
+    );
+
+    return Object.fromEntries(Object.entries(sources).map(([name, { computation, fields }]) => {
+      const fids = new Set(fields.map(field => field.fid));
+      const controlRules = controlFilters.filter(rule => fids.has(rule.fid));
+      const selectionRules = selectionFilters.filter(rule => fids.has(rule.fid));
+      const filtered = withFilters(computation, controlRules);
+      return [name, {
+        filtered,
+        selected: withFilters(filtered, selectionRules),
+        rules: { filtered: controlRules, selected: [...controlRules, ...selectionRules] }
+      }];
+    }));
+  }, [sources, filters, values, selection]);
+
+  // Whether a chart (by layout chart key) shows the filtered or the selected data
+  const chartState = useCallback((chartKey) => (
+    selection && selection.chartKey === chartKey ? 'filtered' : 'selected'
+  ), [selection]);
+
+  // The computation one chart (by layout chart key and the dataset it reads) should query
+  const getChartComputation = useCallback((chartKey, chartDatasetName) => {
+    const computation = computations[chartDatasetName];
+    return computation ? computation[chartState(chartKey)] : null;
+  }, [chartState, computations]);
+
+  // The dashboard filter rules applied to one chart's data
+  const getChartFilters = useCallback((chartKey, chartDatasetName) => {
+    const computation = computations[chartDatasetName];
+    return computation ? computation.rules[chartState(chartKey)] : [];
+  }, [chartState, computations]);
+
+  return {
+    values,
+    domains,
+    selection,
+    setValue,
+    toggleSelection,
+    clearSelection,
+    clearFilters,
+    getChartComputation,
+    getChartFilters
+  };
+};
+
 export const useDashboardSave = () => {
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
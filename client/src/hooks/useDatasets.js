@@ -74,7 +74,8 @@ export const useDatasets = () => {
   };
 };
 
-export const useDataset = (datasetName) => {
+// Pass a version to read an earlier version of the dataset's rows
+export const useDataset = (datasetName, version = null) => {
   const [dataset, setDataset] = useState(null);
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -100,14 +101,14 @@ export const useDataset = (datasetName) => {
   }, [datasetName]);
 
   // Load dataset data
-  const loadData = useCallback(async (page = null, limit = null) => {
+  const loadData = useCallback(async (page = null, limit = null, options = {}) => {
     if (!datasetName) return;
     
     setLoading(true);
     setError(null);
     
     try {
-      const datasetData = await datasetService.getDatasetData(datasetName, page, limit);
+      const datasetData = await datasetService.getDatasetData(datasetName, page, limit, { version, ...options });
       setData(datasetData);
       return datasetData;
     } catch (err) {
@@ -118,7 +119,7 @@ export const useDataset = (datasetName) => {
     } finally {
       setLoading(false);
     }
-  }, [datasetName]);
+  }, [datasetName, version]);
 
   // Load dataset on mount or when name changes
   useEffect(() => {
@@ -135,12 +136,56 @@ export const useDataset = (datasetName) => {
   };
 };
 
+export const useDatasetVersions = (datasetName) => {
+  const [versions, setVersions] = useState([]);
+  const [currentVersion, setCurrentVersion] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the dataset's version history
+  const loadVersions = useCallback(async () => {
+    if (!datasetName) {
+      setVersions([]);
+      setCurrentVersion(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await datasetService.getDatasetVersions(datasetName);
+      setVersions(result ? result.versions : []);
+      setCurrentVersion(result ? result.currentVersion : null);
+    } catch (err) {
+      const errorMessage = errorUtils.getErrorMessage(err);
+      setError(errorMessage);
+      errorUtils.logError(err, 'useDatasetVersions.loadVersions');
+    } finally {
+      setLoading(false);
+    }
+  }, [datasetName]);
+
+  // Load versions on mount or when the dataset changes
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  return {
+    versions,
+    currentVersion,
+    loading,
+    error,
+    refreshVersions: loadVersions
+  };
+};
+
 export const useDatasetUpload = () => {
   const [uploading, setUploading] = useState(false);
   const [progress, setProgress] = useState(0);
   const [error, setError] = useState(null);
 
-  const uploadDataset = useCallback(async (file, datasetName) => {
+  const uploadDataset = useCallback(async (file, datasetName, options = {}) => {
     // Validate input
     const validation = datasetService.validateDataset(file, datasetName);
     if (!validation.isValid) {
@@ -158,7 +203,8 @@ export const useDatasetUpload = () => {
         datasetName, 
         (progressPercent) => {
           setProgress(progressPercent);
-        }
+        },
+        options
       );
       
       setProgress(100);
@@ -187,3 +233,164 @@ export const useDatasetUpload = () => {
     resetUpload
   };
 };
+
+// Two-step upload: the file is previewed with inferred column types, then imported with the
+// user's column choices ([{ source, name, type, dateFormat, skip }])
+export const useUploadPreview = () => {
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [committing, setCommitting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+
+  const loadPreview = useCallback(async (file, datasetName, options = {}) => {
+    const validation = datasetService.validateDataset(file, datasetName);
+    if (!validation.isValid) {
+      setError(validation.errors.join(', '));
+      return null;
+    }
+
+    setLoading(true);
+    setProgress(0);
+    setError(null);
+
+    try {
+      const result = await datasetService.previewUpload(file, setProgress, { ...options, datasetName });
+      setPreview(result);
+      return result;
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'useUploadPreview.loadPreview');
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const commitPreview = useCallback(async (datasetName, columns, options = {}) => {
+    if (!preview) return null;
+
+    setCommitting(true);
+    setError(null);
+
+    try {
+      const result = await datasetService.commitUpload(preview.uploadId, datasetName, columns, options);
+      setPreview(null);
+      return result;
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'useUploadPreview.commitPreview');
+      return null;
+    } finally {
+      setCommitting(false);
+    }
+  }, [preview]);
+
+  // Leave the preview; the file held on the server is discarded
+  const discardPreview = useCallback(async () => {
+    if (!preview) return;
+
+    setPreview(null);
+    setError(null);
+    try {
+      await datasetService.discardUpload(preview.uploadId);
+    } catch (err) {
+      errorUtils.logError(err, 'useUploadPreview.discardPreview');
+    }
+  }, [preview]);
+
+  const resetPreview = useCallback(() => {
+    setPreview(null);
+    setLoading(false);
+    setCommitting(false);
+    setProgress(0);
+    setError(null);
+  }, []);
+
+  return {
+    preview,
+    loading,
+    committing,
+    progress,
+    error,
+    loadPreview,
+    commitPreview,
+    discardPreview,
+    resetPreview
+  };
+};
+
+export const useWorkbookSheets = () => {
+  const [sheets, setSheets] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSheets = useCallback(async (file) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const workbookSheets = await datasetService.getWorkbookSheets(file);
+      setSheets(workbookSheets);
+      return workbookSheets;
+    } catch (err) {
+      setSheets([]);
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'useWorkbookSheets.loadSheets');
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const resetSheets = useCallback(() => {
+    setSheets([]);
+    setLoading(false);
+    setError(null);
+  }, []);
+
+  return {
+    sheets,
+    loading,
+    error,
+    loadSheets,
+    resetSheets
+  };
+};
+
+export const useCsvFormat = () => {
+  const [detection, setDetection] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const detectFormat = useCallback(async (file, overrides = {}) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await datasetService.detectCsvFormat(file, overrides);
+      setDetection(result);
+      return result;
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+      errorUtils.logError(err, 'useCsvFormat.detectFormat');
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const resetFormat = useCallback(() => {
+    setDetection(null);
+    setLoading(false);
+    setError(null);
+  }, []);
+
+  return {
+    detection,
+    loading,
+    error,
+    detectFormat,
+    resetFormat
+  };
+};
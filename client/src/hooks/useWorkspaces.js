@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback } from 'react';
+import workspaceService from '../services/workspaceService';
+import { errorUtils } from '../utils/helpers';
+
+export const useWorkspaces = () => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load all workspaces
+  const loadWorkspaces = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await workspaceService.getWorkspaces();
+      setWorkspaces(data);
+    } catch (err) {
+      const errorMessage = errorUtils.getErrorMessage(err);
+      setError(errorMessage);
+      errorUtils.logError(err, 'useWorkspaces.loadWorkspaces');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Load workspaces on mount
+  useEffect(() => {
+    loadWorkspaces();
+  }, [loadWorkspaces]);
+
+  return {
+    workspaces,
+    loading,
+    error,
+    refreshWorkspaces: loadWorkspaces
+  };
+};
+
+export const useWorkspace = (workspaceId) => {
+  const [workspace, setWorkspace] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load workspace details and members
+  const loadWorkspace = useCallback(async () => {
+    if (!workspaceId) {
+      setWorkspace(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await workspaceService.getWorkspaceById(workspaceId);
+      setWorkspace(data);
+    } catch (err) {
+      const errorMessage = errorUtils.getErrorMessage(err);
+      setError(errorMessage);
+      errorUtils.logError(err, 'useWorkspace.loadWorkspace');
+    } finally {
+      setLoading(false);
+    }
+  }, [workspaceId]);
+
+  // Load workspace on mount or when the id changes
+  useEffect(() => {
+    loadWorkspace();
+  }, [loadWorkspace]);
+
+  return {
+    workspace,
+    loading,
+    error,
+    refreshWorkspace: loadWorkspace
+  };
+};
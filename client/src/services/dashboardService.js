@@ -26,6 +26,91 @@ class DashboardService {
     return response.success;
   }
 
+  // List a dashboard's revisions, newest first, with the charts each one changed
+  async getDashboardRevisions(name) {
+    const response = await api.get(ENDPOINTS.DASHBOARD_REVISIONS(name));
+    return response.success ? { revisions: response.data, currentRevision: response.currentRevision } : null;
+  }
+
+  // Get one revision with its chart specs, optionally diffed against another revision
+  async getDashboardRevision(name, revision, compareTo = null) {
+    const params = compareTo ? { compareTo } : {};
+    const response = await api.get(ENDPOINTS.DASHBOARD_REVISION(name, revision), params);
+    return response.success ? response.data : null;
+  }
+
+  // Restore an earlier revision; returns the saved dashboard
+  async restoreDashboardRevision(name, revision) {
+    const response = await api.post(ENDPOINTS.DASHBOARD_REVISION_RESTORE(name, revision));
+    return response.success ? response.data : null;
+  }
+
+  // Save the grid layout of a dashboard's tiles (null resets it); returns the saved dashboard
+  async updateDashboardLayout(name, layout) {
+    const response = await api.put(ENDPOINTS.DASHBOARD_LAYOUT(name), { layout });
+    return response.success ? response.data : null;
+  }
+
+  // Save the filter controls shown above a dashboard's charts; returns the saved dashboard
+  async updateDashboardFilters(name, filters) {
+    const response = await api.put(ENDPOINTS.DASHBOARD_FILTERS(name), { filters });
+    return response.success ? response.data : null;
+  }
+
+  // List the user's unsaved drafts, most recent first (only those on one dataset when it is given)
+  async getDashboardDrafts(datasetName = null) {
+    const params = datasetName ? { datasetName } : {};
+    const response = await api.get(ENDPOINTS.DASHBOARD_DRAFTS, params);
+    return response.success ? response.data : [];
+  }
+
+  // Get the user's draft of a dashboard
+  async getDashboardDraft(name) {
+    const response = await api.get(ENDPOINTS.DASHBOARD_DRAFT(name));
+    return response.success ? response.data : null;
+  }
+
+  // Autosave unsaved work ({ datasetName, jsonFormat }) as the user's draft of a dashboard
+  async saveDashboardDraft(name, draft) {
+    const response = await api.put(ENDPOINTS.DASHBOARD_DRAFT(name), draft);
+    return response.success ? response.data : null;
+  }
+
+  // Discard the user's draft of a dashboard
+  async deleteDashboardDraft(name) {
+    const response = await api.delete(ENDPOINTS.DASHBOARD_DRAFT(name));
+    return response.success;
+  }
+
+  // Download a dashboard drawn by the server as a PNG, SVG or PDF file; resolves to a Blob
+  async exportDashboard(name, format) {
+    return api.download(ENDPOINTS.DASHBOARD_EXPORT(name), {
+      format,
+      timezoneOffset: new Date().getTimezoneOffset()
+    });
+  }
+
+  // List a dashboard's share links, newest first
+  async getDashboardShares(name) {
+    const response = await api.get(ENDPOINTS.DASHBOARD_SHARES(name));
+    return response.success ? response.data : [];
+  }
+
+  // Create a share link, optionally expiring or needing a password; returns the link
+  async createDashboardShare(name, { expiresAt = null, password = '' } = {}) {
+    const response = await api.post(ENDPOINTS.DASHBOARD_SHARES(name), {
+      ...(expiresAt ? { expiresAt } : {}),
+      ...(password ? { password } : {})
+    });
+    return response.success ? response.data : null;
+  }
+
+  // Revoke a share link
+  async deleteDashboardShare(name, shareId) {
+    const response = await api.delete(ENDPOINTS.DASHBOARD_SHARE(name, shareId));
+    return response.success;
+  }
+
   // Get dashboard statistics
   async getDashboardStats() {
     const response = await api.get(ENDPOINTS.DASHBOARD_STATS);
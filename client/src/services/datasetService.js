@@ -1,5 +1,28 @@
 import { api } from '../utils/api';
 import { ENDPOINTS } from '../constants/api';
+import { UI_CONSTANTS } from '../constants';
+
+// Add the CSV format overrides that are set to an upload form
+const appendCsvFormat = (formData, csvFormat = {}) => {
+  ['delimiter', 'quote', 'encoding'].forEach(key => {
+    if (csvFormat && csvFormat[key]) {
+      formData.append(key, csvFormat[key]);
+    }
+  });
+};
+
+// Add the upload mode, workbook sheet, header row and CSV format choices to an upload form
+const appendUploadOptions = (formData, options = {}) => {
+  ['datasetName', 'mode', 'keyColumn', 'sheetName'].forEach(key => {
+    if (options[key]) {
+      formData.append(key, options[key]);
+    }
+  });
+  if (options.headerRow) {
+    formData.append('headerRow', String(options.headerRow));
+  }
+  appendCsvFormat(formData, options.csvFormat);
+};
 
 class DatasetService {
   // Get all datasets
@@ -14,16 +37,58 @@ class DatasetService {
     return response.success ? response.data : null;
   }
 
-  // Get dataset data with optional pagination
-  async getDatasetData(name, page = null, limit = null) {
+  // Get dataset data with optional pagination, field filters, sorting and an earlier version
+  async getDatasetData(name, page = null, limit = null, { filters = {}, sortBy = null, sortOrder = null, version = null } = {}) {
     const params = {};
     if (page !== null) params.page = page;
     if (limit !== null) params.limit = limit;
+    if (sortBy) params.sortBy = sortBy;
+    if (sortOrder) params.sortOrder = sortOrder;
+    if (version) params.version = version;
+    Object.entries(filters).forEach(([field, value]) => {
+      params[`filter[${field}]`] = value;
+    });
     
     const response = await api.get(ENDPOINTS.DATASET_DATA(name), params);
     return response.success ? response.data : null;
   }
 
+  // Run a Graphic Walker computation payload on the server (on an earlier version when given)
+  async queryDataset(name, payload, version = null) {
+    const response = await api.post(ENDPOINTS.DATASET_QUERY(name), {
+      ...payload,
+      ...(version ? { version } : {}),
+      timezoneOffset: new Date().getTimezoneOffset()
+    });
+    return response.success ? response.data : [];
+  }
+
+  // Download a dataset's rows as CSV, Excel or NDJSON, optionally filtered, sorted or at an
+  // earlier version (the options of getDatasetData); resolves to a Blob
+  async exportDataset(name, format, { filters = {}, sortBy = null, sortOrder = null, version = null } = {}) {
+    const params = { format };
+    if (sortBy) params.sortBy = sortBy;
+    if (sortOrder) params.sortOrder = sortOrder;
+    if (version) params.version = version;
+    Object.entries(filters).forEach(([field, value]) => {
+      params[`filter[${field}]`] = value;
+    });
+
+    return api.download(ENDPOINTS.DATASET_EXPORT(name), params);
+  }
+
+  // Download the rows a Graphic Walker chart spec shows, with extra filter rules (a dashboard's)
+  // applied first; resolves to a Blob
+  async exportChartData(name, format, chart, { filters = [], version = null } = {}) {
+    return api.download(ENDPOINTS.DATASET_EXPORT(name), {}, {
+      format,
+      chart,
+      filters,
+      ...(version ? { version } : {}),
+      timezoneOffset: new Date().getTimezoneOffset()
+    });
+  }
+
   // Get dataset file information
   async getDatasetInfo(name) {
     const response = await api.get(ENDPOINTS.DATASET_INFO(name));
@@ -36,16 +101,127 @@ class DatasetService {
     return response.success ? response.data : null;
   }
 
-  // Upload dataset file
-  async uploadDataset(file, datasetName, onProgress = null) {
+  // Upload dataset file (workbooks can pass { sheetName, headerRow } to pick the data;
+  // CSV files can pass { csvFormat: { delimiter, quote, encoding } } to override detection;
+  // { mode: 'replace' | 'append' | 'upsert', keyColumn } updates the existing dataset)
+  async uploadDataset(file, datasetName, onProgress = null, options = {}) {
     const formData = new FormData();
     formData.append('file', file);
-    formData.append('datasetName', datasetName);
+    appendUploadOptions(formData, { ...options, datasetName });
     
     const response = await api.upload(ENDPOINTS.DATASET_UPLOAD, formData, onProgress);
     return response.success ? response.data : null;
   }
 
+  // Upload a file to be previewed before import (same options as uploadDataset, plus the
+  // datasetName being updated); the server holds it and returns an uploadId with the first
+  // rows and the inferred column types
+  async previewUpload(file, onProgress = null, options = {}) {
+    const formData = new FormData();
+    formData.append('file', file);
+    appendUploadOptions(formData, options);
+
+    const response = await api.upload(ENDPOINTS.DATASET_UPLOAD_PREVIEW, formData, onProgress);
+    return response.success ? response.data : null;
+  }
+
+  // Import a previewed upload; columns is [{ source, name, type, dateFormat, skip }] and
+  // options is { mode, keyColumn } as for uploadDataset
+  async commitUpload(uploadId, datasetName, columns = [], options = {}) {
+    const response = await api.post(ENDPOINTS.DATASET_UPLOAD_COMMIT(uploadId), {
+      datasetName,
+      columns,
+      mode: options.mode || 'create',
+      keyColumn: options.keyColumn || undefined
+    });
+    return response.success ? response.data : null;
+  }
+
+  // Discard a previewed upload without importing it
+  async discardUpload(uploadId) {
+    const response = await api.delete(ENDPOINTS.DATASET_UPLOAD_BY_ID(uploadId));
+    return response.success;
+  }
+
+  // Detect a CSV file's delimiter, quote and encoding from its first bytes, with a preview
+  async detectCsvFormat(file, overrides = {}) {
+    const sample = new File([file.slice(0, UI_CONSTANTS.FILE_UPLOAD.CSV_SNIFF_BYTES)], file.name, { type: file.type });
+    const formData = new FormData();
+    formData.append('file', sample);
+    appendCsvFormat(formData, overrides);
+
+    const response = await api.upload(ENDPOINTS.DATASET_UPLOAD_CSV_FORMAT, formData);
+    return response.success ? response.data : null;
+  }
+
+  // List the sheets of an Excel workbook with a preview of their first rows
+  async getWorkbookSheets(file) {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    const response = await api.upload(ENDPOINTS.DATASET_UPLOAD_SHEETS, formData);
+    return response.success ? response.data.sheets : [];
+  }
+
+  // Share dataset with a workspace (null makes it private again)
+  async setDatasetWorkspace(name, workspaceId) {
+    const response = await api.put(ENDPOINTS.DATASET_WORKSPACE(name), { workspaceId });
+    return response.success ? response.data : null;
+  }
+
+  // Replace a dataset's calculated fields ([{ name, expression }]); returns the updated dataset
+  async updateCalculatedFields(name, calculatedFields) {
+    const response = await api.put(ENDPOINTS.DATASET_CALCULATED_FIELDS(name), { calculatedFields });
+    return response.success ? response.data : null;
+  }
+
+  // Replace a dataset's field metadata ({ [fieldName]: { displayName, description, semanticType,
+  // analyticType, numberFormat, dateFormat, unit, sortOrder } }); returns the updated dataset
+  async updateFieldMetadata(name, fieldMetadata) {
+    const response = await api.put(ENDPOINTS.DATASET_FIELD_METADATA(name), { fieldMetadata });
+    return response.success ? response.data : null;
+  }
+
+  // Create a dataset joining or stacking other datasets ({ datasetName, workspaceId, type,
+  // sources, joinType, keys, sourceColumn }); returns the new dataset
+  async createDerivedDataset(definition) {
+    const response = await api.post(ENDPOINTS.DATASET_DERIVED, definition);
+    return response.success ? response.data : null;
+  }
+
+  // Run a read-only SQL query in which each dataset is a table named after it. Returns
+  // { rows, columns, truncated, sources } with at most limit rows (the server's cap by default)
+  async runSqlQuery(sql, limit = null) {
+    const response = await api.post(ENDPOINTS.QUERY, limit ? { sql, limit } : { sql });
+    return response.success
+      ? { rows: response.data, columns: response.columns, truncated: response.truncated, sources: response.sources }
+      : null;
+  }
+
+  // Get the sources of a dataset and the datasets derived from it
+  async getDatasetLineage(name) {
+    const response = await api.get(ENDPOINTS.DATASET_LINEAGE(name));
+    return response.success ? response.data : null;
+  }
+
+  // Recompute a derived dataset from its sources; returns the refreshed dataset
+  async refreshDerivedDataset(name) {
+    const response = await api.post(ENDPOINTS.DATASET_REFRESH(name));
+    return response.success ? response.data : null;
+  }
+
+  // List the versions of a dataset's rows, newest first
+  async getDatasetVersions(name) {
+    const response = await api.get(ENDPOINTS.DATASET_VERSIONS(name));
+    return response.success ? { versions: response.data, currentVersion: response.currentVersion } : null;
+  }
+
+  // Restore an earlier version; returns the dataset with the restored rows
+  async restoreDatasetVersion(name, version) {
+    const response = await api.post(ENDPOINTS.DATASET_VERSION_RESTORE(name, version));
+    return response.success ? response.data : null;
+  }
+
   // Delete dataset
   async deleteDataset(name) {
     const response = await api.delete(ENDPOINTS.DATASET_BY_NAME(name));
@@ -90,10 +266,10 @@ class DatasetService {
       errors.push('No file selected');
     } else {
       // Check file type
-      const allowedTypes = ['.csv'];
+      const allowedTypes = UI_CONSTANTS.FILE_UPLOAD.ACCEPTED_TYPES;
       const fileExtension = '.' + file.name.split('.').pop().toLowerCase();
       if (!allowedTypes.includes(fileExtension)) {
-        errors.push('Only CSV files are allowed');
+        errors.push(`Only ${allowedTypes.join(', ')} files are allowed`);
       }
       
       // Check file size (50MB limit)
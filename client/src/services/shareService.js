@@ -0,0 +1,77 @@
+import { api } from '../utils/api';
+import { ENDPOINTS } from '../constants/api';
+
+// Header carrying the access token given for a share link's password
+const SHARE_ACCESS_HEADER = 'X-Share-Access';
+
+const accessKey = (token) => `gw_share_access_${token}`;
+
+class ShareService {
+  // The access token of an unlocked share link, kept for the browser tab's session
+  getAccessToken(token) {
+    return sessionStorage.getItem(accessKey(token));
+  }
+
+  accessConfig(token) {
+    const accessToken = this.getAccessToken(token);
+    return accessToken ? { headers: { [SHARE_ACCESS_HEADER]: accessToken } } : {};
+  }
+
+  // Open a shared dashboard; dashboard is null while the link still needs its password
+  async getSharedDashboard(token) {
+    const response = await api.get(ENDPOINTS.SHARE(token), {}, this.accessConfig(token));
+    return response.success ? response.data : null;
+  }
+
+  // Give a share link's password; later requests for the link send the access token it unlocks
+  async unlockShare(token, password) {
+    const response = await api.post(ENDPOINTS.SHARE_ACCESS(token), { password });
+    if (response.success && response.data.accessToken) {
+      sessionStorage.setItem(accessKey(token), response.data.accessToken);
+    }
+    return response.success;
+  }
+
+  // Get a page of rows of one of the shared dashboard's datasets
+  async getDatasetData(token, name, page = null, limit = null) {
+    const params = {};
+    if (page !== null) params.page = page;
+    if (limit !== null) params.limit = limit;
+
+    const response = await api.get(ENDPOINTS.SHARE_DATASET_DATA(token, name), params, this.accessConfig(token));
+    return response.success ? response.data : null;
+  }
+
+  // Run a Graphic Walker computation query on one of the shared dashboard's datasets
+  async queryDataset(token, name, payload) {
+    const response = await api.post(ENDPOINTS.SHARE_DATASET_QUERY(token, name), {
+      ...payload,
+      timezoneOffset: new Date().getTimezoneOffset()
+    }, this.accessConfig(token));
+    return response.success ? response.data : [];
+  }
+
+  // Data source for MultipleChartsRenderer that reads through a share link. The server
+  // decides which dataset version is read, so the version the renderer asks for is ignored.
+  createDataSource(token) {
+    return {
+      getDatasetData: (name, page, limit) => this.getDatasetData(token, name, page, limit),
+      queryDataset: (name, payload) => this.queryDataset(token, name, payload)
+    };
+  }
+
+  // Address of the page showing a shared dashboard
+  getShareUrl(token) {
+    return `${window.location.origin}/share/${encodeURIComponent(token)}`;
+  }
+
+  // HTML that embeds a shared dashboard in another site
+  getEmbedCode(token) {
+    const url = `${window.location.origin}/embed/${encodeURIComponent(token)}`;
+    return `<iframe src="${url}" width="100%" height="600" style="border:0" title="Dashboard"></iframe>`;
+  }
+}
+
+const shareService = new ShareService();
+
+export default shareService;
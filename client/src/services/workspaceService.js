@@ -0,0 +1,44 @@
+import { api } from '../utils/api';
+import { ENDPOINTS } from '../constants/api';
+
+class WorkspaceService {
+  // Get workspaces the current user belongs to
+  async getWorkspaces() {
+    const response = await api.get(ENDPOINTS.WORKSPACES);
+    return response.success ? response.data : [];
+  }
+
+  // Get workspace with its members
+  async getWorkspaceById(id) {
+    const response = await api.get(ENDPOINTS.WORKSPACE_BY_ID(id));
+    return response.success ? response.data : null;
+  }
+
+  // Create workspace
+  async createWorkspace(name) {
+    const response = await api.post(ENDPOINTS.WORKSPACES, { name: name.trim() });
+    return response.success ? response.data : null;
+  }
+
+  // Delete workspace
+  async deleteWorkspace(id) {
+    const response = await api.delete(ENDPOINTS.WORKSPACE_BY_ID(id));
+    return response.success;
+  }
+
+  // Add a member or change their role
+  async setMember(id, email, role) {
+    const response = await api.put(ENDPOINTS.WORKSPACE_MEMBERS(id), { email: email.trim(), role });
+    return response.success ? response.data : [];
+  }
+
+  // Remove a member
+  async removeMember(id, userId) {
+    const response = await api.delete(ENDPOINTS.WORKSPACE_MEMBER(id, userId));
+    return response.success;
+  }
+}
+
+const workspaceService = new WorkspaceService();
+
+export default workspaceService;
@@ -14,6 +14,12 @@ const apiClient = axios.create({
 // Request interceptor
 apiClient.interceptors.request.use(
   (config) => {
+    // Add authorization header so the server can scope data to the user
+    const token = localStorage.getItem('authToken');
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+
     // Add timestamp to prevent caching
     if (config.method === 'get') {
       config.params = {
@@ -65,7 +71,7 @@ apiClient.interceptors.response.use(
           error.message = ERROR_MESSAGES.UNAUTHORIZED;
           break;
         case 403:
-          error.message = ERROR_MESSAGES.FORBIDDEN;
+          error.message = data?.message || ERROR_MESSAGES.FORBIDDEN;
           break;
         case 404:
           error.message = ERROR_MESSAGES.NOT_FOUND;
@@ -90,10 +96,10 @@ apiClient.interceptors.response.use(
 
 // API utility functions
 export const api = {
-  // Generic GET request
-  get: async (url, params = {}) => {
+  // Generic GET request (config adds request options such as extra headers)
+  get: async (url, params = {}, config = {}) => {
     try {
-      const response = await apiClient.get(url, { params });
+      const response = await apiClient.get(url, { ...config, params });
       return response.data;
     } catch (error) {
       throw new Error(error.message || ERROR_MESSAGES.FETCH_FAILED);
@@ -101,9 +107,9 @@ export const api = {
   },
 
   // Generic POST request
-  post: async (url, data = {}) => {
+  post: async (url, data = {}, config = {}) => {
     try {
-      const response = await apiClient.post(url, data);
+      const response = await apiClient.post(url, data, config);
       return response.data;
     } catch (error) {
       throw new Error(error.message || ERROR_MESSAGES.SAVE_FAILED);
@@ -130,6 +136,18 @@ export const api = {
     }
   },
 
+  // GET a file (or POST data for one when given); resolves to a Blob
+  download: async (url, params = {}, data = null) => {
+    try {
+      const response = data
+        ? await apiClient.post(url, data, { params, responseType: 'blob' })
+        : await apiClient.get(url, { params, responseType: 'blob' });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.message || ERROR_MESSAGES.FETCH_FAILED);
+    }
+  },
+
   // File upload with progress tracking
   upload: async (url, formData, onProgress = null) => {
     try {
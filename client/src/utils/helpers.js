@@ -1,4 +1,4 @@
-import { UI_CONSTANTS, DATA_CONSTANTS } from '../constants';
+import { UI_CONSTANTS, DATA_CONSTANTS, WORKSPACE_ROLES, PERSONAL_WORKSPACE_LABEL } from '../constants';
 
 // File utilities
 export const fileUtils = {
@@ -27,6 +27,18 @@ export const fileUtils = {
   // Get file extension
   getFileExtension: (filename) => {
     return filename.slice((filename.lastIndexOf('.') - 1 >>> 0) + 2);
+  },
+
+  // Save a Blob as a file through the browser's downloads
+  saveBlob: (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
   }
 };
 
@@ -61,8 +73,11 @@ export const dataUtils = {
     return DATA_CONSTANTS.FIELD_TYPES.NOMINAL;
   },
 
-  // Convert CSV data to GraphicWalker format
-  convertToGraphicWalkerFormat: (data) => {
+  // Convert CSV data to GraphicWalker format. A field's field metadata (set by the dataset's
+  // editors) decides its name and types; otherwise columns given a type at import
+  // (rowColumns[].fieldType) and calculated fields use their type, and the others are
+  // detected from the data.
+  convertToGraphicWalkerFormat: (data, rowColumns = [], calculatedFields = [], fieldMetadata = {}) => {
     if (!data || data.length === 0) return { dataSource: [], fields: [] };
     
     const dataSource = data.map((row, index) => ({
@@ -70,15 +85,25 @@ export const dataUtils = {
       __id: index
     }));
     
+    const importedTypes = {};
+    (rowColumns || []).forEach(column => {
+      if (column.fieldType) {
+        importedTypes[column.name] = DATA_CONSTANTS.IMPORTED_FIELD_TYPES[column.fieldType];
+      }
+    });
+    (calculatedFields || []).forEach(field => {
+      importedTypes[field.name] = DATA_CONSTANTS.IMPORTED_FIELD_TYPES[field.type];
+    });
+    
     const fields = Object.keys(data[0]).map(key => {
-      const values = data.map(row => row[key]);
-      const fieldType = dataUtils.detectFieldType(values);
+      const metadata = (fieldMetadata || {})[key] || {};
+      const fieldType = metadata.semanticType || importedTypes[key] || dataUtils.detectFieldType(data.map(row => row[key]));
       
       return {
         fid: key,
-        name: key,
+        name: metadata.displayName || key,
         semanticType: fieldType,
-        analyticType: fieldType === DATA_CONSTANTS.FIELD_TYPES.QUANTITATIVE ? 'measure' : 'dimension'
+        analyticType: metadata.analyticType || (fieldType === DATA_CONSTANTS.FIELD_TYPES.QUANTITATIVE ? 'measure' : 'dimension')
       };
     });
     
@@ -244,6 +269,188 @@ export const storageUtils = {
   }
 };
 
+// Workspace utilities
+export const workspaceUtils = {
+  // Group datasets or dashboards by workspace, personal items first
+  groupByWorkspace: (items) => {
+    const groups = new Map();
+
+    items.forEach((item) => {
+      const key = item.workspaceId || null;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          workspaceId: key,
+          name: key ? (item.workspaceName || 'Workspace') : PERSONAL_WORKSPACE_LABEL,
+          items: []
+        });
+      }
+      groups.get(key).items.push(item);
+    });
+
+    return Array.from(groups.values()).sort((a, b) => {
+      if (!a.workspaceId) return -1;
+      if (!b.workspaceId) return 1;
+      return a.name.localeCompare(b.name);
+    });
+  },
+
+  // Items without a resolved role are treated as editable; the server enforces the real check
+  canEdit: (role) => !role || role === WORKSPACE_ROLES.EDITOR || role === WORKSPACE_ROLES.OWNER,
+
+  isOwner: (role) => !role || role === WORKSPACE_ROLES.OWNER
+};
+
+// Dashboard layout utilities (tiles are { id, type, chartId | content, title, x, y, w, h } in grid cells)
+const { DASHBOARD_LAYOUT } = UI_CONSTANTS;
+
+const tilesOverlap = (a, b) => (
+  a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h
+);
+
+const byReadingOrder = (a, b) => a.y - b.y || a.x - b.x;
+
+export const layoutUtils = {
+  // Charts are keyed by their Graphic Walker visId, or by position when they have none
+  chartKey: (chart, index) => (chart && chart.visId ? String(chart.visId) : `#${index}`),
+
+  // First row below every tile
+  getBottom: (items) => items.reduce((bottom, item) => Math.max(bottom, item.y + item.h), 0),
+
+  // Two charts to a row (one full-width chart on its own), as dashboards showed before layouts
+  buildDefaultLayout: (charts) => {
+    const { w, h } = DASHBOARD_LAYOUT.CHART_SIZE;
+    const width = charts.length === 1 ? DASHBOARD_LAYOUT.COLUMNS : w;
+    const perRow = DASHBOARD_LAYOUT.COLUMNS / width;
+
+    return charts.map((chart, index) => {
+      const chartId = layoutUtils.chartKey(chart, index);
+      return {
+        id: `chart-${chartId}`,
+        type: 'chart',
+        chartId,
+        x: (index % perRow) * width,
+        y: Math.floor(index / perRow) * h,
+        w: width,
+        h
+      };
+    });
+  },
+
+  // Fit a saved layout to the dashboard's current charts: tiles of removed charts are dropped
+  // and charts without a tile are added below the rest
+  reconcileLayout: (layout, charts) => {
+    if (!layout || !Array.isArray(layout.items)) {
+      return layoutUtils.buildDefaultLayout(charts);
+    }
+
+    const keys = charts.map((chart, index) => layoutUtils.chartKey(chart, index));
+    const items = layout.items.filter(item => item.type !== 'chart' || keys.includes(item.chartId));
+    const placed = new Set(items.map(item => item.chartId));
+    let bottom = layoutUtils.getBottom(items);
+
+    keys.forEach((chartId) => {
+      if (placed.has(chartId)) return;
+      items.push({ id: `chart-${chartId}`, type: 'chart', chartId, x: 0, y: bottom, ...DASHBOARD_LAYOUT.CHART_SIZE });
+      bottom += DASHBOARD_LAYOUT.CHART_SIZE.h;
+    });
+
+    return items;
+  },
+
+  // Move every tile up as far as it goes without overlapping another. The active tile (being
+  // dragged or resized) keeps its place and the others flow around it.
+  settleLayout: (items, activeId = null) => {
+    const active = items.find(item => item.id === activeId);
+    const settled = active ? [active] : [];
+
+    items
+      .filter(item => item !== active)
+      .sort(byReadingOrder)
+      .forEach((item) => {
+        const tile = { ...item, y: 0 };
+        while (settled.some(other => tilesOverlap(other, tile))) {
+          tile.y += 1;
+        }
+        settled.push(tile);
+      });
+
+    return items.map(item => settled.find(tile => tile.id === item.id));
+  },
+
+  // Tiles flow in reading order on smaller screens
+  readingOrder: (items) => [...items].sort(byReadingOrder),
+
+  // Column span of a tile on a screen size: half or full width on tablets, full width on phones
+  responsiveWidth: (item, breakpoint) => {
+    if (breakpoint === 'mobile') return DASHBOARD_LAYOUT.COLUMNS;
+    if (breakpoint === 'tablet') return item.w <= DASHBOARD_LAYOUT.COLUMNS / 2 ? DASHBOARD_LAYOUT.COLUMNS / 2 : DASHBOARD_LAYOUT.COLUMNS;
+    return item.w;
+  }
+};
+
+// Dashboard dataset utilities: a chart (or filter) may name the dataset it reads; one that
+// does not reads the dashboard's own dataset
+export const dashboardUtils = {
+  sourceDataset: (item, datasetName) => (item && item.datasetName ? item.datasetName : datasetName),
+
+  // Every dataset a dashboard's charts read, its own first
+  datasetNames: (charts, datasetName) => [
+    ...new Set([datasetName, ...charts.map(chart => dashboardUtils.sourceDataset(chart, datasetName))])
+  ],
+
+  // A dashboard's charts with charts designed on a dataset added after them; charts from a
+  // dataset other than the dashboard's own are marked with it
+  appendCharts: (dashboardCharts, dashboardDatasetName, charts, datasetName) => [
+    ...dashboardCharts,
+    ...charts.map(chart => (datasetName === dashboardDatasetName ? chart : { ...chart, datasetName }))
+  ]
+};
+
+// Dashboard filter utilities (filters are { id, type: 'select'|'range'|'dateRange', field, label };
+// a select's value is the chosen option, a range's [min, max] and a date range's [start, end] in ms)
+export const filterUtils = {
+  // The control that suits a field: date ranges for dates, sliders for numbers, dropdowns otherwise
+  defaultType: (field) => {
+    if (field.semanticType === DATA_CONSTANTS.FIELD_TYPES.TEMPORAL) return 'dateRange';
+    if (field.semanticType === DATA_CONSTANTS.FIELD_TYPES.QUANTITATIVE) return 'range';
+    return 'select';
+  },
+
+  // Graphic Walker filter rules for the controls that are set; controls left at "all" add none
+  toVisFilters: (filters, values) => filters.flatMap((filter) => {
+    const value = values[filter.id];
+    if (value === undefined) return [];
+
+    switch (filter.type) {
+      case 'select':
+        return [{ fid: filter.field, rule: { type: 'one of', value: [value] } }];
+      case 'range':
+        return [{ fid: filter.field, rule: { type: 'range', value } }];
+      case 'dateRange':
+        if (value[0] === null && value[1] === null) return [];
+        return [{ fid: filter.field, rule: { type: 'temporal range', value, offset: new Date().getTimezoneOffset() } }];
+      default:
+        return [];
+    }
+  }),
+
+  // Filter rules for a mark clicked on a chart ({ field: value })
+  selectionToVisFilters: (selection) => (selection
+    ? Object.entries(selection.values).map(([fid, value]) => ({ fid, rule: { type: 'one of', value: [value] } }))
+    : []),
+
+  // Date input values (YYYY-MM-DD) to and from timestamps; an end date covers the whole day
+  dateInputToTime: (value, endOfDay = false) => (
+    value ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).getTime() : null
+  ),
+  timeToDateInput: (time) => {
+    if (time === null || time === undefined || !Number.isFinite(time)) return '';
+    const date = new Date(time);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+};
+
 // Error handling utilities
 export const errorUtils = {
   // Extract error message
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+// Schema migration CLI
+//
+//   npm run migrate                   show applied and pending migrations
+//   npm run migrate up [version]      apply pending migrations (up to version)
+//   npm run migrate down [steps]      roll back the last migration (or the last <steps>)
+//   npm run migrate down --to <n>     roll back every migration above version n
+
+const config = require('../src/config');
+
+// Migrations run here explicitly, not as a side effect of opening the database
+config.database.autoMigrate = false;
+
+const sqliteService = require('../src/services/sqliteService');
+
+const USAGE = `Usage: npm run migrate [status | up [version] | down [steps] | down --to <version>]`;
+
+// Parse a non-negative integer argument, or fail with the usage text
+const parseNumber = (value, label) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Invalid ${label} '${value}'\n${USAGE}`);
+  }
+  return number;
+};
+
+const formatMigration = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+const printStatus = (status) => {
+  console.log(`Database: ${config.database.path}`);
+  console.log(`Current version: ${status.currentVersion}\n`);
+
+  status.migrations.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+    const reversible = migration.reversible ? '' : ' (irreversible)';
+    console.log(`  [${migration.applied ? 'x' : ' '}] ${formatMigration(migration)}  ${state}${reversible}`);
+  });
+
+  status.missing.forEach(migration => {
+    console.log(`  [?] ${formatMigration(migration)}  applied ${migration.appliedAt}, file missing`);
+  });
+
+  console.log(`\n${status.pending.length} pending migration(s)`);
+};
+
+const run = async (command = 'status', args = []) => {
+  switch (command) {
+    case 'status': {
+      printStatus(await sqliteService.getSchemaStatus());
+      break;
+    }
+    case 'up': {
+      const options = args[0] !== undefined ? { to: parseNumber(args[0], 'version') } : {};
+      const result = await sqliteService.migrateSchema(options);
+      result.applied.forEach(migration => console.log(`Applied ${formatMigration(migration)}`));
+      console.log(result.applied.length > 0
+        ? `Schema is now at version ${result.currentVersion}`
+        : `Nothing to apply, schema is at version ${result.currentVersion}`);
+      break;
+    }
+    case 'down': {
+      const options = args[0] === '--to'
+        ? { to: parseNumber(args[1], 'version') }
+        : { steps: args[0] !== undefined ? parseNumber(args[0], 'steps') : 1 };
+      const result = await sqliteService.rollbackSchema(options);
+      result.rolledBack.forEach(migration => console.log(`Rolled back ${formatMigration(migration)}`));
+      console.log(`Schema is now at version ${result.currentVersion}`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command '${command}'\n${USAGE}`);
+  }
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+run(command, args)
+  .then(() => {
+    sqliteService.close();
+  })
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
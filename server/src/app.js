@@ -8,6 +8,7 @@ const config = require('./config');
 const logger = require('./utils/logger');
 const requestLogger = require('./middleware/requestLogger');
 const errorHandler = require('./middleware/errorHandler');
+const { denyFraming } = require('./middleware/framePolicy');
 const routes = require('./routes');
 
 class App {
@@ -39,13 +40,13 @@ class App {
       limit: config.upload.maxSize 
     }));
 
-    // Security headers
+    // Security headers (framing is denied unless a route allows it, see middleware/framePolicy)
     this.app.use((req, res, next) => {
       res.header('X-Content-Type-Options', 'nosniff');
-      res.header('X-Frame-Options', 'DENY');
       res.header('X-XSS-Protection', '1; mode=block');
       next();
     });
+    this.app.use(denyFraming);
 
     logger.info('Middleware configured successfully');
   }
@@ -69,19 +70,31 @@ class App {
       logger.info('Running database migrations...');
       const sqliteService = require('./services/sqliteService');
       
-      // Run CSV to JSON migration
-      const migrationResult = await sqliteService.migrateCsvToJson();
-      
-      if (migrationResult.success) {
-        if (migrationResult.migratedCount > 0) {
-          logger.info('Database migration completed successfully', {
-            totalDatasets: migrationResult.totalDatasets,
-            migratedCount: migrationResult.migratedCount
+      // Apply pending schema migrations from src/migrations (tracked in schema_migrations)
+      if (config.database.autoMigrate) {
+        const schemaResult = await sqliteService.migrateSchema();
+        logger.info('Database schema is up to date', { version: schemaResult.currentVersion });
+      } else {
+        const schemaStatus = await sqliteService.getSchemaStatus();
+        if (schemaStatus.pending.length > 0) {
+          logger.warn('Database schema has pending migrations, run "npm run migrate up" to apply them', {
+            version: schemaStatus.currentVersion,
+            pending: schemaStatus.pending
           });
-        } else {
-          logger.info('Database schema is up to date, no migration needed');
+          return;
         }
       }
+
+      // Assign records created before ownership existed to the admin account
+      const ownershipResult = await sqliteService.migrateOwnership();
+
+      if (ownershipResult.migratedCount > 0) {
+        logger.info('Ownership migration completed successfully', {
+          adminEmail: ownershipResult.adminEmail,
+          datasetsAssigned: ownershipResult.datasetsAssigned,
+          dashboardsAssigned: ownershipResult.dashboardsAssigned
+        });
+      }
     } catch (error) {
       logger.error('Database migration failed', { error: error.message });
       // Don't fail the app startup, just log the error
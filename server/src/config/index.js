@@ -21,20 +21,73 @@ const config = {
   // File upload configuration
   upload: {
     maxSize: '50mb',
-    allowedTypes: ['.csv'],
-    uploadDir: path.join(__dirname, '../../uploads')
+    allowedTypes: ['.csv', '.tsv', '.xlsx', '.xls', '.json', '.ndjson', '.jsonl', '.parquet'],
+    uploadDir: path.join(__dirname, '../../uploads'),
+    // Files previewed with /Dataset/upload/preview wait here until they are imported or discarded
+    pendingDir: path.join(__dirname, '../../uploads/pending'),
+    pendingTtlMinutes: Number(process.env.UPLOAD_PENDING_TTL_MINUTES) || 60,
+    // Rows returned with an upload preview
+    previewRows: 20
   },
 
   // Database configuration
   database: {
     type: 'sqlite',
+    // Storage driver: 'native' (better-sqlite3 with a WAL journal, written as it goes) or
+    // 'sqljs' (in-memory, saved to disk atomically after each change)
+    driver: process.env.DB_DRIVER || 'native',
     path: path.join(__dirname, '../../data/graphic-walker.db'),
+    // Apply pending schema migrations on startup; when off, use `npm run migrate`
+    autoMigrate: process.env.DB_AUTO_MIGRATE !== 'false',
+    // Account that receives datasets and dashboards created before ownership existed
+    adminEmail: process.env.ADMIN_EMAIL || null,
     options: {
       verbose: process.env.NODE_ENV === 'development' ? console.log : null,
       fileMustExist: false
     }
   },
 
+  // Dashboard share links
+  share: {
+    // Sites allowed to embed shared dashboards in an iframe (a CSP frame-ancestors source list)
+    frameAncestors: process.env.SHARE_FRAME_ANCESTORS || '*'
+  },
+
+  // Dashboard exports (PNG, SVG and PDF)
+  export: {
+    formats: ['png', 'svg', 'pdf'],
+    // Width of the exported dashboard in CSS pixels; PNG and PDF are drawn pixelRatio times larger
+    width: 1200,
+    pixelRatio: 2,
+    // Rows a chart reads when exported; charts with a lower limit of their own keep it
+    maxChartRows: parseInt(process.env.EXPORT_MAX_CHART_ROWS) || 5000
+  },
+
+  // Dataset downloads
+  dataExport: {
+    formats: ['csv', 'xlsx', 'ndjson'],
+    // Rows read from the database at a time while a CSV or NDJSON download is written
+    pageSize: 5000
+  },
+
+  // Derived datasets (joins and unions of other datasets)
+  derivedDatasets: {
+    // Rows a join, union or saved query may produce
+    maxRows: parseInt(process.env.DERIVED_DATASET_MAX_ROWS) || 1000000
+  },
+
+  // Read-only SQL queries over datasets (POST /query)
+  sqlQuery: {
+    // A query still running this long after the request came in is stopped (reading the
+    // datasets it names counts towards the time)
+    timeoutSeconds: parseInt(process.env.SQL_QUERY_TIMEOUT_SECONDS) || 20,
+    // Rows a query may read from the datasets it names, together; they are all copied into the
+    // query's own database, so larger datasets have to be narrowed down first
+    maxSourceRows: parseInt(process.env.SQL_QUERY_MAX_SOURCE_ROWS) || 500000,
+    // Rows a query returns; the rest are left out and the result is marked truncated
+    maxRows: parseInt(process.env.SQL_QUERY_MAX_ROWS) || 10000
+  },
+
   // Legacy JSON file storage configuration (for migration)
   storage: {
     dataDir: path.join(__dirname, '../../data'),
@@ -46,7 +99,11 @@ const config = {
   csv: {
     defaultPageSize: 100,
     maxPageSize: 1000,
-    encoding: 'utf8'
+    // Encoding used when a file has no BOM and is valid UTF-8, and the one assumed otherwise
+    encoding: 'utf8',
+    fallbackEncoding: 'windows1252',
+    // Bytes read from the start of a file to detect its delimiter, quote and encoding
+    sniffBytes: 64 * 1024
   },
 
   // Logging configuration
@@ -1,13 +1,108 @@
+const crypto = require('crypto');
 const dataService = require('../services/dataService');
+const authService = require('../services/authService');
+const exportService = require('../services/exportService');
 const logger = require('../utils/logger');
 const { validation, ValidationError } = require('../utils/validation');
+const { permissions, ROLES } = require('../utils/permissions');
+const { parseDashboardSpecs, getSourceDataset, getDashboardDatasets } = require('../utils/dashboardFields');
+const { diffDashboardSpecs } = require('../utils/dashboardDiff');
+
+// Check that a dashboard can be saved on a dataset (and dataset version, when pinned) by the user.
+// Returns the pinned version number, or null to follow the latest version.
+const resolveDashboardDataset = async (datasetName, datasetVersion, userId) => {
+  const dataset = await dataService.getDatasetByName(datasetName, userId);
+  if (!dataset) {
+    throw new ValidationError(`Dataset '${datasetName}' does not exist`, 'datasetName');
+  }
+
+  // Viewers can open dashboards on a dataset but not save them
+  permissions.requireRole(dataset.accessRole, ROLES.EDITOR, 'save dashboards for this dataset');
+
+  // A pinned dashboard reads one version of its dataset instead of the latest
+  if (datasetVersion === undefined || datasetVersion === null) {
+    return null;
+  }
+
+  const version = validation.validateDatasetVersion(datasetVersion, 'datasetVersion');
+  if (!(await dataService.getDatasetVersion(dataset.id, version))) {
+    throw new ValidationError(`Dataset '${datasetName}' has no version ${version}`, 'datasetVersion');
+  }
+  return version;
+};
+
+// Check that the user can build on every dataset a dashboard's charts read (datasetNames, its
+// own dataset first). Returns the pinned version of its own dataset, or null to follow the latest.
+const resolveDashboardDatasets = async (datasetNames, datasetVersion, userId) => {
+  const [primaryDatasetName, ...otherDatasetNames] = datasetNames;
+  const version = await resolveDashboardDataset(primaryDatasetName, datasetVersion, userId);
+  for (const datasetName of otherDatasetNames) {
+    await resolveDashboardDataset(datasetName, null, userId);
+  }
+  return version;
+};
+
+// Check a dashboard's filter controls, which must name fields of a dataset its charts read
+// (datasetNames, its own dataset first; the pinned version applies to that one)
+const checkDashboardFilters = async (filters, datasetNames, datasetVersion) => {
+  validation.validateDashboardFilters(filters);
+
+  const [primaryDatasetName] = datasetNames;
+  for (const filter of filters) {
+    const datasetName = getSourceDataset(filter, primaryDatasetName);
+    if (!datasetNames.includes(datasetName)) {
+      throw new ValidationError(`Filter '${filter.id}' reads dataset '${datasetName}', which no chart on the dashboard uses`, 'filters');
+    }
+
+    const dataset = await dataService.getDatasetByName(datasetName);
+    const pinned = datasetName === primaryDatasetName && datasetVersion;
+    const source = dataset && pinned ? await dataService.getDatasetVersion(dataset.id, datasetVersion) : dataset;
+    const calculatedFields = dataset ? (dataset.calculatedFields || []).map(field => field.name) : [];
+    const fields = source ? [...(source.headers || []), ...calculatedFields] : [];
+    if (!fields.includes(filter.field)) {
+      throw new ValidationError(`Dataset '${datasetName}' has no field '${filter.field}'`, 'filters');
+    }
+  }
+};
+
+// Describe a revision without its chart specs, with the charts changed since the revision before it
+const summarizeRevision = (revision, previousRevision, currentRevision) => {
+  const { jsonFormat, layout, filters, ...summary } = revision;
+  return {
+    ...summary,
+    chartCount: parseDashboardSpecs(jsonFormat).length,
+    isCurrent: revision.revision === currentRevision,
+    changes: diffDashboardSpecs(previousRevision ? previousRevision.jsonFormat : null, jsonFormat)
+  };
+};
+
+// The datasets a dashboard's charts read that the user can open, by name (null for the others),
+// its own dataset at the version it is pinned to
+const readDashboardDatasets = async (dashboard, userId) => {
+  const datasets = {};
+  for (const datasetName of dashboard.datasetNames) {
+    const dataset = await dataService.getDatasetByName(datasetName, userId);
+    const pinned = dataset && datasetName === dashboard.datasetName && dashboard.datasetVersion;
+    const datasetVersion = pinned ? await dataService.getDatasetVersion(dataset.id, dashboard.datasetVersion) : null;
+    datasets[datasetName] = datasetVersion ? {
+      ...dataset,
+      version: datasetVersion.version,
+      rowsTable: datasetVersion.rowsTable,
+      rowColumns: datasetVersion.rowColumns
+    } : dataset;
+  }
+  return datasets;
+};
+
+// A share link as shown to editors: whether it needs a password, never the password's hash
+const describeShare = ({ passwordHash, ...share }) => ({ ...share, hasPassword: Boolean(passwordHash) });
 
 class DashboardController {
   // GET /Dashboard - Get all dashboards
   async getDashboards(req, res, next) {
     try {
-      logger.info('Fetching all dashboards');
-      const dashboards = await dataService.getDashboards();
+      logger.info('Fetching all dashboards', { userId: req.user.id });
+      const dashboards = await dataService.getDashboards(req.user.id);
       
       res.status(200).json({
         success: true,
@@ -43,13 +138,44 @@ class DashboardController {
         }
       }
 
-      // Check if referenced dataset exists
-      const existingDataset = await dataService.getDatasetByName(dashboard.datasetName);
-      if (!existingDataset) {
-        throw new ValidationError(`Dataset '${dashboard.datasetName}' does not exist`, 'datasetName');
+      if (dashboard.layout !== undefined) {
+        validation.validateDashboardLayout(dashboard.layout);
+      }
+
+      // Check the referenced datasets exist and the user can build on them; charts may name
+      // a dataset other than the dashboard's own
+      const datasetNames = getDashboardDatasets(dashboard.jsonFormat, dashboard.datasetName);
+      const datasetVersion = await resolveDashboardDatasets(datasetNames, dashboard.datasetVersion, req.user.id);
+
+      if (dashboard.filters !== undefined) {
+        await checkDashboardFilters(dashboard.filters, datasetNames, datasetVersion);
+      }
+
+      // Dashboards the user cannot access cannot be overwritten
+      const existingDashboard = await dataService.getDashboardByName(dashboard.dashboardName);
+      if (existingDashboard) {
+        const accessibleDashboard = await dataService.getDashboardByName(dashboard.dashboardName, req.user.id);
+        if (!accessibleDashboard) {
+          throw new ValidationError(`Dashboard '${dashboard.dashboardName}' already exists`, 'dashboardName');
+        }
+        permissions.requireRole(accessibleDashboard.accessRole, ROLES.EDITOR, 'save this dashboard');
       }
 
-      const savedDashboard = await dataService.saveDashboard(dashboard);
+      // Only the fields a dashboard stores are saved; revision bookkeeping is the server's
+      const savedDashboard = await dataService.saveDashboard({
+        dashboardName: dashboard.dashboardName,
+        datasetName: dashboard.datasetName,
+        jsonFormat: dashboard.jsonFormat,
+        isMultiple: dashboard.isMultiple,
+        datasetVersion,
+        // Left out, the dashboard keeps its current layout and filters
+        layout: dashboard.layout,
+        filters: dashboard.filters,
+        ownerId: req.user.id
+      });
+
+      // The user's draft of this dashboard has now been saved
+      await dataService.deleteDashboardDraft(req.user.id, savedDashboard.dashboardName);
       
       res.status(200).json({
         success: true,
@@ -75,7 +201,7 @@ class DashboardController {
         throw new ValidationError('Dashboard name is required', 'name');
       }
 
-      const dashboard = await dataService.getDashboardByName(name);
+      const dashboard = await dataService.getDashboardByName(name, req.user.id);
 
       if (!dashboard) {
         return res.status(404).json({
@@ -98,6 +224,520 @@ class DashboardController {
     }
   }
 
+  // GET /Dashboard/:name/revisions - List a dashboard's revisions with the charts each one changed
+  async getDashboardRevisions(req, res, next) {
+    try {
+      const { name } = req.params;
+      logger.info('Fetching dashboard revisions', { dashboardName: name });
+
+      const dashboard = await dataService.getDashboardByName(name, req.user.id);
+      if (!dashboard) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dashboard not found',
+          message: `Dashboard '${name}' not found`
+        });
+      }
+
+      // Newest first, so each revision is compared with the one after it in the list
+      const revisions = await dataService.getDashboardRevisions(dashboard.id);
+      const summaries = revisions.map((revision, index) => (
+        summarizeRevision(revision, revisions[index + 1], dashboard.revision)
+      ));
+
+      res.status(200).json({
+        success: true,
+        data: summaries,
+        count: summaries.length,
+        currentRevision: dashboard.revision
+      });
+    } catch (error) {
+      logger.error('Failed to retrieve dashboard revisions', {
+        error: error.message,
+        dashboardName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // GET /Dashboard/:name/revisions/:revision - Get one revision with its chart specs
+  // (?compareTo=n diffs it against revision n instead of the revision before it)
+  async getDashboardRevision(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { compareTo } = req.query;
+      logger.info('Fetching dashboard revision', { dashboardName: name, revision: req.params.revision, compareTo });
+
+      const revisionNumber = validation.validateRevision(req.params.revision, 'revision');
+      const compareNumber = compareTo !== undefined ? validation.validateRevision(compareTo, 'compareTo') : revisionNumber - 1;
+
+      const dashboard = await dataService.getDashboardByName(name, req.user.id);
+      if (!dashboard) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dashboard not found',
+          message: `Dashboard '${name}' not found`
+        });
+      }
+
+      const revision = await dataService.getDashboardRevision(dashboard.id, revisionNumber);
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dashboard revision not found',
+          message: `Dashboard '${name}' has no revision ${revisionNumber}`
+        });
+      }
+
+      const baseRevision = compareNumber > 0 ? await dataService.getDashboardRevision(dashboard.id, compareNumber) : null;
+      if (compareTo !== undefined && !baseRevision) {
+        throw new ValidationError(`Dashboard '${name}' has no revision ${compareNumber}`, 'compareTo');
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...summarizeRevision(revision, baseRevision, dashboard.revision),
+          jsonFormat: revision.jsonFormat,
+          layout: revision.layout,
+          filters: revision.filters,
+          comparedTo: baseRevision ? baseRevision.revision : null
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to retrieve dashboard revision', {
+        error: error.message,
+        dashboardName: req.params.name,
+        revision: req.params.revision
+      });
+      next(error);
+    }
+  }
+
+  // POST /Dashboard/:name/revisions/:revision/restore - Save an earlier revision as the latest
+  async restoreDashboardRevision(req, res, next) {
+    try {
+      const { name } = req.params;
+      logger.info('Restoring dashboard revision', { dashboardName: name, revision: req.params.revision });
+
+      const revisionNumber = validation.validateRevision(req.params.revision, 'revision');
+
+      const dashboard = await dataService.getDashboardByName(name, req.user.id);
+      if (!dashboard) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dashboard not found',
+          message: `Dashboard '${name}' not found`
+        });
+      }
+
+      permissions.requireRole(dashboard.accessRole, ROLES.EDITOR, 'restore revisions of this dashboard');
+
+      const revision = await dataService.getDashboardRevision(dashboard.id, revisionNumber);
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dashboard revision not found',
+          message: `Dashboard '${name}' has no revision ${revisionNumber}`
+        });
+      }
+
+      // The revision's datasets must still be there for the user to build on
+      const datasetVersion = await resolveDashboardDatasets(revision.datasetNames, revision.datasetVersion, req.user.id);
+
+      // Restoring adds a revision, so the state being replaced stays in the history
+      const savedDashboard = await dataService.saveDashboard({
+        dashboardName: dashboard.dashboardName,
+        datasetName: revision.datasetName,
+        jsonFormat: revision.jsonFormat,
+        isMultiple: revision.isMultiple,
+        datasetVersion,
+        layout: revision.layout,
+        filters: revision.filters,
+        restoredFrom: revision.revision,
+        createdBy: req.user.id
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Revision ${revision.revision} restored as revision ${savedDashboard.revision}`,
+        data: savedDashboard
+      });
+    } catch (error) {
+      logger.error('Failed to restore dashboard revision', {
+        error: error.message,
+        dashboardName: req.params.name,
+        revision: req.params.revision
+      });
+      next(error);
+    }
+  }
+
+  // PUT /Dashboard/:name/layout - Save the grid layout of a dashboard's tiles (null resets it)
+  async updateDashboardLayout(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { layout } = req.body;
+      logger.info('Saving dashboard layout', { dashboardName: name, tiles: layout?.items?.length });
+
+      const dashboard = await dataService.getDashboardByName(name, req.user.id);
+      if (!dashboard) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dashboard not found',
+          message: `Dashboard '${name}' not found`
+        });
+      }
+
+      permissions.requireRole(dashboard.accessRole, ROLES.EDITOR, 'change the layout of this dashboard');
+
+      if (layout === undefined) {
+        throw new ValidationError('Layout is required', 'layout');
+      }
+      validation.validateDashboardLayout(layout);
+
+      // A layout change is saved as a new revision of the dashboard
+      const savedDashboard = await dataService.saveDashboard({
+        dashboardName: dashboard.dashboardName,
+        datasetName: dashboard.datasetName,
+        jsonFormat: dashboard.jsonFormat,
+        isMultiple: dashboard.isMultiple,
+        datasetVersion: dashboard.datasetVersion,
+        layout,
+        createdBy: req.user.id
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Dashboard layout saved',
+        data: savedDashboard
+      });
+    } catch (error) {
+      logger.error('Failed to save dashboard layout', {
+        error: error.message,
+        dashboardName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // PUT /Dashboard/:name/filters - Save the filter controls shown above a dashboard's charts
+  async updateDashboardFilters(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { filters } = req.body;
+      logger.info('Saving dashboard filters', { dashboardName: name, filters: filters?.length });
+
+      const dashboard = await dataService.getDashboardByName(name, req.user.id);
+      if (!dashboard) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dashboard not found',
+          message: `Dashboard '${name}' not found`
+        });
+      }
+
+      permissions.requireRole(dashboard.accessRole, ROLES.EDITOR, 'change the filters of this dashboard');
+
+      if (filters === undefined) {
+        throw new ValidationError('Filters are required', 'filters');
+      }
+      await checkDashboardFilters(filters, dashboard.datasetNames, dashboard.datasetVersion);
+
+      // A filter change is saved as a new revision of the dashboard
+      const savedDashboard = await dataService.saveDashboard({
+        dashboardName: dashboard.dashboardName,
+        datasetName: dashboard.datasetName,
+        jsonFormat: dashboard.jsonFormat,
+        isMultiple: dashboard.isMultiple,
+        datasetVersion: dashboard.datasetVersion,
+        filters,
+        createdBy: req.user.id
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Dashboard filters saved',
+        data: savedDashboard
+      });
+    } catch (error) {
+      logger.error('Failed to save dashboard filters', {
+        error: error.message,
+        dashboardName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // GET /Dashboard/drafts - List the user's unsaved dashboard drafts (?datasetName= limits them to one dataset)
+  async getDashboardDrafts(req, res, next) {
+    try {
+      const { datasetName } = req.query;
+      logger.info('Fetching dashboard drafts', { userId: req.user.id, datasetName });
+
+      const drafts = await dataService.getDashboardDrafts(req.user.id, datasetName || null);
+      const summaries = drafts.map(({ jsonFormat, ...draft }) => ({
+        ...draft,
+        chartCount: parseDashboardSpecs(jsonFormat).length
+      }));
+
+      res.status(200).json({
+        success: true,
+        data: summaries,
+        count: summaries.length
+      });
+    } catch (error) {
+      logger.error('Failed to retrieve dashboard drafts', { error: error.message });
+      next(error);
+    }
+  }
+
+  // GET /Dashboard/:name/draft - Get the user's draft of a dashboard
+  async getDashboardDraft(req, res, next) {
+    try {
+      const { name } = req.params;
+      logger.info('Fetching dashboard draft', { dashboardName: name, userId: req.user.id });
+
+      const draft = await dataService.getDashboardDraft(req.user.id, name);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          error: 'Draft not found',
+          message: `No draft of dashboard '${name}'`
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: draft
+      });
+    } catch (error) {
+      logger.error('Failed to retrieve dashboard draft', {
+        error: error.message,
+        dashboardName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // PUT /Dashboard/:name/draft - Autosave the user's unsaved work on a dashboard
+  async saveDashboardDraft(req, res, next) {
+    try {
+      const { name } = req.params;
+      const draft = req.body;
+      logger.info('Saving dashboard draft', { dashboardName: name, userId: req.user.id });
+
+      if (!name || name.trim() === '') {
+        throw new ValidationError('Dashboard name is required', 'name');
+      }
+
+      if (name.length > 100) {
+        throw new ValidationError('Dashboard name cannot exceed 100 characters', 'name');
+      }
+
+      validation.validateDashboardDraft(draft);
+
+      // Only users who could save the dashboard keep drafts of it
+      await resolveDashboardDataset(draft.datasetName, null, req.user.id);
+
+      const savedDraft = await dataService.saveDashboardDraft({
+        userId: req.user.id,
+        dashboardName: name,
+        datasetName: draft.datasetName,
+        jsonFormat: draft.jsonFormat
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Draft saved',
+        data: savedDraft
+      });
+    } catch (error) {
+      logger.error('Failed to save dashboard draft', {
+        error: error.message,
+        dashboardName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // DELETE /Dashboard/:name/draft - Discard the user's draft of a dashboard
+  async deleteDashboardDraft(req, res, next) {
+    try {
+      const { name } = req.params;
+      logger.info('Discarding dashboard draft', { dashboardName: name, userId: req.user.id });
+
+      const deleted = await dataService.deleteDashboardDraft(req.user.id, name);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Draft not found',
+          message: `No draft of dashboard '${name}'`
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Draft discarded'
+      });
+    } catch (error) {
+      logger.error('Failed to discard dashboard draft', {
+        error: error.message,
+        dashboardName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // GET /Dashboard/:name/export - Draw a dashboard's charts as a PNG, SVG or PDF file
+  async exportDashboard(req, res, next) {
+    try {
+      const { name } = req.params;
+      const format = validation.validateExportFormat(req.query.format);
+      logger.info('Exporting dashboard', { dashboardName: name, format });
+
+      const dashboard = await dataService.getDashboardByName(name, req.user.id);
+      if (!dashboard) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dashboard not found',
+          message: `Dashboard '${name}' not found`
+        });
+      }
+
+      const datasets = await readDashboardDatasets(dashboard, req.user.id);
+      const output = await exportService.renderDashboard(dashboard, datasets, format, {
+        timezoneOffset: Number(req.query.timezoneOffset)
+      });
+
+      res.status(200)
+        .type(exportService.getContentType(format))
+        .attachment(`${dashboard.dashboardName}.${format}`)
+        .send(output);
+    } catch (error) {
+      logger.error('Failed to export dashboard', {
+        error: error.message,
+        dashboardName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // GET /Dashboard/:name/shares - List a dashboard's share links
+  async getDashboardShares(req, res, next) {
+    try {
+      const { name } = req.params;
+      logger.info('Fetching dashboard shares', { dashboardName: name });
+
+      const dashboard = await dataService.getDashboardByName(name, req.user.id);
+      if (!dashboard) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dashboard not found',
+          message: `Dashboard '${name}' not found`
+        });
+      }
+
+      permissions.requireRole(dashboard.accessRole, ROLES.EDITOR, 'manage share links of this dashboard');
+
+      const shares = await dataService.getDashboardShares(dashboard.id);
+
+      res.status(200).json({
+        success: true,
+        data: shares.map(describeShare),
+        count: shares.length
+      });
+    } catch (error) {
+      logger.error('Failed to retrieve dashboard shares', {
+        error: error.message,
+        dashboardName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // POST /Dashboard/:name/shares - Create a read-only share link, optionally expiring or password-protected
+  async createDashboardShare(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { expiresAt, password } = req.body || {};
+      logger.info('Creating dashboard share', { dashboardName: name, expiresAt, hasPassword: Boolean(password) });
+
+      const dashboard = await dataService.getDashboardByName(name, req.user.id);
+      if (!dashboard) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dashboard not found',
+          message: `Dashboard '${name}' not found`
+        });
+      }
+
+      permissions.requireRole(dashboard.accessRole, ROLES.EDITOR, 'manage share links of this dashboard');
+
+      const expiry = validation.validateDashboardShare({ expiresAt, password });
+
+      const share = await dataService.createDashboardShare({
+        dashboardId: dashboard.id,
+        token: crypto.randomBytes(24).toString('hex'),
+        passwordHash: password ? await authService.hashPassword(password) : null,
+        expiresAt: expiry,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Share link created',
+        data: describeShare(share)
+      });
+    } catch (error) {
+      logger.error('Failed to create dashboard share', {
+        error: error.message,
+        dashboardName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // DELETE /Dashboard/:name/shares/:shareId - Revoke a share link
+  async deleteDashboardShare(req, res, next) {
+    try {
+      const { name, shareId } = req.params;
+      logger.info('Revoking dashboard share', { dashboardName: name, shareId });
+
+      const dashboard = await dataService.getDashboardByName(name, req.user.id);
+      if (!dashboard) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dashboard not found',
+          message: `Dashboard '${name}' not found`
+        });
+      }
+
+      permissions.requireRole(dashboard.accessRole, ROLES.EDITOR, 'manage share links of this dashboard');
+
+      const deleted = await dataService.deleteDashboardShare(dashboard.id, shareId);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Share link not found',
+          message: `Dashboard '${name}' has no share link '${shareId}'`
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Share link revoked'
+      });
+    } catch (error) {
+      logger.error('Failed to revoke dashboard share', {
+        error: error.message,
+        dashboardName: req.params.name,
+        shareId: req.params.shareId
+      });
+      next(error);
+    }
+  }
+
   // DELETE /Dashboard/:name - Delete dashboard by name
   async deleteDashboard(req, res, next) {
     try {
@@ -108,9 +748,9 @@ class DashboardController {
         throw new ValidationError('Dashboard name is required', 'name');
       }
 
-      const deleted = await dataService.deleteDashboard(name);
+      const dashboard = await dataService.getDashboardByName(name, req.user.id);
 
-      if (!deleted) {
+      if (!dashboard) {
         return res.status(404).json({
           success: false,
           error: 'Dashboard not found',
@@ -118,6 +758,10 @@ class DashboardController {
         });
       }
 
+      permissions.requireRole(dashboard.accessRole, ROLES.EDITOR, 'delete this dashboard');
+
+      await dataService.deleteDashboard(name);
+
       res.status(200).json({
         success: true,
         message: 'Dashboard deleted successfully'
@@ -134,8 +778,8 @@ class DashboardController {
   // GET /Dashboard/stats - Get dashboard statistics
   async getDashboardStats(req, res, next) {
     try {
-      logger.info('Fetching dashboard statistics');
-      const stats = await dataService.getStats();
+      logger.info('Fetching dashboard statistics', { userId: req.user.id });
+      const stats = await dataService.getStats(req.user.id);
       
       res.status(200).json({
         success: true,
@@ -1,16 +1,289 @@
 const dataService = require('../services/dataService');
 const csvService = require('../services/csvService');
+const excelService = require('../services/excelService');
+const jsonFileService = require('../services/jsonFileService');
+const parquetService = require('../services/parquetService');
+const uploadService = require('../services/uploadService');
+const importService = require('../services/importService');
+const dataExportService = require('../services/dataExportService');
+const derivedDatasetService = require('../services/derivedDatasetService');
+const config = require('../config');
 const logger = require('../utils/logger');
 const { validation, ValidationError } = require('../utils/validation');
+const { permissions, ROLES } = require('../utils/permissions');
+const { COLUMN_TYPES, DATE_FORMATS, inferColumns, convertRows } = require('../utils/columnTypes');
+const { chartToWorkflow, chartColumns } = require('../utils/chartSpec');
+const { getDashboardFields } = require('../utils/dashboardFields');
+const { compileCalculatedFields } = require('../utils/expressions');
 const path = require('path');
 const fs = require('fs');
 
+// Dataset fields only the server sets: how rows are stored, who owns the dataset and what it
+// is derived from. POST /Dataset ignores them (a workspace is only taken for a new dataset,
+// after checking the user may add datasets to it).
+const SERVER_DATASET_FIELDS = [
+  'id', 'rowsTable', 'rowColumns', 'rowCount', 'columnCount', 'version', 'ownerId', 'createdBy',
+  'workspaceName', 'accessRole', 'derivation', 'calculatedFields', 'fieldMetadata'
+];
+
+// Make sure the user may place datasets in the given workspace
+const assertWorkspaceEditor = async (workspaceId, userId) => {
+  const workspace = await dataService.getWorkspaceById(workspaceId, userId);
+  if (!workspace) {
+    throw new ValidationError(`Workspace '${workspaceId}' does not exist`, 'workspaceId');
+  }
+  permissions.requireRole(workspace.role, ROLES.EDITOR, 'add datasets to this workspace');
+  return workspace;
+};
+
+// Parse the 1-based header row sent with a workbook upload (multipart fields arrive as strings)
+const parseHeaderRow = (value) => {
+  if (value === undefined || value === null || value === '') return 1;
+
+  const headerRow = Number(value);
+  if (!Number.isInteger(headerRow) || headerRow < 1) {
+    throw new ValidationError('Header row must be a positive whole number', 'headerRow');
+  }
+  return headerRow;
+};
+
+// Read CSV format overrides sent with an upload; empty fields are auto-detected
+const getCsvFormatOverrides = (body = {}) => {
+  const overrides = {
+    delimiter: body.delimiter || undefined,
+    quote: body.quote || undefined,
+    encoding: body.encoding || undefined
+  };
+  validation.validateCsvFormat(overrides);
+  return overrides;
+};
+
+// Read the row filters and sort of a data request. Field filters arrive as filter[field]=value
+// (repeat the parameter to match several values).
+const getRowQuery = (dataset, { filter, sortBy, sortOrder }) => {
+  const fields = (dataset.rowColumns || []).map(column => column.name);
+  const filters = filter && typeof filter === 'object' ? filter : {};
+
+  Object.keys(filters).forEach(field => {
+    if (!fields.includes(field)) {
+      throw new ValidationError(`Unknown filter field '${field}'`, 'filter');
+    }
+  });
+
+  // Rows can also be sorted on calculated fields
+  const calculatedFields = (dataset.calculatedFields || []).map(field => field.name);
+  if (sortBy && !fields.includes(sortBy) && !calculatedFields.includes(sortBy)) {
+    throw new ValidationError(`Unknown sort field '${sortBy}'`, 'sortBy');
+  }
+
+  if (sortOrder && !['asc', 'desc'].includes(String(sortOrder).toLowerCase())) {
+    throw new ValidationError('Sort order must be asc or desc', 'sortOrder');
+  }
+
+  return { filters, sortBy, sortOrder };
+};
+
+// Name a download after its dataset (and version, and chart); names are kept to characters
+// every file system accepts
+const downloadName = (dataset, { version, chartName, format }) => {
+  const parts = [dataset.datasetName];
+  if (version) parts.push(`v${dataset.version}`);
+  if (chartName) parts.push(chartName);
+  return `${parts.join('-').replace(/[\\/:*?"<>|]+/g, '_')}.${format}`;
+};
+
+// Uploaded file parsers by extension; each resolves to { jsonData, headers }.
+// CSV values are read as text: column types are inferred for every format in readImportFile.
+const FILE_READERS = {
+  '.csv': {
+    label: 'CSV',
+    read: async (filePath, options = {}) => {
+      const csvFormat = csvService.resolveCsvFormat(filePath, options.csvFormat);
+      const jsonData = await csvService.readCsvData(filePath, csvFormat, { raw: true });
+      return { jsonData, headers: jsonData.length > 0 ? Object.keys(jsonData[0]) : [], csvFormat };
+    }
+  },
+  '.json': {
+    label: 'JSON',
+    read: async (filePath) => {
+      const { data, headers } = await jsonFileService.readJsonData(filePath);
+      return { jsonData: data, headers };
+    }
+  },
+  '.ndjson': {
+    label: 'NDJSON',
+    read: async (filePath) => {
+      const { data, headers } = await jsonFileService.readNdjsonData(filePath);
+      return { jsonData: data, headers };
+    }
+  },
+  '.parquet': {
+    label: 'Parquet',
+    read: async (filePath) => {
+      const { data, headers } = await parquetService.readParquetData(filePath);
+      return { jsonData: data, headers };
+    }
+  }
+};
+FILE_READERS['.tsv'] = FILE_READERS['.csv'];
+FILE_READERS['.jsonl'] = FILE_READERS['.ndjson'];
+
+// Human-readable file type for error messages
+const getFileTypeLabel = (fileName) => {
+  if (excelService.isExcelFile(fileName)) return 'Excel';
+  const reader = FILE_READERS[path.extname(fileName).toLowerCase()];
+  return reader ? reader.label : 'uploaded';
+};
+
+// Convert an uploaded file (CSV, JSON, NDJSON, Parquet or a workbook sheet) to row objects
+const readUploadedFile = async (file, { sheetName, headerRow, csvFormat }) => {
+  if (excelService.isExcelFile(file.originalname)) {
+    const sheet = await excelService.readSheetData(file.path, { sheetName, headerRow });
+    return { jsonData: sheet.data, headers: sheet.headers, sheetName: sheet.sheetName, headerRow: sheet.headerRow };
+  }
+
+  const reader = FILE_READERS[path.extname(file.originalname).toLowerCase()];
+  if (!reader) {
+    throw new ValidationError(`Unsupported file type: ${file.originalname}`, 'file');
+  }
+  return reader.read(file.path, { csvFormat });
+};
+
+// Convert an uploaded file to row objects and infer a type for each column
+// ({ name, type, dateFormat }); read failures become validation errors on the file field
+const readImportFile = async (file, parseOptions) => {
+  let converted;
+  try {
+    converted = await readUploadedFile(file, parseOptions);
+  } catch (conversionError) {
+    if (conversionError instanceof ValidationError) {
+      throw conversionError;
+    }
+    logger.error('Failed to convert uploaded file to JSON', {
+      error: conversionError.message,
+      fileName: file.originalname
+    });
+    throw new ValidationError(
+      `Failed to process ${getFileTypeLabel(file.originalname)} file: ${conversionError.message}`,
+      'file'
+    );
+  }
+
+  return { ...converted, columns: inferColumns(converted.jsonData, converted.headers) };
+};
+
+// Apply the user's column choices ([{ source, name, type, dateFormat, skip }]) to the inferred
+// columns. Columns that are not mentioned keep their inferred name and type, except that
+// columns already in the target dataset (currentColumns) keep the type they have there.
+const buildColumnPlan = (inferredColumns, choices = [], currentColumns = []) => {
+  validation.validateImportColumns(choices, inferredColumns.map(column => column.name));
+  const choicesBySource = new Map(choices.map(choice => [choice.source, choice]));
+  const currentTypes = new Map(currentColumns.map(column => [column.name, column.fieldType]));
+
+  const plan = inferredColumns.map(column => {
+    const choice = choicesBySource.get(column.name) || {};
+    const name = choice.name !== undefined ? choice.name.trim() : column.name;
+    const type = choice.type || currentTypes.get(name) || column.type;
+    const inferredFormat = column.type === 'date' ? column.dateFormat : null;
+
+    return {
+      source: column.name,
+      name,
+      type,
+      // Without a format every known layout is tried
+      dateFormat: type === 'date' ? (choice.dateFormat || inferredFormat) : null,
+      skip: Boolean(choice.skip)
+    };
+  });
+
+  const kept = plan.filter(column => !column.skip);
+  if (inferredColumns.length > 0 && kept.length === 0) {
+    throw new ValidationError('At least one column must be imported', 'columns');
+  }
+
+  const names = new Set();
+  kept.forEach(column => {
+    if (names.has(column.name)) {
+      throw new ValidationError(`Column name '${column.name}' is used more than once`, 'columns');
+    }
+    names.add(column.name);
+  });
+
+  return plan;
+};
+
+// Find the dataset an upload goes into. Creating needs a free name (and a workspace the user
+// can add to); the other modes need an existing dataset the user can edit.
+const resolveUploadTarget = async (datasetName, mode, workspaceId, userId) => {
+  if (mode === 'create') {
+    const existingDataset = await dataService.getDatasetByName(datasetName);
+    if (existingDataset) {
+      throw new ValidationError(
+        `Dataset '${datasetName}' already exists; upload with mode replace, append or upsert to update it`,
+        'datasetName'
+      );
+    }
+
+    if (workspaceId) {
+      await assertWorkspaceEditor(workspaceId, userId);
+    }
+    return null;
+  }
+
+  const dataset = await dataService.getDatasetByName(datasetName, userId);
+  if (!dataset) {
+    throw new ValidationError(`Dataset '${datasetName}' does not exist`, 'datasetName');
+  }
+  permissions.requireRole(dataset.accessRole, ROLES.EDITOR, 'update this dataset');
+  if (dataset.derivation) {
+    throw new ValidationError(
+      `Dataset '${datasetName}' is derived from other datasets; its rows change when they do`,
+      'datasetName'
+    );
+  }
+  return dataset;
+};
+
+// Read a dataset as it was at one of its versions (the latest when no version is asked for).
+// Returns null when the dataset has no such version.
+const resolveDatasetVersion = async (dataset, version) => {
+  if (version === undefined || version === null || version === '') {
+    return dataset;
+  }
+
+  const datasetVersion = await dataService.getDatasetVersion(dataset.id, validation.validateDatasetVersion(version));
+  if (!datasetVersion) {
+    return null;
+  }
+
+  return {
+    ...dataset,
+    version: datasetVersion.version,
+    rowsTable: datasetVersion.rowsTable,
+    rowColumns: datasetVersion.rowColumns,
+    headers: datasetVersion.headers,
+    rowCount: datasetVersion.rowCount,
+    columnCount: datasetVersion.columnCount
+  };
+};
+
+// Format a byte count for display
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
 class DatasetController {
   // GET /Dataset - Get all datasets
   async getDatasets(req, res, next) {
     try {
-      logger.info('Fetching all datasets');
-      const datasets = await dataService.getDatasets();
+      logger.info('Fetching all datasets', { userId: req.user.id });
+      const datasets = await dataService.getDatasets(req.user.id);
       
       res.status(200).json({
         success: true,
@@ -63,7 +336,25 @@ class DatasetController {
         }
       }
 
-      const savedDataset = await dataService.saveDataset(dataset);
+      // Datasets the user cannot access cannot be overwritten, and viewers cannot update them
+      const existingDataset = await dataService.getDatasetByName(dataset.datasetName);
+      if (existingDataset) {
+        const accessibleDataset = await dataService.getDatasetByName(dataset.datasetName, req.user.id);
+        if (!accessibleDataset) {
+          throw new ValidationError(`Dataset '${dataset.datasetName}' already exists`, 'datasetName');
+        }
+        permissions.requireRole(accessibleDataset.accessRole, ROLES.EDITOR, 'update this dataset');
+      } else if (dataset.workspaceId) {
+        await assertWorkspaceEditor(dataset.workspaceId, req.user.id);
+      }
+
+      const fields = Object.fromEntries(
+        Object.entries(dataset).filter(([key]) => !SERVER_DATASET_FIELDS.includes(key))
+      );
+      const savedDataset = await dataService.saveDataset({
+        ...fields,
+        ownerId: req.user.id
+      });
       
       res.status(200).json({
         success: true,
@@ -83,7 +374,8 @@ class DatasetController {
   async uploadDataset(req, res, next) {
     try {
       const file = req.file;
-      const { datasetName } = req.body;
+      const { datasetName, workspaceId, sheetName, headerRow } = req.body;
+      const csvFormat = getCsvFormatOverrides(req.body);
 
       logger.info('Uploading dataset file', { 
         datasetName, 
@@ -101,68 +393,59 @@ class DatasetController {
       // Validate file
       validation.validateFile(file);
 
-      // Check if dataset with same name already exists
-      const existingDataset = await dataService.getDatasetByName(datasetName.trim());
-      if (existingDataset) {
-        // Clean up uploaded file
-        fs.unlinkSync(file.path);
-        throw new ValidationError(`Dataset '${datasetName}' already exists`, 'datasetName');
-      }
+      const uploadMode = importService.validateUploadMode(req.body);
+      const target = await resolveUploadTarget(datasetName.trim(), uploadMode.mode, workspaceId, req.user.id);
 
-      // Convert CSV to JSON
-      let jsonData = [];
-      let headers = [];
-      let rowCount = 0;
-      let columnCount = 0;
+      // Convert the uploaded file (or chosen workbook sheet) to JSON with the inferred column types
+      const parsed = await readImportFile(file, {
+        sheetName: sheetName || null,
+        headerRow: parseHeaderRow(headerRow),
+        csvFormat
+      });
+      const columns = buildColumnPlan(parsed.columns, [], target ? target.rowColumns : []);
+      const converted = convertRows(parsed.jsonData, columns);
+      const rowCount = converted.data.length;
+      const columnCount = converted.headers.length;
 
-      try {
-        jsonData = await csvService.readCsvData(file.path);
-        if (jsonData.length > 0) {
-          headers = Object.keys(jsonData[0]);
-          rowCount = jsonData.length;
-          columnCount = headers.length;
-        }
-        logger.info('CSV converted to JSON successfully', {
-          datasetName: datasetName.trim(),
-          rowCount,
-          columnCount
-        });
-      } catch (csvError) {
-        // Clean up uploaded file
-        fs.unlinkSync(file.path);
-        logger.error('Failed to convert CSV to JSON', { 
-          error: csvError.message,
-          fileName: file.originalname 
-        });
-        throw new ValidationError(`Failed to process CSV file: ${csvError.message}`, 'file');
-      }
+      logger.info('Uploaded file converted to JSON successfully', {
+        datasetName: datasetName.trim(),
+        mode: uploadMode.mode,
+        sheetName: parsed.sheetName,
+        rowCount,
+        columnCount
+      });
 
-      // Create dataset entry with JSON data
-      const dataset = {
+      const result = await importService.importRows({
+        ...uploadMode,
         datasetName: datasetName.trim(),
-        jsonData: jsonData,
+        dataset: target,
+        converted,
         originalFileName: file.originalname,
         originalFileSize: file.size,
-        mimeType: 'application/json',
-        rowCount: rowCount,
-        columnCount: columnCount,
-        headers: headers,
-        sp: ''
-      };
-
-      const savedDataset = await dataService.saveDataset(dataset);
+        ownerId: req.user.id,
+        workspaceId
+      });
+      await derivedDatasetService.refreshDependents(datasetName.trim());
 
       // Clean up uploaded file since we've stored the data in the database
       fs.unlinkSync(file.path);
-      logger.debug('Cleaned up uploaded CSV file', { filePath: file.path });
+      logger.debug('Cleaned up uploaded file', { filePath: file.path });
 
       res.status(200).json({
         success: true,
         message: 'File uploaded and converted to JSON successfully',
         data: {
-          dataset: savedDataset,
+          dataset: result.dataset,
           originalFileName: file.originalname,
           originalFileSize: file.size,
+          sheetName: parsed.sheetName,
+          headerRow: parsed.headerRow,
+          csvFormat: parsed.csvFormat,
+          columns: columns,
+          invalidValues: converted.invalidValues,
+          mode: uploadMode.mode,
+          rowsAdded: result.rowsAdded,
+          rowsUpdated: result.rowsUpdated,
           rowCount: rowCount,
           columnCount: columnCount
         }
@@ -184,141 +467,289 @@ class DatasetController {
     }
   }
 
-  // GET /Dataset/:name - Get dataset by name
-  async getDatasetByName(req, res, next) {
+  // POST /Dataset/upload/sheets - List the sheets of a workbook so the user can pick one before uploading
+  async getUploadSheets(req, res, next) {
     try {
-      const { name } = req.params;
-      logger.info('Fetching dataset by name', { datasetName: name });
+      const file = req.file;
+      logger.info('Reading workbook sheets', { fileName: file?.originalname });
 
-      if (!name || name.trim() === '') {
-        throw new ValidationError('Dataset name is required', 'name');
+      if (!file) {
+        throw new ValidationError('No file uploaded', 'file');
       }
 
-      const dataset = await dataService.getDatasetByName(name);
+      validation.validateFile(file);
+      if (!excelService.isExcelFile(file.originalname)) {
+        throw new ValidationError('Only Excel workbooks (.xlsx, .xls) have sheets', 'file');
+      }
 
-      if (!dataset) {
-        return res.status(404).json({
-          success: false,
-          error: 'Dataset not found',
-          message: `Dataset '${name}' not found`
-        });
+      let sheets;
+      try {
+        sheets = await excelService.getSheets(file.path);
+      } catch (excelError) {
+        throw new ValidationError(`Failed to process Excel file: ${excelError.message}`, 'file');
       }
 
+      fs.unlinkSync(file.path);
+
       res.status(200).json({
         success: true,
-        data: dataset
+        data: {
+          fileName: file.originalname,
+          sheets
+        },
+        count: sheets.length
       });
     } catch (error) {
-      logger.error('Failed to retrieve dataset', { 
+      logger.error('Failed to read workbook sheets', {
         error: error.message,
-        datasetName: req.params.name 
+        fileName: req.file?.originalname
       });
+
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+
       next(error);
     }
   }
 
-  // GET /Dataset/:name/data - Get dataset data
-  async getDatasetData(req, res, next) {
+  // POST /Dataset/upload/csv-format - Detect a CSV file's format and preview it (with optional overrides)
+  async previewCsvFormat(req, res, next) {
     try {
-      const { name } = req.params;
-      const { page, limit } = req.query;
-      
-      logger.info('Fetching dataset data', { 
-        datasetName: name,
-        page,
-        limit
+      const file = req.file;
+      logger.info('Detecting CSV format', { fileName: file?.originalname });
+
+      if (!file) {
+        throw new ValidationError('No file uploaded', 'file');
+      }
+
+      validation.validateFile(file);
+      if (getFileTypeLabel(file.originalname) !== 'CSV') {
+        throw new ValidationError('Only CSV and TSV files have a delimiter format', 'file');
+      }
+
+      const overrides = getCsvFormatOverrides(req.body);
+      const detected = csvService.sniffCsvFormat(file.path);
+      const format = csvService.resolveCsvFormat(file.path, overrides);
+
+      let preview;
+      try {
+        preview = await csvService.readCsvPreview(file.path, format);
+      } catch (csvError) {
+        throw new ValidationError(`Failed to process CSV file: ${csvError.message}`, 'file');
+      }
+
+      fs.unlinkSync(file.path);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          fileName: file.originalname,
+          detected,
+          format,
+          headers: preview.headers,
+          rows: preview.rows
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to detect CSV format', {
+        error: error.message,
+        fileName: req.file?.originalname
       });
 
-      if (!name || name.trim() === '') {
-        throw new ValidationError('Dataset name is required', 'name');
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+
+      next(error);
+    }
+  }
+
+  // POST /Dataset/upload/preview - Parse an upload and hold it for import, returning its first rows and inferred column types
+  async previewUpload(req, res, next) {
+    try {
+      const file = req.file;
+      const { sheetName, headerRow, datasetName } = req.body;
+      logger.info('Previewing upload', { fileName: file?.originalname });
+
+      if (!file) {
+        throw new ValidationError('No file uploaded', 'file');
       }
 
-      const dataset = await dataService.getDatasetByName(name);
+      validation.validateFile(file);
 
-      if (!dataset) {
+      // When updating a dataset, its columns keep their types in the preview
+      const uploadMode = importService.validateUploadMode(req.body);
+      const target = uploadMode.mode !== 'create' && datasetName
+        ? await resolveUploadTarget(datasetName.trim(), uploadMode.mode, null, req.user.id)
+        : null;
+
+      const parsed = await readImportFile(file, {
+        sheetName: sheetName || null,
+        headerRow: parseHeaderRow(headerRow),
+        csvFormat: getCsvFormatOverrides(req.body)
+      });
+      const columns = target
+        ? buildColumnPlan(parsed.columns, [], target.rowColumns).map(({ name, type, dateFormat }) => ({ name, type, dateFormat }))
+        : parsed.columns;
+
+      // Keep the resolved sheet and CSV format so the import reads the file exactly as previewed
+      const upload = uploadService.stageUpload(file, {
+        ownerId: req.user.id,
+        parseOptions: {
+          sheetName: parsed.sheetName || null,
+          headerRow: parsed.headerRow || 1,
+          csvFormat: parsed.csvFormat || null
+        }
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          uploadId: upload.id,
+          fileName: upload.originalFileName,
+          fileSize: upload.originalFileSize,
+          expiresAt: upload.expiresAt,
+          sheetName: parsed.sheetName,
+          headerRow: parsed.headerRow,
+          csvFormat: parsed.csvFormat,
+          rowCount: parsed.jsonData.length,
+          columns,
+          rows: parsed.jsonData.slice(0, config.upload.previewRows),
+          mode: uploadMode.mode,
+          targetColumns: target ? target.rowColumns.map(({ name, fieldType }) => ({ name, fieldType })) : null,
+          columnTypes: COLUMN_TYPES,
+          dateFormats: DATE_FORMATS
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to preview upload', {
+        error: error.message,
+        fileName: req.file?.originalname
+      });
+
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+
+      next(error);
+    }
+  }
+
+  // POST /Dataset/upload/:uploadId/commit - Import a previewed upload with the chosen column names and types
+  async commitUpload(req, res, next) {
+    try {
+      const { uploadId } = req.params;
+      const { datasetName, workspaceId, columns: columnChoices = [] } = req.body || {};
+      const uploadMode = importService.validateUploadMode(req.body || {});
+      logger.info('Importing previewed upload', { uploadId, datasetName });
+
+      const upload = uploadService.getUpload(uploadId, req.user.id);
+      if (!upload) {
         return res.status(404).json({
           success: false,
-          error: 'Dataset not found',
-          message: `Dataset '${name}' not found`
+          error: 'Upload not found',
+          message: `Upload '${uploadId}' not found or has expired`
         });
       }
 
-      if (!dataset.jsonData) {
-        throw new ValidationError('Dataset does not contain JSON data', 'jsonData');
+      if (!datasetName || typeof datasetName !== 'string' || datasetName.trim() === '') {
+        throw new ValidationError('Dataset name is required', 'datasetName');
       }
 
-      try {
-        // Parse JSON data from database
-        const jsonData = typeof dataset.jsonData === 'string' 
-          ? JSON.parse(dataset.jsonData) 
-          : dataset.jsonData;
-        
-        if (page && limit) {
-          // Return paginated data
-          const pageNum = Math.max(1, parseInt(page));
-          const limitNum = Math.max(1, parseInt(limit));
-          const startIndex = (pageNum - 1) * limitNum;
-          const endIndex = startIndex + limitNum;
-          
-          const paginatedData = jsonData.slice(startIndex, endIndex);
-          
-          const pagination = {
-            page: pageNum,
-            limit: limitNum,
-            totalRows: jsonData.length,
-            totalPages: Math.ceil(jsonData.length / limitNum),
-            hasNext: endIndex < jsonData.length,
-            hasPrev: pageNum > 1,
-            startRow: startIndex + 1,
-            endRow: Math.min(endIndex, jsonData.length)
-          };
-          
-          res.status(200).json({
-            success: true,
-            data: {
-              dataset: dataset,
-              records: paginatedData,
-              pagination: pagination
-            }
-          });
-        } else {
-          // Return all data
-          res.status(200).json({
-            success: true,
-            data: {
-              dataset: dataset,
-              records: jsonData,
-              recordCount: jsonData.length
-            }
-          });
+      const target = await resolveUploadTarget(datasetName.trim(), uploadMode.mode, workspaceId, req.user.id);
+
+      const parsed = await readImportFile(
+        { originalname: upload.originalFileName, path: upload.filePath },
+        upload.parseOptions
+      );
+      const columns = buildColumnPlan(parsed.columns, columnChoices, target ? target.rowColumns : []);
+      const converted = convertRows(parsed.jsonData, columns);
+
+      const result = await importService.importRows({
+        ...uploadMode,
+        datasetName: datasetName.trim(),
+        dataset: target,
+        converted,
+        originalFileName: upload.originalFileName,
+        originalFileSize: upload.originalFileSize,
+        ownerId: req.user.id,
+        workspaceId
+      });
+      await derivedDatasetService.refreshDependents(datasetName.trim());
+
+      // The upload stays pending if anything above fails, so the user can fix the request and retry
+      uploadService.discardUpload(upload);
+
+      res.status(200).json({
+        success: true,
+        message: 'File imported successfully',
+        data: {
+          dataset: result.dataset,
+          originalFileName: upload.originalFileName,
+          originalFileSize: upload.originalFileSize,
+          sheetName: parsed.sheetName,
+          headerRow: parsed.headerRow,
+          csvFormat: parsed.csvFormat,
+          columns: columns,
+          invalidValues: converted.invalidValues,
+          mode: uploadMode.mode,
+          rowsAdded: result.rowsAdded,
+          rowsUpdated: result.rowsUpdated,
+          rowCount: converted.data.length,
+          columnCount: converted.headers.length
         }
-      } catch (parseError) {
-        logger.error('Failed to parse JSON data', { 
-          error: parseError.message,
-          datasetName: name 
+      });
+    } catch (error) {
+      logger.error('Failed to import upload', {
+        error: error.message,
+        uploadId: req.params.uploadId
+      });
+      next(error);
+    }
+  }
+
+  // DELETE /Dataset/upload/:uploadId - Discard a previewed upload without importing it
+  async discardUpload(req, res, next) {
+    try {
+      const { uploadId } = req.params;
+      logger.info('Discarding previewed upload', { uploadId });
+
+      const upload = uploadService.getUpload(uploadId, req.user.id);
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          error: 'Upload not found',
+          message: `Upload '${uploadId}' not found or has expired`
         });
-        throw new Error(`Failed to parse dataset JSON data: ${parseError.message}`);
       }
+
+      uploadService.discardUpload(upload);
+
+      res.status(200).json({
+        success: true,
+        message: 'Upload discarded'
+      });
     } catch (error) {
-      logger.error('Failed to retrieve dataset data', { 
+      logger.error('Failed to discard upload', {
         error: error.message,
-        datasetName: req.params.name 
+        uploadId: req.params.uploadId
       });
       next(error);
     }
   }
 
-  // GET /Dataset/:name/info - Get dataset file information
-  async getDatasetInfo(req, res, next) {
+  // GET /Dataset/:name - Get dataset by name
+  async getDatasetByName(req, res, next) {
     try {
       const { name } = req.params;
-      logger.info('Fetching dataset info', { datasetName: name });
+      logger.info('Fetching dataset by name', { datasetName: name });
 
       if (!name || name.trim() === '') {
         throw new ValidationError('Dataset name is required', 'name');
       }
 
-      const dataset = await dataService.getDatasetByName(name);
+      const dataset = await dataService.getDatasetByName(name, req.user.id);
 
       if (!dataset) {
         return res.status(404).json({
@@ -328,32 +759,12 @@ class DatasetController {
         });
       }
 
-      // Calculate data size for JSON data
-      const jsonDataSize = dataset.jsonData ? Buffer.byteLength(dataset.jsonData, 'utf8') : 0;
-      
-      const info = {
-        datasetName: dataset.datasetName,
-        originalFileName: dataset.originalFileName,
-        originalFileSize: dataset.originalFileSize,
-        jsonDataSize: jsonDataSize,
-        jsonDataSizeFormatted: this.formatFileSize(jsonDataSize),
-        rowCount: dataset.rowCount,
-        columnCount: dataset.columnCount,
-        headers: dataset.headers,
-        mimeType: dataset.mimeType,
-        createdAt: dataset.createdAt,
-        updatedAt: dataset.updatedAt
-      };
-      
       res.status(200).json({
         success: true,
-        data: {
-          dataset: dataset,
-          fileInfo: info
-        }
+        data: dataset
       });
     } catch (error) {
-      logger.error('Failed to retrieve dataset info', { 
+      logger.error('Failed to retrieve dataset', { 
         error: error.message,
         datasetName: req.params.name 
       });
@@ -361,18 +772,27 @@ class DatasetController {
     }
   }
 
-  // DELETE /Dataset/:name - Delete dataset
-  async deleteDataset(req, res, next) {
+  // GET /Dataset/:name/data - Get dataset data
+  async getDatasetData(req, res, next) {
     try {
       const { name } = req.params;
-      logger.info('Deleting dataset', { datasetName: name });
+      const { page, limit, filter, sortBy, sortOrder, version } = req.query;
+      
+      logger.info('Fetching dataset data', { 
+        datasetName: name,
+        page,
+        limit,
+        sortBy,
+        version
+      });
 
       if (!name || name.trim() === '') {
         throw new ValidationError('Dataset name is required', 'name');
       }
 
-      const dataset = await dataService.getDatasetByName(name);
-      if (!dataset) {
+      const latestDataset = await dataService.getDatasetByName(name, req.user.id);
+
+      if (!latestDataset) {
         return res.status(404).json({
           success: false,
           error: 'Dataset not found',
@@ -380,12 +800,412 @@ class DatasetController {
         });
       }
 
-      // Delete the dataset from database (JSON data is stored in database)
-      const deleted = await dataService.deleteDataset(name);
+      // ?version=n reads an earlier version (dashboards pinned to a version use this)
+      const dataset = await resolveDatasetVersion(latestDataset, version);
 
-      res.status(200).json({
-        success: true,
-        message: 'Dataset deleted successfully'
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset version not found',
+          message: `Dataset '${name}' has no version ${version}`
+        });
+      }
+
+      const query = getRowQuery(dataset, { filter, sortBy, sortOrder });
+
+      if (page && limit) {
+        // Return paginated data
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.max(1, parseInt(limit) || 1);
+        const startIndex = (pageNum - 1) * limitNum;
+        const endIndex = startIndex + limitNum;
+
+        const { records, totalRows } = await dataService.getDatasetRows(dataset, {
+          ...query,
+          offset: startIndex,
+          limit: limitNum
+        });
+
+        const pagination = {
+          page: pageNum,
+          limit: limitNum,
+          totalRows: totalRows,
+          totalPages: Math.ceil(totalRows / limitNum),
+          hasNext: endIndex < totalRows,
+          hasPrev: pageNum > 1,
+          startRow: startIndex + 1,
+          endRow: Math.min(endIndex, totalRows)
+        };
+
+        res.status(200).json({
+          success: true,
+          data: {
+            dataset: dataset,
+            records: records,
+            pagination: pagination
+          }
+        });
+      } else {
+        // Return all data
+        const { records } = await dataService.getDatasetRows(dataset, query);
+
+        res.status(200).json({
+          success: true,
+          data: {
+            dataset: dataset,
+            records: records,
+            recordCount: records.length
+          }
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to retrieve dataset data', { 
+        error: error.message,
+        datasetName: req.params.name 
+      });
+      next(error);
+    }
+  }
+
+  // POST /Dataset/:name/query - Run a Graphic Walker computation query
+  async queryDataset(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { timezoneOffset, version, ...payload } = req.body || {};
+      logger.info('Querying dataset', {
+        datasetName: name,
+        steps: Array.isArray(payload.workflow) ? payload.workflow.length : 0,
+        version
+      });
+
+      validation.validateDataQuery(payload);
+
+      const latestDataset = await dataService.getDatasetByName(name, req.user.id);
+
+      if (!latestDataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset '${name}' not found`
+        });
+      }
+
+      const dataset = await resolveDatasetVersion(latestDataset, version);
+
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset version not found',
+          message: `Dataset '${name}' has no version ${version}`
+        });
+      }
+
+      const rows = await dataService.queryDataset(dataset, payload, {
+        timezoneOffset: Number(timezoneOffset)
+      });
+
+      res.status(200).json({
+        success: true,
+        data: rows,
+        count: rows.length
+      });
+    } catch (error) {
+      logger.error('Failed to query dataset', { 
+        error: error.message,
+        datasetName: req.params.name 
+      });
+      next(error);
+    }
+  }
+
+  // GET /Dataset/:name/export - Download a dataset's rows as CSV, Excel or NDJSON
+  async exportDataset(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { format: requestedFormat, filter, sortBy, sortOrder, version } = req.query;
+      const format = validation.validateDataExportFormat(requestedFormat);
+      logger.info('Exporting dataset', { datasetName: name, format, version });
+
+      const latestDataset = await dataService.getDatasetByName(name, req.user.id);
+
+      if (!latestDataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset '${name}' not found`
+        });
+      }
+
+      const dataset = await resolveDatasetVersion(latestDataset, version);
+
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset version not found',
+          message: `Dataset '${name}' has no version ${version}`
+        });
+      }
+
+      const query = getRowQuery(dataset, { filter, sortBy, sortOrder });
+
+      await dataExportService.send(res, {
+        format,
+        filename: downloadName(dataset, { version, format }),
+        sheet: dataset.datasetName,
+        columns: [
+          ...(dataset.rowColumns || []).map(column => column.name),
+          ...compileCalculatedFields(dataset.calculatedFields, dataset.rowColumns).fields.map(field => field.name)
+        ].map(field => ({ key: field, title: field })),
+        readPage: async (offset, limit) => (
+          (await dataService.getDatasetRows(dataset, { ...query, offset, limit })).records
+        )
+      });
+    } catch (error) {
+      logger.error('Failed to export dataset', {
+        error: error.message,
+        datasetName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // POST /Dataset/:name/export - Download the rows a chart spec shows as CSV, Excel or NDJSON
+  async exportChartData(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { chart, filters = [], timezoneOffset, version } = req.body || {};
+      const format = validation.validateDataExportFormat(req.body && req.body.format);
+      logger.info('Exporting chart data', { datasetName: name, format, version });
+
+      if (!chart || typeof chart !== 'object' || !chart.encodings) {
+        throw new ValidationError('A Graphic Walker chart spec is required', 'chart');
+      }
+      if (!Array.isArray(filters)) {
+        throw new ValidationError('Filters must be an array of filter rules', 'filters');
+      }
+
+      // Extra filter rules (the dashboard's, when downloading from one) apply before the chart's own
+      const workflow = chartToWorkflow(chart);
+      if (filters.length > 0) {
+        workflow.unshift({ type: 'filter', filters });
+      }
+      validation.validateDataQuery({ workflow });
+
+      const latestDataset = await dataService.getDatasetByName(name, req.user.id);
+
+      if (!latestDataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset '${name}' not found`
+        });
+      }
+
+      const dataset = await resolveDatasetVersion(latestDataset, version);
+
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset version not found',
+          message: `Dataset '${name}' has no version ${version}`
+        });
+      }
+
+      // Charts with a row limit download that many rows. Pages repeat the same query on the
+      // same rows, so they follow on from each other.
+      const chartLimit = chart.config && chart.config.limit > 0 ? chart.config.limit : Infinity;
+
+      await dataExportService.send(res, {
+        format,
+        filename: downloadName(dataset, { version, chartName: chart.name || 'chart', format }),
+        sheet: chart.name || dataset.datasetName,
+        columns: chartColumns(chart),
+        readPage: async (offset, limit) => {
+          const count = Math.min(limit, chartLimit - offset);
+          if (count <= 0) return [];
+          return dataService.queryDataset(dataset, { workflow, offset, limit: count }, {
+            timezoneOffset: Number(timezoneOffset)
+          });
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to export chart data', {
+        error: error.message,
+        datasetName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // GET /Dataset/:name/info - Get dataset file information
+  async getDatasetInfo(req, res, next) {
+    try {
+      const { name } = req.params;
+      logger.info('Fetching dataset info', { datasetName: name });
+
+      if (!name || name.trim() === '') {
+        throw new ValidationError('Dataset name is required', 'name');
+      }
+
+      const dataset = await dataService.getDatasetByName(name, req.user.id);
+
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset '${name}' not found`
+        });
+      }
+
+      // Calculate the stored size of the dataset rows
+      const dataSize = await dataService.getDatasetRowsSize(dataset);
+      
+      const info = {
+        datasetName: dataset.datasetName,
+        originalFileName: dataset.originalFileName,
+        originalFileSize: dataset.originalFileSize,
+        dataSize: dataSize,
+        dataSizeFormatted: formatFileSize(dataSize),
+        rowCount: dataset.rowCount,
+        columnCount: dataset.columnCount,
+        headers: dataset.headers,
+        mimeType: dataset.mimeType,
+        createdAt: dataset.createdAt,
+        updatedAt: dataset.updatedAt
+      };
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          dataset: dataset,
+          fileInfo: info
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to retrieve dataset info', { 
+        error: error.message,
+        datasetName: req.params.name 
+      });
+      next(error);
+    }
+  }
+
+  // GET /Dataset/:name/versions - List the versions of a dataset's rows, newest first
+  async getDatasetVersions(req, res, next) {
+    try {
+      const { name } = req.params;
+      logger.info('Fetching dataset versions', { datasetName: name });
+
+      const dataset = await dataService.getDatasetByName(name, req.user.id);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset '${name}' not found`
+        });
+      }
+
+      // Row storage details stay internal
+      const versions = (await dataService.getDatasetVersions(dataset.id))
+        .map(({ rowsTable, rowColumns, ...version }) => ({
+          ...version,
+          isCurrent: version.version === dataset.version
+        }));
+
+      res.status(200).json({
+        success: true,
+        data: versions,
+        count: versions.length,
+        currentVersion: dataset.version
+      });
+    } catch (error) {
+      logger.error('Failed to retrieve dataset versions', {
+        error: error.message,
+        datasetName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // POST /Dataset/:name/versions/:id/restore - Make an earlier version the latest again
+  async restoreDatasetVersion(req, res, next) {
+    try {
+      const { name, id } = req.params;
+      logger.info('Restoring dataset version', { datasetName: name, version: id });
+
+      const version = validation.validateDatasetVersion(id, 'id');
+
+      const dataset = await dataService.getDatasetByName(name, req.user.id);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset '${name}' not found`
+        });
+      }
+
+      permissions.requireRole(dataset.accessRole, ROLES.EDITOR, 'restore versions of this dataset');
+
+      const datasetVersion = await dataService.getDatasetVersion(dataset.id, version);
+      if (!datasetVersion) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset version not found',
+          message: `Dataset '${name}' has no version ${version}`
+        });
+      }
+
+      await importService.assertVersionRestorable(dataset, datasetVersion);
+
+      await dataService.restoreDatasetVersion(name, version, req.user.id);
+      await derivedDatasetService.refreshDependents(name);
+      const restoredDataset = await dataService.getDatasetByName(name, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: `Version ${version} restored as version ${restoredDataset.version}`,
+        data: restoredDataset
+      });
+    } catch (error) {
+      logger.error('Failed to restore dataset version', {
+        error: error.message,
+        datasetName: req.params.name,
+        version: req.params.id
+      });
+      next(error);
+    }
+  }
+
+  // DELETE /Dataset/:name - Delete dataset
+  async deleteDataset(req, res, next) {
+    try {
+      const { name } = req.params;
+      logger.info('Deleting dataset', { datasetName: name });
+
+      if (!name || name.trim() === '') {
+        throw new ValidationError('Dataset name is required', 'name');
+      }
+
+      const dataset = await dataService.getDatasetByName(name, req.user.id);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset '${name}' not found`
+        });
+      }
+
+      // Deleting a dataset removes every dashboard built only on it (and its charts from the others), so only owners may do it
+      permissions.requireRole(dataset.accessRole, ROLES.OWNER, 'delete this dataset');
+
+      // Delete the dataset from database (JSON data is stored in database)
+      await dataService.deleteDataset(name);
+      // Datasets derived from it keep their rows and note that a source is gone
+      await derivedDatasetService.refreshDependents(name);
+
+      res.status(200).json({
+        success: true,
+        message: 'Dataset deleted successfully'
       });
     } catch (error) {
       logger.error('Failed to delete dataset', { 
@@ -396,15 +1216,251 @@ class DatasetController {
     }
   }
 
-  // Utility method to format file size
-  formatFileSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  // PUT /Dataset/:name/workspace - Share a dataset with a workspace or make it private again
+  async setDatasetWorkspace(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { workspaceId = null } = req.body || {};
+      logger.info('Updating dataset workspace', { datasetName: name, workspaceId });
+
+      if (!name || name.trim() === '') {
+        throw new ValidationError('Dataset name is required', 'name');
+      }
+
+      const dataset = await dataService.getDatasetByName(name, req.user.id);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset '${name}' not found`
+        });
+      }
+
+      permissions.requireRole(dataset.accessRole, ROLES.OWNER, 'share this dataset');
+
+      if (workspaceId) {
+        await assertWorkspaceEditor(workspaceId, req.user.id);
+      }
+
+      await dataService.setDatasetWorkspace(name, workspaceId);
+      const updatedDataset = await dataService.getDatasetByName(name, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: workspaceId ? 'Dataset shared with workspace' : 'Dataset removed from workspace',
+        data: updatedDataset
+      });
+    } catch (error) {
+      logger.error('Failed to update dataset workspace', { 
+        error: error.message,
+        datasetName: req.params.name 
+      });
+      next(error);
+    }
+  }
+
+  // PUT /Dataset/:name/calculated-fields - Replace the calculated fields of a dataset
+  async setDatasetCalculatedFields(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { calculatedFields } = req.body || {};
+      logger.info('Updating dataset calculated fields', { datasetName: name });
+
+      const dataset = await dataService.getDatasetByName(name, req.user.id);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset '${name}' not found`
+        });
+      }
+
+      permissions.requireRole(dataset.accessRole, ROLES.EDITOR, 'edit calculated fields of this dataset');
+
+      const definitions = validation.validateCalculatedFields(calculatedFields);
+      const { fields, errors } = compileCalculatedFields(definitions, dataset.rowColumns);
+      if (errors.length > 0) {
+        throw new ValidationError(`Calculated field '${errors[0].name}': ${errors[0].message}`, 'calculatedFields');
+      }
+
+      // Calculated fields that dashboards use cannot be removed
+      const names = fields.map(field => field.name);
+      const removed = (dataset.calculatedFields || []).map(field => field.name).filter(field => !names.includes(field));
+      if (removed.length > 0) {
+        const problems = [];
+        (await dataService.getDashboardsByDataset(name)).forEach(dashboard => {
+          getDashboardFields(dashboard.jsonFormat, dashboard.filters, name, dashboard.datasetName)
+            .filter(field => removed.includes(field))
+            .forEach(field => problems.push(`'${dashboard.dashboardName}' uses '${field}'`));
+        });
+        if (problems.length > 0) {
+          throw new ValidationError(`Calculated fields in use cannot be removed: ${problems.join('; ')}`, 'calculatedFields');
+        }
+      }
+
+      await dataService.setDatasetCalculatedFields(
+        name,
+        definitions.map((definition, index) => ({ ...definition, type: fields[index].type }))
+      );
+      // Datasets derived from this one hold its calculated fields as columns
+      await derivedDatasetService.refreshDependents(name);
+      const updatedDataset = await dataService.getDatasetByName(name, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Calculated fields updated',
+        data: updatedDataset
+      });
+    } catch (error) {
+      logger.error('Failed to update dataset calculated fields', {
+        error: error.message,
+        datasetName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // PUT /Dataset/:name/field-metadata - Replace how a dataset's fields are named, typed and formatted
+  async setDatasetFieldMetadata(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { fieldMetadata } = req.body || {};
+      logger.info('Updating dataset field metadata', { datasetName: name });
+
+      const dataset = await dataService.getDatasetByName(name, req.user.id);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset '${name}' not found`
+        });
+      }
+
+      permissions.requireRole(dataset.accessRole, ROLES.EDITOR, 'edit field metadata of this dataset');
+
+      const fieldNames = [
+        ...(dataset.rowColumns.length > 0 ? dataset.rowColumns.map(column => column.name) : dataset.headers),
+        ...(dataset.calculatedFields || []).map(field => field.name)
+      ];
+      await dataService.setDatasetFieldMetadata(name, validation.validateFieldMetadata(fieldMetadata, fieldNames));
+      const updatedDataset = await dataService.getDatasetByName(name, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Field metadata updated',
+        data: updatedDataset
+      });
+    } catch (error) {
+      logger.error('Failed to update dataset field metadata', {
+        error: error.message,
+        datasetName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // POST /Dataset/derived - Create a dataset that joins, stacks or queries other datasets
+  async createDerivedDataset(req, res, next) {
+    try {
+      const { datasetName, workspaceId, ...body } = req.body || {};
+      logger.info('Creating derived dataset', { datasetName, type: body.type });
+
+      if (!datasetName || typeof datasetName !== 'string' || datasetName.trim() === '') {
+        throw new ValidationError('Dataset name is required', 'datasetName');
+      }
+
+      const definition = validation.validateDerivation(body);
+      await resolveUploadTarget(datasetName.trim(), 'create', workspaceId, req.user.id);
+
+      await derivedDatasetService.createDerivedDataset({
+        datasetName: datasetName.trim(),
+        workspaceId,
+        definition,
+        userId: req.user.id
+      });
+      const dataset = await dataService.getDatasetByName(datasetName.trim(), req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Derived dataset created',
+        data: dataset
+      });
+    } catch (error) {
+      logger.error('Failed to create derived dataset', {
+        error: error.message,
+        datasetName: req.body?.datasetName
+      });
+      next(error);
+    }
+  }
+
+  // POST /Dataset/:name/refresh - Recompute a derived dataset from the latest rows of its sources
+  async refreshDerivedDataset(req, res, next) {
+    try {
+      const { name } = req.params;
+      logger.info('Refreshing derived dataset', { datasetName: name });
+
+      const dataset = await dataService.getDatasetByName(name, req.user.id);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset '${name}' not found`
+        });
+      }
+
+      permissions.requireRole(dataset.accessRole, ROLES.EDITOR, 'refresh this dataset');
+
+      if (!dataset.derivation) {
+        throw new ValidationError(`Dataset '${name}' is not derived from other datasets`, 'name');
+      }
+
+      await derivedDatasetService.refreshDataset(dataset, req.user.id);
+      await derivedDatasetService.refreshDependents(name);
+      const refreshedDataset = await dataService.getDatasetByName(name, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: `Dataset refreshed as version ${refreshedDataset.version}`,
+        data: refreshedDataset
+      });
+    } catch (error) {
+      logger.error('Failed to refresh derived dataset', {
+        error: error.message,
+        datasetName: req.params.name
+      });
+      next(error);
+    }
+  }
+
+  // GET /Dataset/:name/lineage - Get the datasets a dataset is derived from and the ones derived from it
+  async getDatasetLineage(req, res, next) {
+    try {
+      const { name } = req.params;
+      logger.info('Fetching dataset lineage', { datasetName: name });
+
+      const dataset = await dataService.getDatasetByName(name, req.user.id);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset '${name}' not found`
+        });
+      }
+
+      const lineage = await derivedDatasetService.getLineage(dataset, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: lineage
+      });
+    } catch (error) {
+      logger.error('Failed to retrieve dataset lineage', {
+        error: error.message,
+        datasetName: req.params.name
+      });
+      next(error);
+    }
   }
 }
 
@@ -0,0 +1,38 @@
+const config = require('../config');
+const derivedDatasetService = require('../services/derivedDatasetService');
+const sqlQueryService = require('../services/sqlQueryService');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/validation');
+
+class QueryController {
+  // POST /query - Run a read-only SQL query over the datasets the user can open
+  async runQuery(req, res, next) {
+    try {
+      const startedAt = Date.now();
+      const { sql, limit } = req.body || {};
+      logger.info('Running SQL query', { userId: req.user.id });
+
+      if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > config.sqlQuery.maxRows)) {
+        throw new ValidationError(`Limit must be a whole number from 1 to ${config.sqlQuery.maxRows}`, 'limit');
+      }
+
+      const names = await sqlQueryService.findSources(sql, req.user.id);
+      const sources = await derivedDatasetService.readSources({ type: 'query', sources: names }, req.user.id);
+      const result = await sqlQueryService.runQuery(sql, sources, limit || config.sqlQuery.maxRows, startedAt);
+
+      res.status(200).json({
+        success: true,
+        data: result.rows,
+        columns: result.columns,
+        count: result.rows.length,
+        truncated: result.truncated,
+        sources: names
+      });
+    } catch (error) {
+      logger.error('Failed to run SQL query', { error: error.message });
+      next(error);
+    }
+  }
+}
+
+module.exports = new QueryController();
@@ -0,0 +1,252 @@
+const dataService = require('../services/dataService');
+const authService = require('../services/authService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { validation, ValidationError } = require('../utils/validation');
+
+// Header carrying the access token that unlocks a password-protected share link
+const SHARE_ACCESS_HEADER = 'X-Share-Access';
+
+// Find a share link that can still be used by its token (revoked links are gone; expired ones are refused)
+const findShare = async (token) => {
+  const share = await dataService.getDashboardShareByToken(token);
+  if (!share || (share.expiresAt && new Date(share.expiresAt).getTime() <= Date.now())) {
+    return null;
+  }
+  return share;
+};
+
+// Send the standard 404 response for share links that are unknown, expired or revoked
+const shareNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Share link not found',
+  message: 'This share link does not exist, has expired or has been revoked'
+});
+
+// Send the 401 response for password-protected links opened without a valid access token
+const sharePasswordRequired = (res) => res.status(401).json({
+  success: false,
+  error: 'Password required',
+  message: 'This share link needs a password'
+});
+
+// Links without a password are always open; the others need the access token given for the password
+const isUnlocked = (req, share) => {
+  if (!share.passwordHash) {
+    return true;
+  }
+  const accessToken = req.get(SHARE_ACCESS_HEADER);
+  return Boolean(accessToken) && authService.verifyShareAccessToken(accessToken, share);
+};
+
+// What a shared dashboard shows: its charts, layout and filters, not its owner or workspace
+const describeSharedDashboard = (dashboard) => ({
+  dashboardName: dashboard.dashboardName,
+  datasetName: dashboard.datasetName,
+  datasetNames: dashboard.datasetNames,
+  jsonFormat: dashboard.jsonFormat,
+  isMultiple: dashboard.isMultiple,
+  datasetVersion: dashboard.datasetVersion,
+  layout: dashboard.layout,
+  filters: dashboard.filters,
+  updatedAt: dashboard.updatedAt
+});
+
+// One of the datasets a shared dashboard's charts read, at the dashboard's pinned version for its
+// own dataset. Returns null for datasets the dashboard does not read.
+const resolveSharedDataset = async (share, datasetName) => {
+  const dashboard = await dataService.getDashboardByName(share.dashboardName);
+  if (!dashboard || !dashboard.datasetNames.includes(datasetName)) {
+    return null;
+  }
+
+  const dataset = await dataService.getDatasetByName(datasetName);
+  if (!dataset || datasetName !== dashboard.datasetName || !dashboard.datasetVersion) {
+    return dataset;
+  }
+
+  const datasetVersion = await dataService.getDatasetVersion(dataset.id, dashboard.datasetVersion);
+  return datasetVersion && {
+    ...dataset,
+    version: datasetVersion.version,
+    rowsTable: datasetVersion.rowsTable,
+    rowColumns: datasetVersion.rowColumns,
+    headers: datasetVersion.headers,
+    rowCount: datasetVersion.rowCount,
+    columnCount: datasetVersion.columnCount
+  };
+};
+
+// Public, read-only access to dashboards through share links. Nothing here needs an account.
+class ShareController {
+  // GET /share/:token - Get a shared dashboard (only whether it needs a password while locked)
+  async getSharedDashboard(req, res, next) {
+    try {
+      logger.info('Opening shared dashboard');
+
+      const share = await findShare(req.params.token);
+      if (!share) {
+        return shareNotFound(res);
+      }
+
+      if (!isUnlocked(req, share)) {
+        return res.status(200).json({
+          success: true,
+          data: { passwordRequired: true, expiresAt: share.expiresAt, dashboard: null }
+        });
+      }
+
+      const dashboard = await dataService.getDashboardByName(share.dashboardName);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          passwordRequired: Boolean(share.passwordHash),
+          expiresAt: share.expiresAt,
+          dashboard: describeSharedDashboard(dashboard)
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to open shared dashboard', { error: error.message });
+      next(error);
+    }
+  }
+
+  // POST /share/:token/access - Give a share link's password for an access token
+  async unlockShare(req, res, next) {
+    try {
+      const { password } = req.body || {};
+      logger.info('Unlocking shared dashboard');
+
+      const share = await findShare(req.params.token);
+      if (!share) {
+        return shareNotFound(res);
+      }
+
+      if (!share.passwordHash) {
+        return res.status(200).json({
+          success: true,
+          data: { accessToken: null }
+        });
+      }
+
+      if (typeof password !== 'string' || !(await authService.verifyPassword(password, share.passwordHash))) {
+        throw new ValidationError('Incorrect password', 'password');
+      }
+
+      res.status(200).json({
+        success: true,
+        data: { accessToken: authService.generateShareAccessToken(share) }
+      });
+    } catch (error) {
+      logger.error('Failed to unlock shared dashboard', { error: error.message });
+      next(error);
+    }
+  }
+
+  // GET /share/:token/datasets/:datasetName/data - Get a page of rows of a dataset the shared dashboard reads
+  async getSharedDatasetData(req, res, next) {
+    try {
+      const { token, datasetName } = req.params;
+      logger.info('Fetching shared dataset data', { datasetName });
+
+      const share = await findShare(token);
+      if (!share) {
+        return shareNotFound(res);
+      }
+      if (!isUnlocked(req, share)) {
+        return sharePasswordRequired(res);
+      }
+
+      const dataset = await resolveSharedDataset(share, datasetName);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `The shared dashboard has no dataset '${datasetName}'`
+        });
+      }
+
+      // Pages only, so a link never sends a whole dataset at once
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const limit = Math.min(config.csv.maxPageSize, Math.max(1, parseInt(req.query.limit) || config.csv.defaultPageSize));
+
+      const { records, totalRows } = await dataService.getDatasetRows(dataset, {
+        offset: (page - 1) * limit,
+        limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          dataset: {
+            datasetName: dataset.datasetName,
+            version: dataset.version,
+            rowColumns: dataset.rowColumns,
+            // Names and types only: the expressions stay with the dataset's editors
+            calculatedFields: (dataset.calculatedFields || []).map(({ name, type }) => ({ name, type })),
+            fieldMetadata: dataset.fieldMetadata
+          },
+          records,
+          pagination: { page, limit, totalRows }
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to retrieve shared dataset data', {
+        error: error.message,
+        datasetName: req.params.datasetName
+      });
+      next(error);
+    }
+  }
+
+  // POST /share/:token/datasets/:datasetName/query - Run a Graphic Walker computation query for a shared dashboard
+  async querySharedDataset(req, res, next) {
+    try {
+      const { token, datasetName } = req.params;
+      const { timezoneOffset, version, ...payload } = req.body || {};
+      logger.info('Querying shared dataset', {
+        datasetName,
+        steps: Array.isArray(payload.workflow) ? payload.workflow.length : 0
+      });
+
+      validation.validateDataQuery(payload);
+
+      const share = await findShare(token);
+      if (!share) {
+        return shareNotFound(res);
+      }
+      if (!isUnlocked(req, share)) {
+        return sharePasswordRequired(res);
+      }
+
+      // The dashboard decides which version is read, whatever the request asks for
+      const dataset = await resolveSharedDataset(share, datasetName);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `The shared dashboard has no dataset '${datasetName}'`
+        });
+      }
+
+      const rows = await dataService.queryDataset(dataset, payload, {
+        timezoneOffset: Number(timezoneOffset)
+      });
+
+      res.status(200).json({
+        success: true,
+        data: rows,
+        count: rows.length
+      });
+    } catch (error) {
+      logger.error('Failed to query shared dataset', {
+        error: error.message,
+        datasetName: req.params.datasetName
+      });
+      next(error);
+    }
+  }
+}
+
+module.exports = new ShareController();
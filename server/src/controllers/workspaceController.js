@@ -0,0 +1,207 @@
+const dataService = require('../services/dataService');
+const logger = require('../utils/logger');
+const { validation, ValidationError } = require('../utils/validation');
+const { permissions, ROLES } = require('../utils/permissions');
+
+// Send the standard 404 response for workspaces the user is not a member of
+const workspaceNotFound = (res, workspaceId) => res.status(404).json({
+  success: false,
+  error: 'Workspace not found',
+  message: `Workspace '${workspaceId}' not found`
+});
+
+class WorkspaceController {
+  // GET /Workspace - Get all workspaces the user belongs to
+  async getWorkspaces(req, res, next) {
+    try {
+      logger.info('Fetching workspaces', { userId: req.user.id });
+      const workspaces = await dataService.getWorkspaces(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: workspaces,
+        count: workspaces.length
+      });
+    } catch (error) {
+      logger.error('Failed to retrieve workspaces', { error: error.message });
+      next(error);
+    }
+  }
+
+  // POST /Workspace - Create a workspace owned by the user
+  async createWorkspace(req, res, next) {
+    try {
+      const workspace = req.body || {};
+      logger.info('Creating workspace', { name: workspace.name });
+
+      validation.validateWorkspace(workspace);
+
+      if (workspace.name.trim().length > 100) {
+        throw new ValidationError('Workspace name cannot exceed 100 characters', 'name');
+      }
+
+      const createdWorkspace = await dataService.createWorkspace({
+        name: workspace.name.trim(),
+        ownerId: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Workspace created successfully',
+        data: createdWorkspace
+      });
+    } catch (error) {
+      logger.error('Failed to create workspace', {
+        error: error.message,
+        name: req.body?.name
+      });
+      next(error);
+    }
+  }
+
+  // GET /Workspace/:id - Get workspace with its members
+  async getWorkspaceById(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching workspace by ID', { workspaceId: id });
+
+      const workspace = await dataService.getWorkspaceById(id, req.user.id);
+      if (!workspace) {
+        return workspaceNotFound(res, id);
+      }
+
+      const members = await dataService.getWorkspaceMembers(id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...workspace,
+          members
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to retrieve workspace', {
+        error: error.message,
+        workspaceId: req.params.id
+      });
+      next(error);
+    }
+  }
+
+  // DELETE /Workspace/:id - Delete a workspace (owners only)
+  async deleteWorkspace(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Deleting workspace', { workspaceId: id });
+
+      const workspace = await dataService.getWorkspaceById(id, req.user.id);
+      if (!workspace) {
+        return workspaceNotFound(res, id);
+      }
+
+      permissions.requireRole(workspace.role, ROLES.OWNER, 'delete this workspace');
+
+      await dataService.deleteWorkspace(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Workspace deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete workspace', {
+        error: error.message,
+        workspaceId: req.params.id
+      });
+      next(error);
+    }
+  }
+
+  // PUT /Workspace/:id/members - Add a member or change their role (owners only)
+  async setWorkspaceMember(req, res, next) {
+    try {
+      const { id } = req.params;
+      const member = req.body || {};
+      logger.info('Setting workspace member', { workspaceId: id, email: member.email, role: member.role });
+
+      validation.validateWorkspaceMember(member);
+
+      const workspace = await dataService.getWorkspaceById(id, req.user.id);
+      if (!workspace) {
+        return workspaceNotFound(res, id);
+      }
+
+      permissions.requireRole(workspace.role, ROLES.OWNER, 'manage workspace members');
+
+      const user = await dataService.getUserByEmail(member.email.toLowerCase().trim());
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+          message: `No user registered with email '${member.email}'`
+        });
+      }
+
+      if (user.id === workspace.ownerId && member.role !== ROLES.OWNER) {
+        throw new ValidationError('The workspace creator must remain an owner', 'role');
+      }
+
+      await dataService.setWorkspaceMember(id, user.id, member.role);
+      const members = await dataService.getWorkspaceMembers(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Workspace member saved successfully',
+        data: members
+      });
+    } catch (error) {
+      logger.error('Failed to set workspace member', {
+        error: error.message,
+        workspaceId: req.params.id
+      });
+      next(error);
+    }
+  }
+
+  // DELETE /Workspace/:id/members/:userId - Remove a member (owners, or members leaving)
+  async removeWorkspaceMember(req, res, next) {
+    try {
+      const { id, userId } = req.params;
+      logger.info('Removing workspace member', { workspaceId: id, memberId: userId });
+
+      const workspace = await dataService.getWorkspaceById(id, req.user.id);
+      if (!workspace) {
+        return workspaceNotFound(res, id);
+      }
+
+      if (userId !== req.user.id) {
+        permissions.requireRole(workspace.role, ROLES.OWNER, 'manage workspace members');
+      }
+
+      if (userId === workspace.ownerId) {
+        throw new ValidationError('The workspace creator cannot be removed', 'userId');
+      }
+
+      const removed = await dataService.removeWorkspaceMember(id, userId);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Member not found',
+          message: `User '${userId}' is not a member of this workspace`
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Workspace member removed successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to remove workspace member', {
+        error: error.message,
+        workspaceId: req.params.id
+      });
+      next(error);
+    }
+  }
+}
+
+module.exports = new WorkspaceController();
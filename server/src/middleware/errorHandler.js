@@ -1,5 +1,6 @@
 const logger = require('../utils/logger');
 const { ValidationError } = require('../utils/validation');
+const { PermissionError } = require('../utils/permissions');
 const multer = require('multer');
 
 const errorHandler = (error, req, res, next) => {
@@ -11,6 +12,11 @@ const errorHandler = (error, req, res, next) => {
     ip: req.ip
   });
 
+  // A download that fails partway has already sent its headers; Express closes the connection
+  if (res.headersSent) {
+    return next(error);
+  }
+
   // Validation errors
   if (error instanceof ValidationError) {
     return res.status(400).json({
@@ -20,6 +26,15 @@ const errorHandler = (error, req, res, next) => {
     });
   }
 
+  // Permission errors
+  if (error instanceof PermissionError) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: error.message,
+      requiredRole: error.requiredRole
+    });
+  }
+
   // Multer errors (file upload)
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
@@ -0,0 +1,20 @@
+const config = require('../config');
+
+// Responses may not be shown in a frame on another site, except on routes that opt in
+const denyFraming = (req, res, next) => {
+  res.header('X-Frame-Options', 'DENY');
+  next();
+};
+
+// Shared dashboards are embedded with iframes. X-Frame-Options cannot list sites, so framing is
+// limited with the CSP frame-ancestors directive instead (any site unless configured).
+const allowFraming = (req, res, next) => {
+  res.removeHeader('X-Frame-Options');
+  res.header('Content-Security-Policy', `frame-ancestors ${config.share.frameAncestors}`);
+  next();
+};
+
+module.exports = {
+  denyFraming,
+  allowFraming
+};
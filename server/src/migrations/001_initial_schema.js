@@ -0,0 +1,66 @@
+// Users, datasets (rows stored as a JSON blob) and dashboards
+
+module.exports = {
+  description: 'Create users, datasets and dashboards tables',
+
+  async up(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        name TEXT NOT NULL,
+        is_active BOOLEAN DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        last_login_at TEXT
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS datasets (
+        id TEXT PRIMARY KEY,
+        dataset_name TEXT UNIQUE NOT NULL,
+        json_data TEXT NOT NULL,
+        original_file_name TEXT DEFAULT '',
+        original_file_size INTEGER DEFAULT 0,
+        mime_type TEXT DEFAULT 'application/json',
+        row_count INTEGER DEFAULT 0,
+        column_count INTEGER DEFAULT 0,
+        headers TEXT DEFAULT '[]',
+        sp TEXT DEFAULT '',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS dashboards (
+        id TEXT PRIMARY KEY,
+        dashboard_name TEXT UNIQUE NOT NULL,
+        dataset_name TEXT NOT NULL,
+        json_format TEXT NOT NULL,
+        is_multiple BOOLEAN DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (dataset_name) REFERENCES datasets (dataset_name) ON DELETE CASCADE
+      )
+    `);
+
+    [
+      'CREATE INDEX IF NOT EXISTS idx_users_email ON users (email)',
+      'CREATE INDEX IF NOT EXISTS idx_users_created_at ON users (created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_datasets_name ON datasets (dataset_name)',
+      'CREATE INDEX IF NOT EXISTS idx_datasets_created_at ON datasets (created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_dashboards_name ON dashboards (dashboard_name)',
+      'CREATE INDEX IF NOT EXISTS idx_dashboards_dataset ON dashboards (dataset_name)',
+      'CREATE INDEX IF NOT EXISTS idx_dashboards_created_at ON dashboards (created_at)'
+    ].forEach(indexSql => db.run(indexSql));
+  },
+
+  async down(db) {
+    db.run('DROP TABLE IF EXISTS dashboards');
+    db.run('DROP TABLE IF EXISTS datasets');
+    db.run('DROP TABLE IF EXISTS users');
+  }
+};
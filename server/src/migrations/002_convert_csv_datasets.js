@@ -0,0 +1,104 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { getTableColumns } = require('./helpers');
+
+// Datasets used to point at CSV files on disk (csv_path); convert them to JSON stored in the row
+
+// Read a legacy dataset's CSV file, falling back to empty data when it is missing or unreadable
+const readLegacyCsv = async (dataset) => {
+  const csvService = require('../services/csvService');
+
+  if (!dataset.csv_path || !fs.existsSync(dataset.csv_path)) {
+    logger.warn(`CSV file not found for dataset ${dataset.dataset_name}, using empty data`, {
+      csvPath: dataset.csv_path
+    });
+    return [];
+  }
+
+  try {
+    return await csvService.readCsvData(dataset.csv_path);
+  } catch (error) {
+    logger.warn(`Failed to read CSV file for dataset ${dataset.dataset_name}, using empty data`, {
+      csvPath: dataset.csv_path,
+      error: error.message
+    });
+    return [];
+  }
+};
+
+module.exports = {
+  description: 'Convert CSV-file datasets to JSON data',
+
+  async up(db) {
+    const columns = getTableColumns(db, 'datasets');
+    if (!columns.includes('csv_path') || columns.includes('json_data')) {
+      return;
+    }
+
+    const oldStmt = db.prepare(`
+      SELECT id, dataset_name, csv_path, file_name, file_size, sp, created_at, updated_at
+      FROM datasets
+    `);
+    const oldDatasets = [];
+    while (oldStmt.step()) {
+      oldDatasets.push(oldStmt.getAsObject());
+    }
+    oldStmt.free();
+
+    db.run(`
+      CREATE TABLE datasets_new (
+        id TEXT PRIMARY KEY,
+        dataset_name TEXT UNIQUE NOT NULL,
+        json_data TEXT NOT NULL,
+        original_file_name TEXT DEFAULT '',
+        original_file_size INTEGER DEFAULT 0,
+        mime_type TEXT DEFAULT 'application/json',
+        row_count INTEGER DEFAULT 0,
+        column_count INTEGER DEFAULT 0,
+        headers TEXT DEFAULT '[]',
+        sp TEXT DEFAULT '',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    const insertStmt = db.prepare(`
+      INSERT INTO datasets_new (id, dataset_name, json_data, original_file_name, original_file_size, mime_type, row_count, column_count, headers, sp, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    for (const oldDataset of oldDatasets) {
+      const jsonData = await readLegacyCsv(oldDataset);
+      const headers = jsonData.length > 0 ? Object.keys(jsonData[0]) : [];
+
+      insertStmt.run([
+        oldDataset.id,
+        oldDataset.dataset_name,
+        JSON.stringify(jsonData),
+        oldDataset.file_name || '',
+        oldDataset.file_size || 0,
+        'application/json',
+        jsonData.length,
+        headers.length,
+        JSON.stringify(headers),
+        oldDataset.sp || '',
+        oldDataset.created_at,
+        oldDataset.updated_at
+      ]);
+      logger.info(`Converted CSV to JSON for dataset: ${oldDataset.dataset_name}`, {
+        rowCount: jsonData.length,
+        columnCount: headers.length
+      });
+    }
+    insertStmt.free();
+
+    db.run('DROP TABLE datasets');
+    db.run('ALTER TABLE datasets_new RENAME TO datasets');
+    db.run('CREATE INDEX IF NOT EXISTS idx_datasets_name ON datasets (dataset_name)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_datasets_created_at ON datasets (created_at)');
+  },
+
+  // The converted table already has the 001 schema, so there is nothing to undo.
+  // CSV-file datasets are not restored.
+  async down() {}
+};
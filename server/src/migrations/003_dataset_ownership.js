@@ -0,0 +1,58 @@
+const { addColumn, rebuildTable } = require('./helpers');
+
+// Datasets and dashboards belong to the user who created them.
+// Existing rows are assigned to the admin account at startup (sqliteService.migrateOwnership).
+
+module.exports = {
+  description: 'Add owner_id to datasets and dashboards',
+
+  async up(db) {
+    addColumn(db, 'datasets', 'owner_id', 'TEXT REFERENCES users (id) ON DELETE CASCADE');
+    addColumn(db, 'dashboards', 'owner_id', 'TEXT REFERENCES users (id) ON DELETE CASCADE');
+
+    db.run('CREATE INDEX IF NOT EXISTS idx_datasets_owner ON datasets (owner_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_dashboards_owner ON dashboards (owner_id)');
+  },
+
+  async down(db) {
+    db.run('DROP INDEX IF EXISTS idx_datasets_owner');
+    db.run('DROP INDEX IF EXISTS idx_dashboards_owner');
+
+    rebuildTable(db, 'datasets', (tableName) => `
+      CREATE TABLE ${tableName} (
+        id TEXT PRIMARY KEY,
+        dataset_name TEXT UNIQUE NOT NULL,
+        json_data TEXT NOT NULL,
+        original_file_name TEXT DEFAULT '',
+        original_file_size INTEGER DEFAULT 0,
+        mime_type TEXT DEFAULT 'application/json',
+        row_count INTEGER DEFAULT 0,
+        column_count INTEGER DEFAULT 0,
+        headers TEXT DEFAULT '[]',
+        sp TEXT DEFAULT '',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `, [
+      'CREATE INDEX IF NOT EXISTS idx_datasets_name ON datasets (dataset_name)',
+      'CREATE INDEX IF NOT EXISTS idx_datasets_created_at ON datasets (created_at)'
+    ]);
+
+    rebuildTable(db, 'dashboards', (tableName) => `
+      CREATE TABLE ${tableName} (
+        id TEXT PRIMARY KEY,
+        dashboard_name TEXT UNIQUE NOT NULL,
+        dataset_name TEXT NOT NULL,
+        json_format TEXT NOT NULL,
+        is_multiple BOOLEAN DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (dataset_name) REFERENCES datasets (dataset_name) ON DELETE CASCADE
+      )
+    `, [
+      'CREATE INDEX IF NOT EXISTS idx_dashboards_name ON dashboards (dashboard_name)',
+      'CREATE INDEX IF NOT EXISTS idx_dashboards_dataset ON dashboards (dataset_name)',
+      'CREATE INDEX IF NOT EXISTS idx_dashboards_created_at ON dashboards (created_at)'
+    ]);
+  }
+};
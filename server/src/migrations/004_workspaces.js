@@ -0,0 +1,67 @@
+const { addColumn, rebuildTable } = require('./helpers');
+
+// Workspaces with viewer/editor/owner members; a dataset can be shared into one workspace
+
+module.exports = {
+  description: 'Create workspaces and workspace_members, add datasets.workspace_id',
+
+  async up(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS workspaces (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        owner_id TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS workspace_members (
+        workspace_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('viewer', 'editor', 'owner')),
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (workspace_id, user_id),
+        FOREIGN KEY (workspace_id) REFERENCES workspaces (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    addColumn(db, 'datasets', 'workspace_id', 'TEXT REFERENCES workspaces (id) ON DELETE SET NULL');
+
+    db.run('CREATE INDEX IF NOT EXISTS idx_datasets_workspace ON datasets (workspace_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members (user_id)');
+  },
+
+  async down(db) {
+    db.run('DROP INDEX IF EXISTS idx_datasets_workspace');
+
+    rebuildTable(db, 'datasets', (tableName) => `
+      CREATE TABLE ${tableName} (
+        id TEXT PRIMARY KEY,
+        dataset_name TEXT UNIQUE NOT NULL,
+        json_data TEXT NOT NULL,
+        original_file_name TEXT DEFAULT '',
+        original_file_size INTEGER DEFAULT 0,
+        mime_type TEXT DEFAULT 'application/json',
+        row_count INTEGER DEFAULT 0,
+        column_count INTEGER DEFAULT 0,
+        headers TEXT DEFAULT '[]',
+        sp TEXT DEFAULT '',
+        owner_id TEXT REFERENCES users (id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `, [
+      'CREATE INDEX IF NOT EXISTS idx_datasets_name ON datasets (dataset_name)',
+      'CREATE INDEX IF NOT EXISTS idx_datasets_created_at ON datasets (created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_datasets_owner ON datasets (owner_id)'
+    ]);
+
+    db.run('DROP TABLE IF EXISTS workspace_members');
+    db.run('DROP TABLE IF EXISTS workspaces');
+  }
+};
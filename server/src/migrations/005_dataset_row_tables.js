@@ -0,0 +1,175 @@
+const logger = require('../utils/logger');
+const { addColumn, tableExists } = require('./helpers');
+
+// Dataset rows live in a table per dataset instead of the json_data blob. Existing blobs are
+// moved into row tables named as the first version of the dataset (dataset_rows_<id>_v1), which
+// 006_dataset_versions records as version 1.
+
+// Storage column and type for every field, as sqliteService.buildRowColumns works them out
+const buildRowColumns = (rows, headers) => {
+  const names = [...headers];
+  const seen = new Set(names);
+  rows.forEach(row => {
+    Object.keys(row || {}).forEach(name => {
+      if (!seen.has(name)) {
+        seen.add(name);
+        names.push(name);
+      }
+    });
+  });
+
+  return names.map((name, index) => {
+    const kinds = new Set();
+    let integers = true;
+    rows.forEach(row => {
+      const value = row ? row[name] : null;
+      if (value === null || value === undefined) return;
+      kinds.add(typeof value);
+      if (typeof value === 'number' && !Number.isInteger(value)) {
+        integers = false;
+      }
+    });
+
+    let type = 'text';
+    if (kinds.size === 1 && kinds.has('number')) {
+      type = integers ? 'integer' : 'real';
+    } else if (kinds.size === 1 && kinds.has('boolean')) {
+      type = 'boolean';
+    } else if (kinds.size === 1 && kinds.has('object')) {
+      type = 'json';
+    } else if (kinds.size > 1) {
+      type = 'mixed';
+    }
+    return { name, column: `c${index}`, type };
+  });
+};
+
+const SQL_TYPES = { integer: 'INTEGER', real: 'REAL', boolean: 'INTEGER', text: 'TEXT', json: 'TEXT', mixed: '' };
+
+// Convert a JS value for storage in a row column (see sqliteService.encodeRowValue)
+const encodeValue = (value, type) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (type === 'text') return String(value);
+  return value;
+};
+
+// Convert a stored row column value back to a JS value (see sqliteService.decodeRowValue)
+const decodeValue = (value, type) => {
+  if (value === null || value === undefined) return null;
+  if (type === 'boolean') return Boolean(value);
+  if (type === 'json') return JSON.parse(value);
+  return value;
+};
+
+module.exports = {
+  description: 'Add rows_table and row_columns to datasets',
+
+  async up(db) {
+    addColumn(db, 'datasets', 'rows_table', 'TEXT');
+    addColumn(db, 'datasets', 'row_columns', "TEXT DEFAULT '[]'");
+
+    // Move the rows of every dataset still holding them in json_data into a row table
+    const stmt = db.prepare('SELECT id, dataset_name, json_data, headers FROM datasets WHERE rows_table IS NULL');
+    const datasets = [];
+    while (stmt.step()) {
+      datasets.push(stmt.getAsObject());
+    }
+    stmt.free();
+
+    const updateStmt = db.prepare(`
+      UPDATE datasets
+      SET json_data = '[]', rows_table = ?, row_columns = ?, row_count = ?, column_count = ?, headers = ?
+      WHERE id = ?
+    `);
+
+    datasets.forEach(dataset => {
+      // A blob that cannot be read stays in json_data, and the dataset shows no rows
+      let rows = null;
+      try {
+        rows = JSON.parse(dataset.json_data || '[]');
+      } catch (error) {
+        rows = null;
+      }
+      if (!Array.isArray(rows)) {
+        logger.warn(`Rows of dataset ${dataset.dataset_name} could not be read, leaving them in json_data`);
+        return;
+      }
+
+      const rowColumns = buildRowColumns(rows, JSON.parse(dataset.headers || '[]'));
+      const rowsTable = `dataset_rows_${String(dataset.id).replace(/[^A-Za-z0-9]/g, '')}_v1`;
+
+      db.run(`DROP TABLE IF EXISTS ${rowsTable}`);
+      db.run(`
+        CREATE TABLE ${rowsTable} (
+          __row_id INTEGER PRIMARY KEY${rowColumns.map(column => `, ${column.column} ${SQL_TYPES[column.type]}`).join('')}
+        )
+      `);
+
+      if (rows.length > 0 && rowColumns.length > 0) {
+        const insertStmt = db.prepare(`
+          INSERT INTO ${rowsTable} (${rowColumns.map(column => column.column).join(', ')})
+          VALUES (${rowColumns.map(() => '?').join(', ')})
+        `);
+        rows.forEach(row => {
+          insertStmt.run(rowColumns.map(column => encodeValue(row ? row[column.name] : null, column.type)));
+        });
+        insertStmt.free();
+      }
+
+      updateStmt.run([
+        rowsTable,
+        JSON.stringify(rowColumns),
+        rows.length,
+        rowColumns.length,
+        JSON.stringify(rowColumns.map(column => column.name)),
+        dataset.id
+      ]);
+    });
+    updateStmt.free();
+  },
+
+  // Move rows back into json_data before dropping the row tables
+  async down(db) {
+    const stmt = db.prepare('SELECT id, rows_table, row_columns FROM datasets WHERE rows_table IS NOT NULL');
+    const datasets = [];
+    while (stmt.step()) {
+      datasets.push(stmt.getAsObject());
+    }
+    stmt.free();
+
+    const updateStmt = db.prepare('UPDATE datasets SET json_data = ? WHERE id = ?');
+
+    datasets.forEach(dataset => {
+      const rowColumns = JSON.parse(dataset.row_columns || '[]');
+      const rows = [];
+
+      if (tableExists(db, dataset.rows_table)) {
+        if (rowColumns.length > 0) {
+          const rowsStmt = db.prepare(`
+            SELECT ${rowColumns.map(column => column.column).join(', ')}
+            FROM ${dataset.rows_table}
+            ORDER BY __row_id
+          `);
+          while (rowsStmt.step()) {
+            const values = rowsStmt.get();
+            const row = {};
+            rowColumns.forEach((column, index) => {
+              row[column.name] = decodeValue(values[index], column.type);
+            });
+            rows.push(row);
+          }
+          rowsStmt.free();
+        }
+        db.run(`DROP TABLE ${dataset.rows_table}`);
+      }
+
+      updateStmt.run([JSON.stringify(rows), dataset.id]);
+    });
+    updateStmt.free();
+
+    db.run('ALTER TABLE datasets DROP COLUMN rows_table');
+    db.run('ALTER TABLE datasets DROP COLUMN row_columns');
+  }
+};
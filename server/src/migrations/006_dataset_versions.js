@@ -0,0 +1,62 @@
+const { addColumn, tableExists } = require('./helpers');
+
+// Every write of a dataset's rows is kept as a numbered version with its own row table
+// (dataset_rows_<id>_v<n>); datasets.rows_table points at the latest one. Dashboards can
+// pin one version instead of following the latest.
+
+module.exports = {
+  description: 'Create dataset_versions, add dashboards.dataset_version',
+
+  async up(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS dataset_versions (
+        dataset_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        rows_table TEXT NOT NULL,
+        row_columns TEXT DEFAULT '[]',
+        headers TEXT DEFAULT '[]',
+        row_count INTEGER DEFAULT 0,
+        column_count INTEGER DEFAULT 0,
+        original_file_name TEXT DEFAULT '',
+        original_file_size INTEGER DEFAULT 0,
+        restored_from INTEGER,
+        created_by TEXT REFERENCES users (id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (dataset_id, version),
+        FOREIGN KEY (dataset_id) REFERENCES datasets (id) ON DELETE CASCADE
+      )
+    `);
+
+    addColumn(db, 'dashboards', 'dataset_version', 'INTEGER');
+
+    // The rows each dataset already has become its first version
+    db.run(`
+      INSERT OR IGNORE INTO dataset_versions (dataset_id, version, rows_table, row_columns, headers, row_count, column_count, original_file_name, original_file_size, created_by, created_at)
+      SELECT id, 1, rows_table, row_columns, headers, row_count, column_count, original_file_name, original_file_size, owner_id, updated_at
+      FROM datasets
+      WHERE rows_table IS NOT NULL
+    `);
+  },
+
+  // Drop the row tables of every version except the latest, which datasets still point at
+  async down(db) {
+    const stmt = db.prepare(`
+      SELECT DISTINCT rows_table FROM dataset_versions
+      WHERE rows_table NOT IN (SELECT rows_table FROM datasets WHERE rows_table IS NOT NULL)
+    `);
+    const rowsTables = [];
+    while (stmt.step()) {
+      rowsTables.push(stmt.getAsObject().rows_table);
+    }
+    stmt.free();
+
+    rowsTables.forEach(rowsTable => {
+      if (tableExists(db, rowsTable)) {
+        db.run(`DROP TABLE ${rowsTable}`);
+      }
+    });
+
+    db.run('DROP TABLE IF EXISTS dataset_versions');
+    db.run('ALTER TABLE dashboards DROP COLUMN dataset_version');
+  }
+};
@@ -0,0 +1,34 @@
+// Every save of a dashboard is kept as a numbered revision; dashboards.json_format holds the latest
+
+module.exports = {
+  description: 'Create dashboard_revisions',
+
+  async up(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS dashboard_revisions (
+        dashboard_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        dataset_name TEXT NOT NULL,
+        json_format TEXT NOT NULL,
+        is_multiple BOOLEAN DEFAULT 0,
+        dataset_version INTEGER,
+        restored_from INTEGER,
+        created_by TEXT REFERENCES users (id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (dashboard_id, revision),
+        FOREIGN KEY (dashboard_id) REFERENCES dashboards (id) ON DELETE CASCADE
+      )
+    `);
+
+    // The saved state of each dashboard becomes its first revision
+    db.run(`
+      INSERT OR IGNORE INTO dashboard_revisions (dashboard_id, revision, dataset_name, json_format, is_multiple, dataset_version, created_by, created_at)
+      SELECT id, 1, dataset_name, json_format, is_multiple, dataset_version, owner_id, updated_at
+      FROM dashboards
+    `);
+  },
+
+  async down(db) {
+    db.run('DROP TABLE IF EXISTS dashboard_revisions');
+  }
+};
@@ -0,0 +1,26 @@
+// Unsaved dashboard work, autosaved per user until it is saved as a dashboard or discarded
+
+module.exports = {
+  description: 'Create dashboard_drafts',
+
+  async up(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS dashboard_drafts (
+        user_id TEXT NOT NULL,
+        dashboard_name TEXT NOT NULL,
+        dataset_name TEXT NOT NULL,
+        json_format TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, dashboard_name),
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (dataset_name) REFERENCES datasets (dataset_name) ON DELETE CASCADE
+      )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_dashboard_drafts_dataset ON dashboard_drafts (dataset_name)');
+  },
+
+  async down(db) {
+    db.run('DROP TABLE IF EXISTS dashboard_drafts');
+  }
+};
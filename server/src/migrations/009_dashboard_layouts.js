@@ -0,0 +1,18 @@
+const { addColumn } = require('./helpers');
+
+// Dashboards keep a grid layout (tile positions, sizes, titles and text tiles) next to their
+// charts; revisions keep the layout they were saved with. NULL means the default layout.
+
+module.exports = {
+  description: 'Add dashboards.layout and dashboard_revisions.layout',
+
+  async up(db) {
+    addColumn(db, 'dashboards', 'layout', 'TEXT');
+    addColumn(db, 'dashboard_revisions', 'layout', 'TEXT');
+  },
+
+  async down(db) {
+    db.run('ALTER TABLE dashboard_revisions DROP COLUMN layout');
+    db.run('ALTER TABLE dashboards DROP COLUMN layout');
+  }
+};
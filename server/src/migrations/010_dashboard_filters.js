@@ -0,0 +1,18 @@
+const { addColumn } = require('./helpers');
+
+// Dashboards keep the filter controls shown above their charts (dropdowns, ranges and date
+// ranges on dataset fields); revisions keep the filters they were saved with. NULL means none.
+
+module.exports = {
+  description: 'Add dashboards.filters and dashboard_revisions.filters',
+
+  async up(db) {
+    addColumn(db, 'dashboards', 'filters', 'TEXT');
+    addColumn(db, 'dashboard_revisions', 'filters', 'TEXT');
+  },
+
+  async down(db) {
+    db.run('ALTER TABLE dashboard_revisions DROP COLUMN filters');
+    db.run('ALTER TABLE dashboards DROP COLUMN filters');
+  }
+};
@@ -0,0 +1,29 @@
+// Dashboard charts may read datasets other than the dashboard's own; dashboard_datasets lists
+// every dataset a dashboard reads (its own included) so deleting any of them reaches the dashboard
+
+module.exports = {
+  description: 'Create dashboard_datasets',
+
+  async up(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS dashboard_datasets (
+        dashboard_id TEXT NOT NULL,
+        dataset_name TEXT NOT NULL,
+        PRIMARY KEY (dashboard_id, dataset_name),
+        FOREIGN KEY (dashboard_id) REFERENCES dashboards (id) ON DELETE CASCADE,
+        FOREIGN KEY (dataset_name) REFERENCES datasets (dataset_name) ON DELETE CASCADE
+      )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_dashboard_datasets_dataset ON dashboard_datasets (dataset_name)');
+
+    // Existing dashboards read only their own dataset
+    db.run(`
+      INSERT OR IGNORE INTO dashboard_datasets (dashboard_id, dataset_name)
+      SELECT id, dataset_name FROM dashboards
+    `);
+  },
+
+  async down(db) {
+    db.run('DROP TABLE IF EXISTS dashboard_datasets');
+  }
+};
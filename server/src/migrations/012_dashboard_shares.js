@@ -0,0 +1,26 @@
+// Share links give people without an account read-only access to a dashboard. Each link has its
+// own token and may expire or require a password; deleting the row revokes the link.
+
+module.exports = {
+  description: 'Create dashboard_shares',
+
+  async up(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS dashboard_shares (
+        id TEXT PRIMARY KEY,
+        dashboard_id TEXT NOT NULL,
+        token TEXT NOT NULL UNIQUE,
+        password_hash TEXT,
+        expires_at TEXT,
+        created_by TEXT REFERENCES users (id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (dashboard_id) REFERENCES dashboards (id) ON DELETE CASCADE
+      )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_dashboard_shares_dashboard ON dashboard_shares (dashboard_id)');
+  },
+
+  async down(db) {
+    db.run('DROP TABLE IF EXISTS dashboard_shares');
+  }
+};
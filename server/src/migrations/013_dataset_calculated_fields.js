@@ -0,0 +1,16 @@
+const { addColumn } = require('./helpers');
+
+// Datasets keep their calculated fields as a JSON array of { name, expression, type }. They are
+// computed from the rows whenever data is served, so they apply to every version of the dataset.
+
+module.exports = {
+  description: 'Add datasets.calculated_fields',
+
+  async up(db) {
+    addColumn(db, 'datasets', 'calculated_fields', 'TEXT');
+  },
+
+  async down(db) {
+    db.run('ALTER TABLE datasets DROP COLUMN calculated_fields');
+  }
+};
@@ -0,0 +1,17 @@
+const { addColumn } = require('./helpers');
+
+// Derived datasets are joins or unions of other datasets. Their rows are stored like any other
+// dataset's; datasets.derivation keeps the definition as JSON, with the source versions the
+// rows were computed from and how the last refresh went. NULL for uploaded datasets.
+
+module.exports = {
+  description: 'Add datasets.derivation',
+
+  async up(db) {
+    addColumn(db, 'datasets', 'derivation', 'TEXT');
+  },
+
+  async down(db) {
+    db.run('ALTER TABLE datasets DROP COLUMN derivation');
+  }
+};
@@ -0,0 +1,17 @@
+const { addColumn } = require('./helpers');
+
+// Datasets keep how their fields are presented as a JSON object keyed by field name: display
+// name, description, semantic and analytic type, number or date format, unit and the order of
+// an ordinal field's values. Fields without an entry are described from their values.
+
+module.exports = {
+  description: 'Add datasets.field_metadata',
+
+  async up(db) {
+    addColumn(db, 'datasets', 'field_metadata', 'TEXT');
+  },
+
+  async down(db) {
+    db.run('ALTER TABLE datasets DROP COLUMN field_metadata');
+  }
+};
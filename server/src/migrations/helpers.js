@@ -0,0 +1,57 @@
+// Schema helpers shared by the numbered migration modules in this directory
+
+// List the column names of a table
+const getTableColumns = (db, tableName) => {
+  const stmt = db.prepare(`PRAGMA table_info(${tableName})`);
+  const columns = [];
+
+  while (stmt.step()) {
+    columns.push(stmt.getAsObject().name);
+  }
+  stmt.free();
+
+  return columns;
+};
+
+// Check whether a table exists
+const tableExists = (db, tableName) => {
+  const stmt = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?");
+  stmt.bind([tableName]);
+  const exists = stmt.step();
+  stmt.free();
+
+  return exists;
+};
+
+// Add a column unless it is already there (databases created before the
+// migration framework may already have it)
+const addColumn = (db, tableName, columnName, definition) => {
+  if (!getTableColumns(db, tableName).includes(columnName)) {
+    db.run(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+  }
+};
+
+// Recreate a table from a new definition, copying the columns both versions share.
+// SQLite cannot drop columns that take part in foreign keys, so down migrations use this.
+// createSql receives the table name to create; foreign keys must be off (the runner does this).
+const rebuildTable = (db, tableName, createSql, indexes = []) => {
+  const tempName = `${tableName}_rebuild`;
+  const oldColumns = getTableColumns(db, tableName);
+
+  db.run(`DROP TABLE IF EXISTS ${tempName}`);
+  db.run(createSql(tempName));
+
+  const shared = getTableColumns(db, tempName).filter(column => oldColumns.includes(column));
+  db.run(`INSERT INTO ${tempName} (${shared.join(', ')}) SELECT ${shared.join(', ')} FROM ${tableName}`);
+  db.run(`DROP TABLE ${tableName}`);
+  db.run(`ALTER TABLE ${tempName} RENAME TO ${tableName}`);
+
+  indexes.forEach(indexSql => db.run(indexSql));
+};
+
+module.exports = {
+  getTableColumns,
+  tableExists,
+  addColumn,
+  rebuildTable
+};
@@ -5,35 +5,126 @@ const dashboardController = require('../controllers/dashboardController');
 /**
  * @route GET /Dashboard
  * @desc Get all dashboards
- * @access Public
+ * @access Private
  */
 router.get('/', dashboardController.getDashboards);
 
 /**
  * @route POST /Dashboard
  * @desc Save/create a dashboard
- * @access Public
+ * @access Private
  */
 router.post('/', dashboardController.saveDashboard);
 
 /**
  * @route GET /Dashboard/stats
  * @desc Get dashboard statistics
- * @access Public
+ * @access Private
  */
 router.get('/stats', dashboardController.getDashboardStats);
 
+/**
+ * @route GET /Dashboard/drafts
+ * @desc List the current user's unsaved dashboard drafts (?datasetName= for one dataset)
+ * @access Private
+ */
+router.get('/drafts', dashboardController.getDashboardDrafts);
+
 /**
  * @route GET /Dashboard/:name
  * @desc Get dashboard by name
- * @access Public
+ * @access Private
  */
 router.get('/:name', dashboardController.getDashboardByName);
 
+/**
+ * @route GET /Dashboard/:name/revisions
+ * @desc List a dashboard's revisions with author, time and the charts each one added, removed or changed
+ * @access Private
+ */
+router.get('/:name/revisions', dashboardController.getDashboardRevisions);
+
+/**
+ * @route GET /Dashboard/:name/revisions/:revision
+ * @desc Get a dashboard revision with its chart specs (?compareTo=n diffs it against revision n)
+ * @access Private
+ */
+router.get('/:name/revisions/:revision', dashboardController.getDashboardRevision);
+
+/**
+ * @route POST /Dashboard/:name/revisions/:revision/restore
+ * @desc Restore an earlier dashboard revision as a new revision
+ * @access Private
+ */
+router.post('/:name/revisions/:revision/restore', dashboardController.restoreDashboardRevision);
+
+/**
+ * @route PUT /Dashboard/:name/layout
+ * @desc Save the grid layout of a dashboard's chart and text tiles
+ * @access Private
+ */
+router.put('/:name/layout', dashboardController.updateDashboardLayout);
+
+/**
+ * @route PUT /Dashboard/:name/filters
+ * @desc Save the filter controls (dropdowns, ranges, date ranges) of a dashboard
+ * @access Private
+ */
+router.put('/:name/filters', dashboardController.updateDashboardFilters);
+
+/**
+ * @route GET /Dashboard/:name/export
+ * @desc Download the dashboard's charts drawn as one image (?format=png|svg|pdf, png by default)
+ * @access Private
+ */
+router.get('/:name/export', dashboardController.exportDashboard);
+
+/**
+ * @route GET /Dashboard/:name/shares
+ * @desc List the read-only share links of a dashboard
+ * @access Private
+ */
+router.get('/:name/shares', dashboardController.getDashboardShares);
+
+/**
+ * @route POST /Dashboard/:name/shares
+ * @desc Create a share link for people without an account (optional expiry and password)
+ * @access Private
+ */
+router.post('/:name/shares', dashboardController.createDashboardShare);
+
+/**
+ * @route DELETE /Dashboard/:name/shares/:shareId
+ * @desc Revoke a share link
+ * @access Private
+ */
+router.delete('/:name/shares/:shareId', dashboardController.deleteDashboardShare);
+
+/**
+ * @route GET /Dashboard/:name/draft
+ * @desc Get the current user's draft of a dashboard
+ * @access Private
+ */
+router.get('/:name/draft', dashboardController.getDashboardDraft);
+
+/**
+ * @route PUT /Dashboard/:name/draft
+ * @desc Autosave the current user's unsaved work on a dashboard
+ * @access Private
+ */
+router.put('/:name/draft', dashboardController.saveDashboardDraft);
+
+/**
+ * @route DELETE /Dashboard/:name/draft
+ * @desc Discard the current user's draft of a dashboard
+ * @access Private
+ */
+router.delete('/:name/draft', dashboardController.deleteDashboardDraft);
+
 /**
  * @route DELETE /Dashboard/:name
  * @desc Delete dashboard by name
- * @access Public
+ * @access Private
  */
 router.delete('/:name', dashboardController.deleteDashboard);
 
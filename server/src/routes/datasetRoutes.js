@@ -23,11 +23,17 @@ const upload = multer({
     fileSize: 50 * 1024 * 1024 // 50MB limit
   },
   fileFilter: function (req, file, cb) {
-    // Allow CSV files
+    // Allow CSV/TSV, Excel, JSON/NDJSON and Parquet files
     const allowedMimes = [
       'text/csv',
       'application/csv',
-      'text/plain'
+      'text/plain',
+      'text/tab-separated-values',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel',
+      'application/json',
+      'application/x-ndjson',
+      'application/vnd.apache.parquet'
     ];
     
     // Check file extension as fallback
@@ -44,49 +50,167 @@ const upload = multer({
 /**
  * @route GET /Dataset
  * @desc Get all datasets
- * @access Public
+ * @access Private
  */
 router.get('/', datasetController.getDatasets);
 
 /**
  * @route POST /Dataset
  * @desc Save/create a dataset
- * @access Public
+ * @access Private
  */
 router.post('/', datasetController.saveDataset);
 
 /**
  * @route POST /Dataset/upload
- * @desc Upload a dataset file
- * @access Public
+ * @desc Upload a dataset file (CSV with optional delimiter/quote/encoding overrides, JSON, NDJSON, Parquet,
+ *       or an Excel workbook with optional sheetName and headerRow fields). mode is create (default),
+ *       replace, append or upsert (with keyColumn) to update the existing dataset of that name
+ * @access Private
  */
 router.post('/upload', upload.single('file'), datasetController.uploadDataset);
 
+/**
+ * @route POST /Dataset/upload/sheets
+ * @desc List the sheets of an Excel workbook with a preview of their first rows
+ * @access Private
+ */
+router.post('/upload/sheets', upload.single('file'), datasetController.getUploadSheets);
+
+/**
+ * @route POST /Dataset/upload/csv-format
+ * @desc Detect the delimiter, quote, encoding and BOM of a CSV file and preview its first rows
+ * @access Private
+ */
+router.post('/upload/csv-format', upload.single('file'), datasetController.previewCsvFormat);
+
+/**
+ * @route POST /Dataset/upload/preview
+ * @desc Parse an upload (same fields as /Dataset/upload) and hold it for import; returns an uploadId,
+ *       the first rows and the inferred type of every column (the dataset's own types when updating it)
+ * @access Private
+ */
+router.post('/upload/preview', upload.single('file'), datasetController.previewUpload);
+
+/**
+ * @route POST /Dataset/upload/:uploadId/commit
+ * @desc Import a previewed upload (body: datasetName, workspaceId, mode, keyColumn,
+ *       columns: [{ source, name, type, dateFormat, skip }])
+ * @access Private
+ */
+router.post('/upload/:uploadId/commit', datasetController.commitUpload);
+
+/**
+ * @route DELETE /Dataset/upload/:uploadId
+ * @desc Discard a previewed upload
+ * @access Private
+ */
+router.delete('/upload/:uploadId', datasetController.discardUpload);
+
+/**
+ * @route POST /Dataset/derived
+ * @desc Create a dataset joining two datasets, stacking several or holding a SQL query's result
+ *       (body: datasetName, workspaceId, type join|union|query, sources, joinType inner|left and
+ *       keys [{ left, right }] for joins, sourceColumn for unions, sql for queries)
+ * @access Private
+ */
+router.post('/derived', datasetController.createDerivedDataset);
+
 /**
  * @route GET /Dataset/:name
  * @desc Get dataset by name
- * @access Public
+ * @access Private
  */
 router.get('/:name', datasetController.getDatasetByName);
 
 /**
  * @route GET /Dataset/:name/data
- * @desc Get dataset data (supports pagination with ?page=1&limit=100)
- * @access Public
+ * @desc Get dataset data (supports pagination with ?page=1&limit=100 and an earlier version with ?version=n)
+ * @access Private
  */
 router.get('/:name/data', datasetController.getDatasetData);
 
+/**
+ * @route POST /Dataset/:name/query
+ * @desc Run a Graphic Walker computation query (filters, aggregations, bins, sorts, limits; version picks an earlier version)
+ * @access Private
+ */
+router.post('/:name/query', datasetController.queryDataset);
+
+/**
+ * @route GET /Dataset/:name/export
+ * @desc Download a dataset's rows as CSV, Excel or NDJSON (?format=csv|xlsx|ndjson, filters, sort and version as for /data)
+ * @access Private
+ */
+router.get('/:name/export', datasetController.exportDataset);
+
+/**
+ * @route POST /Dataset/:name/export
+ * @desc Download the filtered or aggregated rows a Graphic Walker chart spec shows (body: format, chart, filters, version)
+ * @access Private
+ */
+router.post('/:name/export', datasetController.exportChartData);
+
 /**
  * @route GET /Dataset/:name/info
  * @desc Get dataset file information
- * @access Public
+ * @access Private
  */
 router.get('/:name/info', datasetController.getDatasetInfo);
 
+/**
+ * @route GET /Dataset/:name/versions
+ * @desc List the versions of a dataset's rows with uploader and row/column counts
+ * @access Private
+ */
+router.get('/:name/versions', datasetController.getDatasetVersions);
+
+/**
+ * @route POST /Dataset/:name/versions/:id/restore
+ * @desc Restore an earlier version of a dataset's rows as a new version
+ * @access Private
+ */
+router.post('/:name/versions/:id/restore', datasetController.restoreDatasetVersion);
+
+/**
+ * @route PUT /Dataset/:name/workspace
+ * @desc Share a dataset with a workspace (or pass null to make it private)
+ * @access Private
+ */
+router.put('/:name/workspace', datasetController.setDatasetWorkspace);
+
+/**
+ * @route PUT /Dataset/:name/calculated-fields
+ * @desc Replace the dataset's calculated fields (body: calculatedFields, a list of { name, expression })
+ * @access Private
+ */
+router.put('/:name/calculated-fields', datasetController.setDatasetCalculatedFields);
+
+/**
+ * @route PUT /Dataset/:name/field-metadata
+ * @desc Replace the dataset's field metadata (body: fieldMetadata, keyed by field name, with displayName, description, semanticType, analyticType, numberFormat, dateFormat, unit and sortOrder)
+ * @access Private
+ */
+router.put('/:name/field-metadata', datasetController.setDatasetFieldMetadata);
+
+/**
+ * @route GET /Dataset/:name/lineage
+ * @desc Get the datasets a dataset is derived from and the derived datasets built on it
+ * @access Private
+ */
+router.get('/:name/lineage', datasetController.getDatasetLineage);
+
+/**
+ * @route POST /Dataset/:name/refresh
+ * @desc Recompute a derived dataset from the latest rows of its sources
+ * @access Private
+ */
+router.post('/:name/refresh', datasetController.refreshDerivedDataset);
+
 /**
  * @route DELETE /Dataset/:name
  * @desc Delete dataset by name
- * @access Public
+ * @access Private
  */
 router.delete('/:name', datasetController.deleteDataset);
 
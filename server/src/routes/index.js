@@ -2,7 +2,12 @@ const express = require('express');
 const authRoutes = require('./authRoutes');
 const dashboardRoutes = require('./dashboardRoutes');
 const datasetRoutes = require('./datasetRoutes');
+const workspaceRoutes = require('./workspaceRoutes');
 const csvRoutes = require('./csvRoutes');
+const shareRoutes = require('./shareRoutes');
+const queryRoutes = require('./queryRoutes');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { allowFraming } = require('../middleware/framePolicy');
 
 const router = express.Router();
 
@@ -32,21 +37,67 @@ router.get('/', (req, res) => {
         'POST /auth/logout': 'Logout user'
       },
       dashboards: {
-        'GET /Dashboard': 'Get all dashboards',
-        'POST /Dashboard': 'Save/create dashboard',
+        'GET /Dashboard': 'Get all dashboards owned by or shared with the user (requires token)',
+        'POST /Dashboard': 'Save/create dashboard (datasetVersion pins it to a dataset version; layout and filters are kept unless sent; charts may name their own datasetName)',
         'GET /Dashboard/stats': 'Get dashboard statistics',
+        'GET /Dashboard/drafts': "List the user's unsaved dashboard drafts (?datasetName= for one dataset)",
         'GET /Dashboard/:name': 'Get dashboard by name',
+        'GET /Dashboard/:name/revisions': 'List dashboard revisions with the charts each one changed',
+        'GET /Dashboard/:name/revisions/:revision': 'Get a dashboard revision (?compareTo=n to diff against revision n)',
+        'POST /Dashboard/:name/revisions/:revision/restore': 'Restore an earlier dashboard revision as the latest',
+        'PUT /Dashboard/:name/layout': 'Save the grid layout of dashboard tiles (null resets to the default layout)',
+        'PUT /Dashboard/:name/filters': 'Save the filter controls applied to every chart of a dashboard',
+        'GET /Dashboard/:name/export': 'Download the dashboard drawn as one image (?format=png|svg|pdf)',
+        'GET /Dashboard/:name/shares': 'List the read-only share links of a dashboard',
+        'POST /Dashboard/:name/shares': 'Create a share link (optional expiresAt and password)',
+        'DELETE /Dashboard/:name/shares/:shareId': 'Revoke a share link',
+        'GET /Dashboard/:name/draft': "Get the user's draft of a dashboard",
+        'PUT /Dashboard/:name/draft': "Autosave the user's unsaved work on a dashboard",
+        'DELETE /Dashboard/:name/draft': "Discard the user's draft of a dashboard",
         'DELETE /Dashboard/:name': 'Delete dashboard by name'
       },
       datasets: {
-        'GET /Dataset': 'Get all datasets',
+        'GET /Dataset': 'Get all datasets owned by or shared with the user (requires token)',
         'POST /Dataset': 'Save/create dataset',
-        'POST /Dataset/upload': 'Upload dataset file',
+        'POST /Dataset/upload': 'Upload dataset file (CSV, JSON, NDJSON, Parquet or Excel; delimiter/quote/encoding override CSV detection, sheetName and headerRow pick the sheet data, mode replace/append/upsert with keyColumn updates an existing dataset)',
+        'POST /Dataset/upload/sheets': 'List the sheets of an Excel workbook with a preview',
+        'POST /Dataset/upload/csv-format': 'Detect CSV delimiter, quote, encoding and BOM with a preview',
+        'POST /Dataset/upload/preview': 'Hold an upload for import and preview its rows and inferred column types',
+        'POST /Dataset/upload/:uploadId/commit': 'Import a previewed upload with chosen column names, types, date formats and skipped columns',
+        'DELETE /Dataset/upload/:uploadId': 'Discard a previewed upload',
+        'POST /Dataset/derived': 'Create a dataset joining, stacking or querying other datasets (type join, union or query)',
         'GET /Dataset/:name': 'Get dataset by name',
-        'GET /Dataset/:name/data': 'Get dataset data (supports pagination)',
+        'GET /Dataset/:name/data': 'Get dataset data (supports pagination and ?version=n)',
+        'POST /Dataset/:name/query': 'Run a Graphic Walker computation query',
+        'GET /Dataset/:name/export': 'Download the dataset\'s rows (?format=csv|xlsx|ndjson, with filters, sort and version as for /data)',
+        'POST /Dataset/:name/export': 'Download the rows a chart spec shows (body: format, chart, filters)',
         'GET /Dataset/:name/info': 'Get dataset file information',
+        'GET /Dataset/:name/versions': 'List the versions of a dataset',
+        'POST /Dataset/:name/versions/:id/restore': 'Restore an earlier dataset version as the latest',
+        'PUT /Dataset/:name/workspace': 'Share dataset with a workspace',
+        'PUT /Dataset/:name/calculated-fields': 'Replace the dataset\'s calculated fields',
+        'PUT /Dataset/:name/field-metadata': 'Replace the display names, types and formats of the dataset\'s fields',
+        'GET /Dataset/:name/lineage': 'Get the sources of a dataset and the datasets derived from it',
+        'POST /Dataset/:name/refresh': 'Recompute a derived dataset from its sources',
         'DELETE /Dataset/:name': 'Delete dataset by name'
       },
+      shares: {
+        'GET /share/:token': 'Get a shared dashboard, or whether its link needs a password (no account needed)',
+        'POST /share/:token/access': 'Give a share link password for an access token, sent as the X-Share-Access header',
+        'GET /share/:token/datasets/:datasetName/data': 'Get a page of rows of a dataset the shared dashboard reads',
+        'POST /share/:token/datasets/:datasetName/query': 'Run a Graphic Walker computation query for a shared dashboard'
+      },
+      workspaces: {
+        'GET /Workspace': 'Get workspaces the user belongs to (requires token)',
+        'POST /Workspace': 'Create workspace',
+        'GET /Workspace/:id': 'Get workspace with members',
+        'DELETE /Workspace/:id': 'Delete workspace (owners only)',
+        'PUT /Workspace/:id/members': 'Add member or change role (viewer, editor, owner)',
+        'DELETE /Workspace/:id/members/:userId': 'Remove member'
+      },
+      queries: {
+        'POST /query': 'Run a read-only SQL query in which each dataset is a table named after it (requires token)'
+      },
       csv: {
         'GET /api/csv/read': 'Read complete CSV data',
         'GET /api/csv/info': 'Get CSV file metadata',
@@ -69,8 +120,13 @@ router.get('/', (req, res) => {
 
 // Mount route modules
 router.use('/auth', authRoutes);
-router.use('/Dashboard', dashboardRoutes);
-router.use('/Dataset', datasetRoutes);
+// Datasets and dashboards are scoped to the authenticated user and their workspaces
+router.use('/Dashboard', authenticateToken, dashboardRoutes);
+router.use('/Dataset', authenticateToken, datasetRoutes);
+router.use('/Workspace', authenticateToken, workspaceRoutes);
+router.use('/query', authenticateToken, queryRoutes);
 router.use('/api/csv', csvRoutes);
+// Shared dashboards are public and may be embedded in other sites
+router.use('/share', allowFraming, shareRoutes);
 
 module.exports = router;
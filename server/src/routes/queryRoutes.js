@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const queryController = require('../controllers/queryController');
+
+/**
+ * @route POST /query
+ * @desc Run a read-only SQL query (body: sql, limit) in which every dataset the user can open
+ *       is a table named after it. Save a query as a dataset with POST /Dataset/derived
+ * @access Private
+ */
+router.post('/', queryController.runQuery);
+
+module.exports = router;
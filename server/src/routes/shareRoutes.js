@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const shareController = require('../controllers/shareController');
+
+/**
+ * @route GET /share/:token
+ * @desc Get a shared dashboard, or whether its link needs a password
+ * @access Public
+ */
+router.get('/:token', shareController.getSharedDashboard);
+
+/**
+ * @route POST /share/:token/access
+ * @desc Give a share link's password for an access token (sent as X-Share-Access)
+ * @access Public
+ */
+router.post('/:token/access', shareController.unlockShare);
+
+/**
+ * @route GET /share/:token/datasets/:datasetName/data
+ * @desc Get a page of rows of a dataset the shared dashboard reads
+ * @access Public
+ */
+router.get('/:token/datasets/:datasetName/data', shareController.getSharedDatasetData);
+
+/**
+ * @route POST /share/:token/datasets/:datasetName/query
+ * @desc Run a Graphic Walker computation query for a shared dashboard's chart
+ * @access Public
+ */
+router.post('/:token/datasets/:datasetName/query', shareController.querySharedDataset);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const workspaceController = require('../controllers/workspaceController');
+
+/**
+ * @route GET /Workspace
+ * @desc Get all workspaces the user belongs to
+ * @access Private
+ */
+router.get('/', workspaceController.getWorkspaces);
+
+/**
+ * @route POST /Workspace
+ * @desc Create a workspace
+ * @access Private
+ */
+router.post('/', workspaceController.createWorkspace);
+
+/**
+ * @route GET /Workspace/:id
+ * @desc Get workspace with its members
+ * @access Private (members)
+ */
+router.get('/:id', workspaceController.getWorkspaceById);
+
+/**
+ * @route DELETE /Workspace/:id
+ * @desc Delete a workspace
+ * @access Private (owners)
+ */
+router.delete('/:id', workspaceController.deleteWorkspace);
+
+/**
+ * @route PUT /Workspace/:id/members
+ * @desc Add a member by email or change their role
+ * @access Private (owners)
+ */
+router.put('/:id/members', workspaceController.setWorkspaceMember);
+
+/**
+ * @route DELETE /Workspace/:id/members/:userId
+ * @desc Remove a member from a workspace
+ * @access Private (owners, or the member themselves)
+ */
+router.delete('/:id/members/:userId', workspaceController.removeWorkspaceMember);
+
+module.exports = router;
@@ -8,6 +8,8 @@ class AuthService {
     // JWT secret - in production, this should be in environment variables
     this.jwtSecret = process.env.JWT_SECRET || 'graphic-walker-secret-key-2024';
     this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '7d';
+    // How long a share link stays unlocked after its password is given
+    this.shareAccessExpiresIn = process.env.SHARE_ACCESS_EXPIRES_IN || '12h';
     this.saltRounds = 12;
   }
 
@@ -61,6 +63,32 @@ class AuthService {
     }
   }
 
+  // Generate the token that unlocks a password-protected share link (valid for that link only)
+  generateShareAccessToken(share) {
+    try {
+      return jwt.sign({ shareId: share.id }, this.jwtSecret, {
+        expiresIn: this.shareAccessExpiresIn,
+        issuer: 'graphic-walker-app',
+        audience: 'dashboard-share',
+        subject: share.id
+      });
+    } catch (error) {
+      logger.error('Failed to generate share access token', { shareId: share.id, error: error.message });
+      throw new Error('Token generation failed');
+    }
+  }
+
+  // Check a share access token was issued for the share link and has not expired
+  verifyShareAccessToken(token, share) {
+    try {
+      jwt.verify(token, this.jwtSecret, { audience: 'dashboard-share', subject: share.id });
+      return true;
+    } catch (error) {
+      logger.debug('Share access token rejected', { shareId: share.id, error: error.message });
+      return false;
+    }
+  }
+
   // Register new user
   async register(userData) {
     const { email, password, name } = userData;
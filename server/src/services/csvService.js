@@ -1,9 +1,88 @@
 const csv = require('csv-parser');
+const iconv = require('iconv-lite');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
 
+const DELIMITERS = [',', ';', '\t', '|'];
+const QUOTES = ['"', "'"];
+
+// Work out the encoding from a byte order mark, the NUL pattern of UTF-16 text, or UTF-8 validity
+const detectEncoding = (buffer) => {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return { encoding: 'utf8', bom: true };
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return { encoding: 'utf16le', bom: true };
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return { encoding: 'utf16be', bom: true };
+
+  // Mostly-ASCII UTF-16 text has a NUL in every other byte
+  const sampleLength = Math.min(buffer.length, 4096);
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let index = 0; index < sampleLength; index++) {
+    if (buffer[index] === 0) {
+      if (index % 2 === 0) evenNuls++;
+      else oddNuls++;
+    }
+  }
+  if (oddNuls > sampleLength / 4 && evenNuls === 0) return { encoding: 'utf16le', bom: false };
+  if (evenNuls > sampleLength / 4 && oddNuls === 0) return { encoding: 'utf16be', bom: false };
+
+  return { encoding: isValidUtf8(buffer) ? config.csv.encoding : config.csv.fallbackEncoding, bom: false };
+};
+
+// Check the bytes decode as UTF-8, ignoring a character cut off at the end of the sample
+const isValidUtf8 = (buffer) => {
+  let end = buffer.length;
+  let lead = end - 1;
+  while (lead >= 0 && end - lead <= 3 && (buffer[lead] & 0xc0) === 0x80) lead--;
+  if (lead >= 0 && buffer[lead] >= 0xc0) {
+    const length = buffer[lead] >= 0xf0 ? 4 : buffer[lead] >= 0xe0 ? 3 : 2;
+    if (lead + length > end) end = lead;
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer.subarray(0, end));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Count a delimiter in a line, skipping anything inside quotes
+const countDelimiter = (line, delimiter, quote) => {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === quote) quoted = !quoted;
+    else if (char === delimiter && !quoted) count++;
+  }
+  return count;
+};
+
+// Prefer double quotes unless only single quotes open fields
+const detectQuote = (lines) => {
+  const opensField = (quote) => lines.some(line => new RegExp(`(^|[,;\\t|])\\s*${quote}`).test(line));
+  return QUOTES.find(opensField) || QUOTES[0];
+};
+
+// Pick the delimiter that splits the header into the most columns and most rows into the same
+// number of columns as the header
+const detectDelimiter = (lines, quote) => {
+  let best = { delimiter: DELIMITERS[0], consistency: 0, columns: 0 };
+
+  DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => countDelimiter(line, delimiter, quote));
+    if (counts.length === 0 || counts[0] === 0) return;
+
+    const consistency = counts.filter(count => count === counts[0]).length / counts.length;
+    if (consistency > best.consistency || (consistency === best.consistency && counts[0] > best.columns)) {
+      best = { delimiter, consistency, columns: counts[0] };
+    }
+  });
+
+  return best.delimiter;
+};
+
 class CsvService {
   constructor() {
     this.uploadsDir = config.upload.uploadDir;
@@ -32,17 +111,63 @@ class CsvService {
     return stats;
   }
 
-  // Read CSV file and return data as JSON
-  async readCsvData(csvPath) {
+  // Detect the delimiter, quote character, encoding and BOM from the start of a file
+  sniffCsvFormat(csvPath) {
+    const buffer = Buffer.alloc(config.csv.sniffBytes);
+    const fd = fs.openSync(csvPath, 'r');
+    let bytesRead;
+    try {
+      bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const sample = buffer.subarray(0, bytesRead);
+    const { encoding, bom } = detectEncoding(sample);
+
+    // Drop the last line when the sample stops part-way through the file
+    const lines = iconv.decode(sample, encoding).split(/\r\n|\n|\r/);
+    if (bytesRead === buffer.length) lines.pop();
+    const sampleLines = lines.filter(line => line.trim() !== '').slice(0, 50);
+
+    const quote = detectQuote(sampleLines);
+    const delimiter = detectDelimiter(sampleLines, quote);
+
+    logger.debug('CSV format detected', { csvPath, delimiter, quote, encoding, bom });
+    return { delimiter, quote, encoding, bom };
+  }
+
+  // Detected format with any user overrides ({ delimiter, quote, encoding }) applied
+  resolveCsvFormat(csvPath, overrides = {}) {
+    const detected = this.sniffCsvFormat(csvPath);
+    const format = { ...detected };
+
+    ['delimiter', 'quote', 'encoding'].forEach(key => {
+      if (overrides[key]) format[key] = overrides[key];
+    });
+
+    return format;
+  }
+
+  // Stream parsed CSV rows, decoding the file from its encoding (a BOM is stripped)
+  createCsvStream(csvPath, format) {
+    return fs.createReadStream(csvPath)
+      .pipe(iconv.decodeStream(format.encoding))
+      .pipe(csv({ separator: format.delimiter, quote: format.quote, escape: format.quote }));
+  }
+
+  // Read CSV file and return data as JSON (format is detected unless given). Numeric-looking
+  // values become numbers unless raw is set, which keeps every value as text for type inference.
+  async readCsvData(csvPath, format = null, { raw = false } = {}) {
     return new Promise((resolve, reject) => {
       try {
         this.validateCsvFile(csvPath);
         
         const results = [];
-        logger.debug('Starting CSV read', { csvPath });
+        const csvFormat = format || this.sniffCsvFormat(csvPath);
+        logger.debug('Starting CSV read', { csvPath, ...csvFormat });
         
-        fs.createReadStream(csvPath)
-          .pipe(csv())
+        this.createCsvStream(csvPath, csvFormat)
           .on('data', (data) => {
             // Convert empty strings to null and handle data types
             const cleanedData = {};
@@ -50,6 +175,8 @@ class CsvService {
               const value = data[key];
               if (value === '' || value === undefined) {
                 cleanedData[key] = null;
+              } else if (raw) {
+                cleanedData[key] = value;
               } else {
                 // Try to convert to number if it looks like a number
                 const numValue = Number(value);
@@ -77,6 +204,40 @@ class CsvService {
     });
   }
 
+  // Read the first rows of a CSV file with the given format, for previews
+  async readCsvPreview(csvPath, format, limit = 10) {
+    return new Promise((resolve, reject) => {
+      try {
+        this.validateCsvFile(csvPath);
+
+        const rows = [];
+        let headers = [];
+        const stream = this.createCsvStream(csvPath, format);
+
+        stream
+          .on('headers', (headerList) => {
+            headers = headerList;
+          })
+          .on('data', (data) => {
+            if (rows.length < limit) {
+              rows.push(data);
+            }
+            if (rows.length === limit) {
+              stream.destroy();
+              resolve({ headers, rows });
+            }
+          })
+          .on('end', () => resolve({ headers, rows }))
+          .on('error', (error) => {
+            logger.error('CSV preview failed', { csvPath, error: error.message });
+            reject(new Error(`Failed to read CSV file: ${error.message}`));
+          });
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
   // Get CSV file info
   async getCsvInfo(csvPath) {
     return new Promise((resolve, reject) => {
@@ -86,11 +247,11 @@ class CsvService {
         let headers = [];
         let rowCount = 0;
         let isFirstRow = true;
+        const format = this.sniffCsvFormat(csvPath);
         
         logger.debug('Getting CSV info', { csvPath });
 
-        fs.createReadStream(csvPath)
-          .pipe(csv())
+        this.createCsvStream(csvPath, format)
           .on('headers', (headerList) => {
             headers = headerList;
           })
@@ -111,7 +272,10 @@ class CsvService {
               columnCount: headers.length,
               headers: headers,
               lastModified: stats.mtime,
-              encoding: config.csv.encoding
+              encoding: format.encoding,
+              delimiter: format.delimiter,
+              quote: format.quote,
+              bom: format.bom
             };
             
             logger.info('CSV info retrieved', { 
@@ -146,8 +310,7 @@ class CsvService {
         const results = [];
         logger.debug('Reading CSV columns', { csvPath, columns });
         
-        fs.createReadStream(csvPath)
-          .pipe(csv())
+        this.createCsvStream(csvPath, this.sniffCsvFormat(csvPath))
           .on('data', (data) => {
             const filteredData = {};
             columns.forEach(column => {
@@ -204,8 +367,7 @@ class CsvService {
           endRow
         });
         
-        fs.createReadStream(csvPath)
-          .pipe(csv())
+        this.createCsvStream(csvPath, this.sniffCsvFormat(csvPath))
           .on('data', (data) => {
             if (currentRow >= startRow && currentRow < endRow) {
               const cleanedData = {};
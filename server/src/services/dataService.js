@@ -71,14 +71,69 @@ class DataService {
   }
 
   // Delegate all methods to the underlying service
-  async getDashboards() {
+  async getDashboards(userId = null) {
     await this.initialize();
-    return this.service.getDashboards();
+    return this.service.getDashboards(userId);
   }
 
-  async getDashboardByName(dashboardName) {
+  async getDashboardByName(dashboardName, userId = null) {
     await this.initialize();
-    return this.service.getDashboardByName(dashboardName);
+    return this.service.getDashboardByName(dashboardName, userId);
+  }
+
+  async getDashboardsByDataset(datasetName) {
+    await this.initialize();
+    return this.service.getDashboardsByDataset(datasetName);
+  }
+
+  async getDashboardRevisions(dashboardId) {
+    await this.initialize();
+    return this.service.getDashboardRevisions(dashboardId);
+  }
+
+  async getDashboardRevision(dashboardId, revision) {
+    await this.initialize();
+    return this.service.getDashboardRevision(dashboardId, revision);
+  }
+
+  async getDashboardDrafts(userId, datasetName = null) {
+    await this.initialize();
+    return this.service.getDashboardDrafts(userId, datasetName);
+  }
+
+  async getDashboardDraft(userId, dashboardName) {
+    await this.initialize();
+    return this.service.getDashboardDraft(userId, dashboardName);
+  }
+
+  async saveDashboardDraft(draft) {
+    await this.initialize();
+    return this.service.saveDashboardDraft(draft);
+  }
+
+  async deleteDashboardDraft(userId, dashboardName) {
+    await this.initialize();
+    return this.service.deleteDashboardDraft(userId, dashboardName);
+  }
+
+  async getDashboardShares(dashboardId) {
+    await this.initialize();
+    return this.service.getDashboardShares(dashboardId);
+  }
+
+  async getDashboardShareByToken(token) {
+    await this.initialize();
+    return this.service.getDashboardShareByToken(token);
+  }
+
+  async createDashboardShare(share) {
+    await this.initialize();
+    return this.service.createDashboardShare(share);
+  }
+
+  async deleteDashboardShare(dashboardId, shareId) {
+    await this.initialize();
+    return this.service.deleteDashboardShare(dashboardId, shareId);
   }
 
   async saveDashboard(dashboard) {
@@ -91,14 +146,14 @@ class DataService {
     return this.service.deleteDashboard(dashboardName);
   }
 
-  async getDatasets() {
+  async getDatasets(userId = null) {
     await this.initialize();
-    return this.service.getDatasets();
+    return this.service.getDatasets(userId);
   }
 
-  async getDatasetByName(datasetName) {
+  async getDatasetByName(datasetName, userId = null) {
     await this.initialize();
-    return this.service.getDatasetByName(datasetName);
+    return this.service.getDatasetByName(datasetName, userId);
   }
 
   async saveDataset(dataset) {
@@ -111,9 +166,64 @@ class DataService {
     return this.service.deleteDataset(datasetName);
   }
 
-  async getStats() {
+  async getDatasetRows(dataset, options = {}) {
+    await this.initialize();
+    return this.service.getDatasetRows(dataset, options);
+  }
+
+  async getDatasetRowsSize(dataset) {
+    await this.initialize();
+    return this.service.getDatasetRowsSize(dataset);
+  }
+
+  async queryDataset(dataset, payload, options = {}) {
+    await this.initialize();
+    return this.service.queryDataset(dataset, payload, options);
+  }
+
+  async getDatasetVersions(datasetId) {
+    await this.initialize();
+    return this.service.getDatasetVersions(datasetId);
+  }
+
+  async getDatasetVersion(datasetId, version) {
     await this.initialize();
-    return this.service.getStats();
+    return this.service.getDatasetVersion(datasetId, version);
+  }
+
+  async restoreDatasetVersion(datasetName, version, userId = null) {
+    await this.initialize();
+    return this.service.restoreDatasetVersion(datasetName, version, userId);
+  }
+
+  async getStats(userId = null) {
+    await this.initialize();
+    return this.service.getStats(userId);
+  }
+
+  async setDatasetWorkspace(datasetName, workspaceId) {
+    await this.initialize();
+    return this.service.setDatasetWorkspace(datasetName, workspaceId);
+  }
+
+  async getDerivedDatasets() {
+    await this.initialize();
+    return this.service.getDerivedDatasets();
+  }
+
+  async setDatasetDerivation(datasetName, derivation) {
+    await this.initialize();
+    return this.service.setDatasetDerivation(datasetName, derivation);
+  }
+
+  async setDatasetCalculatedFields(datasetName, calculatedFields) {
+    await this.initialize();
+    return this.service.setDatasetCalculatedFields(datasetName, calculatedFields);
+  }
+
+  async setDatasetFieldMetadata(datasetName, fieldMetadata) {
+    await this.initialize();
+    return this.service.setDatasetFieldMetadata(datasetName, fieldMetadata);
   }
 
   async healthCheck() {
@@ -142,7 +252,48 @@ class DataService {
     return this.service.updateUserLastLogin(userId);
   }
 
+  // Workspace methods
+  async getWorkspaces(userId) {
+    await this.initialize();
+    return this.service.getWorkspaces(userId);
+  }
+
+  async getWorkspaceById(workspaceId, userId) {
+    await this.initialize();
+    return this.service.getWorkspaceById(workspaceId, userId);
+  }
+
+  async createWorkspace(workspace) {
+    await this.initialize();
+    return this.service.createWorkspace(workspace);
+  }
+
+  async deleteWorkspace(workspaceId) {
+    await this.initialize();
+    return this.service.deleteWorkspace(workspaceId);
+  }
+
+  async getWorkspaceMembers(workspaceId) {
+    await this.initialize();
+    return this.service.getWorkspaceMembers(workspaceId);
+  }
+
+  async setWorkspaceMember(workspaceId, userId, role) {
+    await this.initialize();
+    return this.service.setWorkspaceMember(workspaceId, userId, role);
+  }
+
+  async removeWorkspaceMember(workspaceId, userId) {
+    await this.initialize();
+    return this.service.removeWorkspaceMember(workspaceId, userId);
+  }
+
   // Additional utility methods
+  async migrateOwnership(adminEmail) {
+    await this.initialize();
+    return this.service.migrateOwnership(adminEmail);
+  }
+
   async migrateFromJson() {
     await this.initialize();
     if (this.service.migrateFromJson) {
@@ -0,0 +1,324 @@
+const config = require('../config');
+const dataService = require('./dataService');
+const importService = require('./importService');
+const sqlQueryService = require('./sqlQueryService');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/validation');
+const { compileCalculatedFields } = require('../utils/expressions');
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// The fields a dataset's rows are read with ({ name, type }): its columns, then its calculated
+// fields. Types are the column types chosen at import (null when there is none).
+const getSourceFields = (dataset) => [
+  ...(dataset.rowColumns || []).map(column => ({ name: column.name, type: column.fieldType || null })),
+  ...compileCalculatedFields(dataset.calculatedFields, dataset.rowColumns).fields
+    .map(field => ({ name: field.name, type: field.type }))
+];
+
+// Shown as the file name of each version of a derived dataset
+const describeDerivation = ({ type, sources }) => {
+  if (type === 'join') {
+    return `Join of ${sources[0]} and ${sources[1]}`;
+  }
+  if (type === 'query') {
+    if (sources.length === 0) return 'SQL query';
+    if (sources.length === 1) return `SQL query on ${sources[0]}`;
+    return `SQL query on ${sources.slice(0, -1).join(', ')} and ${sources[sources.length - 1]}`;
+  }
+  return `Union of ${sources.slice(0, -1).join(', ')} and ${sources[sources.length - 1]}`;
+};
+
+const assertRowLimit = (count) => {
+  if (count > config.derivedDatasets.maxRows) {
+    throw new ValidationError(`The result has more than ${config.derivedDatasets.maxRows} rows`, 'sources');
+  }
+};
+
+// Rows of a join. Every left row is matched with each right row whose keys are equal (compared
+// as text, so 7 and "7" match; blank keys match nothing). Left joins keep unmatched left rows.
+// The result has the left fields, then the right fields other than the keys; right fields named
+// like a left field get the right dataset's name added.
+const joinRows = ({ joinType, keys }, [left, right]) => {
+  keys.forEach(key => {
+    if (!left.fields.some(field => field.name === key.left)) {
+      throw new ValidationError(`Dataset '${left.dataset.datasetName}' has no field '${key.left}'`, 'keys');
+    }
+    if (!right.fields.some(field => field.name === key.right)) {
+      throw new ValidationError(`Dataset '${right.dataset.datasetName}' has no field '${key.right}'`, 'keys');
+    }
+  });
+
+  const leftNames = left.fields.map(field => field.name);
+  const rightFields = right.fields
+    .filter(field => !keys.some(key => key.right === field.name))
+    .map(field => ({
+      ...field,
+      source: field.name,
+      name: leftNames.includes(field.name) ? `${field.name} (${right.dataset.datasetName})` : field.name
+    }));
+  const clash = rightFields.find(field => leftNames.includes(field.name));
+  if (clash) {
+    throw new ValidationError(`Both datasets have a field named '${clash.name}'`, 'keys');
+  }
+
+  const keyOf = (row, names) => {
+    const values = names.map(name => row[name]);
+    return values.some(isBlank) ? null : JSON.stringify(values.map(String));
+  };
+
+  const rightByKey = new Map();
+  right.rows.forEach(row => {
+    const key = keyOf(row, keys.map(item => item.right));
+    if (key === null) return;
+    const matches = rightByKey.get(key) || [];
+    matches.push(row);
+    rightByKey.set(key, matches);
+  });
+
+  const data = [];
+  left.rows.forEach(row => {
+    const base = {};
+    leftNames.forEach(name => {
+      base[name] = row[name] ?? null;
+    });
+
+    const key = keyOf(row, keys.map(item => item.left));
+    const matches = (key !== null && rightByKey.get(key)) || [];
+    if (matches.length === 0 && joinType === 'left') {
+      matches.push({});
+    }
+
+    assertRowLimit(data.length + matches.length);
+    matches.forEach(match => {
+      const joined = { ...base };
+      rightFields.forEach(field => {
+        joined[field.name] = match[field.source] ?? null;
+      });
+      data.push(joined);
+    });
+  });
+
+  return { data, fields: [...left.fields, ...rightFields] };
+};
+
+// Rows of a union: the rows of every source in order, with every field any source has (empty
+// where a source does not have it), and the source's name in sourceColumn when one is given.
+// A field keeps its type only when every source that has it gives it the same type.
+const unionRows = ({ sourceColumn }, sources) => {
+  const fields = [];
+  sources.forEach(source => {
+    source.fields.forEach(field => {
+      const existing = fields.find(item => item.name === field.name);
+      if (!existing) {
+        fields.push({ ...field });
+      } else if (existing.type !== field.type) {
+        existing.type = null;
+      }
+    });
+  });
+
+  if (sourceColumn) {
+    if (fields.some(field => field.name === sourceColumn)) {
+      throw new ValidationError(`A source dataset already has a field named '${sourceColumn}'`, 'sourceColumn');
+    }
+    fields.push({ name: sourceColumn, type: 'string' });
+  }
+
+  assertRowLimit(sources.reduce((count, source) => count + source.rows.length, 0));
+
+  const data = sources.flatMap(source => source.rows.map(row => {
+    const stacked = {};
+    fields.forEach(field => {
+      stacked[field.name] = row[field.name] ?? null;
+    });
+    if (sourceColumn) {
+      stacked[sourceColumn] = source.dataset.datasetName;
+    }
+    return stacked;
+  }));
+
+  return { data, fields };
+};
+
+// Builds derived datasets from joins, unions and SQL queries of other datasets and keeps them up to date.
+// Their rows are stored like uploaded rows: each refresh adds a version, and dashboards on them
+// work as on any dataset.
+class DerivedDatasetService {
+  // Read the source datasets of a definition with all their rows. With a userId only datasets
+  // the user can open are found. A query's sources are only read when they are within
+  // config.sqlQuery.maxSourceRows.
+  async readSources(definition, userId = null) {
+    const datasets = [];
+    for (const datasetName of definition.sources) {
+      const dataset = await dataService.getDatasetByName(datasetName, userId);
+      if (!dataset) {
+        throw new ValidationError(`Source dataset '${datasetName}' does not exist`, 'sources');
+      }
+      datasets.push(dataset);
+    }
+
+    if (definition.type === 'query') {
+      sqlQueryService.assertSourceRows(datasets);
+    }
+
+    const sources = [];
+    for (const dataset of datasets) {
+      const { records } = await dataService.getDatasetRows(dataset);
+      sources.push({ dataset, fields: getSourceFields(dataset), rows: records });
+    }
+    return sources;
+  }
+
+  // The rows of a derived dataset, as converted uploads are: { data, headers, fieldTypes }.
+  // Query results have no field types; they are worked out from the values as for uploads.
+  async computeRows(definition, sources) {
+    if (definition.type === 'query') {
+      const { columns, rows, truncated } = await sqlQueryService.runQuery(definition.sql, sources, config.derivedDatasets.maxRows);
+      if (truncated) {
+        assertRowLimit(rows.length + 1);
+      }
+      return { data: rows, headers: columns, fieldTypes: {} };
+    }
+
+    const { data, fields } = definition.type === 'join'
+      ? joinRows(definition, sources)
+      : unionRows(definition, sources);
+
+    const fieldTypes = {};
+    fields.filter(field => field.type).forEach(field => {
+      fieldTypes[field.name] = field.type;
+    });
+    return { data, headers: fields.map(field => field.name), fieldTypes };
+  }
+
+  // The definition stored with a derived dataset, with the source versions its rows come from
+  buildDerivation(definition, sources) {
+    return {
+      ...definition,
+      sourceVersions: Object.fromEntries(sources.map(source => [source.dataset.datasetName, source.dataset.version])),
+      refreshedAt: new Date().toISOString(),
+      refreshError: null
+    };
+  }
+
+  // Create a derived dataset from a validated definition; the user must be able to open every
+  // source. A query's sources are the datasets it names that the user can open.
+  async createDerivedDataset({ datasetName, workspaceId, definition, userId }) {
+    if (definition.type === 'query') {
+      definition = { ...definition, sources: await sqlQueryService.findSources(definition.sql, userId) };
+    }
+    const sources = await this.readSources(definition, userId);
+    const { data, headers, fieldTypes } = await this.computeRows(definition, sources);
+
+    const dataset = await dataService.saveDataset({
+      datasetName,
+      originalFileName: describeDerivation(definition),
+      originalFileSize: 0,
+      mimeType: 'application/json',
+      sp: '',
+      jsonData: data,
+      headers,
+      fieldTypes,
+      ownerId: userId,
+      workspaceId: workspaceId || null,
+      createdBy: userId,
+      derivation: this.buildDerivation(definition, sources)
+    });
+
+    logger.info('Derived dataset created', { datasetName, type: definition.type, rowCount: data.length });
+    return dataset;
+  }
+
+  // Recompute a derived dataset from the latest versions of its sources as a new version, by
+  // userId (its owner when none is given). Sources are read with the owner's access, so the
+  // refresh fails when the owner can no longer open one. The same dashboard checks as a replace
+  // upload apply. When it fails the rows stay as they were and the error is kept with the
+  // dataset's definition.
+  async refreshDataset(dataset, userId = null) {
+    const { sourceVersions, refreshedAt, refreshError, ...definition } = dataset.derivation;
+
+    try {
+      if (!dataset.ownerId) {
+        throw new ValidationError(`Dataset '${dataset.datasetName}' has no owner to read its sources as`, 'sources');
+      }
+      const sources = await this.readSources(definition, dataset.ownerId);
+      const { data, headers, fieldTypes } = await this.computeRows(definition, sources);
+      await importService.assertDashboardsCompatible(dataset, headers, fieldTypes, 'The refreshed rows');
+
+      const refreshed = await dataService.saveDataset({
+        datasetName: dataset.datasetName,
+        originalFileName: describeDerivation(definition),
+        originalFileSize: 0,
+        mimeType: 'application/json',
+        sp: dataset.sp,
+        jsonData: data,
+        headers,
+        fieldTypes,
+        createdBy: userId || dataset.ownerId,
+        derivation: this.buildDerivation(definition, sources)
+      });
+
+      logger.info('Derived dataset refreshed', { datasetName: dataset.datasetName, rowCount: data.length });
+      return refreshed;
+    } catch (error) {
+      await dataService.setDatasetDerivation(dataset.datasetName, { ...dataset.derivation, refreshError: error.message });
+      throw error;
+    }
+  }
+
+  // Refresh the derived datasets built on a dataset whose rows changed (or that was deleted),
+  // then the ones built on those, each as its own owner. A dataset that fails to refresh keeps
+  // its rows and the error, and the datasets built on it are left as they are.
+  async refreshDependents(datasetName, refreshed = new Set([datasetName])) {
+    const dependents = (await dataService.getDerivedDatasets())
+      .filter(dataset => dataset.derivation.sources.includes(datasetName));
+
+    for (const dependent of dependents) {
+      if (refreshed.has(dependent.datasetName)) continue;
+      refreshed.add(dependent.datasetName);
+
+      try {
+        await this.refreshDataset(dependent);
+      } catch (error) {
+        logger.warn('Derived dataset could not be refreshed', {
+          datasetName: dependent.datasetName,
+          source: datasetName,
+          error: error.message
+        });
+        continue;
+      }
+      await this.refreshDependents(dependent.datasetName, refreshed);
+    }
+  }
+
+  // Where a dataset's rows come from and what is built on it: its sources (with the version its
+  // rows were computed from and their latest version, or null when a source is gone) and the
+  // derived datasets that read it which the user can open
+  async getLineage(dataset, userId) {
+    const derived = await dataService.getDerivedDatasets();
+    const sources = [];
+
+    if (dataset.derivation) {
+      for (const datasetName of dataset.derivation.sources) {
+        const source = await dataService.getDatasetByName(datasetName);
+        sources.push({
+          datasetName,
+          version: (dataset.derivation.sourceVersions || {})[datasetName] || null,
+          latestVersion: source ? source.version : null
+        });
+      }
+    }
+
+    const dependents = [];
+    for (const item of derived.filter(candidate => candidate.derivation.sources.includes(dataset.datasetName))) {
+      if (await dataService.getDatasetByName(item.datasetName, userId)) {
+        dependents.push(item.datasetName);
+      }
+    }
+
+    return { derivation: dataset.derivation, sources, dependents };
+  }
+}
+
+module.exports = new DerivedDatasetService();
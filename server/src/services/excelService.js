@@ -0,0 +1,178 @@
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const EXCEL_EXTENSIONS = ['.xlsx', '.xls'];
+
+// Number of leading rows returned with each sheet so the user can pick the header row
+const PREVIEW_ROWS = 10;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Excel dates have no time zone; SheetJS returns them as local-time Dates, so format the
+// local wall-clock value (date only when there is no time part)
+const formatDate = (date) => {
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  if (date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0) {
+    return day;
+  }
+  return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+// Convert a cell value to what the CSV path produces: null for blanks, strings for dates
+const normalizeCell = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return formatDate(value);
+  return value;
+};
+
+// Name every column: blank headers become "Column N" and repeated names get a numeric suffix
+const buildHeaders = (headerCells, width) => {
+  const used = new Set();
+
+  return Array.from({ length: width }, (_, index) => {
+    const cell = headerCells[index];
+    const base = cell === null || cell === undefined || String(cell).trim() === ''
+      ? `Column ${index + 1}`
+      : String(cell).trim();
+
+    let name = base;
+    for (let suffix = 2; used.has(name); suffix++) {
+      name = `${base} (${suffix})`;
+    }
+    used.add(name);
+    return name;
+  });
+};
+
+// .xlsx files are zip archives; .xls files are OLE2 documents, or HTML/XML spreadsheet exports
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// SheetJS reads any text file as a one-column sheet, so check the file really is a workbook
+const hasWorkbookSignature = (filePath, extension) => {
+  const header = Buffer.alloc(8);
+  const fd = fs.openSync(filePath, 'r');
+  let bytesRead;
+  try {
+    bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (header.subarray(0, 4).equals(ZIP_SIGNATURE)) return true;
+  if (extension === '.xlsx') return false;
+  if (bytesRead === 8 && header.equals(OLE_SIGNATURE)) return true;
+  return header.toString('utf8', 0, bytesRead).trimStart().startsWith('<');
+};
+
+const isBlankRow = (row) => row.every(value => value === null);
+
+// Number of columns up to the last non-blank cell (sheets are padded to their full range)
+const usedWidth = (row) => {
+  for (let index = row.length - 1; index >= 0; index--) {
+    if (row[index] !== null) return index + 1;
+  }
+  return 0;
+};
+
+class ExcelService {
+  // Check whether a file name has a workbook extension
+  isExcelFile(fileName) {
+    return EXCEL_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+  }
+
+  // Parse a workbook file
+  readWorkbook(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Excel file does not exist: ${filePath}`);
+    }
+    if (!hasWorkbookSignature(filePath, path.extname(filePath).toLowerCase())) {
+      throw new Error('File is not a valid Excel workbook');
+    }
+
+    try {
+      return XLSX.readFile(filePath, { cellDates: true });
+    } catch (error) {
+      logger.error('Excel read failed', { filePath, error: error.message });
+      throw new Error(`Failed to read Excel file: ${error.message}`);
+    }
+  }
+
+  // Read a sheet as arrays of cell values, where index 0 is spreadsheet row 1
+  getSheetRows(workbook, sheetName) {
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet) {
+      throw new Error(`Sheet '${sheetName}' not found in workbook`);
+    }
+    if (!sheet['!ref']) {
+      return [];
+    }
+
+    // Start the range at A1 so row numbers match what the user sees in Excel
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    range.s = { r: 0, c: 0 };
+
+    const rows = XLSX.utils.sheet_to_json(sheet, {
+      header: 1,
+      raw: true,
+      defval: null,
+      blankrows: true,
+      range
+    });
+
+    return rows.map(row => row.map(normalizeCell));
+  }
+
+  // List the sheets of a workbook with their size and first rows
+  async getSheets(filePath) {
+    const workbook = this.readWorkbook(filePath);
+
+    return workbook.SheetNames.map(name => {
+      const rows = this.getSheetRows(workbook, name);
+      return {
+        name,
+        rowCount: rows.length,
+        columnCount: rows.reduce((max, row) => Math.max(max, usedWidth(row)), 0),
+        preview: rows.slice(0, PREVIEW_ROWS)
+      };
+    });
+  }
+
+  // Convert one sheet to row objects keyed by the values in the header row (1-based).
+  // Defaults to the first sheet and row 1; blank rows below the header are skipped.
+  async readSheetData(filePath, { sheetName = null, headerRow = 1 } = {}) {
+    const workbook = this.readWorkbook(filePath);
+    const name = sheetName || workbook.SheetNames[0];
+    const rows = this.getSheetRows(workbook, name);
+
+    if (headerRow > rows.length) {
+      throw new Error(`Header row ${headerRow} is beyond the last row of sheet '${name}' (${rows.length})`);
+    }
+
+    const dataRows = rows.slice(headerRow).filter(row => !isBlankRow(row));
+    const width = [rows[headerRow - 1], ...dataRows].reduce((max, row) => Math.max(max, usedWidth(row)), 0);
+    const headers = buildHeaders(rows[headerRow - 1], width);
+
+    const data = dataRows.map(row => {
+      const record = {};
+      headers.forEach((header, index) => {
+        record[header] = row[index] === undefined ? null : row[index];
+      });
+      return record;
+    });
+
+    logger.info('Excel sheet read completed', {
+      filePath,
+      sheetName: name,
+      headerRow,
+      recordCount: data.length,
+      columns: headers.length
+    });
+
+    return { sheetName: name, headerRow, headers, data };
+  }
+}
+
+module.exports = new ExcelService();
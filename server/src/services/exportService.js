@@ -0,0 +1,233 @@
+const vega = require('vega');
+const vegaLite = require('vega-lite');
+const { Resvg } = require('@resvg/resvg-js');
+const PDFDocument = require('pdfkit');
+const config = require('../config');
+const dataService = require('./dataService');
+const logger = require('../utils/logger');
+const { parseDashboardSpecs, getSourceDataset } = require('../utils/dashboardFields');
+const { getUnsupportedReason, chartToWorkflow, chartToVegaLite } = require('../utils/chartSpec');
+
+// The dashboard grid, as the client draws it: 12 columns, rows 40px high, 16px apart.
+// Charts without a tile are placed two to a row (one chart takes the whole width).
+const GRID = {
+  columns: 12,
+  rowHeight: 40,
+  gap: 16,
+  chartSize: { w: 6, h: 8 }
+};
+const PADDING = 24;
+const HEADER_HEIGHT = 56;
+const TILE_TITLE_HEIGHT = 28;
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+
+const CONTENT_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  pdf: 'application/pdf'
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Charts are keyed by their Graphic Walker visId, or by position when they have none
+const chartKey = (chart, index) => (chart && chart.visId ? String(chart.visId) : `#${index}`);
+
+// The dashboard's tiles: its saved layout without tiles of removed charts, with charts that
+// have no tile added below the rest, or the default layout when it has none
+const getTiles = (charts, layout) => {
+  const keys = charts.map(chartKey);
+
+  if (!layout || !Array.isArray(layout.items)) {
+    const width = charts.length === 1 ? GRID.columns : GRID.chartSize.w;
+    const perRow = GRID.columns / width;
+    return keys.map((chartId, index) => ({
+      type: 'chart',
+      chartId,
+      x: (index % perRow) * width,
+      y: Math.floor(index / perRow) * GRID.chartSize.h,
+      w: width,
+      h: GRID.chartSize.h
+    }));
+  }
+
+  const tiles = layout.items.filter(item => item.type !== 'chart' || keys.includes(item.chartId));
+  const placed = new Set(tiles.map(item => item.chartId));
+  let bottom = tiles.reduce((lowest, item) => Math.max(lowest, item.y + item.h), 0);
+  keys.filter(chartId => !placed.has(chartId)).forEach(chartId => {
+    tiles.push({ type: 'chart', chartId, x: 0, y: bottom, ...GRID.chartSize });
+    bottom += GRID.chartSize.h;
+  });
+  return tiles;
+};
+
+// Break text into lines of about maxChars characters, keeping its own line breaks
+const wrapText = (text, maxChars) => String(text).split('\n').flatMap(paragraph => {
+  const lines = [];
+  let line = '';
+  paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+    if (line && line.length + word.length + 1 > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  lines.push(line);
+  return lines;
+});
+
+// Lines of text from the top of a box, cut off at its bottom
+const textLines = (lines, x, y, height, { size = 13, color = '#37352f', lineHeight = 1.5 } = {}) => {
+  const step = size * lineHeight;
+  const visible = lines.slice(0, Math.max(0, Math.floor(height / step)));
+  return visible.map((line, index) => (
+    `<text x="${x}" y="${y + size + index * step}" font-family="${FONT_FAMILY}" font-size="${size}" fill="${color}">${escapeXml(line)}</text>`
+  )).join('');
+};
+
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+// Draws dashboards on the server from their stored Graphic Walker specs, without a browser
+class ExportService {
+  getContentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  // Draw one chart as an SVG string sized width x height, or throw when it cannot be drawn
+  async renderChart(chart, dataset, { width, height, timezoneOffset }) {
+    const reason = getUnsupportedReason(chart);
+    if (reason) {
+      throw new Error(reason);
+    }
+
+    const chartLimit = chart.config && chart.config.limit > 0 ? chart.config.limit : Infinity;
+    const rows = await dataService.queryDataset(dataset, {
+      workflow: chartToWorkflow(chart),
+      limit: Math.min(chartLimit, config.export.maxChartRows)
+    }, { timezoneOffset });
+
+    const spec = vegaLite.compile(chartToVegaLite(chart, rows, { width, height, fieldMetadata: dataset.fieldMetadata })).spec;
+    const view = new vega.View(vega.parse(spec), { renderer: 'none' });
+    try {
+      return await view.toSVG();
+    } finally {
+      view.finalize();
+    }
+  }
+
+  // Draw a dashboard as one SVG: its name, then its chart and text tiles where its layout puts
+  // them. datasets maps each dataset name the charts read to the dataset (at the version the
+  // dashboard reads) or null when it cannot be read; charts that fail show why in their tile.
+  async renderDashboardSvg(dashboard, datasets, { timezoneOffset = 0 } = {}) {
+    const charts = parseDashboardSpecs(dashboard.jsonFormat);
+    const tiles = getTiles(charts, dashboard.layout);
+
+    const width = config.export.width;
+    const columnWidth = (width - PADDING * 2 - GRID.gap * (GRID.columns - 1)) / GRID.columns;
+    const rows = tiles.reduce((bottom, tile) => Math.max(bottom, tile.y + tile.h), 0);
+    const height = PADDING * 2 + HEADER_HEIGHT + Math.max(0, rows * (GRID.rowHeight + GRID.gap) - GRID.gap);
+
+    const parts = [];
+    for (const tile of tiles) {
+      const box = {
+        x: PADDING + tile.x * (columnWidth + GRID.gap),
+        y: PADDING + HEADER_HEIGHT + tile.y * (GRID.rowHeight + GRID.gap),
+        w: tile.w * columnWidth + (tile.w - 1) * GRID.gap,
+        h: tile.h * GRID.rowHeight + (tile.h - 1) * GRID.gap
+      };
+      const index = charts.findIndex((chart, position) => chartKey(chart, position) === tile.chartId);
+      const chart = tile.type === 'chart' ? charts[index] : null;
+      const title = tile.title || (chart && chart.name) || '';
+      const top = title ? TILE_TITLE_HEIGHT : 8;
+
+      parts.push(`<rect x="${box.x}" y="${box.y}" width="${box.w}" height="${box.h}" rx="8" fill="#ffffff" stroke="#e5e7eb"/>`);
+      if (title) {
+        parts.push(textLines([title], box.x + 12, box.y + 8, TILE_TITLE_HEIGHT, { size: 14, color: '#111827' }));
+      }
+
+      if (tile.type === 'text') {
+        parts.push(textLines(wrapText(tile.content, Math.floor((box.w - 24) / 7)), box.x + 12, box.y + top, box.h - top - 8));
+        continue;
+      }
+
+      const inner = { x: box.x + 8, y: box.y + top, w: box.w - 16, h: box.h - top - 8 };
+      const datasetName = getSourceDataset(chart, dashboard.datasetName);
+      try {
+        if (!datasets[datasetName]) {
+          throw new Error(`Dataset '${datasetName}' is not available`);
+        }
+        const svg = await this.renderChart(chart, datasets[datasetName], {
+          width: inner.w,
+          height: inner.h,
+          timezoneOffset
+        });
+        // Vega sizes the chart itself; scale it into the tile when it comes out larger
+        const [, chartWidth, chartHeight] = svg.match(/width="([\d.]+)" height="([\d.]+)"/) || [];
+        parts.push(`<svg x="${inner.x}" y="${inner.y}" width="${inner.w}" height="${inner.h}" viewBox="0 0 ${chartWidth || inner.w} ${chartHeight || inner.h}" preserveAspectRatio="xMinYMin meet">${svg.replace(/^<\?xml[^>]*>/, '')}</svg>`);
+      } catch (error) {
+        logger.warn('Chart could not be exported', {
+          dashboardName: dashboard.dashboardName,
+          chart: tile.chartId,
+          error: error.message
+        });
+        parts.push(textLines([error.message], inner.x + 4, inner.y + inner.h / 2 - 10, 24, { color: '#6b7280' }));
+      }
+    }
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      `<rect width="${width}" height="${height}" fill="#f9fafb"/>`,
+      textLines([dashboard.dashboardName], PADDING, PADDING, HEADER_HEIGHT, { size: 20, color: '#111827' }),
+      ...parts,
+      '</svg>'
+    ].join('');
+  }
+
+  // Draw a dashboard in one of config.export.formats; returns a string (SVG) or a Buffer
+  async renderDashboard(dashboard, datasets, format, options = {}) {
+    const started = Date.now();
+    const svg = await this.renderDashboardSvg(dashboard, datasets, options);
+    let output = svg;
+
+    if (format !== 'svg') {
+      const png = new Resvg(svg, {
+        fitTo: { mode: 'zoom', value: config.export.pixelRatio },
+        font: { loadSystemFonts: true }
+      }).render().asPng();
+
+      if (format === 'png') {
+        output = png;
+      } else {
+        // One page the size of the dashboard, in points at 72 per inch (one per CSS pixel)
+        const [, width, height] = svg.match(/width="([\d.]+)" height="([\d.]+)"/);
+        const doc = new PDFDocument({
+          size: [Number(width), Number(height)],
+          margin: 0,
+          info: { Title: dashboard.dashboardName }
+        });
+        doc.image(png, 0, 0, { width: Number(width), height: Number(height) });
+        output = await toBuffer(doc);
+      }
+    }
+
+    logger.info('Dashboard exported', {
+      dashboardName: dashboard.dashboardName,
+      format,
+      bytes: Buffer.byteLength(output),
+      ms: Date.now() - started
+    });
+    return output;
+  }
+}
+
+module.exports = new ExportService();
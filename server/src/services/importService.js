@@ -0,0 +1,216 @@
+const dataService = require('./dataService');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/validation');
+const { getDashboardFields } = require('../utils/dashboardFields');
+const { compileCalculatedFields } = require('../utils/expressions');
+
+// How an upload is applied: as a new dataset, or to the existing dataset of that name by
+// replacing its rows, appending to them, or updating and adding rows matched on a key column
+const UPLOAD_MODES = ['create', 'replace', 'append', 'upsert'];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Column types chosen at import, by column name
+const getFieldTypes = (rowColumns = []) => {
+  const fieldTypes = {};
+  rowColumns.forEach(column => {
+    if (column.fieldType) {
+      fieldTypes[column.name] = column.fieldType;
+    }
+  });
+  return fieldTypes;
+};
+
+class ImportService {
+  // Read the upload mode fields ({ mode, keyColumn }) sent with an upload; mode defaults to create
+  validateUploadMode({ mode, keyColumn } = {}) {
+    const uploadMode = mode || 'create';
+    if (!UPLOAD_MODES.includes(uploadMode)) {
+      throw new ValidationError(`Upload mode must be one of: ${UPLOAD_MODES.join(', ')}`, 'mode');
+    }
+
+    if (uploadMode === 'upsert' && (typeof keyColumn !== 'string' || keyColumn.trim() === '')) {
+      throw new ValidationError('A key column is required to upsert rows', 'keyColumn');
+    }
+
+    return { mode: uploadMode, keyColumn: uploadMode === 'upsert' ? keyColumn.trim() : null };
+  }
+
+  // Columns that already exist in the dataset must keep their type when rows are added to them
+  assertColumnTypesMatch(dataset, fieldTypes) {
+    const currentTypes = getFieldTypes(dataset.rowColumns);
+    const changed = Object.keys(fieldTypes).filter(name => (
+      currentTypes[name] && currentTypes[name] !== fieldTypes[name]
+    ));
+
+    if (changed.length > 0) {
+      const details = changed.map(name => `'${name}' is ${currentTypes[name]}, not ${fieldTypes[name]}`);
+      throw new ValidationError(`Column types do not match dataset '${dataset.datasetName}': ${details.join('; ')}`, 'columns');
+    }
+  }
+
+  // Every field a dashboard chart uses must still exist after the import, with the same type
+  // when both types are known, so dashboards on the dataset keep working. Only the charts and
+  // filters on this dataset count. Dashboards pinned to a version of it keep reading that
+  // version and are not affected.
+  async assertDashboardsCompatible(dataset, headers, fieldTypes, subject = 'The upload') {
+    const dashboards = (await dataService.getDashboardsByDataset(dataset.datasetName))
+      .filter(dashboard => !(dashboard.datasetVersion && dashboard.datasetName === dataset.datasetName));
+    const currentTypes = getFieldTypes(dataset.rowColumns);
+    const problems = [];
+
+    // Calculated fields are still there when their expressions work on the new columns
+    const { fields: calculated } = compileCalculatedFields(
+      dataset.calculatedFields,
+      headers.map(name => ({ name, column: 'NULL', fieldType: fieldTypes[name] }))
+    );
+    const available = [...headers, ...calculated.map(field => field.name)];
+
+    dashboards.forEach(dashboard => {
+      getDashboardFields(dashboard.jsonFormat, dashboard.filters, dataset.datasetName, dashboard.datasetName).forEach(field => {
+        if (!available.includes(field)) {
+          problems.push(`'${dashboard.dashboardName}' uses '${field}', which is missing`);
+        } else if (currentTypes[field] && fieldTypes[field] && currentTypes[field] !== fieldTypes[field]) {
+          problems.push(`'${dashboard.dashboardName}' uses '${field}' as ${currentTypes[field]}, not ${fieldTypes[field]}`);
+        }
+      });
+    });
+
+    if (problems.length > 0) {
+      throw new ValidationError(
+        `${subject} does not fit the dashboards on '${dataset.datasetName}': ${problems.join('; ')}`,
+        'columns'
+      );
+    }
+  }
+
+  // Restoring a dataset version replaces the rows as a replace upload does, so the same dashboards must fit it
+  async assertVersionRestorable(dataset, datasetVersion) {
+    await this.assertDashboardsCompatible(
+      dataset,
+      datasetVersion.headers,
+      getFieldTypes(datasetVersion.rowColumns),
+      `Version ${datasetVersion.version}`
+    );
+  }
+
+  // Update the existing rows whose key matches an uploaded row (columns missing from the upload
+  // keep their values) and add the other uploaded rows. Keys must be present and unique in the upload.
+  upsertRows(existingRows, rows, keyColumn) {
+    const uploadKeys = new Set();
+    rows.forEach((row, index) => {
+      const key = row[keyColumn];
+      if (isBlank(key)) {
+        throw new ValidationError(`Key column '${keyColumn}' is blank in uploaded row ${index + 1}`, 'keyColumn');
+      }
+      if (uploadKeys.has(String(key))) {
+        throw new ValidationError(`Key '${key}' appears more than once in the upload`, 'keyColumn');
+      }
+      uploadKeys.add(String(key));
+    });
+
+    // Keys compare as text, so 7 and "7" match
+    const existingByKey = new Map();
+    existingRows.forEach((row, index) => {
+      const key = row[keyColumn];
+      if (isBlank(key)) return;
+      const indexes = existingByKey.get(String(key)) || [];
+      indexes.push(index);
+      existingByKey.set(String(key), indexes);
+    });
+
+    const merged = [...existingRows];
+    let rowsUpdated = 0;
+    let rowsAdded = 0;
+
+    rows.forEach(row => {
+      const indexes = existingByKey.get(String(row[keyColumn]));
+      if (indexes) {
+        indexes.forEach(index => {
+          merged[index] = { ...merged[index], ...row };
+        });
+        rowsUpdated += indexes.length;
+      } else {
+        merged.push(row);
+        rowsAdded++;
+      }
+    });
+
+    return { rows: merged, rowsAdded, rowsUpdated };
+  }
+
+  // Save converted upload rows ({ data, headers, fieldTypes }). In create mode they become a new
+  // dataset; otherwise they are applied to the existing dataset, which keeps its id, owner,
+  // workspace and dashboards.
+  async importRows({ datasetName, dataset, mode, keyColumn, converted, originalFileName, originalFileSize, ownerId, workspaceId }) {
+    const { data, headers, fieldTypes } = converted;
+    const upload = {
+      datasetName,
+      originalFileName,
+      originalFileSize,
+      mimeType: 'application/json',
+      sp: dataset ? dataset.sp : '',
+      createdBy: ownerId
+    };
+
+    if (mode === 'create') {
+      const savedDataset = await dataService.saveDataset({
+        ...upload,
+        jsonData: data,
+        headers,
+        fieldTypes,
+        ownerId,
+        workspaceId: workspaceId || null
+      });
+      return { dataset: savedDataset, rowsAdded: data.length, rowsUpdated: 0 };
+    }
+
+    if (mode === 'replace') {
+      await this.assertDashboardsCompatible(dataset, headers, fieldTypes);
+
+      const savedDataset = await dataService.saveDataset({ ...upload, jsonData: data, headers, fieldTypes });
+      logger.info('Dataset rows replaced', { datasetName, rowCount: data.length });
+      return { dataset: savedDataset, rowsAdded: data.length, rowsUpdated: 0 };
+    }
+
+    // Appended and upserted rows join the existing rows, so every existing column stays
+    this.assertColumnTypesMatch(dataset, fieldTypes);
+
+    const existingHeaders = (dataset.rowColumns || []).map(column => column.name);
+    const mergedHeaders = [...existingHeaders, ...headers.filter(name => !existingHeaders.includes(name))];
+    const mergedTypes = { ...getFieldTypes(dataset.rowColumns), ...fieldTypes };
+    await this.assertDashboardsCompatible(dataset, mergedHeaders, mergedTypes);
+
+    if (mode === 'upsert') {
+      if (!headers.includes(keyColumn)) {
+        throw new ValidationError(`Key column '${keyColumn}' is not in the upload`, 'keyColumn');
+      }
+      if (!existingHeaders.includes(keyColumn)) {
+        throw new ValidationError(`Key column '${keyColumn}' is not in dataset '${datasetName}'`, 'keyColumn');
+      }
+    }
+
+    // Calculated fields are computed when rows are read, so they are not merged into the rows
+    const { records: existingRows } = await dataService.getDatasetRows(dataset, { storedOnly: true });
+    const merged = mode === 'upsert'
+      ? this.upsertRows(existingRows, data, keyColumn)
+      : { rows: [...existingRows, ...data], rowsAdded: data.length, rowsUpdated: 0 };
+
+    const savedDataset = await dataService.saveDataset({
+      ...upload,
+      jsonData: merged.rows,
+      headers: mergedHeaders,
+      fieldTypes: mergedTypes
+    });
+
+    logger.info('Dataset rows merged', {
+      datasetName,
+      mode,
+      rowsAdded: merged.rowsAdded,
+      rowsUpdated: merged.rowsUpdated
+    });
+    return { dataset: savedDataset, rowsAdded: merged.rowsAdded, rowsUpdated: merged.rowsUpdated };
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const readline = require('readline');
+const logger = require('../utils/logger');
+const { flattenRecords, collectHeaders } = require('../utils/records');
+
+class JsonFileService {
+  // Validate JSON file exists
+  validateJsonFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`JSON file does not exist: ${filePath}`);
+    }
+
+    const stats = fs.statSync(filePath);
+    if (!stats.isFile()) {
+      throw new Error(`Path is not a file: ${filePath}`);
+    }
+
+    return stats;
+  }
+
+  // Read a file holding a JSON array of records; nested objects become dotted columns
+  async readJsonData(filePath) {
+    this.validateJsonFile(filePath);
+
+    let parsed;
+    try {
+      // Strip a UTF-8 byte order mark, which JSON.parse rejects
+      parsed = JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+      logger.error('JSON read failed', { filePath, error: error.message });
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(parsed)) {
+      throw new Error('JSON file must contain an array of records');
+    }
+
+    const data = flattenRecords(parsed);
+    const headers = collectHeaders(data);
+
+    logger.info('JSON read completed', { filePath, recordCount: data.length, columns: headers.length });
+    return { data, headers };
+  }
+
+  // Read a newline-delimited JSON file (one record per line, blank lines ignored)
+  async readNdjsonData(filePath) {
+    this.validateJsonFile(filePath);
+
+    const records = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      const text = (lineNumber === 1 ? line.replace(/^\uFEFF/, '') : line).trim();
+      if (text === '') continue;
+
+      try {
+        records.push(JSON.parse(text));
+      } catch (error) {
+        lines.close();
+        logger.error('NDJSON read failed', { filePath, lineNumber, error: error.message });
+        throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+      }
+    }
+
+    const data = flattenRecords(records);
+    const headers = collectHeaders(data);
+
+    logger.info('NDJSON read completed', { filePath, recordCount: data.length, columns: headers.length });
+    return { data, headers };
+  }
+}
+
+module.exports = new JsonFileService();
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Migration files are named <version>_<name>.js, e.g. 004_workspaces.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationService {
+  constructor() {
+    this.migrationsDir = path.join(__dirname, '../migrations');
+  }
+
+  // Load the migration modules in version order
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.migrationsDir)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const migration = require(path.join(this.migrationsDir, file));
+        if (typeof migration.up !== 'function') {
+          throw new Error(`Migration ${file} does not export an up() function`);
+        }
+
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          description: migration.description || '',
+          up: migration.up,
+          down: typeof migration.down === 'function' ? migration.down : null
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  // Create the table that records applied migrations
+  ensureMigrationsTable(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  // Helper method to read applied migrations keyed by version
+  getAppliedMigrations(db) {
+    this.ensureMigrationsTable(db);
+
+    const stmt = db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    const applied = new Map();
+    while (stmt.step()) {
+      const row = stmt.getAsObject();
+      applied.set(row.version, { name: row.name, appliedAt: row.applied_at });
+    }
+    stmt.free();
+
+    return applied;
+  }
+
+  // List every known migration with whether it has been applied
+  getStatus(db) {
+    const applied = this.getAppliedMigrations(db);
+    const migrations = this.loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      applied: applied.has(migration.version),
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).appliedAt : null,
+      reversible: migration.down !== null
+    }));
+
+    // Versions recorded in the database whose files no longer exist
+    const known = new Set(migrations.map(migration => migration.version));
+    const missing = [...applied.entries()]
+      .filter(([version]) => !known.has(version))
+      .map(([version, { name, appliedAt }]) => ({ version, name, appliedAt }));
+
+    return {
+      currentVersion: applied.size > 0 ? Math.max(...applied.keys()) : 0,
+      migrations,
+      pending: migrations.filter(migration => !migration.applied).map(migration => migration.version),
+      missing
+    };
+  }
+
+  // Apply pending migrations in order, up to and including the target version
+  async migrate(db, { to = Infinity } = {}) {
+    const applied = this.getAppliedMigrations(db);
+    const pending = this.loadMigrations()
+      .filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+    for (const migration of pending) {
+      await this.runMigration(db, migration, 'up');
+    }
+
+    return {
+      applied: pending.map(({ version, name }) => ({ version, name })),
+      currentVersion: this.getStatus(db).currentVersion
+    };
+  }
+
+  // Roll back the most recent migrations: the last `steps`, or everything above version `to`
+  async rollback(db, { steps = 1, to = null } = {}) {
+    const applied = this.getAppliedMigrations(db);
+    const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+
+    const versions = [...applied.keys()].sort((a, b) => b - a);
+    const targets = to === null ? versions.slice(0, steps) : versions.filter(version => version > to);
+
+    // Check everything first so a rollback does not stop halfway on a known problem
+    targets.forEach(version => {
+      const migration = migrations.get(version);
+      if (!migration) {
+        throw new Error(`Cannot roll back migration ${version}: its file no longer exists`);
+      }
+      if (!migration.down) {
+        throw new Error(`Migration ${version}_${migration.name} cannot be rolled back`);
+      }
+    });
+
+    for (const version of targets) {
+      await this.runMigration(db, migrations.get(version), 'down');
+    }
+
+    return {
+      rolledBack: targets.map(version => ({ version, name: migrations.get(version).name })),
+      currentVersion: this.getStatus(db).currentVersion
+    };
+  }
+
+  // Run one migration inside a transaction and record it.
+  // Foreign keys are switched off around the transaction (the pragma is ignored inside one)
+  // so table rebuilds do not cascade deletes into child tables.
+  async runMigration(db, migration, direction) {
+    const label = `${migration.version}_${migration.name}`;
+    logger.info(`Running migration ${label} (${direction})`);
+
+    db.run('PRAGMA foreign_keys = OFF');
+    try {
+      db.run('BEGIN TRANSACTION');
+      try {
+        await migration[direction](db);
+
+        if (direction === 'up') {
+          db.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)', [
+            migration.version,
+            migration.name,
+            new Date().toISOString()
+          ]);
+        } else {
+          db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+
+        db.run('COMMIT');
+      } catch (error) {
+        db.run('ROLLBACK');
+        logger.error(`Migration ${label} (${direction}) failed`, { error: error.message });
+        throw error;
+      }
+    } finally {
+      db.run('PRAGMA foreign_keys = ON');
+    }
+
+    await db.persist();
+    logger.info(`Migration ${label} (${direction}) completed`);
+  }
+}
+
+module.exports = new MigrationService();
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { isPlainObject, flattenRecords, collectHeaders } = require('../utils/records');
+
+// hyparquet is an ES module, so it is loaded on first use
+let parquetModules = null;
+const loadParquetModules = async () => {
+  if (!parquetModules) {
+    const [{ parquetMetadata, parquetReadObjects }, { compressors }] = await Promise.all([
+      import('hyparquet'),
+      import('hyparquet-compressors')
+    ]);
+    parquetModules = { parquetMetadata, parquetReadObjects, compressors };
+  }
+  return parquetModules;
+};
+
+// Convert Parquet values to what JSON can hold: 64-bit integers become numbers when they
+// fit (strings otherwise), timestamps become ISO strings and binary becomes base64
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'bigint') {
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+      ? Number(value)
+      : value.toString();
+  }
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  if (ArrayBuffer.isView(value)) return Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64');
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (isPlainObject(value)) {
+    const normalized = {};
+    Object.entries(value).forEach(([key, item]) => {
+      normalized[key] = normalizeValue(item);
+    });
+    return normalized;
+  }
+  return value;
+};
+
+class ParquetService {
+  // Read a Parquet file; nested struct columns become dotted columns
+  async readParquetData(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Parquet file does not exist: ${filePath}`);
+    }
+
+    const { parquetMetadata, parquetReadObjects, compressors } = await loadParquetModules();
+    const buffer = fs.readFileSync(filePath);
+    const file = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+    let records;
+    try {
+      const metadata = parquetMetadata(file);
+      records = await parquetReadObjects({ file, metadata, compressors });
+    } catch (error) {
+      logger.error('Parquet read failed', { filePath, error: error.message });
+      throw new Error(`Invalid Parquet file: ${error.message}`);
+    }
+
+    const data = flattenRecords(records.map(normalizeValue));
+    const headers = collectHeaders(data);
+
+    logger.info('Parquet read completed', { filePath, recordCount: data.length, columns: headers.length });
+    return { data, headers };
+  }
+}
+
+module.exports = new ParquetService();
@@ -0,0 +1,526 @@
+const { RE2JS } = require('re2js');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/validation');
+const { compileCalculatedFields, selectCalculatedFields } = require('../utils/expressions');
+
+// Regular expression filters run in a linear-time engine (RE2) on at most this much of a value,
+// since anyone with a share link can send them
+const MAX_REGEXP_LENGTH = 500;
+const MAX_REGEXP_VALUE_LENGTH = 10000;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const WEEK = 7 * DAY;
+
+// Date strings Graphic Walker treats as UTC dates rather than local times
+const DATE_ONLY_PATTERNS = [
+  /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/,
+  /^\d{4}-(0[1-9]|1[0-2])$/,
+  /^\d{4}$/
+];
+
+// SQL for each Graphic Walker aggregator (variance/stdev are population statistics, like the client)
+const AGGREGATORS = {
+  sum: column => `COALESCE(SUM(${column}), 0)`,
+  mean: column => `AVG(${column})`,
+  median: column => `gw_median(${column})`,
+  variance: column => `gw_variance(${column})`,
+  stdev: column => `gw_stdev(${column})`,
+  max: column => `MAX(${column})`,
+  min: column => `MIN(${column})`,
+  count: column => `COUNT(${column})`,
+  distinctCount: column => `COUNT(DISTINCT ${column})`
+};
+
+// Parse a value to a timestamp the way Graphic Walker does, reading zone-less strings in the given offset (minutes)
+const parseTime = (value, offset) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  let time;
+  if (typeof value === 'string') {
+    if (DATE_ONLY_PATTERNS.some(pattern => pattern.test(value))) {
+      time = new Date(value).getTime() + offset * MINUTE;
+    } else if (/(Z|[+-][0-2][0-9])$/.test(value)) {
+      time = new Date(value).getTime();
+    } else {
+      const date = new Date(value);
+      time = date.getTime() - date.getTimezoneOffset() * MINUTE + offset * MINUTE;
+    }
+  } else {
+    time = new Date(value).getTime();
+  }
+
+  return Number.isNaN(time) ? null : time;
+};
+
+// Wall-clock parts of a timestamp in the given offset
+const wallClock = (time, offset) => {
+  const date = new Date(time - offset * MINUTE);
+  return {
+    ms: date.getTime(),
+    Y: date.getUTCFullYear(),
+    M: date.getUTCMonth(),
+    D: date.getUTCDate(),
+    h: date.getUTCHours(),
+    m: date.getUTCMinutes(),
+    s: date.getUTCSeconds(),
+    weekday: date.getUTCDay()
+  };
+};
+
+// Monday of ISO week 1 of a year, as a wall-clock timestamp
+const firstIsoMonday = (year) => {
+  const jan4 = Date.UTC(year, 0, 4);
+  return jan4 - ((new Date(jan4).getUTCDay() || 7) - 1) * DAY;
+};
+
+const isoYear = (wall) => {
+  if (wall.ms < firstIsoMonday(wall.Y)) return wall.Y - 1;
+  if (wall.ms >= firstIsoMonday(wall.Y + 1)) return wall.Y + 1;
+  return wall.Y;
+};
+
+// Truncate a date to a drill level, returning a timestamp (Graphic Walker's dateTimeDrill)
+const dateTimeDrill = (value, level, offset, displayOffset) => {
+  const time = value ? parseTime(value, offset) : null;
+  if (time === null) return null;
+
+  const wall = wallClock(time, displayOffset);
+  const toTime = (...parts) => Date.UTC(...parts) + displayOffset * MINUTE;
+
+  switch (level) {
+    case 'year': return toTime(wall.Y, 0, 1);
+    case 'quarter': return toTime(wall.Y, Math.floor(wall.M / 3) * 3, 1);
+    case 'month': return toTime(wall.Y, wall.M, 1);
+    case 'week': return toTime(wall.Y, wall.M, wall.D - wall.weekday);
+    case 'day': return toTime(wall.Y, wall.M, wall.D);
+    case 'iso_year': return toTime(isoYear(wall), 0, 1);
+    case 'iso_week': return toTime(wall.Y, wall.M, wall.D - (wall.weekday || 7) + 1);
+    case 'hour': return toTime(wall.Y, wall.M, wall.D, wall.h);
+    case 'minute': return toTime(wall.Y, wall.M, wall.D, wall.h, wall.m);
+    case 'second': return toTime(wall.Y, wall.M, wall.D, wall.h, wall.m, wall.s);
+    default: return value;
+  }
+};
+
+// Extract a date part as a number (Graphic Walker's dateTimeFeature)
+const dateTimeFeature = (value, level, offset, displayOffset) => {
+  const time = value ? parseTime(value, offset) : null;
+  if (time === null) return null;
+
+  const wall = wallClock(time, displayOffset);
+
+  switch (level) {
+    case 'year': return wall.Y;
+    case 'quarter': return Math.floor(wall.M / 3) + 1;
+    case 'month': return wall.M + 1;
+    case 'week': {
+      const jan1 = Date.UTC(wall.Y, 0, 1);
+      let firstSunday = jan1 - new Date(jan1).getUTCDay() * DAY;
+      if (new Date(firstSunday).getUTCFullYear() !== wall.Y) firstSunday += WEEK;
+      return Math.floor((wall.ms - firstSunday) / WEEK) + 1;
+    }
+    case 'weekday': return wall.weekday;
+    case 'iso_year': return isoYear(wall);
+    case 'iso_week': return Math.floor((wall.ms - firstIsoMonday(isoYear(wall))) / WEEK) + 1;
+    case 'iso_weekday': return wall.weekday || 7;
+    case 'day': return wall.D;
+    case 'hour': return wall.h;
+    case 'minute': return wall.m;
+    case 'second': return wall.s;
+    default: return value;
+  }
+};
+
+// Equal-width bin bounds as a JSON [start, end] pair (Graphic Walker's bin)
+const binRange = (value, min, max, binSize) => {
+  const step = (max - min) / binSize;
+  let index = Math.floor((value - min) / step);
+  if (index === binSize) index = binSize - 1;
+  if (Number.isNaN(index)) index = 0;
+  return JSON.stringify([index * step + min, (index + 1) * step + min]);
+};
+
+// Population variance accumulator shared by gw_variance and gw_stdev
+const varianceAggregate = (finalize) => ({
+  init: () => ({ count: 0, sum: 0, sumSquares: 0 }),
+  step: (state, value) => {
+    if (value !== null && value !== undefined) {
+      state.count++;
+      state.sum += value;
+      state.sumSquares += value * value;
+    }
+    return state;
+  },
+  finalize: (state) => {
+    if (state.count === 0) return null;
+    const mean = state.sum / state.count;
+    return finalize(Math.max(state.sumSquares / state.count - mean * mean, 0));
+  }
+});
+
+class QueryService {
+  // Register the SQL functions compiled queries rely on (sql.js drops them whenever the database is exported)
+  registerFunctions(db) {
+    const regexps = new Map();
+
+    db.create_function('gw_time', (value, offset) => parseTime(value, offset));
+    db.create_function('gw_log', (value, base) => {
+      const result = Math.log(value) / Math.log(base);
+      return Number.isFinite(result) ? result : null;
+    });
+    // Math for calculated fields (see utils/expressions), null when the result is not a number
+    const finite = (result) => (Number.isFinite(result) ? result : null);
+    db.create_function('gw_floor', value => (value === null ? null : finite(Math.floor(value))));
+    db.create_function('gw_ceil', value => (value === null ? null : finite(Math.ceil(value))));
+    db.create_function('gw_sqrt', value => (value === null ? null : finite(Math.sqrt(value))));
+    db.create_function('gw_exp', value => (value === null ? null : finite(Math.exp(value))));
+    db.create_function('gw_power', (value, exponent) => (
+      value === null || exponent === null ? null : finite(Math.pow(value, exponent))
+    ));
+    db.create_function('gw_text', value => (value === null ? null : String(value)));
+    db.create_function('gw_number', (value) => {
+      if (value === null || (typeof value === 'string' && value.trim() === '')) return null;
+      return finite(Number(value));
+    });
+    db.create_function('gw_bin', binRange);
+    db.create_function('gw_bin_count', (orderIndex, total, binSize) => {
+      let index = Math.floor(orderIndex / (total / binSize));
+      if (index === binSize) index = binSize - 1;
+      return index + 1;
+    });
+    db.create_function('gw_datetime_drill', dateTimeDrill);
+    db.create_function('gw_datetime_feature', dateTimeFeature);
+    db.create_function('gw_regexp', (value, pattern, flags) => {
+      const key = `${flags}/${pattern}`;
+      if (!regexps.has(key)) {
+        try {
+          regexps.set(key, RE2JS.compile(pattern, flags === 'i' ? RE2JS.CASE_INSENSITIVE : 0));
+        } catch (error) {
+          regexps.set(key, null);
+        }
+      }
+      const regexp = regexps.get(key);
+      const text = value === null ? 'null' : String(value).slice(0, MAX_REGEXP_VALUE_LENGTH);
+      return regexp && regexp.matcher(text).find() ? 1 : 0;
+    });
+    db.create_aggregate('gw_median', {
+      init: () => [],
+      step: (values, value) => {
+        if (value !== null && value !== undefined) values.push(value);
+        return values;
+      },
+      finalize: (values) => {
+        if (values.length === 0) return null;
+        const sorted = values.sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[mid] + sorted[mid - 1]) / 2 : sorted[mid];
+      }
+    });
+    db.create_aggregate('gw_variance', varianceAggregate(variance => variance));
+    db.create_aggregate('gw_stdev', varianceAggregate(variance => Math.sqrt(variance)));
+  }
+
+  // Compile a Graphic Walker computation payload into one SQL statement over a dataset's row table.
+  // Every step becomes a CTE; fields are tracked by key and aliased f0, f1, ... because field keys
+  // may contain any character and SQLite compares identifiers case-insensitively.
+  compile(dataset, payload, options = {}) {
+    const timezoneOffset = Number.isFinite(options.timezoneOffset) ? options.timezoneOffset : 0;
+    const ctes = [];
+    const params = [];
+    let aliasCount = 0;
+    let orderBy = '';
+
+    const nextAlias = () => `f${aliasCount++}`;
+    const addCte = (sql, stepParams = []) => {
+      ctes.push(`q${ctes.length} AS (${sql})`);
+      params.push(...stepParams);
+      orderBy = '';
+    };
+    const source = () => `q${ctes.length - 1}`;
+
+    // field key -> { alias, decode }
+    let fields = new Map();
+    const baseColumns = (dataset.rowColumns || []).map(column => {
+      const alias = nextAlias();
+      fields.set(column.name, {
+        alias,
+        decode: ['boolean', 'json'].includes(column.type) ? column.type : null
+      });
+      return `${column.column} AS ${alias}`;
+    });
+    // Calculated fields are computed alongside the stored columns
+    const { fields: calculated } = compileCalculatedFields(dataset.calculatedFields, dataset.rowColumns);
+    calculated.forEach(field => {
+      const alias = nextAlias();
+      fields.set(field.name, { alias, decode: field.type === 'boolean' ? 'boolean' : null });
+      baseColumns.push(`${field.alias} AS ${alias}`);
+    });
+    const rows = selectCalculatedFields(calculated, `SELECT * FROM ${dataset.rowsTable}`);
+    addCte(
+      `SELECT ${baseColumns.join(', ') || 'NULL AS __empty'} FROM (${rows.sql})`,
+      rows.params
+    );
+
+    const fieldAlias = (key) => {
+      const field = fields.get(key);
+      if (!field) {
+        throw new ValidationError(`Unknown field '${key}'`, 'workflow');
+      }
+      return field.alias;
+    };
+
+    // Encode a filter value the way it is stored in the row table
+    const encodeValue = (value) => {
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      if (value !== null && typeof value === 'object') return JSON.stringify(value);
+      return value;
+    };
+
+    const compileFilter = ({ fid, rule }) => {
+      const alias = fieldAlias(fid);
+      const filterParams = [];
+
+      switch (rule.type) {
+        case 'one of':
+        case 'not in': {
+          const values = Array.isArray(rule.value) ? rule.value : [];
+          const hasNull = values.some(value => value === null || value === undefined);
+          const listed = values.filter(value => value !== null && value !== undefined);
+          filterParams.push(...listed.map(encodeValue));
+          const inList = listed.length > 0 ? `${alias} IN (${listed.map(() => '?').join(', ')})` : '0';
+
+          if (rule.type === 'one of') {
+            return { sql: hasNull ? `(${inList} OR ${alias} IS NULL)` : inList, params: filterParams };
+          }
+          return {
+            sql: hasNull ? `(${alias} IS NOT NULL AND NOT ${inList})` : `(${alias} IS NULL OR NOT ${inList})`,
+            params: filterParams
+          };
+        }
+        case 'range':
+        case 'temporal range': {
+          const [min, max] = rule.value || [];
+          const value = rule.type === 'range'
+            ? alias
+            : `gw_time(${alias}, ${Number.isFinite(rule.offset) ? rule.offset : timezoneOffset})`;
+          const bounds = [];
+          if (min !== null && min !== undefined) {
+            bounds.push(`${value} >= ?`);
+            filterParams.push(min);
+          }
+          if (max !== null && max !== undefined) {
+            bounds.push(`${value} <= ?`);
+            filterParams.push(max);
+          }
+          return { sql: bounds.length > 0 ? `(${bounds.join(' AND ')})` : `${value} IS NOT NULL`, params: filterParams };
+        }
+        case 'regexp':
+          if (String(rule.value).length > MAX_REGEXP_LENGTH) {
+            throw new ValidationError(`Regular expressions cannot exceed ${MAX_REGEXP_LENGTH} characters`, 'workflow');
+          }
+          return {
+            sql: `gw_regexp(${alias}, ?, ?)`,
+            params: [String(rule.value), rule.caseSensitive ? '' : 'i']
+          };
+        default:
+          throw new ValidationError(`Unsupported filter rule '${rule.type}'`, 'workflow');
+      }
+    };
+
+    // Add a computed field, compiling nested expressions first so they can be referenced by key
+    const compileExpression = (key, expression) => {
+      const { op, params: expParams = [], num } = expression;
+
+      expParams
+        .filter(param => param.type === 'expression')
+        .forEach(param => compileExpression(param.value.as, param.value));
+
+      const fieldParam = expParams.find(param => param.type === 'field');
+      const valueParam = expParams.find(param => param.type === 'value');
+      const offsetParam = expParams.find(param => param.type === 'offset');
+      const displayOffsetParam = expParams.find(param => param.type === 'displayOffset');
+      const input = () => {
+        if (!fieldParam) {
+          throw new ValidationError(`Computed field '${key}' has no source field`, 'workflow');
+        }
+        return fieldAlias(fieldParam.value);
+      };
+
+      let sql;
+      let decode = null;
+      const expressionParams = [];
+
+      switch (op) {
+        case 'one':
+          sql = '1';
+          break;
+        case 'log':
+        case 'log2':
+        case 'log10':
+          sql = `gw_log(${input()}, ?)`;
+          expressionParams.push(op === 'log2' ? 2 : op === 'log10' ? 10 : (num || 10));
+          break;
+        case 'bin': {
+          const column = input();
+          sql = `gw_bin(${column}, MIN(${column}) OVER (), MAX(${column}) OVER (), ?)`;
+          expressionParams.push(num || 10);
+          decode = 'json';
+          break;
+        }
+        case 'binCount': {
+          const column = input();
+          sql = `gw_bin_count(ROW_NUMBER() OVER (ORDER BY ${column}) - 1, COUNT(*) OVER (), ?)`;
+          expressionParams.push(num || 10);
+          break;
+        }
+        case 'dateTimeDrill':
+        case 'dateTimeFeature':
+          sql = `${op === 'dateTimeDrill' ? 'gw_datetime_drill' : 'gw_datetime_feature'}(${input()}, ?, ?, ?)`;
+          expressionParams.push(
+            valueParam ? valueParam.value : null,
+            offsetParam ? offsetParam.value : timezoneOffset,
+            displayOffsetParam ? displayOffsetParam.value : timezoneOffset
+          );
+          break;
+        default:
+          throw new ValidationError(`Computed field operation '${op}' is not supported by server computation`, 'workflow');
+      }
+
+      const alias = nextAlias();
+      addCte(`SELECT *, ${sql} AS ${alias} FROM ${source()}`, expressionParams);
+      fields.set(key, { alias, decode });
+    };
+
+    const compileView = (query) => {
+      switch (query.op) {
+        case 'raw': {
+          const selected = new Map();
+          (query.fields || []).forEach(key => {
+            fieldAlias(key);
+            selected.set(key, fields.get(key));
+          });
+          addCte(`SELECT ${[...selected.values()].map(field => field.alias).join(', ') || 'NULL AS __empty'} FROM ${source()}`);
+          fields = selected;
+          break;
+        }
+        case 'aggregate': {
+          const grouped = new Map();
+          const columns = (query.groupBy || []).map(key => {
+            const alias = fieldAlias(key);
+            grouped.set(key, fields.get(key));
+            return alias;
+          });
+          const measures = (query.measures || []).map(measure => {
+            const aggregator = AGGREGATORS[measure.agg];
+            if (!aggregator) {
+              throw new ValidationError(`Aggregator '${measure.agg}' is not supported by server computation`, 'workflow');
+            }
+            let column = fieldAlias(measure.field);
+            if (measure.format !== undefined) {
+              column = `gw_time(${column}, ${Number.isFinite(measure.offset) ? measure.offset : timezoneOffset})`;
+            }
+            const alias = nextAlias();
+            grouped.set(measure.asFieldKey || `${measure.field}_${measure.agg}`, { alias, decode: null });
+            return `${aggregator(column)} AS ${alias}`;
+          });
+          const groupBy = columns.length > 0 ? ` GROUP BY ${columns.join(', ')}` : '';
+          addCte(`SELECT ${[...columns, ...measures].join(', ') || 'NULL AS __empty'} FROM ${source()}${groupBy} HAVING COUNT(*) > 0`);
+          fields = grouped;
+          break;
+        }
+        case 'fold': {
+          const foldBy = query.foldBy || [];
+          foldBy.forEach(fieldAlias);
+          const kept = [...fields.entries()].filter(([key]) => !foldBy.includes(key));
+          const keyAlias = nextAlias();
+          const valueAlias = nextAlias();
+          const selects = foldBy.map(key => `SELECT ${[...kept.map(([, field]) => field.alias), `? AS ${keyAlias}`, `${fields.get(key).alias} AS ${valueAlias}`].join(', ')} FROM ${source()}`);
+
+          if (selects.length === 0) {
+            addCte(`SELECT ${[...kept.map(([, field]) => field.alias), `NULL AS ${keyAlias}`, `NULL AS ${valueAlias}`].join(', ')} FROM ${source()} WHERE 0`);
+          } else {
+            addCte(selects.join(' UNION ALL '), foldBy);
+          }
+          fields = new Map(kept);
+          fields.set(query.newFoldKeyCol, { alias: keyAlias, decode: null });
+          fields.set(query.newFoldValueCol, { alias: valueAlias, decode: null });
+          break;
+        }
+        case 'bin':
+          compileExpression(query.newBinCol, {
+            op: 'bin',
+            params: [{ type: 'field', value: query.binBy }],
+            num: query.binSize
+          });
+          break;
+        default:
+          throw new ValidationError(`Unsupported view query '${query.op}'`, 'workflow');
+      }
+    };
+
+    payload.workflow.forEach(step => {
+      switch (step.type) {
+        case 'filter': {
+          const conditions = (step.filters || [])
+            .filter(filter => filter && filter.rule)
+            .map(compileFilter);
+          if (conditions.length > 0) {
+            addCte(
+              `SELECT * FROM ${source()} WHERE ${conditions.map(condition => condition.sql).join(' AND ')}`,
+              conditions.flatMap(condition => condition.params)
+            );
+          }
+          break;
+        }
+        case 'transform':
+          (step.transform || []).forEach(transform => compileExpression(transform.key, transform.expression || {}));
+          break;
+        case 'view':
+          (step.query || []).forEach(compileView);
+          break;
+        case 'sort': {
+          const direction = step.sort === 'descending' ? 'DESC' : 'ASC';
+          const columns = (step.by || []).map(key => `${fieldAlias(key)} ${direction}`);
+          orderBy = columns.length > 0 ? ` ORDER BY ${columns.join(', ')}` : '';
+          break;
+        }
+        default:
+          break;
+      }
+    });
+
+    const columns = [...fields.entries()].map(([key, field]) => ({ key, ...field }));
+    let sql = `WITH ${ctes.join(', ')} SELECT ${columns.map(column => column.alias).join(', ') || 'NULL AS __empty'} FROM ${source()}${orderBy}`;
+
+    const limit = Number.isInteger(payload.limit) ? payload.limit : null;
+    const offset = Number.isInteger(payload.offset) ? payload.offset : 0;
+    if (limit !== null || offset > 0) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(limit !== null ? limit : -1, offset);
+    }
+
+    logger.debug('Compiled dataset query', { datasetName: dataset.datasetName, steps: payload.workflow.length, ctes: ctes.length });
+    return { sql, params, columns };
+  }
+
+  // Map a positional result row back to field keys
+  decodeRow(values, columns) {
+    const row = {};
+    columns.forEach((column, index) => {
+      const value = values[index];
+      if (value === null || value === undefined) {
+        row[column.key] = null;
+      } else if (column.decode === 'boolean') {
+        row[column.key] = Boolean(value);
+      } else if (column.decode === 'json') {
+        row[column.key] = JSON.parse(value);
+      } else {
+        row[column.key] = value;
+      }
+    });
+    return row;
+  }
+}
+
+module.exports = new QueryService();
@@ -0,0 +1,114 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const config = require('../config');
+const dataService = require('./dataService');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/validation');
+const { parseQuery } = require('../utils/sqlQuery');
+
+const WORKER_PATH = path.join(__dirname, 'sqlQueryWorker.js');
+
+// Values as a table column holds them: booleans as 1 and 0, lists and objects as JSON
+const toSqlValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const timeoutError = () => new ValidationError(
+  `The query did not finish within ${config.sqlQuery.timeoutSeconds} seconds`,
+  'sql'
+);
+
+// Runs read-only SQL over datasets. Each dataset a query names is a table of its rows (stored
+// and calculated fields) in a database of its own, in a worker thread that is stopped when the
+// query runs longer than config.sqlQuery.timeoutSeconds.
+class SqlQueryService {
+  // The datasets a query reads, among those the user can open (or all datasets without a
+  // userId). Table names are matched without regard to case, as SQLite does.
+  async findSources(sql, userId = null) {
+    const names = parseQuery(sql).names.map(name => name.toLowerCase());
+    const datasets = await dataService.getDatasets(userId);
+
+    return datasets
+      .filter(dataset => names.includes(dataset.datasetName.toLowerCase()))
+      .map(dataset => dataset.datasetName);
+  }
+
+  // Check that a query's source datasets (with their rowCount) are small enough to be read
+  // whole, before their rows are read
+  assertSourceRows(datasets) {
+    const rowCount = datasets.reduce((count, dataset) => count + (dataset.rowCount || 0), 0);
+    if (rowCount > config.sqlQuery.maxSourceRows) {
+      throw new ValidationError(
+        `The query reads ${rowCount} rows from ${datasets.map(dataset => dataset.datasetName).join(', ')}; ` +
+        `a query can read at most ${config.sqlQuery.maxSourceRows}`,
+        'sql'
+      );
+    }
+  }
+
+  // Run a query over sources read as derivedDatasetService.readSources does ({ dataset, fields,
+  // rows }). Returns at most limit rows as { columns, rows, truncated }. The timeout counts from
+  // startedAt, so time spent reading the sources is part of it.
+  async runQuery(sql, sources, limit = config.sqlQuery.maxRows, startedAt = Date.now()) {
+    const query = parseQuery(sql);
+    const remainingMs = config.sqlQuery.timeoutSeconds * 1000 - (Date.now() - startedAt);
+    if (remainingMs <= 0) {
+      throw timeoutError();
+    }
+
+    const tables = sources.map(source => {
+      const columns = source.fields.map(field => field.name);
+      return {
+        name: source.dataset.datasetName,
+        columns,
+        rows: source.rows.map(row => columns.map(column => toSqlValue(row[column])))
+      };
+    });
+
+    const result = await new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_PATH, {
+        workerData: { sql: query.sql, tables, limit }
+      });
+      let settled = false;
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate();
+        callback(value);
+      };
+
+      const timer = setTimeout(() => settle(reject, timeoutError()), remainingMs);
+
+      worker.once('message', (message) => {
+        if (message.error) {
+          settle(reject, new ValidationError(`Query failed: ${message.error}`, 'sql'));
+        } else {
+          settle(resolve, message);
+        }
+      });
+      worker.once('error', error => settle(reject, error));
+      worker.once('exit', code => settle(reject, new Error(`Query worker stopped with exit code ${code}`)));
+    });
+
+    const rows = result.rows.slice(0, limit).map(values => {
+      const row = {};
+      result.columns.forEach((column, index) => {
+        row[column] = values[index];
+      });
+      return row;
+    });
+
+    logger.info('SQL query run', {
+      sources: sources.map(source => source.dataset.datasetName),
+      rowCount: rows.length,
+      durationMs: Date.now() - startedAt
+    });
+    return { columns: result.columns, rows, truncated: result.rows.length > limit };
+  }
+}
+
+module.exports = new SqlQueryService();
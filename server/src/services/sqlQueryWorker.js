@@ -0,0 +1,49 @@
+// Runs one read-only SQL query for sqlQueryService in a worker thread, so a slow query can be
+// stopped by ending the thread. The query sees an empty in-memory database holding only the
+// tables it was given: nothing it does can reach the application's own database. It always
+// uses sql.js, whichever driver the application database has: a thread can be ended while it
+// runs WebAssembly, but not while it is inside a native module.
+const { parentPort, workerData } = require('worker_threads');
+const initSqlJs = require('sql.js');
+
+const quote = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+// Binary values (from functions like randomblob) have no JSON form and are returned empty
+const toResultValue = (value) => (ArrayBuffer.isView(value) ? null : value);
+
+const runQuery = async ({ sql, tables, limit }) => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+
+  try {
+    db.run('BEGIN');
+    tables.forEach(table => {
+      const columns = table.columns.length > 0 ? table.columns : ['__empty'];
+      db.run(`CREATE TABLE ${quote(table.name)} (${columns.map(quote).join(', ')})`);
+      if (table.columns.length === 0) return;
+
+      const insert = db.prepare(`INSERT INTO ${quote(table.name)} VALUES (${columns.map(() => '?').join(', ')})`);
+      table.rows.forEach(row => insert.run(row));
+      insert.free();
+    });
+    db.run('COMMIT');
+
+    // As a subquery the text can only be a SELECT; one row past the limit shows it was cut short
+    const stmt = db.prepare(`SELECT * FROM (\n${sql}\n) LIMIT ?`);
+    stmt.bind([limit + 1]);
+    const columns = stmt.getColumnNames();
+    const rows = [];
+    while (stmt.step()) {
+      rows.push(stmt.get().map(toResultValue));
+    }
+    stmt.free();
+
+    return { columns, rows };
+  } finally {
+    db.close();
+  }
+};
+
+runQuery(workerData)
+  .then(result => parentPort.postMessage(result))
+  .catch(error => parentPort.postMessage({ error: error.message }));
@@ -1,29 +1,53 @@
-const initSqlJs = require('sql.js');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
 const config = require('../config');
 const logger = require('../utils/logger');
+const queryService = require('./queryService');
+const migrationService = require('./migrationService');
+const { openDatabase } = require('./storage');
+const { parseDashboardSpecs, getSourceDataset, getDashboardDatasets } = require('../utils/dashboardFields');
+const { compileCalculatedFields, selectCalculatedFields } = require('../utils/expressions');
 
 class SQLiteService {
   constructor() {
     this.db = null;
-    this.SQL = null;
     this.initialized = false;
+    this.initializing = null;
     this.dbPath = config.database.path;
   }
 
   async initialize() {
     if (!this.initialized) {
-      await this.ensureDirectories();
-      await this.initializeDatabase();
-      await this.createTables();
-      this.initialized = true;
-      logger.info('SQLite Database Service initialized', { dbPath: this.dbPath });
+      // Concurrent callers share one initialization instead of opening the database twice
+      this.initializing = this.initializing || this.initializeService();
+      try {
+        await this.initializing;
+      } finally {
+        this.initializing = null;
+      }
     }
     return this;
   }
 
+  async initializeService() {
+    await this.ensureDirectories();
+    await this.initializeDatabase();
+
+    if (config.database.autoMigrate) {
+      const result = await migrationService.migrate(this.db);
+      if (result.applied.length > 0) {
+        logger.info('Schema migrations applied', {
+          migrations: result.applied.map(migration => `${migration.version}_${migration.name}`),
+          version: result.currentVersion
+        });
+      }
+    }
+
+    this.initialized = true;
+    logger.info('SQLite Database Service initialized', { dbPath: this.dbPath });
+  }
+
   async ensureDirectories() {
     try {
       const dbDir = path.dirname(this.dbPath);
@@ -39,149 +63,108 @@ class SQLiteService {
 
   async initializeDatabase() {
     try {
-      // Initialize sql.js
-      this.SQL = await initSqlJs();
+      // Open the database with the configured storage driver (foreign keys are enabled by the driver)
+      this.db = await openDatabase({ ...config.database, path: this.dbPath });
       
-      // Load existing database if it exists
-      if (fs.existsSync(this.dbPath)) {
-        const filebuffer = fs.readFileSync(this.dbPath);
-        this.db = new this.SQL.Database(filebuffer);
-        logger.info('Loaded existing SQLite database', { dbPath: this.dbPath });
-      } else {
-        // Create new database
-        this.db = new this.SQL.Database();
-        logger.info('Created new SQLite database', { dbPath: this.dbPath });
-      }
-      
-      // Enable foreign keys
-      this.db.run('PRAGMA foreign_keys = ON');
-      
-      logger.info('SQLite database connection established', { dbPath: this.dbPath });
+      logger.info('SQLite database connection established', {
+        dbPath: this.dbPath,
+        driver: this.db.constructor.name
+      });
     } catch (error) {
       logger.error('Failed to initialize SQLite database', { error: error.message });
       throw error;
     }
   }
 
-  async createTables() {
-    try {
-      // Create users table
-      const createUsersTable = `
-        CREATE TABLE IF NOT EXISTS users (
-          id TEXT PRIMARY KEY,
-          email TEXT UNIQUE NOT NULL,
-          password_hash TEXT NOT NULL,
-          name TEXT NOT NULL,
-          is_active BOOLEAN DEFAULT 1,
-          created_at TEXT NOT NULL,
-          updated_at TEXT NOT NULL,
-          last_login_at TEXT
-        )
-      `;
-
-      // Create datasets table
-      const createDatasetsTable = `
-        CREATE TABLE IF NOT EXISTS datasets (
-          id TEXT PRIMARY KEY,
-          dataset_name TEXT UNIQUE NOT NULL,
-          json_data TEXT NOT NULL,
-          original_file_name TEXT DEFAULT '',
-          original_file_size INTEGER DEFAULT 0,
-          mime_type TEXT DEFAULT 'application/json',
-          row_count INTEGER DEFAULT 0,
-          column_count INTEGER DEFAULT 0,
-          headers TEXT DEFAULT '[]',
-          sp TEXT DEFAULT '',
-          created_at TEXT NOT NULL,
-          updated_at TEXT NOT NULL
-        )
-      `;
+  // Schema migration methods (see src/migrations)
 
-      // Create dashboards table
-      const createDashboardsTable = `
-        CREATE TABLE IF NOT EXISTS dashboards (
-          id TEXT PRIMARY KEY,
-          dashboard_name TEXT UNIQUE NOT NULL,
-          dataset_name TEXT NOT NULL,
-          json_format TEXT NOT NULL,
-          is_multiple BOOLEAN DEFAULT 0,
-          created_at TEXT NOT NULL,
-          updated_at TEXT NOT NULL,
-          FOREIGN KEY (dataset_name) REFERENCES datasets (dataset_name) ON DELETE CASCADE
-        )
-      `;
+  // Apply pending schema migrations, optionally only up to a version
+  async migrateSchema(options = {}) {
+    await this.initialize();
+    return migrationService.migrate(this.db, options);
+  }
 
-      // Create indexes for better performance
-      const createIndexes = [
-        'CREATE INDEX IF NOT EXISTS idx_users_email ON users (email)',
-        'CREATE INDEX IF NOT EXISTS idx_users_created_at ON users (created_at)',
-        'CREATE INDEX IF NOT EXISTS idx_datasets_name ON datasets (dataset_name)',
-        'CREATE INDEX IF NOT EXISTS idx_dashboards_name ON dashboards (dashboard_name)',
-        'CREATE INDEX IF NOT EXISTS idx_dashboards_dataset ON dashboards (dataset_name)',
-        'CREATE INDEX IF NOT EXISTS idx_datasets_created_at ON datasets (created_at)',
-        'CREATE INDEX IF NOT EXISTS idx_dashboards_created_at ON dashboards (created_at)'
-      ];
-
-      // Execute table creation
-      this.db.run(createUsersTable);
-      this.db.run(createDatasetsTable);
-      this.db.run(createDashboardsTable);
-      
-      // Execute index creation
-      createIndexes.forEach(indexSql => {
-        this.db.run(indexSql);
-      });
+  // Roll back applied schema migrations ({ steps } or { to: version })
+  async rollbackSchema(options = {}) {
+    await this.initialize();
+    return migrationService.rollback(this.db, options);
+  }
 
-      // Save database to file
-      await this.saveDatabase();
-      
-      logger.info('Database tables and indexes created successfully');
-    } catch (error) {
-      logger.error('Failed to create database tables', { error: error.message });
-      throw error;
-    }
+  async getSchemaStatus() {
+    await this.initialize();
+    return migrationService.getStatus(this.db);
   }
 
-  // Helper method to save database to file
+  // Helper method to persist pending changes (atomic file save for sql.js, no-op for the native driver)
   async saveDatabase() {
     try {
-      const data = this.db.export();
-      const buffer = Buffer.from(data);
-      fs.writeFileSync(this.dbPath, buffer);
+      await this.db.persist();
     } catch (error) {
       logger.error('Failed to save database to file', { error: error.message });
       throw error;
     }
   }
 
+  // Helper method to build a dashboard query that resolves the caller's access role.
+  // Dashboards inherit the workspace of their dataset; without a user the query is unscoped.
+  buildDashboardQuery(userId, conditions = []) {
+    const where = [...conditions];
+    if (userId) {
+      where.push('(d.owner_id = $userId OR ds.owner_id = $userId OR wm.user_id IS NOT NULL)');
+    }
+
+    return `
+      SELECT 
+        d.id,
+        d.dashboard_name as dashboardName,
+        d.dataset_name as datasetName,
+        d.json_format as jsonFormat,
+        d.is_multiple as isMultiple,
+        d.dataset_version as datasetVersion,
+        d.layout,
+        d.filters,
+        (SELECT MAX(r.revision) FROM dashboard_revisions r WHERE r.dashboard_id = d.id) as revision,
+        d.owner_id as ownerId,
+        ds.workspace_id as workspaceId,
+        w.name as workspaceName,
+        CASE WHEN d.owner_id = $userId OR ds.owner_id = $userId THEN 'owner' ELSE wm.role END as accessRole,
+        d.created_at as createdAt,
+        d.updated_at as updatedAt
+      FROM dashboards d
+      LEFT JOIN datasets ds ON ds.dataset_name = d.dataset_name
+      LEFT JOIN workspaces w ON w.id = ds.workspace_id
+      LEFT JOIN workspace_members wm ON wm.workspace_id = ds.workspace_id AND wm.user_id = $userId
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    `;
+  }
+
+  // Dashboard and revision rows store the layout and filters as JSON (NULL for the default
+  // layout and for no filters); datasetNames lists every dataset the charts read
+  formatDashboard(row) {
+    return {
+      ...row,
+      isMultiple: Boolean(row.isMultiple),
+      layout: row.layout ? JSON.parse(row.layout) : null,
+      filters: row.filters ? JSON.parse(row.filters) : [],
+      datasetNames: getDashboardDatasets(row.jsonFormat, row.datasetName)
+    };
+  }
+
   // Dashboard methods
-  async getDashboards() {
+  async getDashboards(userId = null) {
     await this.initialize();
-    logger.debug('Fetching dashboards from SQLite database');
+    logger.debug('Fetching dashboards from SQLite database', { userId });
     
     try {
-      const sql = `
-        SELECT 
-          id,
-          dashboard_name as dashboardName,
-          dataset_name as datasetName,
-          json_format as jsonFormat,
-          is_multiple as isMultiple,
-          created_at as createdAt,
-          updated_at as updatedAt
-        FROM dashboards 
-        ORDER BY updated_at DESC
-      `;
+      const sql = `${this.buildDashboardQuery(userId)} ORDER BY d.updated_at DESC`;
       
       const stmt = this.db.prepare(sql);
+      stmt.bind({ $userId: userId });
       const dashboards = [];
       
       while (stmt.step()) {
         const row = stmt.getAsObject();
-        dashboards.push({
-          ...row,
-          isMultiple: Boolean(row.isMultiple)
-        });
+        dashboards.push(this.formatDashboard(row));
       }
       
       stmt.free();
@@ -192,34 +175,20 @@ class SQLiteService {
     }
   }
 
-  async getDashboardByName(dashboardName) {
+  async getDashboardByName(dashboardName, userId = null) {
     await this.initialize();
-    logger.debug('Fetching dashboard by name', { dashboardName });
+    logger.debug('Fetching dashboard by name', { dashboardName, userId });
     
     try {
-      const sql = `
-        SELECT 
-          id,
-          dashboard_name as dashboardName,
-          dataset_name as datasetName,
-          json_format as jsonFormat,
-          is_multiple as isMultiple,
-          created_at as createdAt,
-          updated_at as updatedAt
-        FROM dashboards 
-        WHERE dashboard_name = ?
-      `;
+      const sql = this.buildDashboardQuery(userId, ['d.dashboard_name = $dashboardName']);
       
       const stmt = this.db.prepare(sql);
-      stmt.bind([dashboardName]);
+      stmt.bind({ $dashboardName: dashboardName, $userId: userId });
       
       if (stmt.step()) {
         const row = stmt.getAsObject();
         stmt.free();
-        return {
-          ...row,
-          isMultiple: Boolean(row.isMultiple)
-        };
+        return this.formatDashboard(row);
       } else {
         stmt.free();
         logger.warn('Dashboard not found', { dashboardName });
@@ -231,6 +200,32 @@ class SQLiteService {
     }
   }
 
+  // All dashboards with charts on a dataset (their own or another they read), whoever owns them
+  async getDashboardsByDataset(datasetName) {
+    await this.initialize();
+    logger.debug('Fetching dashboards by dataset', { datasetName });
+
+    try {
+      const condition = 'd.id IN (SELECT dd.dashboard_id FROM dashboard_datasets dd WHERE dd.dataset_name = $datasetName)';
+      const sql = `${this.buildDashboardQuery(null, [condition])} ORDER BY d.dashboard_name`;
+
+      const stmt = this.db.prepare(sql);
+      stmt.bind({ $datasetName: datasetName, $userId: null });
+      const dashboards = [];
+
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        dashboards.push(this.formatDashboard(row));
+      }
+
+      stmt.free();
+      return dashboards;
+    } catch (error) {
+      logger.error('Failed to fetch dashboards by dataset', { datasetName, error: error.message });
+      throw error;
+    }
+  }
+
   async saveDashboard(dashboard) {
     await this.initialize();
     logger.info('Saving dashboard', { dashboardName: dashboard.dashboardName });
@@ -239,7 +234,7 @@ class SQLiteService {
       const now = new Date().toISOString();
       
       // Check if dashboard exists
-      const existingStmt = this.db.prepare('SELECT id, created_at FROM dashboards WHERE dashboard_name = ?');
+      const existingStmt = this.db.prepare('SELECT id, owner_id, layout, filters, created_at FROM dashboards WHERE dashboard_name = ?');
       existingStmt.bind([dashboard.dashboardName]);
       
       let existing = null;
@@ -250,53 +245,95 @@ class SQLiteService {
       
       const dashboardData = {
         id: existing ? existing.id : uuidv4(),
+        // Every save is a new revision; earlier revisions stay in dashboard_revisions
+        revision: existing ? this.getLatestDashboardRevision(existing.id) + 1 : 1,
         dashboard_name: dashboard.dashboardName,
         dataset_name: dashboard.datasetName,
         json_format: dashboard.jsonFormat,
         is_multiple: dashboard.isMultiple ? 1 : 0,
+        // Dashboards follow the latest dataset version unless pinned to one
+        dataset_version: dashboard.datasetVersion || null,
+        // Saves that do not send a layout (e.g. from the chart designer) keep the current one
+        layout: dashboard.layout !== undefined
+          ? (dashboard.layout ? JSON.stringify(dashboard.layout) : null)
+          : (existing ? existing.layout : null),
+        // Likewise for the dashboard's filter controls; an empty list is stored as NULL
+        filters: dashboard.filters !== undefined
+          ? (dashboard.filters && dashboard.filters.length > 0 ? JSON.stringify(dashboard.filters) : null)
+          : (existing ? existing.filters : null),
+        owner_id: existing ? existing.owner_id : (dashboard.ownerId || null),
         created_at: existing ? existing.created_at : now,
         updated_at: now
       };
       
-      if (existing) {
-        // Update existing dashboard
-        const updateSql = `
-          UPDATE dashboards 
-          SET dataset_name = ?, json_format = ?, is_multiple = ?, updated_at = ?
-          WHERE dashboard_name = ?
-        `;
+      this.db.run('BEGIN TRANSACTION');
+      try {
+        if (existing) {
+          // Update existing dashboard
+          const updateSql = `
+            UPDATE dashboards 
+            SET dataset_name = ?, json_format = ?, is_multiple = ?, dataset_version = ?, layout = ?, filters = ?, updated_at = ?
+            WHERE dashboard_name = ?
+          `;
         
-        const updateStmt = this.db.prepare(updateSql);
-        updateStmt.run([
-          dashboardData.dataset_name,
-          dashboardData.json_format,
-          dashboardData.is_multiple,
-          dashboardData.updated_at,
-          dashboardData.dashboard_name
-        ]);
-        updateStmt.free();
+          const updateStmt = this.db.prepare(updateSql);
+          updateStmt.run([
+            dashboardData.dataset_name,
+            dashboardData.json_format,
+            dashboardData.is_multiple,
+            dashboardData.dataset_version,
+            dashboardData.layout,
+            dashboardData.filters,
+            dashboardData.updated_at,
+            dashboardData.dashboard_name
+          ]);
+          updateStmt.free();
         
-        logger.info('Dashboard updated', { dashboardName: dashboard.dashboardName });
-      } else {
-        // Insert new dashboard
-        const insertSql = `
-          INSERT INTO dashboards (id, dashboard_name, dataset_name, json_format, is_multiple, created_at, updated_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-        `;
+          logger.info('Dashboard updated', { dashboardName: dashboard.dashboardName });
+        } else {
+          // Insert new dashboard
+          const insertSql = `
+            INSERT INTO dashboards (id, dashboard_name, dataset_name, json_format, is_multiple, dataset_version, layout, filters, owner_id, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `;
         
-        const insertStmt = this.db.prepare(insertSql);
-        insertStmt.run([
-          dashboardData.id,
-          dashboardData.dashboard_name,
-          dashboardData.dataset_name,
-          dashboardData.json_format,
-          dashboardData.is_multiple,
-          dashboardData.created_at,
-          dashboardData.updated_at
-        ]);
-        insertStmt.free();
+          const insertStmt = this.db.prepare(insertSql);
+          insertStmt.run([
+            dashboardData.id,
+            dashboardData.dashboard_name,
+            dashboardData.dataset_name,
+            dashboardData.json_format,
+            dashboardData.is_multiple,
+            dashboardData.dataset_version,
+            dashboardData.layout,
+            dashboardData.filters,
+            dashboardData.owner_id,
+            dashboardData.created_at,
+            dashboardData.updated_at
+          ]);
+          insertStmt.free();
         
-        logger.info('New dashboard created', { dashboardName: dashboard.dashboardName });
+          logger.info('New dashboard created', { dashboardName: dashboard.dashboardName });
+        }
+
+        this.setDashboardDatasets(dashboardData.id, getDashboardDatasets(dashboardData.json_format, dashboardData.dataset_name));
+
+        this.insertDashboardRevision(dashboardData.id, dashboardData.revision, {
+          datasetName: dashboardData.dataset_name,
+          jsonFormat: dashboardData.json_format,
+          isMultiple: dashboardData.is_multiple,
+          datasetVersion: dashboardData.dataset_version,
+          layout: dashboardData.layout,
+          filters: dashboardData.filters,
+          restoredFrom: dashboard.restoredFrom,
+          createdBy: dashboard.createdBy || dashboard.ownerId || null,
+          createdAt: now
+        });
+
+        this.db.run('COMMIT');
+      } catch (error) {
+        this.db.run('ROLLBACK');
+        throw error;
       }
       
       // Save database to file
@@ -309,6 +346,12 @@ class SQLiteService {
         datasetName: dashboardData.dataset_name,
         jsonFormat: dashboardData.json_format,
         isMultiple: Boolean(dashboardData.is_multiple),
+        datasetVersion: dashboardData.dataset_version,
+        layout: dashboardData.layout ? JSON.parse(dashboardData.layout) : null,
+        filters: dashboardData.filters ? JSON.parse(dashboardData.filters) : [],
+        datasetNames: getDashboardDatasets(dashboardData.json_format, dashboardData.dataset_name),
+        revision: dashboardData.revision,
+        ownerId: dashboardData.owner_id,
         createdAt: dashboardData.created_at,
         updatedAt: dashboardData.updated_at
       };
@@ -318,16 +361,387 @@ class SQLiteService {
     }
   }
 
+  // Replace the list of datasets a dashboard reads (runs inside the caller's transaction)
+  setDashboardDatasets(dashboardId, datasetNames) {
+    const deleteStmt = this.db.prepare('DELETE FROM dashboard_datasets WHERE dashboard_id = ?');
+    deleteStmt.run([dashboardId]);
+    deleteStmt.free();
+
+    const insertStmt = this.db.prepare('INSERT INTO dashboard_datasets (dashboard_id, dataset_name) VALUES (?, ?)');
+    datasetNames.forEach(datasetName => {
+      insertStmt.run([dashboardId, datasetName]);
+    });
+    insertStmt.free();
+  }
+
+  // Take a deleted dataset's charts and filter controls off a dashboard that also reads other
+  // datasets, as a new revision. A dashboard whose own dataset goes moves to the dataset of its
+  // first remaining chart (and is no longer pinned to a version). Runs inside the caller's transaction.
+  removeDatasetFromDashboard(dashboard, datasetName) {
+    const charts = parseDashboardSpecs(dashboard.jsonFormat)
+      .filter(spec => getSourceDataset(spec, dashboard.datasetName) !== datasetName);
+    const filters = dashboard.filters.filter(filter => getSourceDataset(filter, dashboard.datasetName) !== datasetName);
+    const movesDataset = dashboard.datasetName === datasetName;
+    const primaryDatasetName = movesDataset ? getSourceDataset(charts[0], dashboard.datasetName) : dashboard.datasetName;
+    const now = new Date().toISOString();
+
+    const data = {
+      datasetName: primaryDatasetName,
+      jsonFormat: JSON.stringify(charts),
+      isMultiple: charts.length > 1 ? 1 : 0,
+      datasetVersion: movesDataset ? null : dashboard.datasetVersion,
+      layout: dashboard.layout ? JSON.stringify(dashboard.layout) : null,
+      filters: filters.length > 0 ? JSON.stringify(filters) : null
+    };
+
+    const updateStmt = this.db.prepare(`
+      UPDATE dashboards
+      SET dataset_name = ?, json_format = ?, is_multiple = ?, dataset_version = ?, filters = ?, updated_at = ?
+      WHERE id = ?
+    `);
+    updateStmt.run([data.datasetName, data.jsonFormat, data.isMultiple, data.datasetVersion, data.filters, now, dashboard.id]);
+    updateStmt.free();
+
+    this.setDashboardDatasets(dashboard.id, getDashboardDatasets(data.jsonFormat, data.datasetName));
+    this.insertDashboardRevision(dashboard.id, this.getLatestDashboardRevision(dashboard.id) + 1, {
+      ...data,
+      createdAt: now
+    });
+  }
+
+  // Dashboard revision methods
+
+  // Number of a dashboard's latest revision (0 when it has none)
+  getLatestDashboardRevision(dashboardId) {
+    const stmt = this.db.prepare('SELECT MAX(revision) as revision FROM dashboard_revisions WHERE dashboard_id = ?');
+    stmt.bind([dashboardId]);
+    stmt.step();
+    const revision = stmt.getAsObject().revision;
+    stmt.free();
+
+    return revision || 0;
+  }
+
+  // Record a revision of a dashboard (runs inside the caller's transaction)
+  insertDashboardRevision(dashboardId, revision, data) {
+    const stmt = this.db.prepare(`
+      INSERT INTO dashboard_revisions (dashboard_id, revision, dataset_name, json_format, is_multiple, dataset_version, layout, filters, restored_from, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run([
+      dashboardId,
+      revision,
+      data.datasetName,
+      data.jsonFormat,
+      data.isMultiple ? 1 : 0,
+      data.datasetVersion || null,
+      data.layout || null,
+      data.filters || null,
+      data.restoredFrom || null,
+      data.createdBy || null,
+      data.createdAt
+    ]);
+    stmt.free();
+  }
+
+  buildDashboardRevisionQuery(conditions = []) {
+    return `
+      SELECT 
+        r.revision,
+        r.dataset_name as datasetName,
+        r.json_format as jsonFormat,
+        r.is_multiple as isMultiple,
+        r.dataset_version as datasetVersion,
+        r.layout,
+        r.filters,
+        r.restored_from as restoredFrom,
+        r.created_by as createdBy,
+        u.name as createdByName,
+        u.email as createdByEmail,
+        r.created_at as createdAt
+      FROM dashboard_revisions r
+      LEFT JOIN users u ON u.id = r.created_by
+      WHERE ${['r.dashboard_id = ?', ...conditions].join(' AND ')}
+    `;
+  }
+
+  // All revisions of a dashboard, newest first
+  async getDashboardRevisions(dashboardId) {
+    await this.initialize();
+    logger.debug('Fetching dashboard revisions', { dashboardId });
+
+    try {
+      const stmt = this.db.prepare(`${this.buildDashboardRevisionQuery()} ORDER BY r.revision DESC`);
+      stmt.bind([dashboardId]);
+      const revisions = [];
+
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        revisions.push(this.formatDashboard(row));
+      }
+
+      stmt.free();
+      return revisions;
+    } catch (error) {
+      logger.error('Failed to fetch dashboard revisions', { dashboardId, error: error.message });
+      throw error;
+    }
+  }
+
+  async getDashboardRevision(dashboardId, revision) {
+    await this.initialize();
+    logger.debug('Fetching dashboard revision', { dashboardId, revision });
+
+    try {
+      const stmt = this.db.prepare(this.buildDashboardRevisionQuery(['r.revision = ?']));
+      stmt.bind([dashboardId, revision]);
+
+      let dashboardRevision = null;
+      if (stmt.step()) {
+        const row = stmt.getAsObject();
+        dashboardRevision = this.formatDashboard(row);
+      }
+      stmt.free();
+
+      return dashboardRevision;
+    } catch (error) {
+      logger.error('Failed to fetch dashboard revision', { dashboardId, revision, error: error.message });
+      throw error;
+    }
+  }
+
+  // Dashboard draft methods (drafts are private to the user who wrote them)
+
+  buildDashboardDraftQuery(conditions = []) {
+    return `
+      SELECT
+        dashboard_name as dashboardName,
+        dataset_name as datasetName,
+        json_format as jsonFormat,
+        created_at as createdAt,
+        updated_at as updatedAt
+      FROM dashboard_drafts
+      WHERE ${['user_id = ?', ...conditions].join(' AND ')}
+    `;
+  }
+
+  // A user's drafts, most recently saved first (only those on one dataset when it is given)
+  async getDashboardDrafts(userId, datasetName = null) {
+    await this.initialize();
+    logger.debug('Fetching dashboard drafts', { userId, datasetName });
+
+    try {
+      const conditions = datasetName ? ['dataset_name = ?'] : [];
+      const stmt = this.db.prepare(`${this.buildDashboardDraftQuery(conditions)} ORDER BY updated_at DESC`);
+      stmt.bind(datasetName ? [userId, datasetName] : [userId]);
+      const drafts = [];
+
+      while (stmt.step()) {
+        drafts.push(stmt.getAsObject());
+      }
+
+      stmt.free();
+      return drafts;
+    } catch (error) {
+      logger.error('Failed to fetch dashboard drafts', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  async getDashboardDraft(userId, dashboardName) {
+    await this.initialize();
+    logger.debug('Fetching dashboard draft', { userId, dashboardName });
+
+    try {
+      const stmt = this.db.prepare(this.buildDashboardDraftQuery(['dashboard_name = ?']));
+      stmt.bind([userId, dashboardName]);
+
+      const draft = stmt.step() ? stmt.getAsObject() : null;
+      stmt.free();
+
+      return draft;
+    } catch (error) {
+      logger.error('Failed to fetch dashboard draft', { userId, dashboardName, error: error.message });
+      throw error;
+    }
+  }
+
+  // Create or overwrite a user's draft of a dashboard
+  async saveDashboardDraft(draft) {
+    await this.initialize();
+    logger.debug('Saving dashboard draft', { userId: draft.userId, dashboardName: draft.dashboardName });
+
+    try {
+      const now = new Date().toISOString();
+
+      const stmt = this.db.prepare(`
+        INSERT INTO dashboard_drafts (user_id, dashboard_name, dataset_name, json_format, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (user_id, dashboard_name) DO UPDATE SET
+          dataset_name = excluded.dataset_name,
+          json_format = excluded.json_format,
+          updated_at = excluded.updated_at
+      `);
+      stmt.run([draft.userId, draft.dashboardName, draft.datasetName, draft.jsonFormat, now, now]);
+      stmt.free();
+
+      // Save database to file
+      await this.saveDatabase();
+
+      return this.getDashboardDraft(draft.userId, draft.dashboardName);
+    } catch (error) {
+      logger.error('Failed to save dashboard draft', { dashboardName: draft.dashboardName, error: error.message });
+      throw error;
+    }
+  }
+
+  async deleteDashboardDraft(userId, dashboardName) {
+    await this.initialize();
+    logger.debug('Deleting dashboard draft', { userId, dashboardName });
+
+    try {
+      const stmt = this.db.prepare('DELETE FROM dashboard_drafts WHERE user_id = ? AND dashboard_name = ?');
+      stmt.run([userId, dashboardName]);
+      stmt.free();
+
+      if (this.db.getRowsModified() === 0) {
+        return false;
+      }
+
+      // Save database to file
+      await this.saveDatabase();
+      return true;
+    } catch (error) {
+      logger.error('Failed to delete dashboard draft', { userId, dashboardName, error: error.message });
+      throw error;
+    }
+  }
+
+  // Dashboard share link methods
+
+  buildDashboardShareQuery(conditions = []) {
+    return `
+      SELECT
+        s.id,
+        s.dashboard_id as dashboardId,
+        d.dashboard_name as dashboardName,
+        s.token,
+        s.password_hash as passwordHash,
+        s.expires_at as expiresAt,
+        s.created_by as createdBy,
+        u.name as createdByName,
+        s.created_at as createdAt
+      FROM dashboard_shares s
+      JOIN dashboards d ON d.id = s.dashboard_id
+      LEFT JOIN users u ON u.id = s.created_by
+      WHERE ${conditions.join(' AND ')}
+    `;
+  }
+
+  // A dashboard's share links, newest first
+  async getDashboardShares(dashboardId) {
+    await this.initialize();
+    logger.debug('Fetching dashboard shares', { dashboardId });
+
+    try {
+      const stmt = this.db.prepare(`${this.buildDashboardShareQuery(['s.dashboard_id = ?'])} ORDER BY s.created_at DESC`);
+      stmt.bind([dashboardId]);
+      const shares = [];
+
+      while (stmt.step()) {
+        shares.push(stmt.getAsObject());
+      }
+
+      stmt.free();
+      return shares;
+    } catch (error) {
+      logger.error('Failed to fetch dashboard shares', { dashboardId, error: error.message });
+      throw error;
+    }
+  }
+
+  async getDashboardShareByToken(token) {
+    await this.initialize();
+    logger.debug('Fetching dashboard share by token');
+
+    try {
+      const stmt = this.db.prepare(this.buildDashboardShareQuery(['s.token = ?']));
+      stmt.bind([token]);
+
+      const share = stmt.step() ? stmt.getAsObject() : null;
+      stmt.free();
+
+      return share;
+    } catch (error) {
+      logger.error('Failed to fetch dashboard share', { error: error.message });
+      throw error;
+    }
+  }
+
+  async createDashboardShare(share) {
+    await this.initialize();
+    logger.info('Creating dashboard share', { dashboardId: share.dashboardId });
+
+    try {
+      const id = uuidv4();
+      const stmt = this.db.prepare(`
+        INSERT INTO dashboard_shares (id, dashboard_id, token, password_hash, expires_at, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      stmt.run([
+        id,
+        share.dashboardId,
+        share.token,
+        share.passwordHash || null,
+        share.expiresAt || null,
+        share.createdBy || null,
+        new Date().toISOString()
+      ]);
+      stmt.free();
+
+      // Save database to file
+      await this.saveDatabase();
+
+      return this.getDashboardShareByToken(share.token);
+    } catch (error) {
+      logger.error('Failed to create dashboard share', { dashboardId: share.dashboardId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Revoke a share link; returns false when the dashboard has no such link
+  async deleteDashboardShare(dashboardId, shareId) {
+    await this.initialize();
+    logger.info('Deleting dashboard share', { dashboardId, shareId });
+
+    try {
+      const stmt = this.db.prepare('DELETE FROM dashboard_shares WHERE dashboard_id = ? AND id = ?');
+      stmt.run([dashboardId, shareId]);
+      stmt.free();
+
+      if (this.db.getRowsModified() === 0) {
+        return false;
+      }
+
+      // Save database to file
+      await this.saveDatabase();
+      return true;
+    } catch (error) {
+      logger.error('Failed to delete dashboard share', { dashboardId, shareId, error: error.message });
+      throw error;
+    }
+  }
+
   async deleteDashboard(dashboardName) {
     await this.initialize();
     logger.info('Deleting dashboard', { dashboardName });
     
     try {
       const stmt = this.db.prepare('DELETE FROM dashboards WHERE dashboard_name = ?');
-      const result = stmt.run([dashboardName]);
+      stmt.run([dashboardName]);
       stmt.free();
       
-      if (result.changes === 0) {
+      if (this.db.getRowsModified() === 0) {
         logger.warn('Dashboard not found for deletion', { dashboardName });
         return false;
       }
@@ -343,38 +757,65 @@ class SQLiteService {
     }
   }
 
+  // Helper method to build a dataset query that resolves the caller's access role.
+  // Without a user the query is unscoped and no role is resolved.
+  buildDatasetQuery(userId, conditions = []) {
+    const where = [...conditions];
+    if (userId) {
+      where.push('(ds.owner_id = $userId OR wm.user_id IS NOT NULL)');
+    }
+
+    return `
+      SELECT 
+        ds.id,
+        ds.dataset_name as datasetName,
+        ds.original_file_name as originalFileName,
+        ds.original_file_size as originalFileSize,
+        ds.mime_type as mimeType,
+        ds.row_count as rowCount,
+        ds.column_count as columnCount,
+        ds.headers,
+        ds.sp,
+        ds.rows_table as rowsTable,
+        ds.row_columns as rowColumns,
+        ds.calculated_fields as calculatedFields,
+        ds.field_metadata as fieldMetadata,
+        ds.derivation,
+        (SELECT MAX(v.version) FROM dataset_versions v WHERE v.dataset_id = ds.id) as version,
+        ds.owner_id as ownerId,
+        ds.workspace_id as workspaceId,
+        w.name as workspaceName,
+        CASE WHEN ds.owner_id = $userId THEN 'owner' ELSE wm.role END as accessRole,
+        ds.created_at as createdAt,
+        ds.updated_at as updatedAt
+      FROM datasets ds
+      LEFT JOIN workspaces w ON w.id = ds.workspace_id
+      LEFT JOIN workspace_members wm ON wm.workspace_id = ds.workspace_id AND wm.user_id = $userId
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    `;
+  }
+
   // Dataset methods
-  async getDatasets() {
+  async getDatasets(userId = null) {
     await this.initialize();
-    logger.debug('Fetching datasets from SQLite database');
+    logger.debug('Fetching datasets from SQLite database', { userId });
     
     try {
-      const sql = `
-        SELECT 
-          id,
-          dataset_name as datasetName,
-          json_data as jsonData,
-          original_file_name as originalFileName,
-          original_file_size as originalFileSize,
-          mime_type as mimeType,
-          row_count as rowCount,
-          column_count as columnCount,
-          headers,
-          sp,
-          created_at as createdAt,
-          updated_at as updatedAt
-        FROM datasets 
-        ORDER BY updated_at DESC
-      `;
+      const sql = `${this.buildDatasetQuery(userId)} ORDER BY ds.updated_at DESC`;
       
       const stmt = this.db.prepare(sql);
+      stmt.bind({ $userId: userId });
       const datasets = [];
       
       while (stmt.step()) {
         const row = stmt.getAsObject();
         datasets.push({
           ...row,
-          headers: JSON.parse(row.headers || '[]')
+          headers: JSON.parse(row.headers || '[]'),
+          rowColumns: JSON.parse(row.rowColumns || '[]'),
+          calculatedFields: JSON.parse(row.calculatedFields || '[]'),
+          fieldMetadata: JSON.parse(row.fieldMetadata || '{}'),
+          derivation: row.derivation ? JSON.parse(row.derivation) : null
         });
       }
       
@@ -386,38 +827,26 @@ class SQLiteService {
     }
   }
 
-  async getDatasetByName(datasetName) {
+  async getDatasetByName(datasetName, userId = null) {
     await this.initialize();
-    logger.debug('Fetching dataset by name', { datasetName });
+    logger.debug('Fetching dataset by name', { datasetName, userId });
     
     try {
-      const sql = `
-        SELECT 
-          id,
-          dataset_name as datasetName,
-          json_data as jsonData,
-          original_file_name as originalFileName,
-          original_file_size as originalFileSize,
-          mime_type as mimeType,
-          row_count as rowCount,
-          column_count as columnCount,
-          headers,
-          sp,
-          created_at as createdAt,
-          updated_at as updatedAt
-        FROM datasets 
-        WHERE dataset_name = ?
-      `;
+      const sql = this.buildDatasetQuery(userId, ['ds.dataset_name = $datasetName']);
       
       const stmt = this.db.prepare(sql);
-      stmt.bind([datasetName]);
+      stmt.bind({ $datasetName: datasetName, $userId: userId });
       
       if (stmt.step()) {
         const row = stmt.getAsObject();
         stmt.free();
         return {
           ...row,
-          headers: JSON.parse(row.headers || '[]')
+          headers: JSON.parse(row.headers || '[]'),
+          rowColumns: JSON.parse(row.rowColumns || '[]'),
+          calculatedFields: JSON.parse(row.calculatedFields || '[]'),
+          fieldMetadata: JSON.parse(row.fieldMetadata || '{}'),
+          derivation: row.derivation ? JSON.parse(row.derivation) : null
         };
       } else {
         stmt.free();
@@ -438,7 +867,10 @@ class SQLiteService {
       const now = new Date().toISOString();
       
       // Check if dataset exists
-      const existingStmt = this.db.prepare('SELECT id, created_at FROM datasets WHERE dataset_name = ?');
+      const existingStmt = this.db.prepare(`
+        SELECT id, owner_id, workspace_id, row_count, column_count, headers, rows_table, row_columns, derivation, created_at
+        FROM datasets WHERE dataset_name = ?
+      `);
       existingStmt.bind([dataset.datasetName]);
       
       let existing = null;
@@ -446,71 +878,124 @@ class SQLiteService {
         existing = existingStmt.getAsObject();
       }
       existingStmt.free();
+
+      // Rows are only replaced when new data is supplied, so metadata-only updates keep them
+      const rows = dataset.jsonData === undefined && existing
+        ? null
+        : this.parseDatasetRows(dataset.jsonData);
       
       const datasetData = {
         id: existing ? existing.id : uuidv4(),
+        version: existing ? this.getLatestDatasetVersion(existing.id) : null,
         dataset_name: dataset.datasetName,
-        json_data: typeof dataset.jsonData === 'string' ? dataset.jsonData : JSON.stringify(dataset.jsonData || []),
         original_file_name: dataset.originalFileName || '',
         original_file_size: dataset.originalFileSize || 0,
         mime_type: dataset.mimeType || 'application/json',
-        row_count: dataset.rowCount || 0,
-        column_count: dataset.columnCount || 0,
-        headers: JSON.stringify(dataset.headers || []),
+        row_count: existing ? existing.row_count : 0,
+        column_count: existing ? existing.column_count : 0,
+        headers: existing ? existing.headers : '[]',
         sp: dataset.sp || '',
+        rows_table: existing ? existing.rows_table : null,
+        row_columns: existing ? existing.row_columns : '[]',
+        owner_id: existing ? existing.owner_id : (dataset.ownerId || null),
+        workspace_id: existing ? existing.workspace_id : (dataset.workspaceId || null),
+        // Derived datasets keep their definition unless a new one is given
+        derivation: dataset.derivation !== undefined
+          ? (dataset.derivation ? JSON.stringify(dataset.derivation) : null)
+          : (existing ? existing.derivation : null),
         created_at: existing ? existing.created_at : now,
         updated_at: now
       };
-      
-      if (existing) {
-        // Update existing dataset
-        const updateSql = `
-          UPDATE datasets 
-          SET json_data = ?, original_file_name = ?, original_file_size = ?, mime_type = ?, row_count = ?, column_count = ?, headers = ?, sp = ?, updated_at = ?
-          WHERE dataset_name = ?
-        `;
-        
-        const updateStmt = this.db.prepare(updateSql);
-        updateStmt.run([
-          datasetData.json_data,
-          datasetData.original_file_name,
-          datasetData.original_file_size,
-          datasetData.mime_type,
-          datasetData.row_count,
-          datasetData.column_count,
-          datasetData.headers,
-          datasetData.sp,
-          datasetData.updated_at,
-          datasetData.dataset_name
-        ]);
-        updateStmt.free();
-        
-        logger.info('Dataset updated', { datasetName: dataset.datasetName });
-      } else {
-        // Insert new dataset
-        const insertSql = `
-          INSERT INTO datasets (id, dataset_name, json_data, original_file_name, original_file_size, mime_type, row_count, column_count, headers, sp, created_at, updated_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-        
-        const insertStmt = this.db.prepare(insertSql);
-        insertStmt.run([
-          datasetData.id,
-          datasetData.dataset_name,
-          datasetData.json_data,
-          datasetData.original_file_name,
-          datasetData.original_file_size,
-          datasetData.mime_type,
-          datasetData.row_count,
-          datasetData.column_count,
-          datasetData.headers,
-          datasetData.sp,
-          datasetData.created_at,
-          datasetData.updated_at
-        ]);
-        insertStmt.free();
-        
-        logger.info('New dataset created', { datasetName: dataset.datasetName });
+
+      this.db.run('BEGIN TRANSACTION');
+      try {
+        if (rows) {
+          // New rows are a new version; earlier versions keep their row tables
+          datasetData.version = (datasetData.version || 0) + 1;
+          const rowsTable = this.getRowsTableName(datasetData.id, datasetData.version);
+          const storage = this.writeDatasetRows(rowsTable, rows, dataset.headers, dataset.fieldTypes);
+          datasetData.rows_table = storage.rowsTable;
+          datasetData.row_columns = JSON.stringify(storage.rowColumns);
+          datasetData.row_count = rows.length;
+          datasetData.column_count = storage.rowColumns.length;
+          datasetData.headers = JSON.stringify(storage.rowColumns.map(column => column.name));
+        }
+
+        if (existing) {
+          // Update existing dataset
+          const updateSql = `
+            UPDATE datasets 
+            SET original_file_name = ?, original_file_size = ?, mime_type = ?, row_count = ?, column_count = ?, headers = ?, sp = ?, rows_table = ?, row_columns = ?, derivation = ?, updated_at = ?
+            WHERE dataset_name = ?
+          `;
+          
+          const updateStmt = this.db.prepare(updateSql);
+          updateStmt.run([
+            datasetData.original_file_name,
+            datasetData.original_file_size,
+            datasetData.mime_type,
+            datasetData.row_count,
+            datasetData.column_count,
+            datasetData.headers,
+            datasetData.sp,
+            datasetData.rows_table,
+            datasetData.row_columns,
+            datasetData.derivation,
+            datasetData.updated_at,
+            datasetData.dataset_name
+          ]);
+          updateStmt.free();
+          
+          logger.info('Dataset updated', { datasetName: dataset.datasetName });
+        } else {
+          // Insert new dataset (json_data is kept empty; rows live in rows_table)
+          const insertSql = `
+            INSERT INTO datasets (id, dataset_name, json_data, original_file_name, original_file_size, mime_type, row_count, column_count, headers, sp, rows_table, row_columns, owner_id, workspace_id, derivation, created_at, updated_at)
+            VALUES (?, ?, '[]', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `;
+          
+          const insertStmt = this.db.prepare(insertSql);
+          insertStmt.run([
+            datasetData.id,
+            datasetData.dataset_name,
+            datasetData.original_file_name,
+            datasetData.original_file_size,
+            datasetData.mime_type,
+            datasetData.row_count,
+            datasetData.column_count,
+            datasetData.headers,
+            datasetData.sp,
+            datasetData.rows_table,
+            datasetData.row_columns,
+            datasetData.owner_id,
+            datasetData.workspace_id,
+            datasetData.derivation,
+            datasetData.created_at,
+            datasetData.updated_at
+          ]);
+          insertStmt.free();
+          
+          logger.info('New dataset created', { datasetName: dataset.datasetName });
+        }
+
+        if (rows) {
+          this.insertDatasetVersion(datasetData.id, datasetData.version, {
+            rowsTable: datasetData.rows_table,
+            rowColumns: datasetData.row_columns,
+            headers: datasetData.headers,
+            rowCount: datasetData.row_count,
+            columnCount: datasetData.column_count,
+            originalFileName: datasetData.original_file_name,
+            originalFileSize: datasetData.original_file_size,
+            createdBy: dataset.createdBy || dataset.ownerId || null,
+            createdAt: now
+          });
+        }
+
+        this.db.run('COMMIT');
+      } catch (error) {
+        this.db.run('ROLLBACK');
+        throw error;
       }
       
       // Save database to file
@@ -520,7 +1005,6 @@ class SQLiteService {
       return {
         id: datasetData.id,
         datasetName: datasetData.dataset_name,
-        jsonData: datasetData.json_data,
         originalFileName: datasetData.original_file_name,
         originalFileSize: datasetData.original_file_size,
         mimeType: datasetData.mime_type,
@@ -528,6 +1012,12 @@ class SQLiteService {
         columnCount: datasetData.column_count,
         headers: JSON.parse(datasetData.headers),
         sp: datasetData.sp,
+        rowsTable: datasetData.rows_table,
+        rowColumns: JSON.parse(datasetData.row_columns || '[]'),
+        version: datasetData.version,
+        ownerId: datasetData.owner_id,
+        workspaceId: datasetData.workspace_id,
+        derivation: datasetData.derivation ? JSON.parse(datasetData.derivation) : null,
         createdAt: datasetData.created_at,
         updatedAt: datasetData.updated_at
       };
@@ -542,27 +1032,62 @@ class SQLiteService {
     logger.info('Deleting dataset', { datasetName });
     
     try {
-      // Delete related dashboards first (due to foreign key constraint)
-      const deleteDashboardsStmt = this.db.prepare('DELETE FROM dashboards WHERE dataset_name = ?');
-      const dashboardResult = deleteDashboardsStmt.run([datasetName]);
-      deleteDashboardsStmt.free();
-      
-      // Delete the dataset
-      const deleteDatasetStmt = this.db.prepare('DELETE FROM datasets WHERE dataset_name = ?');
-      const datasetResult = deleteDatasetStmt.run([datasetName]);
-      deleteDatasetStmt.free();
-      
-      if (datasetResult.changes === 0) {
+      // Make sure the dataset exists before touching dashboards
+      const dataset = await this.getDatasetByName(datasetName);
+      if (!dataset) {
         logger.warn('Dataset not found for deletion', { datasetName });
         return false;
       }
+
+      // Collect the row tables of every version before the version records go with the dataset
+      const rowsTables = new Set(dataset.rowsTable ? [dataset.rowsTable] : []);
+      const versionsStmt = this.db.prepare('SELECT DISTINCT rows_table FROM dataset_versions WHERE dataset_id = ?');
+      versionsStmt.bind([dataset.id]);
+      while (versionsStmt.step()) {
+        rowsTables.add(versionsStmt.getAsObject().rows_table);
+      }
+      versionsStmt.free();
+
+      // Dashboards that only read this dataset are deleted first (due to foreign key constraint);
+      // dashboards that also read other datasets keep their other charts
+      const dashboards = await this.getDashboardsByDataset(datasetName);
+      const dashboardsDeleted = dashboards.filter(dashboard => dashboard.datasetNames.length === 1).length;
+
+      this.db.run('BEGIN TRANSACTION');
+      try {
+        dashboards.forEach(dashboard => {
+          if (dashboard.datasetNames.length === 1) {
+            const deleteDashboardStmt = this.db.prepare('DELETE FROM dashboards WHERE id = ?');
+            deleteDashboardStmt.run([dashboard.id]);
+            deleteDashboardStmt.free();
+          } else {
+            this.removeDatasetFromDashboard(dashboard, datasetName);
+          }
+        });
+
+        // Delete the dataset
+        const deleteDatasetStmt = this.db.prepare('DELETE FROM datasets WHERE dataset_name = ?');
+        deleteDatasetStmt.run([datasetName]);
+        deleteDatasetStmt.free();
+
+        this.db.run('COMMIT');
+      } catch (error) {
+        this.db.run('ROLLBACK');
+        throw error;
+      }
+
+      // Drop the row tables
+      rowsTables.forEach(rowsTable => {
+        this.db.run(`DROP TABLE IF EXISTS ${rowsTable}`);
+      });
       
       // Save database to file
       await this.saveDatabase();
       
       logger.info('Dataset and related dashboards deleted successfully', { 
         datasetName, 
-        dashboardsDeleted: dashboardResult.changes 
+        dashboardsDeleted,
+        dashboardsUpdated: dashboards.length - dashboardsDeleted
       });
       return true;
     } catch (error) {
@@ -571,18 +1096,482 @@ class SQLiteService {
     }
   }
 
+  // Dataset row storage methods
+
+  // Helper method to derive the row table name for a version of a dataset
+  getRowsTableName(datasetId, version) {
+    return `dataset_rows_${String(datasetId).replace(/[^A-Za-z0-9]/g, '')}_v${Number(version)}`;
+  }
+
+  // Helper method to normalize incoming row data (array or JSON string) to an array
+  parseDatasetRows(jsonData) {
+    const rows = typeof jsonData === 'string' ? JSON.parse(jsonData || '[]') : (jsonData || []);
+    if (!Array.isArray(rows)) {
+      throw new Error('Dataset rows must be an array');
+    }
+    return rows;
+  }
+
+  // Helper method to work out the storage column and type for every field.
+  // Fields are stored as positional columns (c0, c1, ...) because CSV headers
+  // can contain any character and SQLite identifiers are case-insensitive.
+  // Column types chosen at import (string, number, date, boolean) are kept as fieldType.
+  buildRowColumns(rows, headers = [], fieldTypes = {}) {
+    const names = [...(headers || [])];
+    const seen = new Set(names);
+
+    rows.forEach(row => {
+      Object.keys(row || {}).forEach(name => {
+        if (!seen.has(name)) {
+          seen.add(name);
+          names.push(name);
+        }
+      });
+    });
+
+    return names.map((name, index) => {
+      const kinds = new Set();
+      let integers = true;
+
+      for (const row of rows) {
+        const value = row ? row[name] : null;
+        if (value === null || value === undefined) continue;
+        kinds.add(typeof value);
+        if (typeof value === 'number' && !Number.isInteger(value)) {
+          integers = false;
+        }
+      }
+
+      let type = 'text';
+      if (kinds.size === 1 && kinds.has('number')) {
+        type = integers ? 'integer' : 'real';
+      } else if (kinds.size === 1 && kinds.has('boolean')) {
+        type = 'boolean';
+      } else if (kinds.size === 1 && kinds.has('object')) {
+        type = 'json';
+      } else if (kinds.size > 1) {
+        type = 'mixed';
+      }
+
+      const column = { name, column: `c${index}`, type };
+      if (fieldTypes && fieldTypes[name]) {
+        column.fieldType = fieldTypes[name];
+      }
+      return column;
+    });
+  }
+
+  // Helper method to convert a JS value for storage in a row column
+  encodeRowValue(value, type) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (type === 'text') return String(value);
+    return value;
+  }
+
+  // Helper method to convert a stored row column value back to a JS value
+  decodeRowValue(value, type) {
+    if (value === null || value === undefined) return null;
+    if (type === 'boolean') return Boolean(value);
+    if (type === 'json') return JSON.parse(value);
+    return value;
+  }
+
+  // Create a row table holding the given rows (runs inside the caller's transaction)
+  writeDatasetRows(rowsTable, rows, headers = [], fieldTypes = {}) {
+    const rowColumns = this.buildRowColumns(rows, headers, fieldTypes);
+    const sqlTypes = { integer: 'INTEGER', real: 'REAL', boolean: 'INTEGER', text: 'TEXT', json: 'TEXT', mixed: '' };
+
+    this.db.run(`DROP TABLE IF EXISTS ${rowsTable}`);
+    this.db.run(`
+      CREATE TABLE ${rowsTable} (
+        __row_id INTEGER PRIMARY KEY${rowColumns.map(column => `,\n        ${column.column} ${sqlTypes[column.type]}`).join('')}
+      )
+    `);
+
+    if (rows.length > 0 && rowColumns.length > 0) {
+      const insertStmt = this.db.prepare(`
+        INSERT INTO ${rowsTable} (${rowColumns.map(column => column.column).join(', ')})
+        VALUES (${rowColumns.map(() => '?').join(', ')})
+      `);
+      rows.forEach(row => {
+        insertStmt.run(rowColumns.map(column => this.encodeRowValue(row ? row[column.name] : null, column.type)));
+      });
+      insertStmt.free();
+    }
+
+    logger.debug('Dataset rows written', { rowsTable, rowCount: rows.length, columnCount: rowColumns.length });
+    return { rowsTable, rowColumns };
+  }
+
+  // Helper method to build the WHERE clause for field filters ({ field: value | [values] | null })
+  buildRowFilters(rowColumns, filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    Object.entries(filters).forEach(([name, value]) => {
+      const column = rowColumns.find(item => item.name === name);
+      if (!column) {
+        throw new Error(`Unknown field: ${name}`);
+      }
+
+      const coerce = (item) => {
+        if (item === null || item === undefined) return null;
+        if (['integer', 'real'].includes(column.type) && item !== '' && !isNaN(Number(item))) return Number(item);
+        if (column.type === 'boolean') return item === true || item === 'true' || item === '1' || item === 1 ? 1 : 0;
+        return item;
+      };
+
+      if (value === null) {
+        conditions.push(`${column.column} IS NULL`);
+      } else if (Array.isArray(value)) {
+        if (value.length === 0) {
+          conditions.push('0');
+        } else {
+          conditions.push(`${column.column} IN (${value.map(() => '?').join(', ')})`);
+          params.push(...value.map(coerce));
+        }
+      } else {
+        conditions.push(`${column.column} = ?`);
+        params.push(coerce(value));
+      }
+    });
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // Read a page of dataset rows with optional field filters and sorting. Rows hold the dataset's
+  // calculated fields too unless storedOnly is set (for rows that are written back).
+  async getDatasetRows(dataset, options = {}) {
+    await this.initialize();
+    const { offset = 0, limit = null, filters = {}, sortBy = null, sortOrder = 'asc', storedOnly = false } = options;
+    logger.debug('Fetching dataset rows', { datasetName: dataset.datasetName, offset, limit });
+
+    try {
+      if (!dataset.rowsTable) {
+        return { records: [], totalRows: 0 };
+      }
+
+      const rowColumns = dataset.rowColumns || [];
+      const { where, params } = this.buildRowFilters(rowColumns, filters);
+
+      const countStmt = this.db.prepare(`SELECT COUNT(*) as count FROM ${dataset.rowsTable} ${where}`);
+      countStmt.bind(params);
+      countStmt.step();
+      const totalRows = countStmt.getAsObject().count;
+      countStmt.free();
+
+      // Calculated fields are computed as __calc0, __calc1, ...
+      const { fields: calculated } = storedOnly
+        ? { fields: [] }
+        : compileCalculatedFields(dataset.calculatedFields, rowColumns);
+
+      let orderBy = '__row_id ASC';
+      let sortField = null;
+      if (sortBy) {
+        const sortColumn = rowColumns.find(column => column.name === sortBy);
+        sortField = calculated.find(field => field.name === sortBy) || null;
+        if (!sortColumn && !sortField) {
+          throw new Error(`Unknown field: ${sortBy}`);
+        }
+        const sortSql = sortColumn ? sortColumn.column : sortField.alias;
+        orderBy = `${sortSql} ${String(sortOrder).toLowerCase() === 'desc' ? 'DESC' : 'ASC'}, __row_id ASC`;
+      }
+
+      // They are computed for the page only, unless the rows are sorted by one of them
+      const pageSql = limit !== null ? ' LIMIT ? OFFSET ?' : '';
+      const pageParams = limit !== null ? [limit, offset] : [];
+      let query;
+      if (sortField) {
+        const rows = selectCalculatedFields(calculated, `SELECT * FROM ${dataset.rowsTable} ${where}`, params);
+        query = { sql: `SELECT * FROM (${rows.sql}) ORDER BY ${orderBy}${pageSql}`, params: [...rows.params, ...pageParams] };
+      } else {
+        const page = selectCalculatedFields(
+          calculated,
+          `SELECT * FROM ${dataset.rowsTable} ${where} ORDER BY ${orderBy}${pageSql}`,
+          [...params, ...pageParams]
+        );
+        query = calculated.length > 0
+          ? { sql: `SELECT * FROM (${page.sql}) ORDER BY ${orderBy}`, params: page.params }
+          : page;
+      }
+
+      if (calculated.length > 0) {
+        queryService.registerFunctions(this.db);
+      }
+      const stmt = this.db.prepare(query.sql);
+      stmt.bind(query.params);
+
+      const records = [];
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        const record = {};
+        rowColumns.forEach(column => {
+          record[column.name] = this.decodeRowValue(row[column.column], column.type);
+        });
+        calculated.forEach(field => {
+          const value = row[field.alias];
+          record[field.name] = field.type === 'boolean' && value !== null ? Boolean(value) : value;
+        });
+        records.push(record);
+      }
+      stmt.free();
+
+      return { records, totalRows };
+    } catch (error) {
+      logger.error('Failed to fetch dataset rows', { datasetName: dataset.datasetName, error: error.message });
+      throw error;
+    }
+  }
+
+  // Run a Graphic Walker computation payload against a dataset's row table
+  async queryDataset(dataset, payload, options = {}) {
+    await this.initialize();
+    logger.debug('Querying dataset', { datasetName: dataset.datasetName, steps: payload.workflow.length });
+
+    try {
+      if (!dataset.rowsTable) {
+        return [];
+      }
+
+      const query = queryService.compile(dataset, payload, options);
+      queryService.registerFunctions(this.db);
+
+      const stmt = this.db.prepare(query.sql);
+      stmt.bind(query.params);
+
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(queryService.decodeRow(stmt.get(), query.columns));
+      }
+      stmt.free();
+
+      return rows;
+    } catch (error) {
+      logger.error('Failed to query dataset', { datasetName: dataset.datasetName, error: error.message });
+      throw error;
+    }
+  }
+
+  // Approximate size in bytes of a dataset's stored row values
+  async getDatasetRowsSize(dataset) {
+    await this.initialize();
+
+    try {
+      const rowColumns = dataset.rowColumns || [];
+      if (!dataset.rowsTable || rowColumns.length === 0) {
+        return 0;
+      }
+
+      const lengths = rowColumns.map(column => `IFNULL(LENGTH(${column.column}), 0)`).join(' + ');
+      const stmt = this.db.prepare(`SELECT IFNULL(SUM(${lengths}), 0) as size FROM ${dataset.rowsTable}`);
+      stmt.step();
+      const size = stmt.getAsObject().size;
+      stmt.free();
+
+      return size;
+    } catch (error) {
+      logger.error('Failed to measure dataset rows', { datasetName: dataset.datasetName, error: error.message });
+      throw error;
+    }
+  }
+
   // Utility methods
-  async getStats() {
+  // Dataset version methods
+
+  // Helper method to read a version row into the API shape
+  formatDatasetVersion(row) {
+    return {
+      ...row,
+      headers: JSON.parse(row.headers || '[]'),
+      rowColumns: JSON.parse(row.rowColumns || '[]')
+    };
+  }
+
+  // Number of a dataset's latest version (0 when it has none)
+  getLatestDatasetVersion(datasetId) {
+    const stmt = this.db.prepare('SELECT MAX(version) as version FROM dataset_versions WHERE dataset_id = ?');
+    stmt.bind([datasetId]);
+    stmt.step();
+    const version = stmt.getAsObject().version;
+    stmt.free();
+
+    return version || 0;
+  }
+
+  // Record a version of a dataset's rows (runs inside the caller's transaction)
+  insertDatasetVersion(datasetId, version, data) {
+    const stmt = this.db.prepare(`
+      INSERT INTO dataset_versions (dataset_id, version, rows_table, row_columns, headers, row_count, column_count, original_file_name, original_file_size, restored_from, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run([
+      datasetId,
+      version,
+      data.rowsTable,
+      data.rowColumns,
+      data.headers,
+      data.rowCount,
+      data.columnCount,
+      data.originalFileName || '',
+      data.originalFileSize || 0,
+      data.restoredFrom || null,
+      data.createdBy || null,
+      data.createdAt
+    ]);
+    stmt.free();
+  }
+
+  buildDatasetVersionQuery(conditions = []) {
+    return `
+      SELECT 
+        v.version,
+        v.rows_table as rowsTable,
+        v.row_columns as rowColumns,
+        v.headers,
+        v.row_count as rowCount,
+        v.column_count as columnCount,
+        v.original_file_name as originalFileName,
+        v.original_file_size as originalFileSize,
+        v.restored_from as restoredFrom,
+        v.created_by as createdBy,
+        u.name as createdByName,
+        u.email as createdByEmail,
+        v.created_at as createdAt
+      FROM dataset_versions v
+      LEFT JOIN users u ON u.id = v.created_by
+      WHERE ${['v.dataset_id = ?', ...conditions].join(' AND ')}
+    `;
+  }
+
+  // All versions of a dataset, newest first
+  async getDatasetVersions(datasetId) {
+    await this.initialize();
+    logger.debug('Fetching dataset versions', { datasetId });
+
+    try {
+      const stmt = this.db.prepare(`${this.buildDatasetVersionQuery()} ORDER BY v.version DESC`);
+      stmt.bind([datasetId]);
+      const versions = [];
+
+      while (stmt.step()) {
+        versions.push(this.formatDatasetVersion(stmt.getAsObject()));
+      }
+
+      stmt.free();
+      return versions;
+    } catch (error) {
+      logger.error('Failed to fetch dataset versions', { datasetId, error: error.message });
+      throw error;
+    }
+  }
+
+  async getDatasetVersion(datasetId, version) {
+    await this.initialize();
+    logger.debug('Fetching dataset version', { datasetId, version });
+
+    try {
+      const stmt = this.db.prepare(this.buildDatasetVersionQuery(['v.version = ?']));
+      stmt.bind([datasetId, version]);
+
+      let datasetVersion = null;
+      if (stmt.step()) {
+        datasetVersion = this.formatDatasetVersion(stmt.getAsObject());
+      }
+      stmt.free();
+
+      return datasetVersion;
+    } catch (error) {
+      logger.error('Failed to fetch dataset version', { datasetId, version, error: error.message });
+      throw error;
+    }
+  }
+
+  // Make an earlier version the latest again. The restore is itself a new version, sharing the
+  // earlier version's row table (row tables are never changed once written), so it can be undone.
+  async restoreDatasetVersion(datasetName, version, userId = null) {
     await this.initialize();
-    logger.debug('Fetching database statistics');
+    logger.info('Restoring dataset version', { datasetName, version });
+
+    try {
+      const dataset = await this.getDatasetByName(datasetName);
+      const source = dataset ? await this.getDatasetVersion(dataset.id, version) : null;
+      if (!source) {
+        logger.warn('Dataset version not found for restore', { datasetName, version });
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      const restored = {
+        rowsTable: source.rowsTable,
+        rowColumns: JSON.stringify(source.rowColumns),
+        headers: JSON.stringify(source.headers),
+        rowCount: source.rowCount,
+        columnCount: source.columnCount,
+        originalFileName: source.originalFileName,
+        originalFileSize: source.originalFileSize,
+        restoredFrom: source.version,
+        createdBy: userId,
+        createdAt: now
+      };
+
+      this.db.run('BEGIN TRANSACTION');
+      try {
+        this.insertDatasetVersion(dataset.id, this.getLatestDatasetVersion(dataset.id) + 1, restored);
+
+        const updateStmt = this.db.prepare(`
+          UPDATE datasets
+          SET original_file_name = ?, original_file_size = ?, row_count = ?, column_count = ?, headers = ?, rows_table = ?, row_columns = ?, updated_at = ?
+          WHERE id = ?
+        `);
+        updateStmt.run([
+          restored.originalFileName,
+          restored.originalFileSize,
+          restored.rowCount,
+          restored.columnCount,
+          restored.headers,
+          restored.rowsTable,
+          restored.rowColumns,
+          now,
+          dataset.id
+        ]);
+        updateStmt.free();
+
+        this.db.run('COMMIT');
+      } catch (error) {
+        this.db.run('ROLLBACK');
+        throw error;
+      }
+
+      // Save database to file
+      await this.saveDatabase();
+
+      logger.info('Dataset version restored', { datasetName, version });
+      return this.getDatasetByName(datasetName);
+    } catch (error) {
+      logger.error('Failed to restore dataset version', { datasetName, version, error: error.message });
+      throw error;
+    }
+  }
+
+  async getStats(userId = null) {
+    await this.initialize();
+    logger.debug('Fetching database statistics', { userId });
     
     try {
-      const dashboardStmt = this.db.prepare('SELECT COUNT(*) as count FROM dashboards');
+      // Count only what the user can access when scoped
+      const dashboardStmt = this.db.prepare(`SELECT COUNT(*) as count FROM (${this.buildDashboardQuery(userId)})`);
+      dashboardStmt.bind({ $userId: userId });
       dashboardStmt.step();
       const dashboardCount = dashboardStmt.getAsObject().count;
       dashboardStmt.free();
       
-      const datasetStmt = this.db.prepare('SELECT COUNT(*) as count FROM datasets');
+      const datasetStmt = this.db.prepare(`SELECT COUNT(*) as count FROM (${this.buildDatasetQuery(userId)})`);
+      datasetStmt.bind({ $userId: userId });
       datasetStmt.step();
       const datasetCount = datasetStmt.getAsObject().count;
       datasetStmt.free();
@@ -630,167 +1619,82 @@ class SQLiteService {
     }
   }
 
-  // Migration method to convert CSV-based datasets to JSON-based datasets
-  async migrateCsvToJson() {
+  // Migration method to assign datasets and dashboards without an owner to an admin account
+  async migrateOwnership(adminEmail = config.database.adminEmail) {
     await this.initialize();
-    logger.info('Starting migration from CSV-based to JSON-based datasets');
-    
+    logger.info('Starting ownership migration for unowned datasets and dashboards');
+
     try {
-      // Check if we need to migrate (look for old csv_path column)
-      const checkColumnSql = "PRAGMA table_info(datasets)";
-      const stmt = this.db.prepare(checkColumnSql);
-      const columns = [];
-      
-      while (stmt.step()) {
-        const row = stmt.getAsObject();
-        columns.push(row.name);
+      const countOrphans = (tableName) => {
+        const stmt = this.db.prepare(`SELECT COUNT(*) as count FROM ${tableName} WHERE owner_id IS NULL`);
+        stmt.step();
+        const count = stmt.getAsObject().count;
+        stmt.free();
+        return count;
+      };
+
+      const orphanedDatasets = countOrphans('datasets');
+      const orphanedDashboards = countOrphans('dashboards');
+
+      if (orphanedDatasets === 0 && orphanedDashboards === 0) {
+        logger.info('No ownership migration needed - all records have an owner');
+        return { success: true, migratedCount: 0 };
       }
-      stmt.free();
-      
-      const hasCsvPath = columns.includes('csv_path');
-      const hasJsonData = columns.includes('json_data');
-      
-      if (!hasCsvPath || hasJsonData) {
-        logger.info('No migration needed - database schema is already updated');
-        return { success: true, migrated: 0 };
+
+      // Only an account named in ADMIN_EMAIL receives them; until one is, they stay unowned
+      // (and no user can open them)
+      if (!adminEmail) {
+        logger.warn('Ownership migration skipped - set ADMIN_EMAIL to the account that should own unowned records', {
+          orphanedDatasets,
+          orphanedDashboards
+        });
+        return { success: false, migratedCount: 0 };
       }
-      
-      logger.info('Old schema detected, starting migration...');
-      
-      // Get all existing datasets with old schema
-      const oldDatasetsSql = `
-        SELECT 
-          id, dataset_name, csv_path, is_it_from_csv, file_name, file_size, mime_type, sp, created_at, updated_at
-        FROM datasets
-      `;
-      
-      const oldStmt = this.db.prepare(oldDatasetsSql);
-      const oldDatasets = [];
-      
-      while (oldStmt.step()) {
-        oldDatasets.push(oldStmt.getAsObject());
-      }
-      oldStmt.free();
-      
-      logger.info(`Found ${oldDatasets.length} datasets to migrate`);
-      
-      // Create new table with updated schema
-      const createNewTableSql = `
-        CREATE TABLE datasets_new (
-          id TEXT PRIMARY KEY,
-          dataset_name TEXT UNIQUE NOT NULL,
-          json_data TEXT NOT NULL,
-          original_file_name TEXT DEFAULT '',
-          original_file_size INTEGER DEFAULT 0,
-          mime_type TEXT DEFAULT 'application/json',
-          row_count INTEGER DEFAULT 0,
-          column_count INTEGER DEFAULT 0,
-          headers TEXT DEFAULT '[]',
-          sp TEXT DEFAULT '',
-          created_at TEXT NOT NULL,
-          updated_at TEXT NOT NULL
-        )
-      `;
-      
-      this.db.run(createNewTableSql);
-      
-      // Migrate each dataset
-      const csvService = require('./csvService');
-      let migratedCount = 0;
-      
-      for (const oldDataset of oldDatasets) {
-        try {
-          let jsonData = [];
-          let headers = [];
-          let rowCount = 0;
-          let columnCount = 0;
-          
-          // Try to read CSV data if file exists
-          if (oldDataset.csv_path && require('fs').existsSync(oldDataset.csv_path)) {
-            try {
-              jsonData = await csvService.readCsvData(oldDataset.csv_path);
-              if (jsonData.length > 0) {
-                headers = Object.keys(jsonData[0]);
-                rowCount = jsonData.length;
-                columnCount = headers.length;
-              }
-              logger.info(`Converted CSV to JSON for dataset: ${oldDataset.dataset_name}`, {
-                rowCount,
-                columnCount
-              });
-            } catch (csvError) {
-              logger.warn(`Failed to read CSV file for dataset ${oldDataset.dataset_name}, using empty data`, {
-                csvPath: oldDataset.csv_path,
-                error: csvError.message
-              });
-            }
-          } else {
-            logger.warn(`CSV file not found for dataset ${oldDataset.dataset_name}, using empty data`, {
-              csvPath: oldDataset.csv_path
-            });
-          }
-          
-          // Insert into new table
-          const insertSql = `
-            INSERT INTO datasets_new (id, dataset_name, json_data, original_file_name, original_file_size, mime_type, row_count, column_count, headers, sp, created_at, updated_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          `;
-          
-          const insertStmt = this.db.prepare(insertSql);
-          insertStmt.run([
-            oldDataset.id,
-            oldDataset.dataset_name,
-            JSON.stringify(jsonData),
-            oldDataset.file_name || '',
-            oldDataset.file_size || 0,
-            'application/json',
-            rowCount,
-            columnCount,
-            JSON.stringify(headers),
-            oldDataset.sp || '',
-            oldDataset.created_at,
-            oldDataset.updated_at
-          ]);
-          insertStmt.free();
-          
-          migratedCount++;
-          logger.info(`Migrated dataset: ${oldDataset.dataset_name}`);
-          
-        } catch (error) {
-          logger.error(`Failed to migrate dataset ${oldDataset.dataset_name}`, { error: error.message });
-        }
+
+      const adminStmt = this.db.prepare('SELECT id, email FROM users WHERE email = ? AND is_active = 1');
+      adminStmt.bind([adminEmail.toLowerCase().trim()]);
+
+      let admin = null;
+      if (adminStmt.step()) {
+        admin = adminStmt.getAsObject();
       }
-      
-      // Replace old table with new table
-      this.db.run('DROP TABLE datasets');
-      this.db.run('ALTER TABLE datasets_new RENAME TO datasets');
-      
-      // Recreate indexes
-      const createIndexes = [
-        'CREATE INDEX IF NOT EXISTS idx_datasets_name ON datasets (dataset_name)',
-        'CREATE INDEX IF NOT EXISTS idx_datasets_created_at ON datasets (created_at)'
-      ];
-      
-      createIndexes.forEach(indexSql => {
-        this.db.run(indexSql);
-      });
-      
+      adminStmt.free();
+
+      if (!admin) {
+        logger.warn('Ownership migration skipped - admin account not found', {
+          adminEmail,
+          orphanedDatasets,
+          orphanedDashboards
+        });
+        return { success: false, migratedCount: 0 };
+      }
+
+      const datasetStmt = this.db.prepare('UPDATE datasets SET owner_id = ? WHERE owner_id IS NULL');
+      datasetStmt.run([admin.id]);
+      datasetStmt.free();
+
+      const dashboardStmt = this.db.prepare('UPDATE dashboards SET owner_id = ? WHERE owner_id IS NULL');
+      dashboardStmt.run([admin.id]);
+      dashboardStmt.free();
+
       // Save database to file
       await this.saveDatabase();
-      
-      logger.info('Migration from CSV to JSON completed successfully', {
-        totalDatasets: oldDatasets.length,
-        migratedCount
+
+      logger.info('Ownership migration completed successfully', {
+        adminEmail: admin.email,
+        datasetsAssigned: orphanedDatasets,
+        dashboardsAssigned: orphanedDashboards
       });
-      
+
       return {
         success: true,
-        totalDatasets: oldDatasets.length,
-        migratedCount
+        adminEmail: admin.email,
+        datasetsAssigned: orphanedDatasets,
+        dashboardsAssigned: orphanedDashboards,
+        migratedCount: orphanedDatasets + orphanedDashboards
       };
-      
     } catch (error) {
-      logger.error('Migration from CSV to JSON failed', { error: error.message });
+      logger.error('Ownership migration failed', { error: error.message });
       throw error;
     }
   }
@@ -986,6 +1890,352 @@ class SQLiteService {
     }
   }
 
+  // Helper method to build a workspace query that resolves the caller's membership role
+  buildWorkspaceQuery(conditions = []) {
+    return `
+      SELECT 
+        w.id,
+        w.name,
+        w.owner_id as ownerId,
+        wm.role,
+        (SELECT COUNT(*) FROM workspace_members m WHERE m.workspace_id = w.id) as memberCount,
+        (SELECT COUNT(*) FROM datasets ds WHERE ds.workspace_id = w.id) as datasetCount,
+        w.created_at as createdAt,
+        w.updated_at as updatedAt
+      FROM workspaces w
+      JOIN workspace_members wm ON wm.workspace_id = w.id AND wm.user_id = $userId
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    `;
+  }
+
+  // Workspace methods
+  async getWorkspaces(userId) {
+    await this.initialize();
+    logger.debug('Fetching workspaces for user', { userId });
+
+    try {
+      const stmt = this.db.prepare(`${this.buildWorkspaceQuery()} ORDER BY w.name COLLATE NOCASE ASC`);
+      stmt.bind({ $userId: userId });
+      const workspaces = [];
+
+      while (stmt.step()) {
+        workspaces.push(stmt.getAsObject());
+      }
+
+      stmt.free();
+      return workspaces;
+    } catch (error) {
+      logger.error('Failed to fetch workspaces', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  async getWorkspaceById(workspaceId, userId) {
+    await this.initialize();
+    logger.debug('Fetching workspace by ID', { workspaceId, userId });
+
+    try {
+      const stmt = this.db.prepare(this.buildWorkspaceQuery(['w.id = $workspaceId']));
+      stmt.bind({ $workspaceId: workspaceId, $userId: userId });
+
+      if (stmt.step()) {
+        const workspace = stmt.getAsObject();
+        stmt.free();
+        return workspace;
+      } else {
+        stmt.free();
+        logger.warn('Workspace not found', { workspaceId });
+        return null;
+      }
+    } catch (error) {
+      logger.error('Failed to fetch workspace by ID', { workspaceId, error: error.message });
+      throw error;
+    }
+  }
+
+  async createWorkspace(workspace) {
+    await this.initialize();
+    logger.info('Creating workspace', { name: workspace.name, ownerId: workspace.ownerId });
+
+    try {
+      const now = new Date().toISOString();
+      const workspaceId = uuidv4();
+
+      const workspaceStmt = this.db.prepare(`
+        INSERT INTO workspaces (id, name, owner_id, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      workspaceStmt.run([workspaceId, workspace.name, workspace.ownerId, now, now]);
+      workspaceStmt.free();
+
+      // The creator is the first owner of the workspace
+      const memberStmt = this.db.prepare(`
+        INSERT INTO workspace_members (workspace_id, user_id, role, created_at, updated_at)
+        VALUES (?, ?, 'owner', ?, ?)
+      `);
+      memberStmt.run([workspaceId, workspace.ownerId, now, now]);
+      memberStmt.free();
+
+      // Save database to file
+      await this.saveDatabase();
+
+      logger.info('Workspace created successfully', { workspaceId, name: workspace.name });
+      return this.getWorkspaceById(workspaceId, workspace.ownerId);
+    } catch (error) {
+      logger.error('Failed to create workspace', { name: workspace.name, error: error.message });
+      throw error;
+    }
+  }
+
+  async deleteWorkspace(workspaceId) {
+    await this.initialize();
+    logger.info('Deleting workspace', { workspaceId });
+
+    try {
+      // Shared datasets fall back to their owners
+      const datasetsStmt = this.db.prepare('UPDATE datasets SET workspace_id = NULL WHERE workspace_id = ?');
+      datasetsStmt.run([workspaceId]);
+      datasetsStmt.free();
+
+      const membersStmt = this.db.prepare('DELETE FROM workspace_members WHERE workspace_id = ?');
+      membersStmt.run([workspaceId]);
+      membersStmt.free();
+
+      const stmt = this.db.prepare('DELETE FROM workspaces WHERE id = ?');
+      stmt.run([workspaceId]);
+      stmt.free();
+
+      if (this.db.getRowsModified() === 0) {
+        logger.warn('Workspace not found for deletion', { workspaceId });
+        return false;
+      }
+
+      // Save database to file
+      await this.saveDatabase();
+
+      logger.info('Workspace deleted successfully', { workspaceId });
+      return true;
+    } catch (error) {
+      logger.error('Failed to delete workspace', { workspaceId, error: error.message });
+      throw error;
+    }
+  }
+
+  async getWorkspaceMembers(workspaceId) {
+    await this.initialize();
+    logger.debug('Fetching workspace members', { workspaceId });
+
+    try {
+      const sql = `
+        SELECT 
+          u.id as userId,
+          u.email,
+          u.name,
+          wm.role,
+          wm.created_at as createdAt,
+          wm.updated_at as updatedAt
+        FROM workspace_members wm
+        JOIN users u ON u.id = wm.user_id
+        WHERE wm.workspace_id = ?
+        ORDER BY wm.created_at ASC
+      `;
+
+      const stmt = this.db.prepare(sql);
+      stmt.bind([workspaceId]);
+      const members = [];
+
+      while (stmt.step()) {
+        members.push(stmt.getAsObject());
+      }
+
+      stmt.free();
+      return members;
+    } catch (error) {
+      logger.error('Failed to fetch workspace members', { workspaceId, error: error.message });
+      throw error;
+    }
+  }
+
+  async setWorkspaceMember(workspaceId, userId, role) {
+    await this.initialize();
+    logger.info('Setting workspace member role', { workspaceId, userId, role });
+
+    try {
+      const now = new Date().toISOString();
+
+      const stmt = this.db.prepare(`
+        INSERT INTO workspace_members (workspace_id, user_id, role, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = excluded.role, updated_at = excluded.updated_at
+      `);
+      stmt.run([workspaceId, userId, role, now, now]);
+      stmt.free();
+
+      // Save database to file
+      await this.saveDatabase();
+
+      logger.info('Workspace member role set', { workspaceId, userId, role });
+      return true;
+    } catch (error) {
+      logger.error('Failed to set workspace member', { workspaceId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  async removeWorkspaceMember(workspaceId, userId) {
+    await this.initialize();
+    logger.info('Removing workspace member', { workspaceId, userId });
+
+    try {
+      const stmt = this.db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?');
+      stmt.run([workspaceId, userId]);
+      stmt.free();
+
+      if (this.db.getRowsModified() === 0) {
+        logger.warn('Workspace member not found for removal', { workspaceId, userId });
+        return false;
+      }
+
+      // Save database to file
+      await this.saveDatabase();
+
+      logger.info('Workspace member removed', { workspaceId, userId });
+      return true;
+    } catch (error) {
+      logger.error('Failed to remove workspace member', { workspaceId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  async setDatasetWorkspace(datasetName, workspaceId) {
+    await this.initialize();
+    logger.info('Moving dataset to workspace', { datasetName, workspaceId });
+
+    try {
+      const stmt = this.db.prepare('UPDATE datasets SET workspace_id = ?, updated_at = ? WHERE dataset_name = ?');
+      stmt.run([workspaceId || null, new Date().toISOString(), datasetName]);
+      stmt.free();
+
+      if (this.db.getRowsModified() === 0) {
+        logger.warn('Dataset not found for workspace move', { datasetName });
+        return false;
+      }
+
+      // Save database to file
+      await this.saveDatabase();
+
+      logger.info('Dataset workspace updated', { datasetName, workspaceId });
+      return true;
+    } catch (error) {
+      logger.error('Failed to move dataset to workspace', { datasetName, workspaceId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Derived datasets (joins and unions of other datasets), with their definitions
+  async getDerivedDatasets() {
+    await this.initialize();
+    logger.debug('Fetching derived datasets');
+
+    try {
+      const stmt = this.db.prepare(`${this.buildDatasetQuery(null, ['ds.derivation IS NOT NULL'])} ORDER BY ds.dataset_name`);
+      stmt.bind({ $userId: null });
+      const datasets = [];
+
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        datasets.push({
+          ...row,
+          headers: JSON.parse(row.headers || '[]'),
+          rowColumns: JSON.parse(row.rowColumns || '[]'),
+          calculatedFields: JSON.parse(row.calculatedFields || '[]'),
+          fieldMetadata: JSON.parse(row.fieldMetadata || '{}'),
+          derivation: JSON.parse(row.derivation)
+        });
+      }
+
+      stmt.free();
+      return datasets;
+    } catch (error) {
+      logger.error('Failed to fetch derived datasets', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Update a derived dataset's definition without changing its rows (to record how a refresh went)
+  async setDatasetDerivation(datasetName, derivation) {
+    await this.initialize();
+
+    try {
+      const stmt = this.db.prepare('UPDATE datasets SET derivation = ? WHERE dataset_name = ?');
+      stmt.run([JSON.stringify(derivation), datasetName]);
+      stmt.free();
+
+      if (this.db.getRowsModified() === 0) {
+        return false;
+      }
+
+      // Save database to file
+      await this.saveDatabase();
+      return true;
+    } catch (error) {
+      logger.error('Failed to update dataset derivation', { datasetName, error: error.message });
+      throw error;
+    }
+  }
+
+  // Replace a dataset's calculated fields ([{ name, expression, type }])
+  async setDatasetCalculatedFields(datasetName, calculatedFields) {
+    await this.initialize();
+    logger.info('Updating dataset calculated fields', { datasetName, count: calculatedFields.length });
+
+    try {
+      const stmt = this.db.prepare('UPDATE datasets SET calculated_fields = ?, updated_at = ? WHERE dataset_name = ?');
+      stmt.run([JSON.stringify(calculatedFields), new Date().toISOString(), datasetName]);
+      stmt.free();
+
+      if (this.db.getRowsModified() === 0) {
+        logger.warn('Dataset not found for calculated fields update', { datasetName });
+        return false;
+      }
+
+      // Save database to file
+      await this.saveDatabase();
+
+      logger.info('Dataset calculated fields updated', { datasetName });
+      return true;
+    } catch (error) {
+      logger.error('Failed to update dataset calculated fields', { datasetName, error: error.message });
+      throw error;
+    }
+  }
+
+  // Replace a dataset's field metadata ({ [fieldName]: { displayName, semanticType, ... } })
+  async setDatasetFieldMetadata(datasetName, fieldMetadata) {
+    await this.initialize();
+    logger.info('Updating dataset field metadata', { datasetName, count: Object.keys(fieldMetadata).length });
+
+    try {
+      const stmt = this.db.prepare('UPDATE datasets SET field_metadata = ?, updated_at = ? WHERE dataset_name = ?');
+      stmt.run([JSON.stringify(fieldMetadata), new Date().toISOString(), datasetName]);
+      stmt.free();
+
+      if (this.db.getRowsModified() === 0) {
+        logger.warn('Dataset not found for field metadata update', { datasetName });
+        return false;
+      }
+
+      // Save database to file
+      await this.saveDatabase();
+
+      logger.info('Dataset field metadata updated', { datasetName });
+      return true;
+    } catch (error) {
+      logger.error('Failed to update dataset field metadata', { datasetName, error: error.message });
+      throw error;
+    }
+  }
+
   // Close database connection
   close() {
     if (this.db) {
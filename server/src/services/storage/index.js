@@ -0,0 +1,37 @@
+const initSqlJs = require('sql.js');
+const logger = require('../../utils/logger');
+const NativeDatabase = require('./nativeDatabase');
+const SqlJsDatabase = require('./sqlJsDatabase');
+
+const DRIVERS = ['native', 'sqljs'];
+
+// Load better-sqlite3 if it is installed (it is an optional, natively built dependency)
+const loadNativeDriver = () => {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Open the database with the driver selected in config.database.driver.
+// Falls back to sql.js when the native driver is not available on this platform.
+const openDatabase = async (databaseConfig) => {
+  const driver = databaseConfig.driver || 'native';
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown database driver '${driver}'. Expected one of: ${DRIVERS.join(', ')}`);
+  }
+
+  if (driver === 'native') {
+    const Database = loadNativeDriver();
+    if (Database) {
+      return new NativeDatabase(Database, databaseConfig.path, databaseConfig.options);
+    }
+    logger.warn('better-sqlite3 is not installed, falling back to the sql.js driver');
+  }
+
+  const SQL = await initSqlJs();
+  return new SqlJsDatabase(SQL, databaseConfig.path);
+};
+
+module.exports = { openDatabase, DRIVERS };
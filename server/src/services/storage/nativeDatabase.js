@@ -0,0 +1,147 @@
+const logger = require('../../utils/logger');
+
+// Convert sql.js style bind values to what better-sqlite3 accepts
+const toSqlValue = (value) => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+};
+
+// Normalize sql.js style parameters: positional arrays, or objects keyed by $name / :name / @name
+const toBindParams = (params) => {
+  if (params === undefined || params === null) return [];
+  if (Array.isArray(params)) return [params.map(toSqlValue)];
+
+  const named = {};
+  Object.entries(params).forEach(([key, value]) => {
+    named[key.replace(/^[$:@]/, '')] = toSqlValue(value);
+  });
+  return [named];
+};
+
+// Statement with the sql.js interface (bind/step/get/getAsObject/run/free) over better-sqlite3.
+// Result rows are read eagerly so other statements can run while the caller is stepping.
+class NativeStatement {
+  constructor(db, sql) {
+    this.statement = db.prepare(sql);
+    this.params = [];
+    this.rows = null;
+    this.index = -1;
+  }
+
+  bind(params) {
+    this.params = toBindParams(params);
+    this.rows = null;
+    this.index = -1;
+    return true;
+  }
+
+  step() {
+    if (!this.statement.reader) {
+      this.statement.run(...this.params);
+      return false;
+    }
+
+    if (this.rows === null) {
+      this.columns = this.statement.columns().map(column => column.name);
+      this.rows = this.statement.raw(true).all(...this.params);
+      this.index = -1;
+    }
+
+    this.index++;
+    return this.index < this.rows.length;
+  }
+
+  get() {
+    return this.rows && this.index < this.rows.length ? this.rows[this.index] : [];
+  }
+
+  getAsObject() {
+    const values = this.get();
+    const row = {};
+    (this.columns || []).forEach((column, index) => {
+      row[column] = values[index];
+    });
+    return row;
+  }
+
+  run(params) {
+    if (params !== undefined) {
+      this.bind(params);
+    }
+    this.statement.run(...this.params);
+    this.rows = null;
+    return true;
+  }
+
+  free() {
+    this.rows = null;
+    return true;
+  }
+}
+
+// Durable file-backed database using better-sqlite3 with a write-ahead log.
+// Every statement is written to disk as it runs, so persist() has nothing to do.
+class NativeDatabase {
+  constructor(Database, dbPath, options = {}) {
+    this.db = new Database(dbPath, options);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.pragma('foreign_keys = ON');
+    logger.info('Opened native SQLite database', { dbPath, journalMode: 'wal' });
+  }
+
+  prepare(sql) {
+    return new NativeStatement(this.db, sql);
+  }
+
+  run(sql, params) {
+    if (params === undefined) {
+      this.db.exec(sql);
+    } else {
+      this.db.prepare(sql).run(...toBindParams(params));
+    }
+    return this;
+  }
+
+  exec(sql) {
+    const statement = this.db.prepare(sql);
+    if (!statement.reader) {
+      statement.run();
+      return [];
+    }
+
+    const columns = statement.columns().map(column => column.name);
+    const values = statement.raw(true).all();
+    return values.length > 0 ? [{ columns, values }] : [];
+  }
+
+  getRowsModified() {
+    return this.db.prepare('SELECT changes() AS changes').get().changes;
+  }
+
+  create_function(name, fn) {
+    this.db.function(name, { varargs: true }, (...args) => toSqlValue(fn(...args)));
+    return this;
+  }
+
+  create_aggregate(name, { init, step, finalize }) {
+    this.db.aggregate(name, {
+      varargs: true,
+      start: init,
+      step: (state, ...args) => step(state, ...args),
+      result: (state) => toSqlValue(finalize(state))
+    });
+    return this;
+  }
+
+  async persist() {
+    return true;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = NativeDatabase;
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const logger = require('../../utils/logger');
+
+// In-memory sql.js database saved to disk by persist().
+// Saves go to a temporary file that is flushed and renamed over the database, so a crash
+// mid-write leaves the previous file intact; a leftover temporary file is discarded on open.
+class SqlJsDatabase {
+  constructor(SQL, dbPath) {
+    this.dbPath = dbPath;
+    this.tempPath = `${dbPath}.tmp`;
+
+    if (fs.existsSync(this.tempPath)) {
+      fs.unlinkSync(this.tempPath);
+      logger.warn('Discarded incomplete database save', { tempPath: this.tempPath });
+    }
+
+    if (fs.existsSync(dbPath)) {
+      this.db = new SQL.Database(fs.readFileSync(dbPath));
+      logger.info('Loaded existing SQLite database', { dbPath });
+    } else {
+      this.db = new SQL.Database();
+      logger.info('Created new SQLite database', { dbPath });
+    }
+
+    this.db.run('PRAGMA foreign_keys = ON');
+  }
+
+  prepare(sql) {
+    return this.db.prepare(sql);
+  }
+
+  run(sql, params) {
+    this.db.run(sql, params);
+    return this;
+  }
+
+  exec(sql) {
+    return this.db.exec(sql);
+  }
+
+  getRowsModified() {
+    return this.db.getRowsModified();
+  }
+
+  create_function(name, fn) {
+    this.db.create_function(name, fn);
+    return this;
+  }
+
+  create_aggregate(name, aggregate) {
+    this.db.create_aggregate(name, aggregate);
+    return this;
+  }
+
+  async persist() {
+    const buffer = Buffer.from(this.db.export());
+
+    // export() reopens the connection, which resets connection settings
+    this.db.run('PRAGMA foreign_keys = ON');
+
+    const fd = fs.openSync(this.tempPath, 'w');
+    try {
+      fs.writeSync(fd, buffer);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(this.tempPath, this.dbPath);
+    return true;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqlJsDatabase;
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Keeps previewed upload files until the user imports or discards them. Each upload is a
+// data file plus a <id>.json metadata file in the pending directory.
+class UploadService {
+  // Ensure the pending uploads directory exists
+  ensurePendingDir() {
+    if (!fs.existsSync(config.upload.pendingDir)) {
+      fs.mkdirSync(config.upload.pendingDir, { recursive: true });
+      logger.info('Created pending uploads directory', { path: config.upload.pendingDir });
+    }
+  }
+
+  getMetadataPath(uploadId) {
+    return path.join(config.upload.pendingDir, `${uploadId}.json`);
+  }
+
+  // Move a file received by multer into the pending directory, with the options it was parsed with
+  stageUpload(file, { ownerId, parseOptions }) {
+    this.ensurePendingDir();
+    this.removeExpiredUploads();
+
+    const id = uuidv4();
+    const createdAt = new Date();
+    const upload = {
+      id,
+      ownerId,
+      originalFileName: file.originalname,
+      originalFileSize: file.size,
+      // Keep the extension, which the readers use to recognise the file
+      filePath: path.join(config.upload.pendingDir, `${id}${path.extname(file.originalname).toLowerCase()}`),
+      parseOptions,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + config.upload.pendingTtlMinutes * 60 * 1000).toISOString()
+    };
+
+    fs.renameSync(file.path, upload.filePath);
+    fs.writeFileSync(this.getMetadataPath(id), JSON.stringify(upload, null, 2));
+
+    logger.info('Upload staged', { uploadId: id, fileName: upload.originalFileName, ownerId });
+    return upload;
+  }
+
+  // Get a pending upload, or null when it does not exist, has expired or belongs to another user
+  getUpload(uploadId, ownerId) {
+    if (!UPLOAD_ID_PATTERN.test(String(uploadId))) {
+      return null;
+    }
+
+    const metadataPath = this.getMetadataPath(uploadId);
+    if (!fs.existsSync(metadataPath)) {
+      return null;
+    }
+
+    const upload = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    if (new Date(upload.expiresAt) <= new Date()) {
+      this.discardUpload(upload);
+      return null;
+    }
+
+    return upload.ownerId === ownerId ? upload : null;
+  }
+
+  // Delete a pending upload's file and metadata
+  discardUpload(upload) {
+    [upload.filePath, this.getMetadataPath(upload.id)].forEach(filePath => {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+    logger.debug('Pending upload removed', { uploadId: upload.id });
+  }
+
+  // Delete pending uploads that were never imported
+  removeExpiredUploads() {
+    const now = new Date();
+
+    fs.readdirSync(config.upload.pendingDir)
+      .filter(fileName => fileName.endsWith('.json'))
+      .forEach(fileName => {
+        try {
+          const upload = JSON.parse(fs.readFileSync(path.join(config.upload.pendingDir, fileName), 'utf8'));
+          if (new Date(upload.expiresAt) <= now) {
+            this.discardUpload(upload);
+            logger.info('Expired upload removed', { uploadId: upload.id, fileName: upload.originalFileName });
+          }
+        } catch (error) {
+          logger.warn('Failed to check pending upload', { fileName, error: error.message });
+        }
+      });
+  }
+}
+
+module.exports = new UploadService();
@@ -0,0 +1,319 @@
+// Helpers for drawing a saved Graphic Walker chart without Graphic Walker: the computation
+// workflow that fetches its data and a Vega-Lite spec that draws it. They follow what Graphic
+// Walker does for the common cases; geographic charts, tables and folded measures are left out.
+
+// Graphic Walker's own field for the row count
+const COUNT_FIELD_ID = 'gw_count_fid';
+// Graphic Walker's fields for folded measures ("Measure names" and "Measure values")
+const FOLD_FIELD_IDS = ['gw_mea_key_fid', 'gw_mea_val_fid'];
+
+// Marks that Vega-Lite can draw ('auto' picks one from the fields on the axes)
+const VEGA_LITE_MARKS = ['auto', 'bar', 'line', 'area', 'trail', 'point', 'circle', 'tick', 'rect', 'arc', 'text', 'boxplot'];
+
+// Placement channels (in Graphic Walker) that become Vega-Lite channels of the same name
+const SINGLE_CHANNELS = ['color', 'opacity', 'size', 'shape', 'theta', 'radius', 'text'];
+
+// Vega-Lite time units for Graphic Walker's date drill levels
+const TIME_UNITS = {
+  iso_year: 'utcyear',
+  year: 'utcyear',
+  quarter: 'utcyearquarter',
+  month: 'utcyearmonth',
+  iso_week: 'utcyearweek',
+  week: 'utcyearweek',
+  day: 'utcyearmonthdate',
+  hour: 'utcyearmonthdatehours',
+  minute: 'utcyearmonthdatehoursminutes',
+  second: 'utcyearmonthdatehoursminutesseconds'
+};
+
+const list = (value) => (Array.isArray(value) ? value : []);
+
+const chartMark = (chart) => {
+  const [geom] = list(chart && chart.config && chart.config.geoms);
+  return geom || 'auto';
+};
+
+// Graphic Walker aggregates measures unless the chart turns it off
+const isAggregated = (chart) => !(chart && chart.config && chart.config.defaultAggregated === false);
+
+// Key and title of a measure once aggregated ("sales_sum", "sum(Sales)")
+const measureKey = (field) => (!field.aggName || field.aggName === 'expr' ? field.fid : `${field.fid}_${field.aggName}`);
+const measureTitle = (field) => {
+  if (field.fid === COUNT_FIELD_ID) return 'Count';
+  return !field.aggName || field.aggName === 'expr' ? field.name : `${field.aggName}(${field.name})`;
+};
+
+// Vega-Lite reads dots and brackets in field names as nested access
+const escapeField = (key) => String(key).replace(/(["'.[\]/\\])/g, '\\$1');
+
+// The fields a chart places on its channels. Unaggregated charts cannot show aggregated
+// computed fields, which Graphic Walker leaves off.
+const placedFields = (chart) => {
+  const encodings = (chart && chart.encodings) || {};
+  const aggregated = isAggregated(chart);
+  const guard = (field) => field && (aggregated || field.aggName !== 'expr');
+  const fields = {
+    rows: list(encodings.rows).filter(guard),
+    columns: list(encodings.columns).filter(guard),
+    details: list(encodings.details).filter(guard)
+  };
+  SINGLE_CHANNELS.forEach(channel => {
+    fields[channel] = list(encodings[channel]).filter(guard)[0] || null;
+  });
+  return fields;
+};
+
+const allPlacedFields = (fields) => [
+  ...fields.rows,
+  ...fields.columns,
+  ...fields.details,
+  ...SINGLE_CHANNELS.map(channel => fields[channel]).filter(Boolean)
+];
+
+// Whether a chart can be drawn by chartToVegaLite; returns the reason when it cannot
+const getUnsupportedReason = (chart) => {
+  if (!chart || !chart.encodings) return 'The chart has no fields';
+  if (chart.config && chart.config.coordSystem === 'geographic') return 'Maps cannot be exported';
+  if (!VEGA_LITE_MARKS.includes(chartMark(chart))) return `'${chartMark(chart)}' charts cannot be exported`;
+  if (allPlacedFields(placedFields(chart)).some(field => FOLD_FIELD_IDS.includes(field.fid))) {
+    return 'Charts with folded measures cannot be exported';
+  }
+  return null;
+};
+
+// Build the Graphic Walker computation workflow that fetches a chart's data: filters on dataset
+// fields, then computed fields, then filters on computed fields, then the aggregate (or the raw
+// rows of the placed fields). Filters on aggregated values are not applied.
+const chartToWorkflow = (chart) => {
+  const fields = allPlacedFields(placedFields(chart));
+  const filters = list(chart.encodings.filters).filter(filter => filter && filter.rule && !filter.enableAgg);
+  const toFilter = ({ fid, rule }) => ({ fid, rule });
+
+  const computed = new Map();
+  [...fields, ...filters]
+    .filter(field => field.computed && field.expression && !(field.expression.op === 'expr' && field.aggName === 'expr'))
+    .forEach(field => computed.set(field.fid, { key: field.fid, expression: field.expression }));
+
+  const workflow = [];
+  const datasetFilters = filters.filter(filter => !filter.computed).map(toFilter);
+  if (datasetFilters.length > 0) {
+    workflow.push({ type: 'filter', filters: datasetFilters });
+  }
+  if (computed.size > 0) {
+    workflow.push({ type: 'transform', transform: [...computed.values()] });
+  }
+  const computedFilters = filters.filter(filter => filter.computed).map(toFilter);
+  if (computedFilters.length > 0) {
+    workflow.push({ type: 'filter', filters: computedFilters });
+  }
+
+  const unique = (keys) => [...new Set(keys)];
+  if (isAggregated(chart)) {
+    const measures = new Map();
+    fields
+      .filter(field => field.analyticType === 'measure')
+      .forEach(field => measures.set(measureKey(field), {
+        field: field.fid,
+        agg: field.aggName || 'sum',
+        asFieldKey: measureKey(field)
+      }));
+    workflow.push({
+      type: 'view',
+      query: [{
+        op: 'aggregate',
+        groupBy: unique(fields.filter(field => field.analyticType !== 'measure').map(field => field.fid)),
+        measures: [...measures.values()]
+      }]
+    });
+  } else {
+    workflow.push({
+      type: 'view',
+      query: [{ op: 'raw', fields: unique(fields.map(field => field.fid)) }]
+    });
+  }
+
+  return workflow;
+};
+
+// The columns of the rows a chart's workflow returns, as { key, title }: its dimensions, then
+// its measures, each in the order they are placed
+const chartColumns = (chart) => {
+  const aggregated = isAggregated(chart);
+  const fields = allPlacedFields(placedFields(chart));
+  const columns = new Map();
+  [
+    ...fields.filter(field => field.analyticType !== 'measure'),
+    ...fields.filter(field => field.analyticType === 'measure')
+  ].forEach(field => {
+    const isMeasure = aggregated && field.analyticType === 'measure';
+    const key = isMeasure ? measureKey(field) : field.fid;
+    if (!columns.has(key)) {
+      columns.set(key, { key, title: isMeasure ? measureTitle(field) : field.name });
+    }
+  });
+  return [...columns.values()];
+};
+
+// Pick a mark from the semantic types on the axes, as Graphic Walker's 'auto' does
+const autoMark = (types, aggregated) => {
+  if (types.length < 2) {
+    if (types[0] === 'temporal' || types[0] === 'quantitative' || !aggregated) return 'tick';
+    return 'bar';
+  }
+  const count = (type) => types.filter(item => item === type).length;
+  if (count('nominal') === 1) return aggregated ? 'bar' : 'tick';
+  if (count('ordinal') === 1) return 'bar';
+  if (count('temporal') === 1 && count('quantitative') === 1) return 'line';
+  return 'point';
+};
+
+// Channels each mark can use
+const markChannels = (mark) => {
+  if (mark === 'text') return ['text', 'color', 'size', 'x', 'y', 'opacity'];
+  if (mark === 'arc') return ['opacity', 'color', 'size', 'theta', 'radius'];
+  return ['column', 'row', 'opacity', 'color', 'size', 'x', 'y', 'shape'];
+};
+
+const encodeField = (field, aggregated, metadata = {}) => {
+  const isMeasure = field.analyticType === 'measure';
+  const key = isMeasure && aggregated ? measureKey(field) : field.fid;
+  const title = isMeasure && aggregated ? measureTitle(field) : field.name;
+  const encoding = {
+    field: escapeField(key),
+    title: metadata.unit ? `${title} (${metadata.unit})` : title,
+    type: isMeasure ? 'quantitative' : field.semanticType
+  };
+
+  // Binned fields hold [start, end] pairs
+  if (field.computed && field.expression && field.expression.op === 'bin') {
+    encoding.field = `${escapeField(key)}[0]`;
+    encoding.bin = { binned: true };
+    delete encoding.type;
+  }
+  if (field.semanticType === 'temporal') {
+    encoding.scale = { type: 'utc' };
+    if (field.timeUnit && TIME_UNITS[field.timeUnit]) {
+      encoding.timeUnit = TIME_UNITS[field.timeUnit];
+    }
+  }
+  // Ordinal values go in their listed order unless the chart sorts them
+  if ((encoding.type === 'ordinal' || encoding.type === 'nominal') && metadata.sortOrder) {
+    encoding.sort = metadata.sortOrder;
+  }
+  return encoding;
+};
+
+// The d3 format a field's values are shown with on a channel, from its field metadata
+const fieldFormat = (encoding, metadata = {}) => {
+  if (encoding.type === 'quantitative') return metadata.numberFormat || null;
+  if (encoding.type === 'temporal') return metadata.dateFormat || null;
+  return null;
+};
+
+// Put a format on the part of the chart that labels a channel's values
+const applyFormat = (channel, encoding, format) => {
+  if (channel === 'x' || channel === 'y') {
+    encoding.axis = { format };
+  } else if (channel === 'row' || channel === 'column') {
+    encoding.header = { format };
+  } else if (channel === 'text') {
+    encoding.format = format;
+  } else {
+    encoding.legend = { format };
+  }
+};
+
+// Build a Vega-Lite spec drawing a chart from the rows its workflow returned, sized to fit
+// width x height. The last field on rows and columns goes on the axes and the dimension before
+// it (if any) facets the chart; further fields are left off. fieldMetadata (the dataset's, keyed
+// by field name) gives units, formats and the order of ordinal values.
+const chartToVegaLite = (chart, rows, { width, height, fieldMetadata = {} }) => {
+  const fields = placedFields(chart);
+  const aggregated = isAggregated(chart);
+  const layout = chart.layout || {};
+
+  const x = fields.columns[fields.columns.length - 1] || null;
+  const y = fields.rows[fields.rows.length - 1] || null;
+  const facetOf = (placed) => placed.slice(0, -1).filter(field => field.analyticType === 'dimension').pop() || null;
+  const channels = { x, y, row: facetOf(fields.rows), column: facetOf(fields.columns) };
+  SINGLE_CHANNELS.forEach(channel => {
+    channels[channel] = fields[channel];
+  });
+
+  let mark = chartMark(chart);
+  if (mark === 'auto') {
+    mark = autoMark([x, y].filter(Boolean).map(field => field.semanticType), aggregated);
+  }
+
+  const allowed = markChannels(mark);
+  const encoding = {};
+  Object.entries(channels)
+    .filter(([channel, field]) => field && allowed.includes(channel))
+    .forEach(([channel, field]) => {
+      const metadata = fieldMetadata[field.fid];
+      encoding[channel] = encodeField(field, aggregated, metadata);
+      const format = fieldFormat(encoding[channel], metadata);
+      if (format) {
+        applyFormat(channel, encoding[channel], format);
+      }
+    });
+
+  // A binned position spans its bin
+  ['x', 'y'].forEach(channel => {
+    if (encoding[channel] && encoding[channel].bin) {
+      encoding[`${channel}2`] = { field: encoding[channel].field.replace(/\[0\]$/, '[1]') };
+    }
+  });
+
+  if (fields.details.length > 0 && mark !== 'arc') {
+    encoding.detail = fields.details.map(field => encodeField(field, aggregated, fieldMetadata[field.fid]));
+  }
+
+  // Sorting one axis orders it by the other
+  if (encoding.x && encoding.y) {
+    if (x.sort && x.sort !== 'none' && (!y.sort || y.sort === 'none')) {
+      encoding.x.sort = { encoding: 'y', order: x.sort };
+    } else if (y.sort && y.sort !== 'none' && (!x.sort || x.sort === 'none')) {
+      encoding.y.sort = { encoding: 'x', order: y.sort };
+    }
+  }
+
+  // 'stack' and 'zero' are Vega-Lite's default
+  if (layout.stack && layout.stack !== 'stack' && layout.stack !== 'zero') {
+    ['x', 'y', 'theta', 'radius'].forEach(channel => {
+      if (encoding[channel] && encoding[channel].type === 'quantitative') {
+        encoding[channel].stack = layout.stack === 'none' ? null : layout.stack;
+      }
+    });
+  }
+
+  // Facets split the space between their cells
+  const distinct = (field) => (field ? new Set(rows.map(row => row[field.fid])).size || 1 : 1);
+  const faceted = encoding.row || encoding.column;
+  const spec = {
+    $schema: 'https://vega.github.io/schema/vega-lite/v5.json',
+    data: { values: rows },
+    mark: { type: mark, ...(layout.primaryColor ? { color: layout.primaryColor } : {}) },
+    encoding,
+    background: 'white'
+  };
+
+  if (faceted) {
+    spec.width = Math.max(20, Math.floor(width / distinct(encoding.column && channels.column)) - 20);
+    spec.height = Math.max(20, Math.floor(height / distinct(encoding.row && channels.row)) - 20);
+  } else {
+    spec.width = width;
+    spec.height = height;
+    spec.autosize = { type: 'fit', contains: 'padding' };
+  }
+
+  return spec;
+};
+
+module.exports = {
+  getUnsupportedReason,
+  chartToWorkflow,
+  chartColumns,
+  chartToVegaLite
+};
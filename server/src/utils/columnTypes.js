@@ -0,0 +1,172 @@
+// Column type inference and conversion for uploaded files
+
+const COLUMN_TYPES = ['string', 'number', 'date', 'boolean'];
+
+// Date layouts a date column can be read with, tried in this order when inferring.
+// Each may be followed by a time (" HH:mm[:ss]" or "THH:mm[:ss]") and a time zone.
+const DATE_FORMATS = ['YYYY-MM-DD', 'YYYY/MM/DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'MM-DD-YYYY', 'DD-MM-YYYY'];
+
+const TRUE_VALUES = ['true', 'yes', 'y', 't', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', 'f', '0'];
+
+// Only the unambiguous words count when inferring; 1/0 and y/n are accepted when converting
+const BOOLEAN_WORDS = ['true', 'false', 'yes', 'no'];
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+// Values such as "007" or "02134" are identifiers and postcodes, not numbers
+const LEADING_ZERO_PATTERN = /^[+-]?0\d/;
+
+const DATE_PARTS = { YYYY: '(\\d{4})', MM: '(\\d{1,2})', DD: '(\\d{1,2})' };
+const TIME_PATTERN = '(?:[T ](\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.\\d+)?)?\\s*(Z|[+-]\\d{2}:?\\d{2})?)?';
+
+const DATE_PATTERNS = {};
+DATE_FORMATS.forEach(format => {
+  const source = format.replace(/[./]/g, '\\$&').replace(/YYYY|MM|DD/g, token => DATE_PARTS[token]);
+  DATE_PATTERNS[format] = {
+    order: format.match(/YYYY|MM|DD/g),
+    regex: new RegExp(`^${source}${TIME_PATTERN}$`, 'i')
+  };
+});
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const isBlank = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+// Read a date string with the given layout. Dates come back as "YYYY-MM-DD" or
+// "YYYY-MM-DD HH:mm:ss" (the same wall-clock form workbook dates use); values with a
+// time zone are converted to a UTC ISO timestamp. Returns null when the value does not fit.
+const parseDate = (value, format) => {
+  const pattern = DATE_PATTERNS[format];
+  const match = pattern ? pattern.regex.exec(value) : null;
+  if (!match) return null;
+
+  const parts = {};
+  pattern.order.forEach((token, index) => {
+    parts[token] = Number(match[index + 1]);
+  });
+  const { YYYY: year, MM: month, DD: day } = parts;
+  const [hours, minutes, seconds = '0', zone] = match.slice(4);
+
+  if (month < 1 || month > 12 || day < 1 || day > new Date(Date.UTC(year, month, 0)).getUTCDate()) {
+    return null;
+  }
+
+  const date = `${year}-${pad(month)}-${pad(day)}`;
+  if (hours === undefined) return date;
+  if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) return null;
+
+  const time = `${pad(hours)}:${minutes}:${pad(seconds)}`;
+  if (!zone) return `${date} ${time}`;
+
+  const offset = zone.toUpperCase() === 'Z' ? 'Z' : zone.replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+  return new Date(`${date}T${time}${offset}`).toISOString();
+};
+
+// Find the first date layout every value can be read with
+const detectDateFormat = (values) => DATE_FORMATS.find(format => (
+  values.every(value => typeof value === 'string' && parseDate(value.trim(), format) !== null)
+)) || null;
+
+const isNumberValue = (value) => (
+  (typeof value === 'number' && Number.isFinite(value)) ||
+  (typeof value === 'string' && NUMBER_PATTERN.test(value.trim()) && !LEADING_ZERO_PATTERN.test(value.trim()))
+);
+
+const isBooleanValue = (value) => (
+  typeof value === 'boolean' ||
+  (typeof value === 'string' && BOOLEAN_WORDS.includes(value.trim().toLowerCase()))
+);
+
+// Infer a column's type from its values (blanks are ignored; an all-blank column is a string)
+const inferColumnType = (values) => {
+  const present = values.filter(value => !isBlank(value));
+  if (present.length === 0) return { type: 'string', dateFormat: null };
+
+  if (present.every(isBooleanValue)) return { type: 'boolean', dateFormat: null };
+  if (present.every(isNumberValue)) return { type: 'number', dateFormat: null };
+
+  const dateFormat = detectDateFormat(present);
+  if (dateFormat) return { type: 'date', dateFormat };
+
+  return { type: 'string', dateFormat: null };
+};
+
+// Infer the type of every column of a set of rows
+const inferColumns = (rows, headers) => headers.map(name => ({
+  name,
+  ...inferColumnType(rows.map(row => row[name]))
+}));
+
+// Convert one value to a column type. Blank values and values that cannot be converted
+// become null; a missing date format tries every known layout.
+const convertValue = (value, type, dateFormat = null) => {
+  if (isBlank(value)) return null;
+
+  switch (type) {
+    case 'number': {
+      if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      const text = String(value).trim();
+      return NUMBER_PATTERN.test(text) ? Number(text) : null;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return true;
+      if (FALSE_VALUES.includes(text)) return false;
+      return null;
+    }
+    case 'date': {
+      if (typeof value !== 'string') return null;
+      const text = value.trim();
+      const formats = dateFormat ? [dateFormat] : DATE_FORMATS;
+      for (const format of formats) {
+        const date = parseDate(text, format);
+        if (date !== null) return date;
+      }
+      return null;
+    }
+    default:
+      // Arrays from JSON and Parquet files are kept as they are (stored as JSON)
+      return typeof value === 'object' ? value : String(value);
+  }
+};
+
+// Build dataset rows from parsed rows and a column plan ([{ source, name, type, dateFormat, skip }]).
+// Returns the rows, the kept column names and types, and per-column counts of values that
+// could not be converted (and were stored as null).
+const convertRows = (rows, columns) => {
+  const kept = columns.filter(column => !column.skip);
+  const invalidValues = {};
+
+  const data = rows.map(row => {
+    const record = {};
+    kept.forEach(column => {
+      const value = row[column.source];
+      const converted = convertValue(value, column.type, column.dateFormat);
+      if (converted === null && !isBlank(value)) {
+        invalidValues[column.name] = (invalidValues[column.name] || 0) + 1;
+      }
+      record[column.name] = converted;
+    });
+    return record;
+  });
+
+  const fieldTypes = {};
+  kept.forEach(column => {
+    fieldTypes[column.name] = column.type;
+  });
+
+  return { data, headers: kept.map(column => column.name), fieldTypes, invalidValues };
+};
+
+module.exports = {
+  COLUMN_TYPES,
+  DATE_FORMATS,
+  parseDate,
+  inferColumnType,
+  inferColumns,
+  convertValue,
+  convertRows
+};
@@ -0,0 +1,63 @@
+// Compare two saved states of a dashboard chart by chart
+const { parseDashboardSpecs } = require('./dashboardFields');
+
+const chartName = (spec, index) => (spec && spec.name) || `Chart ${index + 1}`;
+
+// Key every chart by its Graphic Walker visId, falling back to its name and then its position.
+// Repeated keys get a counter so two charts with the same name stay apart.
+const indexCharts = (specs) => {
+  const charts = new Map();
+
+  specs.forEach((spec, index) => {
+    const baseKey = spec && (spec.visId || spec.name) ? String(spec.visId || spec.name) : `#${index}`;
+    let key = baseKey;
+    for (let count = 2; charts.has(key); count++) {
+      key = `${baseKey}~${count}`;
+    }
+    charts.set(key, { spec: spec || {}, name: chartName(spec, index) });
+  });
+
+  return charts;
+};
+
+// The top-level parts of a chart spec (encodings, config, layout, name, ...) that differ
+const changedSections = (previous, current) => (
+  [...new Set([...Object.keys(previous), ...Object.keys(current)])]
+    .filter(key => JSON.stringify(previous[key]) !== JSON.stringify(current[key]))
+);
+
+// Charts added, removed and changed between two dashboard json_format values
+const diffDashboardSpecs = (previousJson, currentJson) => {
+  const previous = indexCharts(parseDashboardSpecs(previousJson));
+  const current = indexCharts(parseDashboardSpecs(currentJson));
+  const changes = { added: [], removed: [], changed: [] };
+
+  current.forEach((chart, key) => {
+    const before = previous.get(key);
+    if (!before) {
+      changes.added.push({ name: chart.name });
+      return;
+    }
+
+    const sections = changedSections(before.spec, chart.spec);
+    if (sections.length > 0) {
+      changes.changed.push({
+        name: chart.name,
+        ...(before.name !== chart.name ? { previousName: before.name } : {}),
+        sections
+      });
+    }
+  });
+
+  previous.forEach((chart, key) => {
+    if (!current.has(key)) {
+      changes.removed.push({ name: chart.name });
+    }
+  });
+
+  return changes;
+};
+
+module.exports = {
+  diffDashboardSpecs
+};
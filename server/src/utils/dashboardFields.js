@@ -0,0 +1,71 @@
+// Helpers for finding the dataset fields a saved dashboard's charts use
+
+// Encoding channels that only list the dataset's fields rather than place them on a chart
+const FIELD_LIST_CHANNELS = ['dimensions', 'measures'];
+
+// Parse a dashboard's stored Graphic Walker specs (a JSON string or an array of charts)
+const parseDashboardSpecs = (jsonFormat) => {
+  if (!jsonFormat) return [];
+
+  try {
+    const specs = typeof jsonFormat === 'string' ? JSON.parse(jsonFormat) : jsonFormat;
+    return Array.isArray(specs) ? specs : [specs];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Collect the dataset fields placed on chart channels or used by filters. Computed fields and
+// Graphic Walker's own fields (such as the row count, gw_count_fid) are not dataset columns.
+const collectSpecFields = (value, fields) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectSpecFields(item, fields));
+    return fields;
+  }
+  if (!value || typeof value !== 'object') return fields;
+
+  if (typeof value.fid === 'string' && !value.computed && !value.fid.startsWith('gw_')) {
+    fields.add(value.fid);
+  }
+
+  Object.entries(value).forEach(([key, item]) => {
+    if (!FIELD_LIST_CHANNELS.includes(key)) {
+      collectSpecFields(item, fields);
+    }
+  });
+  return fields;
+};
+
+// Charts and filter controls may name the dataset they read; those that do not read the
+// dashboard's own (primary) dataset
+const getSourceDataset = (item, primaryDatasetName) => (
+  item && typeof item.datasetName === 'string' && item.datasetName ? item.datasetName : primaryDatasetName
+);
+
+// Names of the datasets a dashboard's charts read, the primary dataset first
+const getDashboardDatasets = (jsonFormat, primaryDatasetName) => {
+  const datasets = new Set([primaryDatasetName]);
+  parseDashboardSpecs(jsonFormat).forEach(spec => {
+    datasets.add(getSourceDataset(spec, primaryDatasetName));
+  });
+  return [...datasets];
+};
+
+// Names of the dataset fields a dashboard's charts and filter controls use; given a dataset
+// name, only the charts and filters on that dataset count
+const getDashboardFields = (jsonFormat, filters = [], datasetName = null, primaryDatasetName = null) => {
+  const onDataset = (item) => !datasetName || getSourceDataset(item, primaryDatasetName) === datasetName;
+  const fields = new Set();
+  parseDashboardSpecs(jsonFormat).filter(onDataset).forEach(spec => {
+    collectSpecFields(spec && spec.encodings, fields);
+  });
+  (filters || []).filter(onDataset).forEach(filter => fields.add(filter.field));
+  return [...fields];
+};
+
+module.exports = {
+  parseDashboardSpecs,
+  getSourceDataset,
+  getDashboardDatasets,
+  getDashboardFields
+};
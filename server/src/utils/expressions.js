@@ -0,0 +1,579 @@
+// Calculated field expressions: a small formula language (arithmetic, text, date and conditional
+// functions) compiled to SQLite expressions over a dataset's row table. Values and names never
+// reach the SQL text: literals become parameters, fields become the row table's own columns and
+// only the functions listed here can be called, so an expression can read rows but do nothing else.
+//
+//   [Revenue] - [Cost]                      fields in brackets (or bare when the name is a word)
+//   IF([Units] > 0, [Revenue] / [Units])    functions, case-insensitive
+//   'FY' & YEAR(DATEADD('month', 3, [Order Date]))   & joins text
+
+// Longest expression and deepest nesting accepted
+const MAX_LENGTH = 2000;
+const MAX_DEPTH = 50;
+
+// Expression types: number, string, boolean and date, plus null (the literal) and any (unknown)
+const TYPE_NAMES = {
+  number: 'a number',
+  string: 'text',
+  boolean: 'true or false',
+  date: 'a date'
+};
+
+// Units accepted by the date functions, with the SQLite date modifier each adds
+const DATE_UNITS = {
+  year: { modifier: 'years', factor: 1 },
+  quarter: { modifier: 'months', factor: 3 },
+  month: { modifier: 'months', factor: 1 },
+  week: { modifier: 'days', factor: 7 },
+  day: { modifier: 'days', factor: 1 },
+  hour: { modifier: 'hours', factor: 1 },
+  minute: { modifier: 'minutes', factor: 1 },
+  second: { modifier: 'seconds', factor: 1 }
+};
+
+const KEYWORDS = ['and', 'or', 'not', 'true', 'false', 'null'];
+
+// An expression that cannot be read or compiled; the message says what and where
+class ExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExpressionError';
+  }
+}
+
+const at = (position) => `at character ${position + 1}`;
+
+// Split an expression into numbers, strings, [fields], words, operators and punctuation
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    const rest = source.slice(index);
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    const number = rest.match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: index });
+      index += number[0].length;
+    } else if (char === '"' || char === "'" || char === '[') {
+      // Strings end at their quote and fields at ']'; doubling it includes it
+      const close = char === '[' ? ']' : char;
+      let value = '';
+      let end = index + 1;
+      for (;;) {
+        if (end >= source.length) {
+          throw new ExpressionError(`${char === '[' ? 'Field name' : 'Text'} ${at(index)} is not closed with ${close}`);
+        }
+        if (source[end] === close) {
+          if (source[end + 1] !== close) break;
+          end++;
+        }
+        value += source[end];
+        end++;
+      }
+      if (char === '[' && value.trim() === '') {
+        throw new ExpressionError(`Empty field name ${at(index)}`);
+      }
+      tokens.push({ type: char === '[' ? 'field' : 'string', value, position: index });
+      index = end + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const [word] = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({ type: 'word', value: word, position: index });
+      index += word.length;
+    } else {
+      const operator = ['==', '!=', '<>', '<=', '>=', '&&', '||'].find(item => rest.startsWith(item))
+        || ('+-*/%&<>=!(),'.includes(char) ? char : null);
+      if (!operator) {
+        throw new ExpressionError(`Unexpected '${char}' ${at(index)}`);
+      }
+      tokens.push({ type: 'operator', value: operator, position: index });
+      index += operator.length;
+    }
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+};
+
+// Read tokens into a tree of literal, field, unary, binary and call nodes
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+  const isKeyword = (...values) => peek().type === 'word' && values.includes(peek().value.toLowerCase());
+  const describe = (token) => (token.type === 'end' ? 'end of expression' : `'${token.value}'`);
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw new ExpressionError(`Expected '${value}' ${at(peek().position)} but found ${describe(peek())}`);
+    }
+    index++;
+  };
+  const nested = (read) => {
+    if (++depth > MAX_DEPTH) {
+      throw new ExpressionError(`The expression is nested more than ${MAX_DEPTH} levels deep`);
+    }
+    const node = read();
+    depth--;
+    return node;
+  };
+
+  // Left-associative binary levels, lowest precedence first
+  const binary = (next, match, normalize) => () => {
+    let left = next();
+    for (;;) {
+      const op = match();
+      if (!op) return left;
+      index++;
+      left = { type: 'binary', op: normalize(op), left, right: next() };
+    }
+  };
+
+  let parseOr;
+
+  const parsePrimary = () => nested(() => {
+    const token = peek();
+
+    if (token.type === 'number' || token.type === 'string') {
+      index++;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'field') {
+      index++;
+      return { type: 'field', name: token.value };
+    }
+    if (isOperator('(')) {
+      index++;
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    if (token.type === 'word') {
+      index++;
+      const word = token.value.toLowerCase();
+      if (word === 'true' || word === 'false') return { type: 'literal', value: word === 'true' };
+      if (word === 'null') return { type: 'literal', value: null };
+
+      if (isOperator('(')) {
+        index++;
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(parseOr());
+          while (isOperator(',')) {
+            index++;
+            args.push(parseOr());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value.toUpperCase(), args, position: token.position };
+      }
+      if (KEYWORDS.includes(word)) {
+        throw new ExpressionError(`Unexpected '${token.value}' ${at(token.position)}`);
+      }
+      return { type: 'field', name: token.value };
+    }
+
+    throw new ExpressionError(`Unexpected ${describe(token)} ${at(token.position)}`);
+  });
+
+  const parseUnary = () => {
+    if (isOperator('-')) {
+      index++;
+      return nested(() => ({ type: 'unary', op: '-', operand: parseUnary() }));
+    }
+    return parsePrimary();
+  };
+
+  const parseTerm = binary(parseUnary, () => isOperator('*', '/', '%') && peek().value, op => op);
+  const parseSum = binary(parseTerm, () => isOperator('+', '-', '&') && peek().value, op => op);
+
+  const parseComparison = () => {
+    const left = parseSum();
+    if (!isOperator('=', '==', '!=', '<>', '<', '<=', '>', '>=')) return left;
+    const op = { '==': '=', '!=': '<>' }[peek().value] || peek().value;
+    index++;
+    return { type: 'binary', op, left, right: parseSum() };
+  };
+
+  const parseNot = () => {
+    if (isOperator('!') || isKeyword('not')) {
+      index++;
+      return nested(() => ({ type: 'not', operand: parseNot() }));
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = binary(
+    parseNot,
+    () => (isOperator('&&') || isKeyword('and')) && 'and',
+    () => 'AND'
+  );
+  parseOr = binary(
+    parseAnd,
+    () => (isOperator('||') || isKeyword('or')) && 'or',
+    () => 'OR'
+  );
+
+  const tree = parseOr();
+  if (peek().type !== 'end') {
+    throw new ExpressionError(`Unexpected ${describe(peek())} ${at(peek().position)}`);
+  }
+  return tree;
+};
+
+// Join SQL text and compiled parts ({ sql, params }) in order, keeping their parameters in step
+const sql = (strings, ...parts) => ({
+  sql: strings.reduce((text, string, i) => text + string + (i < parts.length ? parts[i].sql : ''), ''),
+  params: parts.flatMap(part => part.params)
+});
+
+const raw = (text) => ({ sql: text, params: [] });
+const typed = (compiled, type) => ({ ...compiled, type });
+const list = (args) => args.reduce((joined, arg, i) => (i === 0 ? arg : sql`${joined}, ${arg}`), { sql: '', params: [] });
+
+// Make sure a value can be used where the given types are expected (unknowns and nulls always can)
+const expectType = (arg, types, what) => {
+  if (!['any', 'null', ...types].includes(arg.type)) {
+    throw new ExpressionError(`${what} needs ${types.map(type => TYPE_NAMES[type]).join(' or ')}, not ${TYPE_NAMES[arg.type]}`);
+  }
+};
+
+// The type of a value that is one of several (IF, IFNULL, COALESCE, MIN, MAX)
+const commonType = (args) => {
+  const types = [...new Set(args.map(arg => arg.type).filter(type => type !== 'null'))];
+  if (types.length === 0) return 'null';
+  return types.length === 1 ? types[0] : 'any';
+};
+
+// A value as text the way the client shows it (SQLite writes stored decimals as 20.0)
+const toText = (arg) => {
+  if (arg.type === 'boolean') return sql`CASE WHEN ${arg} IS NULL THEN NULL WHEN ${arg} THEN 'true' ELSE 'false' END`;
+  if (arg.type === 'number' || arg.type === 'any') return sql`gw_text(${arg})`;
+  return arg;
+};
+
+const NUMBER = ['number'];
+const TEXT = ['string'];
+const DATE = ['date', 'string'];
+const ANY = [];
+
+const part = (strftime, value) => typed(sql`CAST(strftime('${raw(strftime)}', ${value}) AS INTEGER)`, 'number');
+
+// Functions by name: how many arguments they take (min, max), the types those arguments need
+// (the last entry covers any further ones; [] takes anything), whether the first is a date unit,
+// and the SQL they become
+const FUNCTIONS = {
+  // Numbers
+  ABS: { count: [1, 1], types: [NUMBER], build: ([x]) => typed(sql`ABS(${x})`, 'number') },
+  ROUND: {
+    count: [1, 2],
+    types: [NUMBER],
+    build: ([x, digits]) => typed(digits ? sql`ROUND(${x}, ${digits})` : sql`ROUND(${x})`, 'number')
+  },
+  FLOOR: { count: [1, 1], types: [NUMBER], build: ([x]) => typed(sql`gw_floor(${x})`, 'number') },
+  CEIL: { count: [1, 1], types: [NUMBER], build: ([x]) => typed(sql`gw_ceil(${x})`, 'number') },
+  SQRT: { count: [1, 1], types: [NUMBER], build: ([x]) => typed(sql`gw_sqrt(${x})`, 'number') },
+  POWER: { count: [2, 2], types: [NUMBER], build: ([x, y]) => typed(sql`gw_power(${x}, ${y})`, 'number') },
+  EXP: { count: [1, 1], types: [NUMBER], build: ([x]) => typed(sql`gw_exp(${x})`, 'number') },
+  LN: { count: [1, 1], types: [NUMBER], build: ([x]) => typed(sql`gw_log(${x}, ${{ sql: '?', params: [Math.E] }})`, 'number') },
+  LOG: {
+    count: [1, 2],
+    types: [NUMBER],
+    build: ([x, base]) => typed(sql`gw_log(${x}, ${base || raw('10')})`, 'number')
+  },
+  MOD: { count: [2, 2], types: [NUMBER], build: ([x, y]) => typed(sql`(${x} % ${y})`, 'number') },
+  MIN: { count: [2, Infinity], types: [ANY], build: (args) => typed(sql`MIN(${list(args)})`, commonType(args)) },
+  MAX: { count: [2, Infinity], types: [ANY], build: (args) => typed(sql`MAX(${list(args)})`, commonType(args)) },
+
+  // Text
+  CONCAT: {
+    count: [1, Infinity],
+    types: [ANY],
+    // Unlike &, empty values are skipped rather than making the whole result empty
+    build: (args) => typed(args.map(arg => sql`IFNULL(${toText(arg)}, '')`).reduce((joined, arg) => sql`${joined} || ${arg}`), 'string')
+  },
+  UPPER: { count: [1, 1], types: [ANY], build: ([s]) => typed(sql`UPPER(${s})`, 'string') },
+  LOWER: { count: [1, 1], types: [ANY], build: ([s]) => typed(sql`LOWER(${s})`, 'string') },
+  TRIM: { count: [1, 1], types: [ANY], build: ([s]) => typed(sql`TRIM(${s})`, 'string') },
+  LENGTH: { count: [1, 1], types: [ANY], build: ([s]) => typed(sql`LENGTH(${s})`, 'number') },
+  LEFT: { count: [2, 2], types: [ANY, NUMBER], build: ([s, n]) => typed(sql`SUBSTR(${s}, 1, ${n})`, 'string') },
+  RIGHT: {
+    count: [2, 2],
+    types: [ANY, NUMBER],
+    build: ([s, n]) => typed(sql`CASE WHEN ${n} > 0 THEN SUBSTR(${s}, -${n}) ELSE '' END`, 'string')
+  },
+  MID: {
+    count: [2, 3],
+    types: [ANY, NUMBER],
+    build: ([s, start, length]) => typed(length ? sql`SUBSTR(${s}, ${start}, ${length})` : sql`SUBSTR(${s}, ${start})`, 'string')
+  },
+  REPLACE: { count: [3, 3], types: [ANY], build: ([s, from, to]) => typed(sql`REPLACE(${s}, ${from}, ${to})`, 'string') },
+  FIND: { count: [2, 2], types: [ANY], build: ([s, search]) => typed(sql`INSTR(${s}, ${search})`, 'number') },
+  CONTAINS: { count: [2, 2], types: [ANY], build: ([s, search]) => typed(sql`(INSTR(${s}, ${search}) > 0)`, 'boolean') },
+  STARTSWITH: {
+    count: [2, 2],
+    types: [ANY],
+    build: ([s, prefix]) => typed(sql`(SUBSTR(${s}, 1, LENGTH(${prefix})) = ${prefix})`, 'boolean')
+  },
+  ENDSWITH: {
+    count: [2, 2],
+    types: [ANY],
+    build: ([s, suffix]) => typed(sql`(LENGTH(${suffix}) = 0 OR SUBSTR(${s}, -LENGTH(${suffix})) = ${suffix})`, 'boolean')
+  },
+  TEXT: { count: [1, 1], types: [ANY], build: ([x]) => typed(toText(x), 'string') },
+  NUMBER: { count: [1, 1], types: [ANY], build: ([x]) => typed(sql`gw_number(${x})`, 'number') },
+
+  // Conditions
+  IF: {
+    count: [2, 3],
+    types: [ANY],
+    build: ([condition, then, otherwise]) => typed(
+      otherwise ? sql`CASE WHEN ${condition} THEN ${then} ELSE ${otherwise} END` : sql`CASE WHEN ${condition} THEN ${then} END`,
+      commonType(otherwise ? [then, otherwise] : [then])
+    )
+  },
+  IFNULL: { count: [2, 2], types: [ANY], build: (args) => typed(sql`IFNULL(${list(args)})`, commonType(args)) },
+  COALESCE: { count: [2, Infinity], types: [ANY], build: (args) => typed(sql`COALESCE(${list(args)})`, commonType(args)) },
+  ISNULL: { count: [1, 1], types: [ANY], build: ([x]) => typed(sql`(${x} IS NULL)`, 'boolean') },
+
+  // Dates, read from "YYYY-MM-DD[ HH:mm:ss]" and ISO timestamps
+  DATE: { count: [1, 1], types: [DATE], build: ([d]) => typed(sql`date(${d})`, 'date') },
+  DATETIME: { count: [1, 1], types: [DATE], build: ([d]) => typed(sql`datetime(${d})`, 'date') },
+  TODAY: { count: [0, 0], types: [], build: () => typed(sql`date('now')`, 'date') },
+  NOW: { count: [0, 0], types: [], build: () => typed(sql`datetime('now')`, 'date') },
+  YEAR: { count: [1, 1], types: [DATE], build: ([d]) => part('%Y', d) },
+  QUARTER: {
+    count: [1, 1],
+    types: [DATE],
+    build: ([d]) => typed(sql`((CAST(strftime('%m', ${d}) AS INTEGER) + 2) / 3)`, 'number')
+  },
+  MONTH: { count: [1, 1], types: [DATE], build: ([d]) => part('%m', d) },
+  DAY: { count: [1, 1], types: [DATE], build: ([d]) => part('%d', d) },
+  HOUR: { count: [1, 1], types: [DATE], build: ([d]) => part('%H', d) },
+  MINUTE: { count: [1, 1], types: [DATE], build: ([d]) => part('%M', d) },
+  // 1 for Sunday to 7 for Saturday
+  WEEKDAY: { count: [1, 1], types: [DATE], build: ([d]) => typed(sql`(CAST(strftime('%w', ${d}) AS INTEGER) + 1)`, 'number') },
+  // Dates without a time stay dates without a time when whole days are added
+  DATEADD: {
+    count: [3, 3],
+    unit: true,
+    types: [ANY, NUMBER, DATE],
+    build: ([unit, amount, d]) => {
+      const { modifier, factor } = DATE_UNITS[unit];
+      const shift = sql`(${amount} * ${raw(String(factor))}) || ' ${raw(modifier)}'`;
+      if (['hour', 'minute', 'second'].includes(unit)) {
+        return typed(sql`datetime(${d}, ${shift})`, 'date');
+      }
+      return typed(sql`CASE WHEN LENGTH(${d}) = 10 THEN date(${d}, ${shift}) ELSE datetime(${d}, ${shift}) END`, 'date');
+    }
+  },
+  // Whole units from start to end (negative when end is earlier). Years, quarters and months
+  // count calendar boundaries crossed; shorter units count elapsed time.
+  DATEDIFF: {
+    count: [3, 3],
+    unit: true,
+    types: [ANY, DATE, DATE],
+    build: ([unit, start, end]) => {
+      const months = (d) => sql`(CAST(strftime('%Y', ${d}) AS INTEGER) * 12 + CAST(strftime('%m', ${d}) AS INTEGER) - 1)`;
+      const elapsed = (perDay) => sql`CAST((julianday(${end}) - julianday(${start})) * ${raw(String(perDay))} AS INTEGER)`;
+      const diffs = {
+        year: () => sql`(CAST(strftime('%Y', ${end}) AS INTEGER) - CAST(strftime('%Y', ${start}) AS INTEGER))`,
+        quarter: () => sql`(${months(end)} / 3 - ${months(start)} / 3)`,
+        month: () => sql`(${months(end)} - ${months(start)})`,
+        week: () => sql`(${elapsed(1)} / 7)`,
+        day: () => elapsed(1),
+        hour: () => elapsed(24),
+        minute: () => elapsed(1440),
+        second: () => elapsed(86400)
+      };
+      return typed(diffs[unit](), 'number');
+    }
+  },
+  // The start of the unit a date falls in (weeks start on Monday)
+  DATETRUNC: {
+    count: [2, 2],
+    unit: true,
+    types: [ANY, DATE],
+    build: ([unit, d]) => {
+      const truncs = {
+        year: () => sql`strftime('%Y-01-01', ${d})`,
+        quarter: () => sql`printf('%s-%02d-01', strftime('%Y', ${d}), (CAST(strftime('%m', ${d}) AS INTEGER) - 1) / 3 * 3 + 1)`,
+        month: () => sql`strftime('%Y-%m-01', ${d})`,
+        week: () => sql`date(${d}, '-6 days', 'weekday 1')`,
+        day: () => sql`date(${d})`,
+        hour: () => sql`strftime('%Y-%m-%d %H:00:00', ${d})`,
+        minute: () => sql`strftime('%Y-%m-%d %H:%M:00', ${d})`,
+        second: () => sql`strftime('%Y-%m-%d %H:%M:%S', ${d})`
+      };
+      return typed(truncs[unit](), 'date');
+    }
+  }
+};
+
+const OPERATOR_NAMES = { '+': 'Adding', '-': 'Subtracting', '*': 'Multiplying', '/': 'Dividing', '%': 'The remainder' };
+
+// Compile a tree to { sql, params, type }; scope maps field names to their compiled SQL
+const compileNode = (node, scope) => {
+  switch (node.type) {
+    case 'literal':
+      if (node.value === null) return typed(sql`NULL`, 'null');
+      if (typeof node.value === 'boolean') return typed(raw(node.value ? '1' : '0'), 'boolean');
+      return { sql: '?', params: [node.value], type: typeof node.value === 'number' ? 'number' : 'string' };
+
+    case 'field': {
+      const field = scope.get(node.name);
+      if (!field) {
+        throw new ExpressionError(`Unknown field [${node.name}]`);
+      }
+      return field;
+    }
+
+    case 'unary': {
+      const operand = compileNode(node.operand, scope);
+      expectType(operand, NUMBER, 'Negating');
+      return typed(sql`(-${operand})`, 'number');
+    }
+
+    case 'not':
+      return typed(sql`(NOT ${compileNode(node.operand, scope)})`, 'boolean');
+
+    case 'binary': {
+      const left = compileNode(node.left, scope);
+      const right = compileNode(node.right, scope);
+      const op = raw(node.op);
+
+      if (node.op === 'AND' || node.op === 'OR') {
+        return typed(sql`(${left} ${op} ${right})`, 'boolean');
+      }
+      if (node.op === '&') {
+        return typed(sql`(${toText(left)} || ${toText(right)})`, 'string');
+      }
+      if (OPERATOR_NAMES[node.op]) {
+        [left, right].forEach(arg => expectType(
+          arg,
+          NUMBER,
+          `${OPERATOR_NAMES[node.op]}${node.op === '+' ? ' (use & to join text)' : ''}`
+        ));
+        // SQLite divides whole numbers without a remainder
+        return typed(node.op === '/' ? sql`(${left} * 1.0 / ${right})` : sql`(${left} ${op} ${right})`, 'number');
+      }
+      return typed(sql`(${left} ${op} ${right})`, 'boolean');
+    }
+
+    case 'call': {
+      const definition = FUNCTIONS[node.name];
+      if (!definition) {
+        throw new ExpressionError(`Unknown function ${node.name}() ${at(node.position)}`);
+      }
+
+      const [min, max] = definition.count;
+      if (node.args.length < min || node.args.length > max) {
+        const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+        throw new ExpressionError(`${node.name}() takes ${expected} argument${expected === '1' ? '' : 's'}, not ${node.args.length}`);
+      }
+
+      const args = node.args.map((arg, index) => {
+        if (definition.unit && index === 0) {
+          const unit = arg.type === 'literal' && typeof arg.value === 'string' ? arg.value.toLowerCase() : null;
+          if (!DATE_UNITS[unit]) {
+            throw new ExpressionError(`${node.name}() needs a unit in quotes first: ${Object.keys(DATE_UNITS).map(item => `'${item}'`).join(', ')}`);
+          }
+          return unit;
+        }
+        const compiled = compileNode(arg, scope);
+        const types = definition.types[Math.min(index, definition.types.length - 1)];
+        if (types.length > 0) {
+          expectType(compiled, types, `Argument ${index + 1} of ${node.name}()`);
+        }
+        return compiled;
+      });
+      return definition.build(args);
+    }
+
+    default:
+      throw new ExpressionError('Unsupported expression');
+  }
+};
+
+// Compile one expression against the fields in scope (name -> { sql, params, type })
+const compileExpression = (expression, scope) => {
+  const source = String(expression || '');
+  if (source.trim() === '') {
+    throw new ExpressionError('The expression is empty');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new ExpressionError(`The expression is longer than ${MAX_LENGTH} characters`);
+  }
+  const compiled = compileNode(parse(source), scope);
+  return { sql: `(${compiled.sql})`, params: compiled.params, type: compiled.type };
+};
+
+// The expression type of a stored column: its type chosen at import, else how it is stored
+const columnType = (column) => {
+  if (column.fieldType) return column.fieldType;
+  if (['integer', 'real'].includes(column.type)) return 'number';
+  if (column.type === 'boolean') return 'boolean';
+  if (column.type === 'text') return 'string';
+  return 'any';
+};
+
+// Compile a dataset's calculated fields ([{ name, expression }]) against its row columns, in
+// order, so each may use the ones before it. Returns the fields that compile as
+// { name, type, sql, params, alias } (type is a column type: string, number, date or boolean)
+// and the others as { name, message }. A field reads the ones before it by their aliases
+// (__calc0, __calc1, ...), so the rows must be selected with selectCalculatedFields.
+const compileCalculatedFields = (calculatedFields, rowColumns) => {
+  const scope = new Map((rowColumns || []).map(column => [
+    column.name,
+    { sql: column.column, params: [], type: columnType(column) }
+  ]));
+  const fields = [];
+  const errors = [];
+
+  (calculatedFields || []).forEach(field => {
+    try {
+      if (scope.has(field.name)) {
+        throw new ExpressionError(`The dataset already has a field named '${field.name}'`);
+      }
+      const compiled = compileExpression(field.expression, scope);
+      const alias = `__calc${fields.length}`;
+      scope.set(field.name, { sql: alias, params: [], type: compiled.type });
+      fields.push({
+        name: field.name,
+        type: TYPE_NAMES[compiled.type] ? compiled.type : 'string',
+        sql: compiled.sql,
+        params: compiled.params,
+        alias
+      });
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      errors.push({ name: field.name, message: error.message });
+    }
+  });
+
+  return { fields, errors };
+};
+
+// The rows of a query (sql with its params) with compiled calculated fields added as columns
+// named by their aliases. Each field is computed in a subquery of its own that SQLite cannot
+// flatten (it has an OFFSET), so a field used by the ones after it is computed once per row
+// instead of being copied into each of their expressions. Row order is not kept.
+const selectCalculatedFields = (fields, sql, params = []) => fields.reduce((query, field) => ({
+  sql: `SELECT *, ${field.sql} AS ${field.alias} FROM (${query.sql}) LIMIT -1 OFFSET 0`,
+  params: [...field.params, ...query.params]
+}), { sql, params });
+
+module.exports = {
+  ExpressionError,
+  compileExpression,
+  compileCalculatedFields,
+  selectCalculatedFields
+};
@@ -0,0 +1,45 @@
+// Workspace membership roles, from least to most privileged
+const ROLES = {
+  VIEWER: 'viewer',
+  EDITOR: 'editor',
+  OWNER: 'owner'
+};
+
+const ROLE_RANK = {
+  [ROLES.VIEWER]: 1,
+  [ROLES.EDITOR]: 2,
+  [ROLES.OWNER]: 3
+};
+
+class PermissionError extends Error {
+  constructor(message, requiredRole = null) {
+    super(message);
+    this.name = 'PermissionError';
+    this.requiredRole = requiredRole;
+  }
+}
+
+const permissions = {
+  isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLE_RANK, role);
+  },
+
+  // True when the role grants at least the required level of access
+  hasRole(role, requiredRole) {
+    return (ROLE_RANK[role] || 0) >= ROLE_RANK[requiredRole];
+  },
+
+  // Throw when the role does not grant the required level of access
+  requireRole(role, requiredRole, action) {
+    if (!this.hasRole(role, requiredRole)) {
+      throw new PermissionError(
+        `${requiredRole.charAt(0).toUpperCase()}${requiredRole.slice(1)} access is required to ${action}`,
+        requiredRole
+      );
+    }
+
+    return true;
+  }
+};
+
+module.exports = { ROLES, permissions, PermissionError };
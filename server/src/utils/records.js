@@ -0,0 +1,46 @@
+// Helpers for turning parsed JSON and Parquet records into flat dataset rows
+
+const isPlainObject = (value) => (
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !ArrayBuffer.isView(value)
+);
+
+// Flatten nested objects into dotted column names: { a: { b: 1 } } becomes { 'a.b': 1 }.
+// Arrays are kept as values (stored as JSON); an empty nested object becomes null.
+const flattenRecord = (record, prefix = '', target = {}) => {
+  Object.entries(record).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flattenRecord(value, name, target);
+    } else {
+      target[name] = isPlainObject(value) || value === undefined ? null : value;
+    }
+  });
+
+  return target;
+};
+
+// Flatten a list of parsed values; anything that is not an object becomes { value }
+const flattenRecords = (records) => records.map(record => (
+  isPlainObject(record) ? flattenRecord(record) : { value: record === undefined ? null : record }
+));
+
+// Column names across all records, in the order they first appear
+const collectHeaders = (records) => {
+  const headers = new Set();
+  records.forEach(record => {
+    Object.keys(record).forEach(key => headers.add(key));
+  });
+  return [...headers];
+};
+
+module.exports = {
+  isPlainObject,
+  flattenRecord,
+  flattenRecords,
+  collectHeaders
+};
@@ -0,0 +1,117 @@
+// Read-only SQL queries over datasets. A query is one SELECT (or WITH ... SELECT, or VALUES)
+// statement; each dataset it names is a table with the dataset's fields as columns:
+//
+//   SELECT region, SUM(sales) AS total FROM "Monthly Sales" GROUP BY region
+//
+// The text is only split into tokens here, to find the statement's end and the names it uses.
+// It runs as a subquery in a database holding just the datasets it names (see
+// services/sqlQueryService), so nothing but reading those rows is possible.
+const { ValidationError } = require('./validation');
+
+// Longest query accepted
+const MAX_LENGTH = 100000;
+
+const STATEMENTS = ['select', 'with', 'values'];
+
+const at = (position) => `at character ${position + 1}`;
+
+// Split a query into words, quoted names, strings, numbers and other characters. Comments and
+// whitespace are dropped.
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    const rest = source.slice(index);
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (rest.startsWith('--')) {
+      const end = source.indexOf('\n', index);
+      index = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    if (rest.startsWith('/*')) {
+      const end = source.indexOf('*/', index + 2);
+      if (end === -1) {
+        throw new ValidationError(`The comment ${at(index)} is not closed with */`, 'sql');
+      }
+      index = end + 2;
+      continue;
+    }
+
+    if (char === "'" || char === '"' || char === '`' || char === '[') {
+      // Strings end at their quote and names at theirs; doubling a quote includes it
+      const close = char === '[' ? ']' : char;
+      let value = '';
+      let end = index + 1;
+      for (;;) {
+        if (end >= source.length) {
+          throw new ValidationError(`${char === "'" ? 'Text' : 'The name'} ${at(index)} is not closed with ${close}`, 'sql');
+        }
+        if (source[end] === close) {
+          if (close === ']' || source[end + 1] !== close) break;
+          end++;
+        }
+        value += source[end];
+        end++;
+      }
+      tokens.push({ type: char === "'" ? 'string' : 'name', value, position: index });
+      index = end + 1;
+      continue;
+    }
+
+    const word = rest.match(/^[\p{L}_][\p{L}\p{N}_$]*/u);
+    if (word) {
+      tokens.push({ type: 'word', value: word[0], position: index });
+      index += word[0].length;
+      continue;
+    }
+
+    tokens.push({ type: 'symbol', value: char, position: index });
+    index++;
+  }
+
+  return tokens;
+};
+
+// Check a query and find the tables it may read. Returns the query without trailing semicolons
+// and the words and quoted names in it (any of which may be a dataset).
+const parseQuery = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new ValidationError('SQL query is required', 'sql');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new ValidationError(`SQL query must be at most ${MAX_LENGTH} characters`, 'sql');
+  }
+
+  const tokens = tokenize(source);
+  const end = tokens.findIndex(token => token.type === 'symbol' && token.value === ';');
+  if (end !== -1 && tokens.slice(end).some(token => token.type !== 'symbol' || token.value !== ';')) {
+    throw new ValidationError('Only one statement can be run at a time', 'sql');
+  }
+
+  const statement = end === -1 ? tokens : tokens.slice(0, end);
+  if (statement.length === 0) {
+    throw new ValidationError('SQL query is required', 'sql');
+  }
+  if (statement[0].type !== 'word' || !STATEMENTS.includes(statement[0].value.toLowerCase())) {
+    throw new ValidationError('Only SELECT queries can be run', 'sql');
+  }
+
+  const names = statement
+    .filter(token => token.type === 'word' || token.type === 'name')
+    .map(token => token.value);
+
+  return {
+    sql: end === -1 ? source.trim() : source.slice(0, tokens[end].position).trim(),
+    names: [...new Set(names)]
+  };
+};
+
+module.exports = { parseQuery };
@@ -1,5 +1,32 @@
 const path = require('path');
+const iconv = require('iconv-lite');
 const config = require('../config');
+const { permissions, ROLES } = require('./permissions');
+const { COLUMN_TYPES, DATE_FORMATS } = require('./columnTypes');
+
+// Dashboard layouts place tiles on a grid this many columns wide
+const LAYOUT_COLUMNS = 12;
+const LAYOUT_MAX_ROW_SPAN = 48;
+const LAYOUT_MAX_TILES = 200;
+const LAYOUT_MAX_TEXT_LENGTH = 10000;
+
+// Dashboard filter controls: a dropdown of a field's values, a number range or a date range
+const DASHBOARD_FILTER_TYPES = ['select', 'range', 'dateRange'];
+const DASHBOARD_MAX_FILTERS = 20;
+
+// Derived datasets join two datasets (inner or left), stack several in a union or hold the
+// result of a SQL query
+const DERIVATION_TYPES = ['join', 'union', 'query'];
+const JOIN_TYPES = ['inner', 'left'];
+
+// Field metadata describes how a dataset's fields are presented: names, types, formats, units
+// and the order of an ordinal field's values
+const FIELD_METADATA_KEYS = ['displayName', 'description', 'semanticType', 'analyticType', 'numberFormat', 'dateFormat', 'unit', 'sortOrder'];
+const SEMANTIC_TYPES = ['quantitative', 'temporal', 'ordinal', 'nominal'];
+const ANALYTIC_TYPES = ['dimension', 'measure'];
+const FIELD_METADATA_MAX_SORT_VALUES = 1000;
+// A d3-format specifier, such as ',.2f', '.0%' or '$,'
+const NUMBER_FORMAT_PATTERN = /^(?:(.)?([<>=^]))?([+\-( ])?([$#])?(0)?(\d+)?(,)?(\.\d+)?(~)?([a-z%])?$/i;
 
 class ValidationError extends Error {
   constructor(message, field = null) {
@@ -65,6 +92,249 @@ const validation = {
     return true;
   },
 
+  // Dashboard layout validation ({ items: [{ id, type: 'chart'|'text', chartId, title, content, x, y, w, h }] });
+  // chart tiles name the chart they show, text tiles carry markdown
+  validateDashboardLayout(layout) {
+    if (layout === null) {
+      return true;
+    }
+
+    if (typeof layout !== 'object' || !Array.isArray(layout.items)) {
+      throw new ValidationError('Layout must be an object with an items array', 'layout');
+    }
+
+    if (layout.items.length > LAYOUT_MAX_TILES) {
+      throw new ValidationError(`Layout cannot have more than ${LAYOUT_MAX_TILES} tiles`, 'layout');
+    }
+
+    const isWhole = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+    const ids = new Set();
+    layout.items.forEach((item, index) => {
+      if (!item || typeof item !== 'object') {
+        throw new ValidationError(`Layout tile ${index} must be an object`, 'layout');
+      }
+
+      if (typeof item.id !== 'string' || item.id.length === 0 || ids.has(item.id)) {
+        throw new ValidationError(`Layout tile ${index} needs a unique id`, 'layout');
+      }
+      ids.add(item.id);
+
+      if (item.type === 'chart') {
+        if (typeof item.chartId !== 'string' || item.chartId.length === 0) {
+          throw new ValidationError(`Chart tile '${item.id}' must name its chart`, 'layout');
+        }
+      } else if (item.type === 'text') {
+        if (typeof item.content !== 'string' || item.content.length > LAYOUT_MAX_TEXT_LENGTH) {
+          throw new ValidationError(`Text tile '${item.id}' needs text of at most ${LAYOUT_MAX_TEXT_LENGTH} characters`, 'layout');
+        }
+      } else {
+        throw new ValidationError(`Layout tile '${item.id}' must have a type of: chart, text`, 'layout');
+      }
+
+      if (item.title !== undefined && item.title !== null && (typeof item.title !== 'string' || item.title.length > 200)) {
+        throw new ValidationError(`Title of tile '${item.id}' must be text of at most 200 characters`, 'layout');
+      }
+
+      if (!isWhole(item.w, 1, LAYOUT_COLUMNS) || !isWhole(item.x, 0, LAYOUT_COLUMNS - item.w)) {
+        throw new ValidationError(`Tile '${item.id}' must fit within ${LAYOUT_COLUMNS} columns`, 'layout');
+      }
+
+      if (!isWhole(item.h, 1, LAYOUT_MAX_ROW_SPAN) || !isWhole(item.y, 0, LAYOUT_MAX_TILES * LAYOUT_MAX_ROW_SPAN)) {
+        throw new ValidationError(`Tile '${item.id}' must have a whole-number row and a height of 1 to ${LAYOUT_MAX_ROW_SPAN} rows`, 'layout');
+      }
+    });
+
+    return true;
+  },
+
+  // Dashboard filter validation ([{ id, type: 'select'|'range'|'dateRange', field, label, datasetName }];
+  // the dataset defaults to the dashboard's own)
+  validateDashboardFilters(filters) {
+    if (!Array.isArray(filters)) {
+      throw new ValidationError('Filters must be an array', 'filters');
+    }
+
+    if (filters.length > DASHBOARD_MAX_FILTERS) {
+      throw new ValidationError(`A dashboard cannot have more than ${DASHBOARD_MAX_FILTERS} filters`, 'filters');
+    }
+
+    const ids = new Set();
+    filters.forEach((filter, index) => {
+      if (!filter || typeof filter !== 'object') {
+        throw new ValidationError(`Filter ${index} must be an object`, 'filters');
+      }
+
+      if (typeof filter.id !== 'string' || filter.id.length === 0 || ids.has(filter.id)) {
+        throw new ValidationError(`Filter ${index} needs a unique id`, 'filters');
+      }
+      ids.add(filter.id);
+
+      if (!DASHBOARD_FILTER_TYPES.includes(filter.type)) {
+        throw new ValidationError(`Filter '${filter.id}' must have a type of: ${DASHBOARD_FILTER_TYPES.join(', ')}`, 'filters');
+      }
+
+      if (typeof filter.field !== 'string' || filter.field.length === 0) {
+        throw new ValidationError(`Filter '${filter.id}' must name a field`, 'filters');
+      }
+
+      if (filter.label !== undefined && filter.label !== null && (typeof filter.label !== 'string' || filter.label.length > 100)) {
+        throw new ValidationError(`Label of filter '${filter.id}' must be text of at most 100 characters`, 'filters');
+      }
+
+      if (filter.datasetName !== undefined && filter.datasetName !== null && (typeof filter.datasetName !== 'string' || filter.datasetName.length === 0)) {
+        throw new ValidationError(`Dataset of filter '${filter.id}' must be a non-empty string`, 'filters');
+      }
+    });
+
+    return true;
+  },
+
+  // Dashboard draft validation (the dashboard name comes from the URL)
+  validateDashboardDraft(draft) {
+    if (!draft || typeof draft.datasetName !== 'string' || draft.datasetName.trim().length === 0) {
+      throw new ValidationError('Missing required fields: datasetName', 'datasetName');
+    }
+
+    if (typeof draft.jsonFormat !== 'string') {
+      throw new ValidationError('Missing required fields: jsonFormat', 'jsonFormat');
+    }
+
+    try {
+      JSON.parse(draft.jsonFormat);
+    } catch (jsonError) {
+      throw new ValidationError('Invalid JSON format provided', 'jsonFormat');
+    }
+
+    return true;
+  },
+
+  // Dashboard share link validation ({ expiresAt, password }, both optional); returns the expiry
+  // as an ISO string, or null for a link that does not expire
+  validateDashboardShare(share) {
+    const { expiresAt, password } = share || {};
+
+    if (password !== undefined && password !== null && password !== '' &&
+      (typeof password !== 'string' || password.length < 6 || password.length > 100)) {
+      throw new ValidationError('Share password must be 6 to 100 characters long', 'password');
+    }
+
+    if (expiresAt === undefined || expiresAt === null || expiresAt === '') {
+      return null;
+    }
+
+    const expiry = new Date(expiresAt);
+    if (typeof expiresAt !== 'string' || Number.isNaN(expiry.getTime())) {
+      throw new ValidationError('Expiry must be a date', 'expiresAt');
+    }
+
+    if (expiry.getTime() <= Date.now()) {
+      throw new ValidationError('Expiry must be in the future', 'expiresAt');
+    }
+
+    return expiry.toISOString();
+  },
+
+  // Dashboard export format validation (?format=, png when not given)
+  validateExportFormat(format) {
+    if (format === undefined || format === null || format === '') {
+      return 'png';
+    }
+
+    const normalized = String(format).toLowerCase();
+    if (!config.export.formats.includes(normalized)) {
+      throw new ValidationError(`Export format must be one of: ${config.export.formats.join(', ')}`, 'format');
+    }
+    return normalized;
+  },
+
+  // Dataset download format validation (csv when not given)
+  validateDataExportFormat(format) {
+    if (format === undefined || format === null || format === '') {
+      return 'csv';
+    }
+
+    const normalized = String(format).toLowerCase();
+    if (!config.dataExport.formats.includes(normalized)) {
+      throw new ValidationError(`Download format must be one of: ${config.dataExport.formats.join(', ')}`, 'format');
+    }
+    return normalized;
+  },
+
+  // Workspace validation
+  validateWorkspace(workspace) {
+    if (!workspace.name) {
+      throw new ValidationError('Missing required fields: name', 'name');
+    }
+
+    if (typeof workspace.name !== 'string' || workspace.name.trim().length === 0) {
+      throw new ValidationError('Workspace name must be a non-empty string', 'name');
+    }
+
+    return true;
+  },
+
+  // Workspace member validation
+  validateWorkspaceMember(member) {
+    if (!member.email || typeof member.email !== 'string') {
+      throw new ValidationError('Member email is required', 'email');
+    }
+
+    if (!permissions.isValidRole(member.role)) {
+      throw new ValidationError(
+        `Role must be one of: ${Object.values(ROLES).join(', ')}`,
+        'role'
+      );
+    }
+
+    return true;
+  },
+
+  // Graphic Walker computation payload validation
+  validateDataQuery(payload) {
+    if (!payload || !Array.isArray(payload.workflow)) {
+      throw new ValidationError('Query workflow must be an array', 'workflow');
+    }
+
+    const stepTypes = ['filter', 'transform', 'view', 'sort'];
+    payload.workflow.forEach((step, index) => {
+      if (!step || !stepTypes.includes(step.type)) {
+        throw new ValidationError(
+          `Workflow step ${index} must have a type of: ${stepTypes.join(', ')}`,
+          'workflow'
+        );
+      }
+    });
+
+    ['limit', 'offset'].forEach(field => {
+      const value = payload[field];
+      if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+        throw new ValidationError(`${field} must be a non-negative integer`, field);
+      }
+    });
+
+    return true;
+  },
+
+  // Dataset version validation (version numbers start at 1); returns the version as a number
+  validateDatasetVersion(value, field = 'version') {
+    const version = Number(value);
+    if (value === '' || value === null || !Number.isInteger(version) || version < 1) {
+      throw new ValidationError('Dataset version must be a positive integer', field);
+    }
+
+    return version;
+  },
+
+  // Dashboard revision validation (revision numbers start at 1); returns the revision as a number
+  validateRevision(value, field = 'revision') {
+    const revision = Number(value);
+    if (value === '' || value === null || !Number.isInteger(revision) || revision < 1) {
+      throw new ValidationError('Dashboard revision must be a positive integer', field);
+    }
+
+    return revision;
+  },
+
   // CSV query validation
   validateCsvQuery(query) {
     const { csvPath, page, limit } = query;
@@ -91,6 +361,268 @@ const validation = {
     }
 
     return true;
+  },
+
+  // CSV format override validation (fields left empty are auto-detected)
+  validateCsvFormat(format) {
+    const { delimiter, quote, encoding } = format;
+
+    if (delimiter && (delimiter.length !== 1 || /[\r\n]/.test(delimiter))) {
+      throw new ValidationError('Delimiter must be a single character', 'delimiter');
+    }
+
+    if (quote && (quote.length !== 1 || /[\r\n]/.test(quote))) {
+      throw new ValidationError('Quote must be a single character', 'quote');
+    }
+
+    if (delimiter && quote && delimiter === quote) {
+      throw new ValidationError('Delimiter and quote must be different characters', 'quote');
+    }
+
+    if (encoding && !iconv.encodingExists(encoding)) {
+      throw new ValidationError(`Unsupported encoding '${encoding}'`, 'encoding');
+    }
+
+    return true;
+  },
+
+  // Upload import column choices ([{ source, name, type, dateFormat, skip }]) for a file with the given headers
+  validateImportColumns(columns, headers) {
+    if (!Array.isArray(columns)) {
+      throw new ValidationError('Columns must be an array', 'columns');
+    }
+
+    const sources = new Set();
+    columns.forEach((column, index) => {
+      if (!column || typeof column !== 'object') {
+        throw new ValidationError(`Column ${index} must be an object`, 'columns');
+      }
+
+      if (!headers.includes(column.source)) {
+        throw new ValidationError(`Unknown source column '${column.source}'`, 'columns');
+      }
+
+      if (sources.has(column.source)) {
+        throw new ValidationError(`Column '${column.source}' is listed more than once`, 'columns');
+      }
+      sources.add(column.source);
+
+      if (column.name !== undefined && (typeof column.name !== 'string' || column.name.trim().length === 0)) {
+        throw new ValidationError(`Column '${column.source}' needs a non-empty name`, 'columns');
+      }
+
+      if (column.type !== undefined && !COLUMN_TYPES.includes(column.type)) {
+        throw new ValidationError(`Column type must be one of: ${COLUMN_TYPES.join(', ')}`, 'columns');
+      }
+
+      if (column.dateFormat && !DATE_FORMATS.includes(column.dateFormat)) {
+        throw new ValidationError(`Date format must be one of: ${DATE_FORMATS.join(', ')}`, 'columns');
+      }
+    });
+
+    return true;
+  },
+
+  // Calculated field definitions ([{ name, expression }]); returns them with names and
+  // expressions trimmed. Whether the expressions compile is checked against the dataset.
+  validateCalculatedFields(calculatedFields) {
+    if (!Array.isArray(calculatedFields)) {
+      throw new ValidationError('Calculated fields must be an array', 'calculatedFields');
+    }
+
+    if (calculatedFields.length > 100) {
+      throw new ValidationError('A dataset cannot have more than 100 calculated fields', 'calculatedFields');
+    }
+
+    const names = new Set();
+    return calculatedFields.map((field, index) => {
+      if (!field || typeof field !== 'object') {
+        throw new ValidationError(`Calculated field ${index} must be an object`, 'calculatedFields');
+      }
+
+      const name = typeof field.name === 'string' ? field.name.trim() : '';
+      if (!name) {
+        throw new ValidationError(`Calculated field ${index} needs a name`, 'calculatedFields');
+      }
+      if (name.length > 100) {
+        throw new ValidationError('Calculated field names cannot exceed 100 characters', 'calculatedFields');
+      }
+      // Graphic Walker names its own computed fields gw_...
+      if (name.startsWith('gw_')) {
+        throw new ValidationError(`Calculated field '${name}' cannot start with 'gw_'`, 'calculatedFields');
+      }
+      if (names.has(name)) {
+        throw new ValidationError(`Calculated field '${name}' is listed more than once`, 'calculatedFields');
+      }
+      names.add(name);
+
+      if (typeof field.expression !== 'string' || field.expression.trim().length === 0) {
+        throw new ValidationError(`Calculated field '${name}' needs an expression`, 'calculatedFields');
+      }
+
+      return { name, expression: field.expression.trim() };
+    });
+  },
+
+  // Field metadata ({ [fieldName]: { displayName, description, semanticType, analyticType,
+  // numberFormat, dateFormat, unit, sortOrder } }) for a dataset whose fields are fieldNames.
+  // Returns it with strings trimmed and empty settings (and fields left with none) dropped.
+  validateFieldMetadata(fieldMetadata, fieldNames) {
+    if (!fieldMetadata || typeof fieldMetadata !== 'object' || Array.isArray(fieldMetadata)) {
+      throw new ValidationError('Field metadata must be an object keyed by field name', 'fieldMetadata');
+    }
+
+    const text = (field, key, value, maxLength) => {
+      if (typeof value !== 'string') {
+        throw new ValidationError(`Field '${field}': ${key} must be a string`, 'fieldMetadata');
+      }
+      if (value.trim().length > maxLength) {
+        throw new ValidationError(`Field '${field}': ${key} cannot exceed ${maxLength} characters`, 'fieldMetadata');
+      }
+      return value.trim();
+    };
+
+    const result = {};
+    Object.entries(fieldMetadata).forEach(([field, settings]) => {
+      if (!fieldNames.includes(field)) {
+        throw new ValidationError(`Field '${field}' is not in this dataset`, 'fieldMetadata');
+      }
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new ValidationError(`Field '${field}' must have an object of settings`, 'fieldMetadata');
+      }
+
+      const unknown = Object.keys(settings).find(key => !FIELD_METADATA_KEYS.includes(key));
+      if (unknown) {
+        throw new ValidationError(`Field '${field}': unknown setting '${unknown}'`, 'fieldMetadata');
+      }
+
+      const entry = {};
+      Object.entries(settings).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === '') return;
+
+        switch (key) {
+          case 'displayName':
+            entry.displayName = text(field, 'display name', value, 100);
+            break;
+          case 'description':
+            entry.description = text(field, 'description', value, 1000);
+            break;
+          case 'unit':
+            entry.unit = text(field, 'unit', value, 20);
+            break;
+          case 'semanticType':
+            if (!SEMANTIC_TYPES.includes(value)) {
+              throw new ValidationError(`Field '${field}': semantic type must be one of: ${SEMANTIC_TYPES.join(', ')}`, 'fieldMetadata');
+            }
+            entry.semanticType = value;
+            break;
+          case 'analyticType':
+            if (!ANALYTIC_TYPES.includes(value)) {
+              throw new ValidationError(`Field '${field}': analytic type must be one of: ${ANALYTIC_TYPES.join(', ')}`, 'fieldMetadata');
+            }
+            entry.analyticType = value;
+            break;
+          case 'numberFormat':
+            entry.numberFormat = text(field, 'number format', value, 50);
+            if (!NUMBER_FORMAT_PATTERN.test(entry.numberFormat)) {
+              throw new ValidationError(`Field '${field}': '${entry.numberFormat}' is not a number format (such as ',.2f' or '.0%')`, 'fieldMetadata');
+            }
+            break;
+          case 'dateFormat':
+            entry.dateFormat = text(field, 'date format', value, 100);
+            if (!/%[a-zA-Z]/.test(entry.dateFormat)) {
+              throw new ValidationError(`Field '${field}': '${entry.dateFormat}' is not a date format (such as '%Y-%m-%d' or '%b %Y')`, 'fieldMetadata');
+            }
+            break;
+          case 'sortOrder':
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+              throw new ValidationError(`Field '${field}': sort order must be a list of values`, 'fieldMetadata');
+            }
+            if (value.length > FIELD_METADATA_MAX_SORT_VALUES) {
+              throw new ValidationError(`Field '${field}': sort order cannot list more than ${FIELD_METADATA_MAX_SORT_VALUES} values`, 'fieldMetadata');
+            }
+            if (new Set(value).size !== value.length) {
+              throw new ValidationError(`Field '${field}': sort order lists a value more than once`, 'fieldMetadata');
+            }
+            if (value.length > 0) {
+              entry.sortOrder = value;
+            }
+            break;
+        }
+      });
+
+      if (Object.keys(entry).length > 0) {
+        result[field] = entry;
+      }
+    });
+
+    return result;
+  },
+
+  // Derived dataset definition: a join of two datasets ({ type: 'join', sources: [left, right],
+  // joinType: inner|left, keys: [{ left, right }] }), a union of several ({ type: 'union',
+  // sources, sourceColumn }) or a SQL query ({ type: 'query', sql }, checked when it runs).
+  // Returns the definition with only those fields, names trimmed.
+  validateDerivation(definition) {
+    const { type, sources } = definition || {};
+
+    if (!DERIVATION_TYPES.includes(type)) {
+      throw new ValidationError(`Type must be one of: ${DERIVATION_TYPES.join(', ')}`, 'type');
+    }
+
+    if (type === 'query') {
+      if (typeof definition.sql !== 'string' || definition.sql.trim() === '') {
+        throw new ValidationError('SQL query is required', 'sql');
+      }
+      return { type, sql: definition.sql.trim() };
+    }
+
+    if (!Array.isArray(sources) || sources.some(source => typeof source !== 'string' || source.trim() === '')) {
+      throw new ValidationError('Sources must be a list of dataset names', 'sources');
+    }
+    const names = sources.map(source => source.trim());
+    if (new Set(names).size !== names.length) {
+      throw new ValidationError('Each source dataset can only be listed once', 'sources');
+    }
+
+    if (type === 'union') {
+      if (names.length < 2 || names.length > 20) {
+        throw new ValidationError('A union needs 2 to 20 source datasets', 'sources');
+      }
+
+      const { sourceColumn } = definition;
+      if (sourceColumn !== undefined && sourceColumn !== null && sourceColumn !== '' &&
+        (typeof sourceColumn !== 'string' || sourceColumn.trim() === '' || sourceColumn.trim().length > 100)) {
+        throw new ValidationError('Source column must be a name of up to 100 characters', 'sourceColumn');
+      }
+      return { type, sources: names, sourceColumn: sourceColumn ? sourceColumn.trim() : null };
+    }
+
+    if (names.length !== 2) {
+      throw new ValidationError('A join needs exactly 2 source datasets', 'sources');
+    }
+
+    const joinType = definition.joinType || 'inner';
+    if (!JOIN_TYPES.includes(joinType)) {
+      throw new ValidationError(`Join type must be one of: ${JOIN_TYPES.join(', ')}`, 'joinType');
+    }
+
+    const { keys } = definition;
+    if (!Array.isArray(keys) || keys.length === 0 || keys.length > 10) {
+      throw new ValidationError('A join needs 1 to 10 key pairs', 'keys');
+    }
+    keys.forEach((key, index) => {
+      if (!key || typeof key.left !== 'string' || !key.left || typeof key.right !== 'string' || !key.right) {
+        throw new ValidationError(`Key pair ${index} needs a left and a right field`, 'keys');
+      }
+    });
+
+    return {
+      type,
+      sources: names,
+      joinType,
+      keys: keys.map(key => ({ left: key.left, right: key.right }))
+    };
   }
 };
 
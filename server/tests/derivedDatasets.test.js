@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../src/config');
+
+// A database and upload folders of the test's own
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-derived-'));
+config.database.path = path.join(tmpDir, 'test.db');
+config.storage.dataDir = tmpDir;
+config.upload.uploadDir = path.join(tmpDir, 'uploads');
+config.upload.pendingDir = path.join(tmpDir, 'uploads', 'pending');
+
+const app = require('../src/app');
+const dataService = require('../src/services/dataService');
+
+const writeCsv = (name, content) => {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+describe('reading the sources of derived datasets', () => {
+  const users = {};
+
+  const as = (user) => ({ Authorization: `Bearer ${users[user].token}` });
+
+  const upload = (user, fields, filePath) => {
+    const req = request(app).post('/Dataset/upload').set(as(user));
+    Object.entries(fields).forEach(([key, value]) => req.field(key, value));
+    return req.attach('file', filePath);
+  };
+
+  const getDataset = async (user, name) => {
+    const res = await request(app).get(`/Dataset/${name}`).set(as(user));
+    return res.body.data;
+  };
+
+  beforeAll(async () => {
+    for (const name of ['alice', 'bob', 'mallory']) {
+      const res = await request(app)
+        .post('/auth/register')
+        .send({ email: `${name}@example.com`, password: 'secret12', name });
+      users[name] = { token: res.body.data.token, id: res.body.data.user.id };
+    }
+
+    const res = await upload('alice', { datasetName: 'salaries' }, writeCsv('salaries.csv', 'name,salary\nAnn,100\n'));
+    expect(res.status).toBe(200);
+  });
+
+  afterAll(() => {
+    dataService.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('a derivation sent with a saved dataset is ignored', async () => {
+    let res = await request(app)
+      .post('/Dataset')
+      .set(as('mallory'))
+      .send({
+        datasetName: 'innocent',
+        jsonData: [{ name: 'x', salary: 0 }],
+        headers: ['name', 'salary'],
+        derivation: { type: 'union', sources: ['salaries'], sourceVersions: {} },
+        ownerId: users.alice.id
+      });
+    expect(res.status).toBe(200);
+    expect(res.body.data.derivation).toBeNull();
+
+    const dataset = await getDataset('mallory', 'innocent');
+    expect(dataset.derivation).toBeNull();
+    expect(dataset.accessRole).toBe('owner');
+
+    res = await request(app).post('/Dataset/innocent/refresh').set(as('mallory'));
+    expect(res.status).toBe(400);
+
+    res = await request(app).get('/Dataset/innocent/data').set(as('mallory'));
+    expect(res.body.data.records).toEqual([{ name: 'x', salary: 0 }]);
+  });
+
+  test('dependents are refreshed with their owner\'s access', async () => {
+    let res = await request(app).post('/Workspace').set(as('alice')).send({ name: 'Payroll' });
+    const workspaceId = res.body.data.id;
+    await request(app).put(`/Workspace/${workspaceId}/members`).set(as('alice')).send({ email: 'bob@example.com', role: 'viewer' });
+    await request(app).put('/Dataset/salaries/workspace').set(as('alice')).send({ workspaceId });
+
+    await upload('bob', { datasetName: 'contractors' }, writeCsv('contractors.csv', 'name,salary\nDan,50\n'));
+    res = await request(app)
+      .post('/Dataset/derived')
+      .set(as('bob'))
+      .send({ datasetName: 'bob_salaries', type: 'union', sources: ['salaries', 'contractors'] });
+    expect(res.status).toBe(201);
+
+    // While Bob can read the source, his dataset follows Alice's changes
+    res = await upload('alice', { datasetName: 'salaries', mode: 'append' }, writeCsv('more.csv', 'name,salary\nBen,200\n'));
+    expect(res.status).toBe(200);
+    let dataset = await getDataset('bob', 'bob_salaries');
+    expect(dataset.rowCount).toBe(3);
+    expect(dataset.derivation.refreshError).toBeNull();
+
+    // Once he cannot, changes to the source no longer reach it
+    res = await request(app).delete(`/Workspace/${workspaceId}/members/${users.bob.id}`).set(as('alice'));
+    expect(res.status).toBe(200);
+    res = await upload('alice', { datasetName: 'salaries', mode: 'append' }, writeCsv('secret.csv', 'name,salary\nCat,300\n'));
+    expect(res.status).toBe(200);
+
+    dataset = await getDataset('bob', 'bob_salaries');
+    expect(dataset.rowCount).toBe(3);
+    expect(dataset.derivation.refreshError).toMatch(/salaries/);
+
+    res = await request(app).post('/Dataset/bob_salaries/refresh').set(as('bob'));
+    expect(res.status).toBe(400);
+    res = await request(app).get('/Dataset/bob_salaries/data').set(as('bob'));
+    expect(res.body.data.records.map(record => record.name)).toEqual(['Ann', 'Ben', 'Dan']);
+  });
+});
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../src/config');
+
+// A database and upload folders of the test's own
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-expressions-'));
+config.database.path = path.join(tmpDir, 'test.db');
+config.storage.dataDir = tmpDir;
+config.upload.uploadDir = path.join(tmpDir, 'uploads');
+config.upload.pendingDir = path.join(tmpDir, 'uploads', 'pending');
+
+const app = require('../src/app');
+const dataService = require('../src/services/dataService');
+const { compileCalculatedFields, selectCalculatedFields } = require('../src/utils/expressions');
+
+const rowColumns = [
+  { name: 'name', column: 'c0', type: 'text' },
+  { name: 'n', column: 'c1', type: 'real', fieldType: 'number' }
+];
+
+// Each field doubles the one before it, so inlining earlier fields would double the SQL each time
+const doublingFields = (count) => Array.from({ length: count }, (_, index) => ({
+  name: `f${index}`,
+  expression: index === 0 ? 'n + n' : `f${index - 1} + f${index - 1}`
+}));
+
+afterAll(() => {
+  dataService.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('compiling calculated fields', () => {
+  test('fields read the fields before them by alias', () => {
+    const { fields, errors } = compileCalculatedFields(
+      [{ name: 'double', expression: 'n * 2' }, { name: 'quadruple', expression: 'double + double' }],
+      rowColumns
+    );
+
+    expect(errors).toEqual([]);
+    expect(fields).toEqual([
+      { name: 'double', type: 'number', sql: '((c1 * ?))', params: [2], alias: '__calc0' },
+      { name: 'quadruple', type: 'number', sql: '((__calc0 + __calc0))', params: [], alias: '__calc1' }
+    ]);
+  });
+
+  test('the SQL of chained fields grows linearly', () => {
+    const { fields, errors } = compileCalculatedFields(doublingFields(100), rowColumns);
+    expect(errors).toEqual([]);
+
+    const { sql, params } = selectCalculatedFields(fields, 'SELECT * FROM rows');
+    expect(sql.length).toBeLessThan(100 * 100);
+    expect(params).toEqual([]);
+  });
+
+  test('literals are passed as parameters', () => {
+    const { fields } = compileCalculatedFields(
+      [{ name: 'label', expression: "IF(name = 'x'') OR 1=1 --', 'yes', 'no')" }],
+      rowColumns
+    );
+
+    expect(fields[0].sql).toBe('(CASE WHEN (c0 = ?) THEN ? ELSE ? END)');
+    expect(fields[0].params).toEqual(["x') OR 1=1 --", 'yes', 'no']);
+  });
+
+  test('fields that do not compile are reported and cannot be used', () => {
+    const { fields, errors } = compileCalculatedFields(
+      [
+        { name: 'broken', expression: 'missing + 1' },
+        { name: 'uses_broken', expression: 'broken * 2' },
+        { name: 'n', expression: '1' }
+      ],
+      rowColumns
+    );
+
+    expect(fields).toEqual([]);
+    expect(errors.map(error => error.name)).toEqual(['broken', 'uses_broken', 'n']);
+  });
+});
+
+describe('reading a dataset with chained calculated fields', () => {
+  let token;
+  const auth = () => ({ Authorization: `Bearer ${token}` });
+
+  beforeAll(async () => {
+    let res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'chains@example.com', password: 'secret12', name: 'Chains' });
+    token = res.body.data.token;
+
+    const filePath = path.join(tmpDir, 'numbers.csv');
+    fs.writeFileSync(filePath, 'name,n\na,1\nb,3\nc,2\n');
+    res = await request(app).post('/Dataset/upload').set(auth()).field('datasetName', 'numbers').attach('file', filePath);
+    expect(res.status).toBe(200);
+
+    res = await request(app)
+      .put('/Dataset/numbers/calculated-fields')
+      .set(auth())
+      .send({ calculatedFields: [...doublingFields(40), { name: 'label', expression: "name & '!'" }] });
+    expect(res.status).toBe(200);
+  });
+
+  test('rows are read a page at a time', async () => {
+    const res = await request(app).get('/Dataset/numbers/data?page=2&limit=2').set(auth());
+    expect(res.status).toBe(200);
+    expect(res.body.data.records).toHaveLength(1);
+    expect(res.body.data.records[0]).toMatchObject({ name: 'c', n: 2, f0: 4, f39: 2 ** 41, label: 'c!' });
+  });
+
+  test('rows are sorted by a calculated field', async () => {
+    const res = await request(app).get('/Dataset/numbers/data?sortBy=f39&sortOrder=desc&page=1&limit=2').set(auth());
+    expect(res.status).toBe(200);
+    expect(res.body.data.records.map(record => record.name)).toEqual(['b', 'c']);
+  });
+
+  test('queries aggregate calculated fields', async () => {
+    const res = await request(app)
+      .post('/Dataset/numbers/query')
+      .set(auth())
+      .send({ workflow: [{ type: 'view', query: [{ op: 'aggregate', groupBy: [], measures: [{ field: 'f39', agg: 'sum', asFieldKey: 'total' }] }] }] });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([{ total: 6 * 2 ** 40 }]);
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../src/config');
+
+// A database and upload folders of the test's own
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-import-'));
+config.database.path = path.join(tmpDir, 'test.db');
+config.storage.dataDir = tmpDir;
+config.upload.uploadDir = path.join(tmpDir, 'uploads');
+config.upload.pendingDir = path.join(tmpDir, 'uploads', 'pending');
+
+const app = require('../src/app');
+const dataService = require('../src/services/dataService');
+
+const writeCsv = (name, content) => {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+describe('appending and upserting into a dataset with calculated fields', () => {
+  let token;
+
+  const upload = (fields, filePath) => {
+    const req = request(app).post('/Dataset/upload').set('Authorization', `Bearer ${token}`);
+    Object.entries(fields).forEach(([key, value]) => req.field(key, value));
+    return req.attach('file', filePath);
+  };
+
+  const readDataset = async () => {
+    const res = await request(app).get('/Dataset/ratios/data').set('Authorization', `Bearer ${token}`);
+    return res.body.data;
+  };
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'importer@example.com', password: 'secret12', name: 'Importer' });
+    token = res.body.data.token;
+  });
+
+  beforeEach(async () => {
+    await request(app).delete('/Dataset/ratios').set('Authorization', `Bearer ${token}`);
+    await upload({ datasetName: 'ratios' }, writeCsv('start.csv', 'p,q\n10,2\n20,4\n'));
+    const res = await request(app)
+      .put('/Dataset/ratios/calculated-fields')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ calculatedFields: [{ name: 'ratio', expression: 'p / q' }] });
+    expect(res.status).toBe(200);
+  });
+
+  afterAll(() => {
+    dataService.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const expectRatioComputed = async (expected) => {
+    const { dataset, records } = await readDataset();
+    expect(dataset.headers).toEqual(['p', 'q']);
+    expect(dataset.rowColumns.map(column => column.name)).toEqual(['p', 'q']);
+    expect(records).toEqual(expected);
+
+    // The calculated field can still be changed
+    const res = await request(app)
+      .put('/Dataset/ratios/calculated-fields')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ calculatedFields: [{ name: 'ratio', expression: 'q / p' }] });
+    expect(res.status).toBe(200);
+  };
+
+  test('append keeps calculated fields computed', async () => {
+    const res = await upload({ datasetName: 'ratios', mode: 'append' }, writeCsv('append.csv', 'p,q\n9,3\n'));
+    expect(res.status).toBe(200);
+
+    await expectRatioComputed([
+      { p: 10, q: 2, ratio: 5 },
+      { p: 20, q: 4, ratio: 5 },
+      { p: 9, q: 3, ratio: 3 }
+    ]);
+  });
+
+  test('upsert recomputes calculated fields of updated rows', async () => {
+    const res = await upload(
+      { datasetName: 'ratios', mode: 'upsert', keyColumn: 'p' },
+      writeCsv('upsert.csv', 'p,q\n20,5\n30,10\n')
+    );
+    expect(res.status).toBe(200);
+
+    await expectRatioComputed([
+      { p: 10, q: 2, ratio: 5 },
+      { p: 20, q: 5, ratio: 4 },
+      { p: 30, q: 10, ratio: 3 }
+    ]);
+  });
+});
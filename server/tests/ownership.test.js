@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../src/config');
+
+// A database and upload folders of the test's own
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-ownership-'));
+config.database.path = path.join(tmpDir, 'test.db');
+config.storage.dataDir = tmpDir;
+config.upload.uploadDir = path.join(tmpDir, 'uploads');
+config.upload.pendingDir = path.join(tmpDir, 'uploads', 'pending');
+
+const app = require('../src/app');
+const dataService = require('../src/services/dataService');
+
+describe('assigning unowned datasets', () => {
+  let adminId;
+
+  beforeAll(async () => {
+    await request(app)
+      .post('/auth/register')
+      .send({ email: 'first@example.com', password: 'secret12', name: 'First' });
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'admin@example.com', password: 'secret12', name: 'Admin' });
+    adminId = res.body.data.user.id;
+
+    await dataService.saveDataset({
+      datasetName: 'legacy',
+      jsonData: [{ a: 1 }],
+      headers: ['a']
+    });
+  });
+
+  afterAll(() => {
+    dataService.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('nothing is assigned without an admin account', async () => {
+    for (const adminEmail of [null, 'nobody@example.com']) {
+      const result = await dataService.migrateOwnership(adminEmail);
+      expect(result.migratedCount).toBe(0);
+      expect((await dataService.getDatasetByName('legacy')).ownerId).toBeNull();
+    }
+  });
+
+  test('the admin account receives unowned datasets', async () => {
+    const result = await dataService.migrateOwnership('Admin@example.com');
+    expect(result.migratedCount).toBe(1);
+    expect((await dataService.getDatasetByName('legacy')).ownerId).toBe(adminId);
+  });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../src/config');
+
+// A database and upload folders of the test's own
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-query-'));
+config.database.path = path.join(tmpDir, 'test.db');
+config.storage.dataDir = tmpDir;
+config.upload.uploadDir = path.join(tmpDir, 'uploads');
+config.upload.pendingDir = path.join(tmpDir, 'uploads', 'pending');
+
+const app = require('../src/app');
+const dataService = require('../src/services/dataService');
+
+describe('regular expression filters', () => {
+  let token;
+
+  const filterWords = (rule) => request(app)
+    .post('/Dataset/words/query')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      workflow: [
+        { type: 'filter', filters: [{ fid: 'word', rule: { type: 'regexp', ...rule } }] },
+        { type: 'view', query: [{ op: 'raw', fields: ['word'] }] }
+      ]
+    });
+
+  beforeAll(async () => {
+    let res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'filters@example.com', password: 'secret12', name: 'Filters' });
+    token = res.body.data.token;
+
+    const filePath = path.join(tmpDir, 'words.csv');
+    fs.writeFileSync(filePath, `word\nNorth\nsouth\n${'a'.repeat(5000)}!\n`);
+    res = await request(app)
+      .post('/Dataset/upload')
+      .set('Authorization', `Bearer ${token}`)
+      .field('datasetName', 'words')
+      .attach('file', filePath);
+    expect(res.status).toBe(200);
+  });
+
+  afterAll(() => {
+    dataService.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('rows are matched with or without case', async () => {
+    let res = await filterWords({ value: '^n', caseSensitive: false });
+    expect(res.body.data).toEqual([{ word: 'North' }]);
+
+    res = await filterWords({ value: '^n', caseSensitive: true });
+    expect(res.body.data).toEqual([]);
+  });
+
+  test('patterns that backtrack exponentially run in linear time', async () => {
+    const startedAt = Date.now();
+    const res = await filterWords({ value: '^(a+)+$' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([]);
+    expect(Date.now() - startedAt).toBeLessThan(2000);
+  });
+
+  test('long patterns are rejected', async () => {
+    const res = await filterWords({ value: 'a'.repeat(501) });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../src/config');
+
+// A database and upload folders of the test's own
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-sql-'));
+config.database.path = path.join(tmpDir, 'test.db');
+config.storage.dataDir = tmpDir;
+config.upload.uploadDir = path.join(tmpDir, 'uploads');
+config.upload.pendingDir = path.join(tmpDir, 'uploads', 'pending');
+
+const app = require('../src/app');
+const dataService = require('../src/services/dataService');
+const sqlQueryService = require('../src/services/sqlQueryService');
+const { parseQuery } = require('../src/utils/sqlQuery');
+
+const { sqlQuery: defaults } = config;
+
+afterAll(() => {
+  dataService.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('checking SQL queries', () => {
+  test('one SELECT statement is accepted', () => {
+    expect(parseQuery('SELECT region FROM "Sales";;')).toEqual({ sql: 'SELECT region FROM "Sales"', names: ['SELECT', 'region', 'FROM', 'Sales'] });
+    expect(parseQuery("WITH t AS (SELECT ';' AS s) SELECT s FROM t -- ; DROP TABLE t").sql)
+      .toBe("WITH t AS (SELECT ';' AS s) SELECT s FROM t -- ; DROP TABLE t");
+    expect(parseQuery('VALUES (1) /* ; DELETE FROM t */').sql).toBe('VALUES (1) /* ; DELETE FROM t */');
+  });
+
+  test.each([
+    ['SELECT 1; SELECT 2', 'Only one statement can be run at a time'],
+    ['SELECT 1 /* a comment */; DROP TABLE sales', 'Only one statement can be run at a time'],
+    ['SELECT 1 -- a comment\n; ATTACH DATABASE \'other.db\' AS other', 'Only one statement can be run at a time'],
+    ["SELECT ';'; DELETE FROM sales", 'Only one statement can be run at a time'],
+    ['PRAGMA table_info(sales)', 'Only SELECT queries can be run'],
+    ["ATTACH DATABASE 'other.db' AS other", 'Only SELECT queries can be run'],
+    ['/* SELECT */ INSERT INTO sales VALUES (1)', 'Only SELECT queries can be run'],
+    ['SELECT 1 /* ; DROP TABLE sales', 'The comment at character 10 is not closed with */']
+  ])('%j is rejected', (sql, message) => {
+    expect(() => parseQuery(sql)).toThrow(message);
+  });
+});
+
+describe('running SQL queries', () => {
+  let token;
+
+  const runQuery = (body) => request(app)
+    .post('/query')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeAll(async () => {
+    let res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'analyst@example.com', password: 'secret12', name: 'Analyst' });
+    token = res.body.data.token;
+
+    for (const [name, content] of [['north', 'month,sales\n1,10\n2,20\n'], ['south', 'month,sales\n1,5\n']]) {
+      const filePath = path.join(tmpDir, `${name}.csv`);
+      fs.writeFileSync(filePath, content);
+      res = await request(app)
+        .post('/Dataset/upload')
+        .set('Authorization', `Bearer ${token}`)
+        .field('datasetName', name)
+        .attach('file', filePath);
+      expect(res.status).toBe(200);
+    }
+  });
+
+  afterEach(() => {
+    config.sqlQuery = { ...defaults };
+  });
+
+  test('datasets are read as tables', async () => {
+    const res = await runQuery({ sql: 'SELECT SUM(north.sales + south.sales) AS total FROM north JOIN south USING (month)' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ data: [{ total: 15 }], truncated: false, sources: expect.arrayContaining(['north', 'south']) });
+  });
+
+  test('statements other than one SELECT are rejected', async () => {
+    const res = await runQuery({ sql: "SELECT 1; ATTACH DATABASE 'other.db' AS other" });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Only one statement can be run at a time');
+  });
+
+  test('results are cut to the row limit', async () => {
+    config.sqlQuery = { ...defaults, maxRows: 2 };
+    let res = await runQuery({ sql: 'SELECT * FROM north UNION ALL SELECT * FROM south' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ count: 2, truncated: true });
+
+    res = await runQuery({ sql: 'SELECT * FROM north', limit: 3 });
+    expect(res.status).toBe(400);
+  });
+
+  test('queries reading too many rows are rejected before they run', async () => {
+    config.sqlQuery = { ...defaults, maxSourceRows: 2 };
+    let res = await runQuery({ sql: 'SELECT * FROM north' });
+    expect(res.status).toBe(200);
+
+    res = await runQuery({ sql: 'SELECT * FROM north, south' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^The query reads 3 rows from (north, south|south, north); a query can read at most 2$/);
+  });
+
+  test('queries running too long are stopped', async () => {
+    config.sqlQuery = { ...defaults, timeoutSeconds: 1 };
+    const res = await runQuery({ sql: 'WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n) SELECT MAX(x) FROM n' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('The query did not finish within 1 seconds');
+  });
+
+  test('time spent before the query runs counts towards the timeout', async () => {
+    config.sqlQuery = { ...defaults, timeoutSeconds: 1 };
+    await expect(sqlQueryService.runQuery('SELECT 1', [], 10, Date.now() - 1000))
+      .rejects.toThrow('The query did not finish within 1 seconds');
+  });
+});